@@ -0,0 +1,360 @@
+const { transaction } = require('./db');
+const { Person, Assets, Locations, MaintenanceSchedule } = require('./repositories');
+const { churchScopeClause } = require('../middleware/scope');
+const { badRequest, conflict, notFound, unprocessable } = require('../utils/errors');
+const { toDateString, today, addDays, daysBetween } = require('../utils/dates');
+const { toCents, fromCents, sumAmounts } = require('../utils/money');
+
+const DEFAULT_USEFUL_LIFE_YEARS = 5;
+
+const findAsset = async (assetId, runQuery) => {
+    const asset = runQuery ? await Assets.lock(assetId, { runQuery }) : await Assets.findById(assetId);
+    if (!asset) throw notFound('Asset not found');
+    return asset;
+};
+
+const findLocation = async (locationId, runQuery) => {
+    const location = await Locations.findById(locationId, { runQuery });
+    if (!location) throw unprocessable('Invalid location ID', { field: 'location_id' });
+    return location;
+};
+
+const optionalDate = (value) => (value ? toDateString(value) : null);
+
+/**
+ * Replace an asset (PUT), or with partial write only the fields sent (PATCH). A changed location_id
+ * is recorded as a transfer, so the history stays complete however the asset was moved. ifMatch is
+ * checked against the asset's ETag (see data/repositories/base.js). Resolves to the driver's OkPacket.
+ */
+const updateAsset = (assetId, data, { user, partial = false, ifMatch }) => transaction(async (runQuery) => {
+    const asset = await findAsset(assetId, runQuery);
+    const moved = data.location_id !== undefined && parseInt(data.location_id) !== parseInt(asset.location_id);
+    if (moved) await findLocation(data.location_id, runQuery);
+
+    const write = partial ? Assets.update : Assets.replace;
+    const result = await write(assetId, data, { runQuery, ifMatch });
+    if (moved) {
+        await Assets.addTransfer({
+            asset_id: asset.asset_id,
+            fromLocationId: asset.location_id,
+            toLocationId: data.location_id,
+            transferredBy: user.userId,
+            reason: 'Location changed on the asset'
+        }, { runQuery });
+    }
+    return result;
+});
+
+// ---------------------------------------------------------------- maintenance
+
+/**
+ * Where an asset stands against its category's schedule on asOf. The next service is due
+ * intervalDays after the last one (or the purchase); an asset with neither is due at once.
+ * status is overdue after that date, due within leadDays of it, and ok before.
+ */
+const maintenanceStatus = (asset, schedule, asOf) => {
+    const lastDone = optionalDate(asset.last_maintenance_date) || optionalDate(asset.purchase_date);
+    const nextDue = lastDone ? addDays(lastDone, schedule.intervalDays) : asOf;
+    const days = daysBetween(asOf, nextDue);
+    let status = 'ok';
+    if (days < 0) status = 'overdue';
+    else if (days <= schedule.leadDays) status = 'due';
+    return { lastDone, nextDue, status, daysUntilDue: days };
+};
+
+const scheduleOf = (row) => ({ scheduleId: row.scheduleId, intervalDays: row.intervalDays, leadDays: row.leadDays, task: row.task });
+
+/**
+ * Scheduled assets needing a service: overdue ones, or (status 'due') those coming up within
+ * `within` days, or the schedule's leadDays when within is not given. Soonest first.
+ */
+const maintenanceReport = async ({ status, within, location_id, category }) => {
+    const asOf = today();
+    const rows = await Assets.findScheduled({ location_id, category });
+    const data = rows
+        .map((row) => {
+            const schedule = scheduleOf(row);
+            const window = within === undefined ? schedule : { ...schedule, leadDays: within };
+            return {
+                asset_id: row.asset_id,
+                name: row.name,
+                category: row.category,
+                location_id: row.location_id,
+                locationName: row.locationName,
+                condition: row.condition,
+                ...schedule,
+                ...maintenanceStatus(row, window, asOf)
+            };
+        })
+        .filter((row) => row.status === status)
+        .sort((a, b) => a.nextDue.localeCompare(b.nextDue) || a.asset_id - b.asset_id);
+    return { asOf, count: data.length, data };
+};
+
+// The asset's schedule, where it stands and the maintenance carried out, latest first
+const maintenanceHistory = async (assetId) => {
+    const asset = await findAsset(assetId);
+    const schedule = asset.category ? await MaintenanceSchedule.findOneBy('category', asset.category) : null;
+    const log = await Assets.maintenanceLog(asset.asset_id);
+    return {
+        asset,
+        schedule,
+        ...(schedule ? maintenanceStatus(asset, schedule, today()) : {}),
+        data: log.map((entry) => ({ ...entry, date: toDateString(entry.date), cost: entry.cost === null ? null : Number(entry.cost) }))
+    };
+};
+
+// Log a service; last_maintenance_date only moves forward, and condition is updated when given
+const recordMaintenance = (assetId, { date, performedBy, cost, condition, notes }, { user }) => transaction(async (runQuery) => {
+    const asset = await findAsset(assetId, runQuery);
+    const serviced = date || today();
+    if (serviced > today()) throw badRequest('Maintenance cannot be recorded for a future date');
+
+    const { insertId } = await Assets.addMaintenance({
+        asset_id: asset.asset_id, date: serviced, performedBy, cost, condition, notes, recordedBy: user.userId
+    }, { runQuery });
+    const last = optionalDate(asset.last_maintenance_date);
+    await Assets.update(asset.asset_id, {
+        last_maintenance_date: !last || serviced > last ? serviced : undefined,
+        condition: condition || undefined
+    }, { runQuery });
+    return { maintenanceId: insertId, asset: await Assets.findById(asset.asset_id, { runQuery }) };
+});
+
+// ---------------------------------------------------------------- check-out / check-in
+
+const withDue = (checkout, asOf) => {
+    const dueBack = optionalDate(checkout.dueBack);
+    return { ...checkout, dueBack, daysOverdue: dueBack && dueBack < asOf ? daysBetween(dueBack, asOf) : 0 };
+};
+
+/**
+ * Lend an asset to a member (personId, in your scope) or anyone else by borrowerName.
+ * Refused with a 409 while the asset is already out.
+ */
+const checkOutAsset = async (assetId, { personId, borrowerName, dueBack, condition, notes }, { scope, user }) => {
+    if (!personId && !borrowerName) throw badRequest('Give the borrower as personId or borrowerName');
+    if (dueBack && dueBack < today()) throw badRequest('dueBack must not be in the past');
+
+    let borrower = borrowerName;
+    if (personId) {
+        const person = await Person.findById(personId, { scope: churchScopeClause(scope) });
+        if (!person) throw notFound('Person not found');
+        borrower = [person.name, person.surname].filter(Boolean).join(' ');
+    }
+
+    return transaction(async (runQuery) => {
+        const asset = await findAsset(assetId, runQuery);
+        const open = await Assets.openCheckout(asset.asset_id, { runQuery });
+        if (open) throw conflict(`Asset is already checked out to ${open.borrowerName}`, { checkoutId: open.checkoutId });
+
+        const { insertId } = await Assets.addCheckout({
+            asset_id: asset.asset_id,
+            personId: personId || null,
+            borrowerName: borrower,
+            dueBack,
+            checkedOutBy: user.userId,
+            conditionOut: condition || asset.condition,
+            notes
+        }, { runQuery });
+        return withDue(await Assets.findCheckout(insertId, { runQuery }), today());
+    });
+};
+
+// Close the open check-out; the condition it came back in becomes the asset's condition
+const checkInAsset = (assetId, { condition, notes }, { user }) => transaction(async (runQuery) => {
+    const asset = await findAsset(assetId, runQuery);
+    const open = await Assets.openCheckout(asset.asset_id, { runQuery });
+    if (!open) throw conflict('Asset is not checked out');
+
+    // Check-in notes go on a line after the check-out notes
+    const lines = [open.notes, notes].filter((line) => line !== null && line !== undefined);
+    await Assets.closeCheckout(open.checkoutId, {
+        checkedInBy: user.userId,
+        conditionIn: condition,
+        notes: lines.length ? lines.join('\n') : null
+    }, { runQuery });
+    if (condition) await Assets.update(asset.asset_id, { condition }, { runQuery });
+    const checkout = withDue(await Assets.findCheckout(open.checkoutId, { runQuery }), today());
+    return { ...checkout, late: checkout.daysOverdue > 0 };
+});
+
+const checkoutHistory = async (assetId) => {
+    const asset = await findAsset(assetId);
+    const asOf = today();
+    const data = (await Assets.checkouts(asset.asset_id)).map((checkout) => withDue(checkout, asOf));
+    return { asset, out: data.some((checkout) => !checkout.checkedInAt), data };
+};
+
+// Assets out on loan now; overdue keeps those past their dueBack
+const checkedOutAssets = async ({ overdue, location_id, category }) => {
+    const asOf = today();
+    const rows = await Assets.findCheckedOut({ dueBefore: overdue ? asOf : undefined, location_id, category });
+    const data = rows.map((row) => withDue(row, asOf));
+    return { asOf, count: data.length, data };
+};
+
+// ---------------------------------------------------------------- transfers
+
+// Move an asset to another Location and record it; an asset out on loan has to be checked in first
+const transferAsset = (assetId, { location_id, reason }, { user }) => transaction(async (runQuery) => {
+    const asset = await findAsset(assetId, runQuery);
+    if (parseInt(location_id) === parseInt(asset.location_id)) throw badRequest('The asset is already at that location');
+    const location = await findLocation(location_id, runQuery);
+    if (await Assets.openCheckout(asset.asset_id, { runQuery })) {
+        throw conflict('Check the asset in before transferring it');
+    }
+
+    await Assets.update(asset.asset_id, { location_id: location.location_id }, { runQuery });
+    const { insertId } = await Assets.addTransfer({
+        asset_id: asset.asset_id,
+        fromLocationId: asset.location_id,
+        toLocationId: location.location_id,
+        transferredBy: user.userId,
+        reason
+    }, { runQuery });
+    return {
+        transferId: insertId,
+        fromLocationId: asset.location_id,
+        toLocationId: location.location_id,
+        asset: await Assets.findById(asset.asset_id, { runQuery })
+    };
+});
+
+const transferHistory = async (assetId) => {
+    const asset = await findAsset(assetId);
+    return { asset, data: await Assets.transfers(asset.asset_id) };
+};
+
+// ---------------------------------------------------------------- depreciation
+
+// Whole months from one date to another, e.g. 2024-01-15 to 2024-02-14 is 0 and to 2024-02-15 is 1
+const monthsBetween = (from, to) => {
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+};
+
+/**
+ * Straight-line depreciation of an asset on asOf: (cost - salvage) spread evenly over its useful
+ * life, counted in whole months from the purchase date. Amounts are worked out in cents.
+ */
+const depreciation = (asset, asOf) => {
+    const cost = toCents(asset.purchase_price || 0);
+    const salvage = Math.min(toCents(asset.salvage_value || 0), cost);
+    const usefulLifeYears = Number(asset.useful_life_years) || DEFAULT_USEFUL_LIFE_YEARS;
+    const lifeMonths = Math.max(1, Math.round(usefulLifeYears * 12));
+    const purchased = optionalDate(asset.purchase_date);
+    const months = purchased ? Math.min(Math.max(0, monthsBetween(purchased, asOf)), lifeMonths) : 0;
+    const accumulated = Math.round(((cost - salvage) * months) / lifeMonths);
+    return {
+        cost: fromCents(cost),
+        salvageValue: fromCents(salvage),
+        usefulLifeYears,
+        monthlyDepreciation: fromCents(Math.round((cost - salvage) / lifeMonths)),
+        monthsDepreciated: months,
+        accumulated: fromCents(accumulated),
+        bookValue: fromCents(cost - accumulated),
+        fullyDepreciated: months === lifeMonths
+    };
+};
+
+const dateRange = ({ asOf: asOfParam, from: fromParam }) => {
+    const asOf = asOfParam || today();
+    const from = fromParam || `${asOf.slice(0, 4)}-01-01`;
+    if (from > asOf) throw badRequest('from must not be after asOf');
+    return { from, asOf };
+};
+
+const ASSET_FIELDS = ['asset_id', 'name', 'category', 'location_id', 'locationName', 'serial_number', 'purchase_date'];
+
+/**
+ * Book values on asOf (default today) and the depreciation charged from `from` (default
+ * 1 January of asOf's year) to asOf, per asset and per category, for assets with a purchase price.
+ */
+const depreciationReport = async ({ asOf: asOfParam, from: fromParam, location_id, category }) => {
+    const { from, asOf } = dateRange({ asOf: asOfParam, from: fromParam });
+    const rows = await Assets.findDepreciable({ location_id, category });
+    const data = rows.map((row) => {
+        const values = depreciation(row, asOf);
+        const opening = depreciation(row, addDays(from, -1));
+        const asset = Object.fromEntries(ASSET_FIELDS.map((field) => [field, row[field] === undefined ? null : row[field]]));
+        return {
+            ...asset,
+            purchase_date: optionalDate(row.purchase_date),
+            ...values,
+            periodDepreciation: fromCents(toCents(values.accumulated) - toCents(opening.accumulated))
+        };
+    });
+
+    const total = (items) => ({
+        assets: items.length,
+        cost: sumAmounts(items.map((item) => item.cost)),
+        accumulated: sumAmounts(items.map((item) => item.accumulated)),
+        bookValue: sumAmounts(items.map((item) => item.bookValue)),
+        periodDepreciation: sumAmounts(items.map((item) => item.periodDepreciation))
+    });
+    const categories = [...new Set(data.map((item) => item.category || null))];
+    return {
+        from,
+        asOf,
+        totals: total(data),
+        byCategory: categories.map((name) => ({ category: name, ...total(data.filter((item) => (item.category || null) === name)) })),
+        data
+    };
+};
+
+// Columns of the depreciation report when it is downloaded as a file
+const DEPRECIATION_COLUMNS = [
+    ...ASSET_FIELDS, 'cost', 'salvageValue', 'usefulLifeYears', 'monthsDepreciated', 'periodDepreciation', 'accumulated', 'bookValue'
+];
+
+// One asset's values on asOf plus its year-by-year schedule over its useful life
+const assetDepreciation = async (assetId, { asOf: asOfParam }) => {
+    const asset = await findAsset(assetId);
+    if (asset.purchase_price === null || asset.purchase_price === undefined) {
+        throw badRequest('The asset has no purchase_price to depreciate');
+    }
+    const asOf = asOfParam || today();
+    const values = depreciation(asset, asOf);
+    const purchased = optionalDate(asset.purchase_date);
+    if (!purchased) return { asset, asOf, ...values, schedule: [] };
+
+    // Anniversaries of the purchase: the end of each year of life (the last may be a part year)
+    const [year, month, day] = purchased.split('-').map(Number);
+    const lifeMonths = Math.max(1, Math.round(values.usefulLifeYears * 12));
+    const schedule = [];
+    let previous = 0;
+    for (let months = 12; previous < lifeMonths; months += 12) {
+        const end = new Date(Date.UTC(year, month - 1 + Math.min(months, lifeMonths), day)).toISOString().slice(0, 10);
+        const { accumulated, bookValue } = depreciation(asset, end);
+        schedule.push({
+            year: months / 12,
+            endsOn: end,
+            depreciation: fromCents(toCents(accumulated) - toCents(schedule.length ? schedule[schedule.length - 1].accumulated : 0)),
+            accumulated,
+            bookValue
+        });
+        previous = Math.min(months, lifeMonths);
+    }
+    return { asset, asOf, ...values, schedule };
+};
+
+module.exports = {
+    DEFAULT_USEFUL_LIFE_YEARS,
+    DEPRECIATION_COLUMNS,
+    updateAsset,
+    maintenanceStatus,
+    maintenanceReport,
+    maintenanceHistory,
+    recordMaintenance,
+    checkOutAsset,
+    checkInAsset,
+    checkoutHistory,
+    checkedOutAssets,
+    transferAsset,
+    transferHistory,
+    depreciation,
+    depreciationReport,
+    assetDepreciation
+};
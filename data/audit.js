@@ -0,0 +1,65 @@
+const { transaction } = require('./db');
+const { restoreRecord } = require('./recycleBin');
+const { Church, Person, Stats, User, Calendar, Assets, Locations, AuditLog } = require('./repositories');
+const { badRequest, conflict, notFound } = require('../utils/errors');
+
+// Audited repositories by table name, as entries name them
+const AUDITED = { Church, Person, Stats, User, Calendar, Assets, Locations };
+const AUDITED_ENTITIES = Object.keys(AUDITED);
+
+const repositoryFor = (entity) => {
+    if (!AUDITED[entity]) throw badRequest(`entity must be one of: ${AUDITED_ENTITIES.join(', ')}`);
+    return AUDITED[entity];
+};
+
+// Every change to one record, newest first, with the record as it is now (null once deleted)
+const recordHistory = async (entity, entityId) => {
+    const repository = repositoryFor(entity);
+    const [current, data] = await Promise.all([repository.findById(entityId), AuditLog.findHistory(entity, entityId)]);
+    if (!current && !data.length) throw notFound(`${repository.entity.name} not found`);
+    return { entity, entityId: String(entityId), current, data };
+};
+
+/**
+ * Put a record back as it was in an audit entry: the row after that change, or the row before it
+ * for a delete. An existing record is overwritten; one in the recycle bin is taken out of it first
+ * (data/recycleBin.js), and one deleted for good is inserted again with its old id.
+ * The restore is itself logged, with action 'restore'.
+ */
+const restoreVersion = async (auditId) => {
+    const entry = await AuditLog.findEntry(auditId);
+    if (!entry) throw notFound('Audit entry not found');
+    const repository = repositoryFor(entry.entity);
+    const { entity } = repository;
+    if (!entry.snapshot) throw badRequest('This entry has no version to restore');
+
+    const data = Object.fromEntries(Object.entries(entry.snapshot)
+        .filter(([column]) => entity.columns.includes(column) && column !== entity.idColumn && !(entity.readOnlyColumns || []).includes(column)));
+
+    return transaction(async (runQuery) => {
+        let current = await repository.findById(entry.entityId, { runQuery });
+        if (!current && repository.findDeleted && await repository.findDeleted(entry.entityId, { runQuery })) {
+            current = (await restoreRecord(entry.entity, entry.entityId, { runQuery })).data;
+        }
+        if (current) {
+            await repository.replace(entry.entityId, data, { columns: Object.keys(data), runQuery, auditAction: 'restore' });
+        } else {
+            if ((entity.hiddenColumns || []).length) {
+                throw conflict(`A deleted ${entity.name} cannot be restored because the audit log does not keep ${entity.hiddenColumns.join(', ')}`);
+            }
+            await repository.create({ ...data, [entity.idColumn]: entry.entityId }, { runQuery, auditAction: 'restore' });
+        }
+        return {
+            restoredFrom: entry.auditId,
+            entity: entry.entity,
+            entityId: entry.entityId,
+            data: await repository.findById(entry.entityId, { runQuery })
+        };
+    });
+};
+
+module.exports = {
+    AUDITED_ENTITIES,
+    recordHistory,
+    restoreVersion
+};
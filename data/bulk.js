@@ -0,0 +1,212 @@
+const { pool, quote } = require('./db');
+const { captureChanges } = require('./repositories/auditLog');
+const { churchScopeClause } = require('../middleware/scope');
+const { badRequest, payloadTooLarge } = require('../utils/errors');
+
+const MAX_BULK_ITEMS = 1000;
+const BULK_MODES = ['atomic', 'partial'];
+
+const getConnection = () => new Promise((resolve, reject) => {
+    pool.getConnection((err, conn) => (err ? reject(err) : resolve(conn)));
+});
+
+const run = (conn, sql, values) => new Promise((resolve, reject) => {
+    conn.query(sql, values, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+// Audited entities log each item's write to AuditLog on the batch's connection
+const write = (conn, entity, action, id, sql, values) => {
+    if (!entity.audited) return run(conn, sql, values);
+    const runQuery = (text, params) => run(conn, text, params);
+    return captureChanges(entity, { action, ids: [id], runQuery }, () => runQuery(sql, values));
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Soft-deleted rows (entity.softDelete) are neither updated nor deleted again
+const liveOnly = (entity) => (entity.softDelete ? ` AND ${quote('deletedAt')} IS NULL` : '');
+
+// Writable columns present on the item, in the entity's column order
+const pickColumns = (entity, item) => entity.columns
+    .filter((column) => item[column] !== undefined && !(entity.readOnlyColumns || []).includes(column));
+
+const checkChurch = async (conn, scope, churchId, regions) => {
+    if (scope.level === 'all') return;
+    if (scope.level === 'church') {
+        if (parseInt(churchId) !== parseInt(scope.churchId)) throw new Error('Church is outside your scope');
+        return;
+    }
+    if (!regions.has(churchId)) {
+        const rows = await run(conn, 'SELECT region FROM Church WHERE churchId = ?', [churchId]);
+        regions.set(churchId, rows.length ? rows[0].region : null);
+    }
+    if (regions.get(churchId) !== scope.region) throw new Error('Church is outside your scope');
+};
+
+const insertItem = async (conn, entity, item, ctx) => {
+    if (entity.churchScoped) {
+        if (isBlank(item.churchId) && ctx.scope.level === 'church') item.churchId = ctx.scope.churchId;
+        await checkChurch(conn, ctx.scope, item.churchId, ctx.regions);
+    }
+    const missing = (entity.required || []).filter((column) => isBlank(item[column]));
+    if (missing.length) throw new Error(`Missing required field(s): ${missing.join(', ')}`);
+    if (entity.validate) await entity.validate(item, (sql, values) => run(conn, sql, values));
+
+    const columns = pickColumns(entity, item);
+    const sql = `INSERT INTO ${entity.table} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+    const result = await write(conn, entity, 'create', item[entity.idColumn], sql, columns.map((column) => item[column]));
+    return { status: 'created', id: result.insertId || item[entity.idColumn] };
+};
+
+// Resolves to null when no row in scope matched, so upserts can fall back to an insert
+const updateItem = async (conn, entity, item, ctx) => {
+    const columns = pickColumns(entity, item).filter((column) => column !== entity.idColumn);
+    if (!columns.length) throw new Error('No fields to update');
+    if (entity.churchScoped && item.churchId !== undefined) {
+        await checkChurch(conn, ctx.scope, item.churchId, ctx.regions);
+    }
+    if (entity.validate) await entity.validate(item, (sql, values) => run(conn, sql, values));
+
+    const scope = entity.churchScoped ? churchScopeClause(ctx.scope) : { sql: '1=1', values: [] };
+    const sql = `UPDATE ${entity.table} SET ${columns.map((column) => `${quote(column)} = ?`).join(', ')}
+        WHERE ${quote(entity.idColumn)} = ? AND ${scope.sql}${liveOnly(entity)}`;
+    const values = [...columns.map((column) => item[column]), item[entity.idColumn], ...scope.values];
+    const result = await write(conn, entity, 'update', item[entity.idColumn], sql, values);
+    return result.affectedRows === 0 ? null : { status: 'updated', id: item[entity.idColumn] };
+};
+
+// Soft-deleted entities go to the recycle bin, all with the batch's deletedAt
+const deleteItem = async (conn, entity, item, ctx) => {
+    const scope = entity.churchScoped ? churchScopeClause(ctx.scope) : { sql: '1=1', values: [] };
+    const where = `WHERE ${quote(entity.idColumn)} = ? AND ${scope.sql}${liveOnly(entity)}`;
+    const [sql, values] = entity.softDelete
+        ? [`UPDATE ${entity.table} SET ${quote('deletedAt')} = ?, ${quote('deletedBy')} = ? ${where}`, [ctx.deletedAt, ctx.deletedBy]]
+        : [`DELETE FROM ${entity.table} ${where}`, []];
+    const result = await write(conn, entity, 'delete', item[entity.idColumn], sql, [...values, item[entity.idColumn], ...scope.values]);
+    if (result.affectedRows === 0) throw new Error(`${entity.name} not found`);
+    return { status: 'deleted', id: item[entity.idColumn] };
+};
+
+// action defaults to an upsert: update the row when the id matches one, otherwise insert it.
+// Every item but a delete is first checked against the entity's schema (ctx.validate).
+const applyItem = async (conn, entity, raw, ctx) => {
+    const { action = 'upsert', ...item } = raw;
+    const hasId = !isBlank(item[entity.idColumn]);
+    if (action !== 'delete' && ctx.validate) {
+        const errors = ctx.validate(item);
+        if (errors.length) throw badRequest('Validation failed', errors);
+    }
+
+    switch (action) {
+        case 'create':
+            return insertItem(conn, entity, item, ctx);
+        case 'update': {
+            if (!hasId) throw new Error(`${entity.idColumn} is required to update`);
+            const outcome = await updateItem(conn, entity, item, ctx);
+            if (!outcome) throw new Error(`${entity.name} not found`);
+            return outcome;
+        }
+        case 'delete':
+            if (!hasId) throw new Error(`${entity.idColumn} is required to delete`);
+            return deleteItem(conn, entity, item, ctx);
+        case 'upsert':
+            return (hasId && await updateItem(conn, entity, item, ctx)) || insertItem(conn, entity, item, ctx);
+        default:
+            throw new Error(`Unknown action '${action}'`);
+    }
+};
+
+/**
+ * Apply a batch of create/update/delete items for one entity inside a single transaction.
+ *   atomic  - the first failure rolls the whole batch back; the items after it are not run
+ *   partial - each item runs under its own savepoint; failed items are undone, the rest commit
+ * deletedBy is the user recorded on rows that delete items move to the recycle bin. validate checks an
+ * item's fields (see schemaValidator in middleware/validate.js); a failed item lists them as errors.
+ */
+const runBulk = async (entity, items, { mode = 'atomic', scope, deletedBy = null, validate }) => {
+    const conn = await getConnection();
+    const ctx = { scope, regions: new Map(), deletedAt: new Date(), deletedBy, validate };
+    const results = [];
+
+    try {
+        await run(conn, 'START TRANSACTION');
+
+        for (let index = 0; index < items.length; index++) {
+            const item = items[index];
+            if (mode === 'partial') await run(conn, 'SAVEPOINT bulk_item');
+            try {
+                if (!item || typeof item !== 'object' || Array.isArray(item)) throw new Error('Item must be an object');
+                results.push({ index, ...(await applyItem(conn, entity, item, ctx)) });
+            } catch (err) {
+                results.push({
+                    index,
+                    status: 'failed',
+                    id: item && item[entity.idColumn],
+                    reason: err.message,
+                    ...(err.details && { errors: err.details })
+                });
+                if (mode === 'atomic') break;
+                await run(conn, 'ROLLBACK TO SAVEPOINT bulk_item');
+            }
+        }
+        for (let index = results.length; index < items.length; index++) {
+            results.push({ index, status: 'not_run', id: items[index] && items[index][entity.idColumn] });
+        }
+
+        const failed = results.some((result) => result.status === 'failed');
+        const committed = !(mode === 'atomic' && failed);
+
+        if (committed) {
+            await run(conn, 'COMMIT');
+        } else {
+            await run(conn, 'ROLLBACK');
+            results.forEach((result) => {
+                if (!['failed', 'not_run'].includes(result.status)) result.status = 'rolled_back';
+            });
+        }
+
+        return { committed, results };
+    } catch (err) {
+        await run(conn, 'ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+// Express handler for POST /api/<Entity>/bulk; validate as for runBulk
+const bulkHandler = (entity, { validate } = {}) => async (req, res, next) => {
+    const { items, mode = 'atomic' } = req.body || {};
+
+    if (!BULK_MODES.includes(mode)) {
+        return next(badRequest(`mode must be one of: ${BULK_MODES.join(', ')}`));
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return next(badRequest('items must be a non-empty array'));
+    }
+    if (items.length > MAX_BULK_ITEMS) {
+        return next(payloadTooLarge(`A bulk request may contain at most ${MAX_BULK_ITEMS} items`));
+    }
+
+    try {
+        const { committed, results } = await runBulk(entity, items, { mode, scope: req.scope, deletedBy: req.user.userId, validate });
+        const summary = results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+        }, { total: results.length });
+
+        let status = 200;
+        if (!committed) status = 422;
+        else if (summary.failed) status = 207;
+
+        res.status(status).json({ mode, committed, summary, results });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    MAX_BULK_ITEMS,
+    runBulk,
+    bulkHandler
+};
@@ -0,0 +1,297 @@
+const { transaction } = require('./db');
+const { Church, Calendar } = require('./repositories');
+const { churchScopeClause, regionScopeClause } = require('../middleware/scope');
+const { HttpError, badRequest, forbidden, notFound, payloadTooLarge } = require('../utils/errors');
+const { pad, toDateString, parseDate, formatDate, today, addDays, daysBetween } = require('../utils/dates');
+const { normalizeRRule, expandOccurrences, isOccurrence } = require('../utils/recurrence');
+const { buildCalendar, parseCalendar } = require('../utils/ics');
+
+const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 731;
+const MAX_IMPORT_EVENTS = 1000;
+
+// Domain part of the UID given to events created here, so feed subscribers can tell them apart
+const UID_DOMAIN = 'bbm-api';
+
+// Columns an import writes; capacity, fee and the rest are left as they are on update
+const IMPORT_COLUMNS = [
+    'name', 'description', 'location', 'department', 'region', 'churchId', 'startDate', 'endDate',
+    'startTime', 'endTime', 'rrule', 'uid', 'time', 'month', 'year', 'dayFrom', 'dayTo'
+];
+
+// The legacy month column is free text: "March", "Mar" or "3"
+const monthNumber = (month) => {
+    const number = Number(month);
+    if (Number.isInteger(number) && number >= 1 && number <= 12) return number;
+    const prefix = String(month || '').trim().slice(0, 3).toLowerCase();
+    const index = prefix.length === 3 ? MONTHS.findIndex((name) => name.slice(0, 3).toLowerCase() === prefix) : -1;
+    return index === -1 ? null : index + 1;
+};
+
+const validDate = (date) => formatDate(parseDate(date)) === date;
+
+// startDate/endDate read from year, month, dayFrom and dayTo, for older rows and clients
+const legacyDates = ({ year, month, dayFrom, dayTo }) => {
+    const monthNo = monthNumber(month);
+    if (!parseInt(year) || !monthNo || !parseInt(dayFrom)) return {};
+    const date = (day) => `${parseInt(year)}-${pad(monthNo)}-${pad(parseInt(day))}`;
+    const startDate = date(dayFrom);
+    if (!validDate(startDate)) return {};
+    const endDate = parseInt(dayTo) > parseInt(dayFrom) && validDate(date(dayTo)) ? date(dayTo) : null;
+    return { startDate, endDate };
+};
+
+// The legacy columns written from startDate/endDate so older clients keep reading them
+const legacyColumns = ({ startDate, endDate, startTime, time }) => {
+    const [year, month, day] = startDate.split('-').map(Number);
+    return {
+        year,
+        month: MONTHS[month - 1],
+        dayFrom: day,
+        dayTo: endDate ? Number(endDate.slice(8, 10)) : day,
+        time: time || (startTime ? String(startTime).slice(0, 5) : undefined)
+    };
+};
+
+// A Calendar row with its dates as 'YYYY-MM-DD' strings, derived from the legacy columns when needed
+const withDates = (row) => {
+    const legacy = row.startDate ? {} : legacyDates(row);
+    return {
+        ...row,
+        startDate: row.startDate ? toDateString(row.startDate) : legacy.startDate || null,
+        endDate: row.endDate ? toDateString(row.endDate) : legacy.endDate || null,
+        startTime: row.startTime || null,
+        endTime: row.endTime || null
+    };
+};
+
+const toException = (row) => ({
+    date: toDateString(row.date),
+    movedTo: row.movedTo ? toDateString(row.movedTo) : null,
+    startTime: row.startTime || null,
+    note: row.note || null
+});
+
+/**
+ * Check and complete an event before it is written: dates from the legacy columns when only those
+ * were sent, a normalised rrule whose first occurrence is startDate, the region of churchId's
+ * church, and the legacy columns kept in step. data.region must already be checked (scopeBodyRegion).
+ */
+const prepareEvent = async (input, { scope, runQuery }) => {
+    const data = { ...input };
+    if (!data.startDate) Object.assign(data, legacyDates(data));
+    if (data.endDate && !data.startDate) throw badRequest('endDate needs a startDate');
+    if (data.startDate && data.endDate && data.endDate < data.startDate) throw badRequest('endDate must not be before startDate');
+
+    if (data.rrule) {
+        if (!data.startDate) throw badRequest('A recurring event needs a startDate');
+        data.rrule = normalizeRRule(data.rrule);
+        if (!isOccurrence(data, data.startDate)) throw badRequest('startDate must be the first occurrence of the rrule');
+    }
+    if (data.churchId) {
+        const church = await Church.findById(data.churchId, { scope: churchScopeClause(scope, { regionColumn: 'region' }), runQuery });
+        if (!church) throw forbidden('Church is outside your scope');
+        data.region = church.region;
+    }
+    if (data.startDate) Object.assign(data, legacyColumns(data));
+    return data;
+};
+
+const findEvent = async (calendarId, scope) => {
+    const event = await Calendar.findById(calendarId, { scope: regionScopeClause(scope) });
+    if (!event) throw notFound('Calendar event not found');
+    return withDates(event);
+};
+
+/**
+ * Change some of an event's fields (PATCH). The changes are checked as part of the whole event, so
+ * moving startDate re-checks the rrule and rewrites the legacy columns; only columns whose value
+ * changes are written. ifMatch is checked against the event's ETag. Resolves to the event as it now is.
+ */
+const updateEvent = async (calendarId, changes, { scope, ifMatch }) => {
+    const event = await findEvent(calendarId, scope);
+    const data = await prepareEvent({ ...event, ...changes }, { scope });
+    const changed = Object.fromEntries(Object.entries(data)
+        .filter(([column, value]) => changes[column] !== undefined || value !== event[column]));
+    await Calendar.update(event.id, changed, { scope: regionScopeClause(scope), ifMatch });
+    return findEvent(event.id, scope);
+};
+
+const dateRange = ({ from: fromParam, to: toParam }) => {
+    const from = fromParam || today();
+    const to = toParam || addDays(from, DEFAULT_RANGE_DAYS - 1);
+    if (from > to) throw badRequest('from must not be after to');
+    if (daysBetween(from, to) >= MAX_RANGE_DAYS) throw badRequest(`A range may cover at most ${MAX_RANGE_DAYS} days`);
+    return { from, to };
+};
+
+// Dated events matching the filters, each with its exceptions; rows with no usable date are left out
+const loadEvents = async ({ region, department, churchId }, scope) => {
+    let church = null;
+    if (churchId) {
+        church = await Church.findById(churchId, { scope: churchScopeClause(scope, { regionColumn: 'region' }) });
+        if (!church) throw notFound('Church not found');
+    }
+    const rows = await Calendar.findForCalendar({ region, department, church, scope: regionScopeClause(scope) });
+    const events = rows.map(withDates).filter((event) => event.startDate);
+    const exceptions = await Calendar.exceptionsFor(events.map((event) => event.id));
+    return {
+        church,
+        events: events.map((event) => ({
+            ...event,
+            exceptions: exceptions.filter((row) => row.calendarId === event.id).map(toException)
+        }))
+    };
+};
+
+const occurrencesOf = (event, range) => expandOccurrences(event, { ...range, exceptions: event.exceptions })
+    .map((occurrence) => ({
+        id: event.id,
+        name: event.name,
+        department: event.department,
+        region: event.region,
+        churchId: event.churchId,
+        location: event.location,
+        ...occurrence
+    }));
+
+/**
+ * Every occurrence between from and to (default the next 90 days) of the events matching the
+ * filters, recurring ones expanded and exceptions applied, in date order.
+ */
+const listOccurrences = async ({ from, to, region, department, churchId, scope }) => {
+    const range = dateRange({ from, to });
+    const { events } = await loadEvents({ region, department, churchId }, scope);
+    const data = events
+        .flatMap((event) => occurrencesOf(event, range))
+        .sort((a, b) => a.date.localeCompare(b.date) || String(a.startTime).localeCompare(String(b.startTime)));
+    return { ...range, count: data.length, data };
+};
+
+const eventOccurrences = async (calendarId, { from, to, scope }) => {
+    const range = dateRange({ from, to });
+    const event = await findEvent(calendarId, scope);
+    const exceptions = (await Calendar.exceptionsFor([event.id])).map(toException);
+    return { event: { ...event, exceptions }, ...range, data: occurrencesOf({ ...event, exceptions }, range) };
+};
+
+// Cancel one occurrence of a recurring event, or move it with movedTo (and startTime)
+const setException = async (calendarId, date, { movedTo, startTime, note }, { scope }) => {
+    const event = await findEvent(calendarId, scope);
+    if (!event.rrule) throw badRequest('Only recurring events have exceptions; change the event itself instead');
+    if (!isOccurrence(event, date)) throw badRequest(`${date} is not an occurrence of this event`);
+    await Calendar.saveException({ calendarId: event.id, date, movedTo, startTime, note });
+    return { calendarId: event.id, date, movedTo: movedTo || null, startTime: startTime || null, note: note || null };
+};
+
+const removeException = async (calendarId, date, { scope }) => {
+    const event = await findEvent(calendarId, scope);
+    const result = await Calendar.removeException(event.id, date);
+    if (result.affectedRows === 0) throw notFound('No exception on that date');
+};
+
+// An iCalendar document of the matching events, named after the church, region and department
+const calendarFeed = async ({ region, department, churchId }, { scope }) => {
+    const { church, events } = await loadEvents({ region, department, churchId }, scope);
+    const name = ['BBM', church ? church.churchName : region, department].filter(Boolean).join(' - ');
+    return buildCalendar({
+        name,
+        events: events.map((event) => ({ ...event, uid: event.uid || `calendar-${event.id}@${UID_DOMAIN}` }))
+    });
+};
+
+// Whether an existing event may be overwritten by this user
+const inRegionScope = (event, scope) => scope.level === 'all' || !event.region || event.region === scope.region;
+
+/**
+ * Import the events of an .ics file. Events are matched on UID: one imported before is updated and
+ * any other is created, with its cancelled and moved occurrences. Every event gets region (already
+ * checked by scopeBodyRegion) and churchId, and department unless the file has a category.
+ * With dryRun nothing is written; otherwise the whole file is written in one transaction.
+ */
+const importCalendar = async (text, { region, department, churchId, dryRun, scope }) => {
+    const parsed = parseCalendar(text);
+    if (!parsed.length) throw badRequest('The file has no events');
+    if (parsed.length > MAX_IMPORT_EVENTS) throw payloadTooLarge(`An import may contain at most ${MAX_IMPORT_EVENTS} events`);
+
+    const existing = new Map((await Calendar.findByUids(parsed.map((event) => event.uid).filter(Boolean))).map((row) => [row.uid, row]));
+    const seen = new Set();
+    const entries = [];
+    for (const [index, event] of parsed.entries()) {
+        const entry = { event: index + 1, uid: event.uid || null, name: event.name || null, startDate: event.startDate || null, rrule: event.rrule || null, errors: [...event.errors] };
+        const match = event.uid ? existing.get(event.uid) : null;
+        if (event.uid && seen.has(event.uid)) entry.errors.push('UID appears more than once in the file');
+        if (match && !inRegionScope(match, scope)) entry.errors.push('UID belongs to an event outside your scope');
+        if (event.uid) seen.add(event.uid);
+
+        if (!entry.errors.length) {
+            try {
+                entry.data = await prepareEvent({
+                    name: event.name,
+                    description: event.description,
+                    location: event.location,
+                    department: event.department || department,
+                    region,
+                    churchId,
+                    startDate: event.startDate,
+                    endDate: event.endDate,
+                    startTime: event.startTime,
+                    endTime: event.endTime,
+                    rrule: event.rrule,
+                    uid: event.uid
+                }, { scope });
+                entry.exceptions = entry.data.rrule ? event.exceptions.filter((exception) => isOccurrence(entry.data, exception.date)) : [];
+            } catch (err) {
+                if (!(err instanceof HttpError)) throw err;
+                entry.errors.push(err.message);
+            }
+        }
+        entry.status = entry.errors.length ? 'invalid' : (match ? 'update' : 'create');
+        entry.id = match ? match.id : null;
+        entries.push(entry);
+    }
+
+    if (!dryRun) {
+        await transaction(async (runQuery) => {
+            for (const entry of entries.filter((candidate) => candidate.status !== 'invalid')) {
+                if (entry.id) {
+                    await Calendar.replace(entry.id, entry.data, { columns: IMPORT_COLUMNS, runQuery });
+                    await Calendar.clearExceptions(entry.id, { runQuery });
+                    entry.status = 'updated';
+                } else {
+                    ({ insertId: entry.id } = await Calendar.create(entry.data, { runQuery }));
+                    entry.status = 'created';
+                }
+                for (const exception of entry.exceptions) {
+                    await Calendar.saveException({ calendarId: entry.id, ...exception }, { runQuery });
+                }
+            }
+        });
+    }
+
+    const events = entries.map(({ data, exceptions, ...entry }) => ({ ...entry, exceptions: exceptions ? exceptions.length : 0 }));
+    const summary = events.reduce((counts, entry) => {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+        return counts;
+    }, { total: events.length });
+    return { dryRun, summary, events };
+};
+
+module.exports = {
+    MONTHS,
+    legacyDates,
+    legacyColumns,
+    prepareEvent,
+    updateEvent,
+    listOccurrences,
+    eventOccurrences,
+    setException,
+    removeException,
+    calendarFeed,
+    importCalendar
+};
@@ -0,0 +1,210 @@
+const { transaction } = require('./db');
+const { Person, Contribution, Campaign, Pledge } = require('./repositories');
+const { recordContribution } = require('./contributions');
+const { churchScopeClause } = require('../middleware/scope');
+const { badRequest, conflict, notFound } = require('../utils/errors');
+const { toDateString, today, daysBetween } = require('../utils/dates');
+const { toCents, fromCents, sumAmounts } = require('../utils/money');
+
+const CAMPAIGN_COLUMNS = ['name', 'description', 'churchId', 'targetAmount', 'startDate', 'endDate'];
+const PLEDGE_COLUMNS = ['amount', 'pledgeDate', 'dueDate', 'notes'];
+
+// Campaigns you can see: those run by churches in your scope plus every ministry-wide campaign
+const campaignScope = (scope) => {
+    const clause = churchScopeClause(scope);
+    if (scope.level === 'all') return clause;
+    return { sql: `(churchId IS NULL OR ${clause.sql})`, values: clause.values };
+};
+
+// Share of target reached, e.g. 0.425; null without a target
+const ratio = (amount, target) => (toCents(target) ? Math.round((toCents(amount) / toCents(target)) * 10000) / 10000 : null);
+
+const withBalance = (pledge) => ({
+    ...pledge,
+    amount: Number(pledge.amount),
+    paid: Number(pledge.paid),
+    balance: fromCents(toCents(pledge.amount) - toCents(pledge.paid))
+});
+
+const assertDates = (start, end, message) => {
+    if (start && end && toDateString(start) > toDateString(end)) throw badRequest(message);
+};
+
+// Reads may include ministry-wide campaigns; writes need the running church in scope (admins for ministry-wide)
+const findCampaign = async (campaignId, scope, { forWrite = false, runQuery } = {}) => {
+    const campaign = await Campaign.findById(campaignId, {
+        scope: forWrite ? churchScopeClause(scope) : campaignScope(scope),
+        runQuery
+    });
+    if (!campaign) throw notFound('Campaign not found');
+    return campaign;
+};
+
+const findPledge = async (pledgeId, scope, runQuery) => {
+    const pledge = await Pledge.findById(pledgeId, { scope: churchScopeClause(scope), runQuery });
+    if (!pledge) throw notFound('Pledge not found');
+    return pledge;
+};
+
+const getCampaign = (campaignId, { scope }) => findCampaign(campaignId, scope);
+
+// data.churchId must already be checked against the caller's scope (scopeBodyChurch); empty means ministry-wide
+const createCampaign = async (data) => {
+    assertDates(data.startDate, data.endDate, 'endDate must not be before startDate');
+    const { insertId } = await Campaign.create({ ...data, createdAt: undefined });
+    return Campaign.findById(insertId);
+};
+
+// Full update of the editable columns, or with partial only the fields sent, checked as the campaign they leave.
+// ifMatch is checked against the campaign's ETag.
+const updateCampaign = async (campaignId, data, { scope, partial = false, ifMatch }) => {
+    const campaign = await findCampaign(campaignId, scope, { forWrite: true });
+    const whole = partial ? { ...campaign, ...data } : data;
+    assertDates(whole.startDate, whole.endDate, 'endDate must not be before startDate');
+    const columns = partial ? CAMPAIGN_COLUMNS.filter((column) => data[column] !== undefined) : CAMPAIGN_COLUMNS;
+    await Campaign.replace(campaignId, data, { columns, ifMatch });
+    return Campaign.findById(campaignId);
+};
+
+// Campaigns with pledges are kept for the record; the foreign key refuses the delete
+const deleteCampaign = async (campaignId, { scope }) => {
+    await findCampaign(campaignId, scope, { forWrite: true });
+    await Campaign.remove(campaignId);
+};
+
+// The pledge with its balance and the payments made so far
+const getPledge = async (pledgeId, { scope }) => {
+    const pledge = await findPledge(pledgeId, scope);
+    const payments = await Contribution.forPledge(pledge.pledgeId);
+    return {
+        ...withBalance(pledge),
+        payments: payments.map((payment) => ({ ...payment, amount: Number(payment.amount), date: toDateString(payment.date) }))
+    };
+};
+
+/**
+ * Pledge towards a campaign. The pledge belongs to the pledger's church, which must be the
+ * campaign's church unless the campaign is ministry-wide. dueDate defaults to the campaign's end.
+ */
+const createPledge = (data, { scope }) => transaction(async (runQuery) => {
+    const campaign = await findCampaign(data.campaignId, scope, { runQuery });
+    const person = await Person.findById(data.personId, { scope: churchScopeClause(scope), runQuery });
+    if (!person) throw notFound('Person not found');
+    if (campaign.churchId && parseInt(campaign.churchId) !== parseInt(person.churchId)) {
+        throw badRequest('This campaign only takes pledges from its own church');
+    }
+
+    const pledgeDate = data.pledgeDate || today();
+    const dueDate = data.dueDate || (campaign.endDate ? toDateString(campaign.endDate) : undefined);
+    assertDates(pledgeDate, dueDate, 'dueDate must not be before pledgeDate');
+
+    const { insertId } = await Pledge.create({
+        campaignId: campaign.campaignId,
+        personId: person.personId,
+        churchId: person.churchId,
+        amount: data.amount,
+        pledgeDate,
+        dueDate,
+        notes: data.notes
+    }, { runQuery });
+    return withBalance(await Pledge.findById(insertId, { runQuery }));
+});
+
+// Change the promise itself, wholly or with partial only the fields sent; it may not drop below what has been paid.
+// ifMatch is checked against the pledge's ETag.
+const updatePledge = (pledgeId, data, { scope, partial = false, ifMatch }) => transaction(async (runQuery) => {
+    const pledge = await findPledge(pledgeId, scope, runQuery);
+    const whole = partial ? { ...pledge, ...data } : data;
+    if (toCents(whole.amount) < toCents(pledge.paid)) {
+        throw badRequest('A pledge cannot be less than what has been paid', { paid: Number(pledge.paid) });
+    }
+    assertDates(whole.pledgeDate || pledge.pledgeDate, whole.dueDate, 'dueDate must not be before pledgeDate');
+
+    const columns = partial ? PLEDGE_COLUMNS.filter((column) => data[column] !== undefined) : PLEDGE_COLUMNS;
+    await Pledge.replace(pledgeId, { ...data, pledgeDate: data.pledgeDate || pledge.pledgeDate }, { columns, runQuery, ifMatch });
+    return withBalance(await Pledge.findById(pledgeId, { runQuery }));
+});
+
+const deletePledge = (pledgeId, { scope }) => transaction(async (runQuery) => {
+    const pledge = await findPledge(pledgeId, scope, runQuery);
+    if (toCents(pledge.paid) > 0) throw conflict('A pledge with payments cannot be deleted; reduce it to what was paid instead');
+    await Pledge.remove(pledgeId, { runQuery });
+});
+
+// A payment is a pledge-type Contribution in the pledge's church; the ledger keeps its paid amount and balance
+const recordPledgePayment = async (pledgeId, { amount, date, paymentMethod, reference, notes }, { scope, user }) => {
+    const payment = await recordContribution({ pledgeId, amount, date, paymentMethod, reference, notes }, { scope, user });
+    return { payment, pledge: withBalance(await Pledge.findById(pledgeId)) };
+};
+
+/**
+ * Raised (payments) and pledged against the target, overall and per pledger's church.
+ * outstanding is pledged but not yet paid.
+ */
+const campaignProgress = async (campaignId, { scope }) => {
+    const campaign = await findCampaign(campaignId, scope);
+    const rows = await Campaign.progressByChurch(campaign.campaignId);
+
+    const byChurch = rows.map((row) => ({
+        churchId: row.churchId,
+        churchName: row.churchName,
+        region: row.region,
+        pledges: Number(row.pledges),
+        pledged: Number(row.pledged),
+        raised: Number(row.raised),
+        outstanding: fromCents(toCents(row.pledged) - toCents(row.raised)),
+        share: ratio(row.raised, campaign.targetAmount)
+    }));
+    const pledged = sumAmounts(rows.map((row) => row.pledged));
+    const raised = sumAmounts(rows.map((row) => row.raised));
+
+    return {
+        campaign: { ...campaign, targetAmount: Number(campaign.targetAmount) },
+        target: Number(campaign.targetAmount),
+        pledges: byChurch.reduce((count, church) => count + church.pledges, 0),
+        pledged,
+        raised,
+        outstanding: fromCents(toCents(pledged) - toCents(raised)),
+        remaining: Math.max(0, fromCents(toCents(campaign.targetAmount) - toCents(raised))),
+        percentRaised: ratio(raised, campaign.targetAmount),
+        percentPledged: ratio(pledged, campaign.targetAmount),
+        byChurch
+    };
+};
+
+// Pledges still owing after their due date, longest overdue first
+const overduePledges = async ({ campaignId, churchId, scope }) => {
+    const asOf = today();
+    const rows = await Pledge.findOverdue({
+        asOf,
+        filters: { campaignId, churchId },
+        scope: churchScopeClause(scope, { churchColumn: 'pl.churchId' })
+    });
+    const data = rows.map((row) => {
+        const dueDate = toDateString(row.dueDate);
+        return {
+            ...withBalance(row),
+            pledgeDate: toDateString(row.pledgeDate),
+            dueDate,
+            daysOverdue: daysBetween(dueDate, asOf)
+        };
+    });
+    return { asOf, count: data.length, balance: sumAmounts(data.map((pledge) => pledge.balance)), data };
+};
+
+module.exports = {
+    CAMPAIGN_COLUMNS,
+    PLEDGE_COLUMNS,
+    campaignScope,
+    getCampaign,
+    createCampaign,
+    updateCampaign,
+    deleteCampaign,
+    getPledge,
+    createPledge,
+    updatePledge,
+    deletePledge,
+    recordPledgePayment,
+    campaignProgress,
+    overduePledges
+};
@@ -0,0 +1,277 @@
+const { transaction } = require('./db');
+const { Person, CellGroup } = require('./repositories');
+const { ROLES } = require('../middleware/auth');
+const { churchScopeClause } = require('../middleware/scope');
+const { badRequest, conflict, forbidden, notFound } = require('../utils/errors');
+const { toDateString, today, addDays } = require('../utils/dates');
+
+const CELL_GROUP_COLUMNS = ['name', 'churchId', 'leaderId', 'hostLocation', 'meetingDay', 'meetingTime'];
+const DEFAULT_MEETING_DAYS = 90;
+
+const fullName = (person) => [person.name, person.surname].filter(Boolean).join(' ');
+
+const findInScope = async (cellGroupId, scope, runQuery) => {
+    const cell = await CellGroup.findById(cellGroupId, { scope: churchScopeClause(scope), runQuery });
+    if (!cell) throw notFound('Cell group not found');
+    return cell;
+};
+
+// Cell leaders may only manage the cell they lead
+const assertCanLead = (cell, user) => {
+    if (user.role === ROLES.CELL_LEADER && parseInt(cell.leaderId) !== parseInt(user.personId)) {
+        throw forbidden('You do not lead this cell group');
+    }
+};
+
+// The leader must be a Person in the cell's church
+const findLeader = async (leaderId, churchId, runQuery) => {
+    const leader = await Person.findById(leaderId, { runQuery });
+    if (!leader) throw badRequest(`Leader ${leaderId} does not exist`);
+    if (parseInt(leader.churchId) !== parseInt(churchId)) throw badRequest('The leader must belong to the same church');
+    return leader;
+};
+
+// Every id must be a Person in the church; answers 400 naming the ones that are not
+const assertChurchPeople = async (personIds, churchId, runQuery) => {
+    const people = await Promise.all(personIds.map((personId) => Person.findById(personId, { runQuery })));
+    const invalid = personIds.filter((personId, index) => !people[index] || parseInt(people[index].churchId) !== parseInt(churchId));
+    if (invalid.length) throw badRequest('Some people are not in this church', { personIds: invalid });
+};
+
+// The legacy Person.cellLeader/cellLocation text that matches a cell
+const legacyCell = async (cell, runQuery) => {
+    const leader = cell.leaderId ? await Person.findById(cell.leaderId, { runQuery }) : null;
+    return { cellLeader: leader ? fullName(leader) : null, cellLocation: cell.hostLocation || null };
+};
+
+const syncMembers = async (cell, runQuery) => {
+    const members = await CellGroup.members(cell.cellGroupId, { runQuery });
+    await CellGroup.syncPersonCell(members.map((member) => member.personId), await legacyCell(cell, runQuery), { runQuery });
+};
+
+// The cell with its leader and members
+const getCellGroup = async (cellGroupId, { scope, runQuery }) => {
+    const cell = await findInScope(cellGroupId, scope, runQuery);
+    const [leader, members] = await Promise.all([
+        cell.leaderId ? Person.findById(cell.leaderId, { runQuery }) : null,
+        CellGroup.members(cellGroupId, { runQuery })
+    ]);
+    return {
+        ...cell,
+        leader: leader && { personId: leader.personId, name: leader.name, surname: leader.surname, contactNumber: leader.contactNumber },
+        memberCount: members.length,
+        members
+    };
+};
+
+// data.churchId must already be checked against the caller's scope (scopeBodyChurch)
+const createCellGroup = (data, { scope }) => transaction(async (runQuery) => {
+    if (data.leaderId) await findLeader(data.leaderId, data.churchId, runQuery);
+    const { insertId } = await CellGroup.create({ ...data, parentCellGroupId: undefined, createdAt: undefined }, { runQuery });
+    return getCellGroup(insertId, { scope, runQuery });
+});
+
+// Full update of the editable columns, or with partial only the fields sent, checked as the cell they leave;
+// members' cellLeader/cellLocation follow the new leader and host. ifMatch is checked against the cell's ETag.
+const updateCellGroup = (cellGroupId, data, { scope, partial = false, ifMatch }) => transaction(async (runQuery) => {
+    const cell = await findInScope(cellGroupId, scope, runQuery);
+    const target = partial ? { ...cell, ...data } : { ...data, churchId: data.churchId || cell.churchId };
+    if (target.leaderId && (data.leaderId || data.churchId)) await findLeader(target.leaderId, target.churchId, runQuery);
+
+    const columns = partial ? CELL_GROUP_COLUMNS.filter((column) => data[column] !== undefined) : CELL_GROUP_COLUMNS;
+    await CellGroup.replace(cellGroupId, target, { columns, runQuery, ifMatch });
+    const updated = await CellGroup.findById(cellGroupId, { runQuery });
+    await syncMembers(updated, runQuery);
+    return getCellGroup(cellGroupId, { scope, runQuery });
+});
+
+// Members are released (their cellLeader/cellLocation cleared); cells multiplied from it keep going
+const deleteCellGroup = (cellGroupId, { scope }) => transaction(async (runQuery) => {
+    const cell = await findInScope(cellGroupId, scope, runQuery);
+    const members = await CellGroup.members(cell.cellGroupId, { runQuery });
+    await CellGroup.syncPersonCell(members.map((member) => member.personId), { cellLeader: null, cellLocation: null }, { runQuery });
+    await CellGroup.remove(cell.cellGroupId, { runQuery });
+});
+
+/**
+ * Add people to a cell. Someone already in another cell is refused with 409, unless move is set,
+ * in which case they leave their old cell.
+ */
+const addMembers = (cellGroupId, { personIds, move = false }, { scope, user }) => transaction(async (runQuery) => {
+    const cell = await findInScope(cellGroupId, scope, runQuery);
+    assertCanLead(cell, user);
+    await assertChurchPeople(personIds, cell.churchId, runQuery);
+
+    const memberships = await CellGroup.membershipsOf(personIds, { runQuery });
+    const elsewhere = memberships.filter((membership) => membership.cellGroupId !== cell.cellGroupId);
+    if (elsewhere.length && !move) {
+        throw conflict('Some people already belong to another cell group', { memberships: elsewhere });
+    }
+
+    const joinedAt = today();
+    for (const membership of elsewhere) {
+        await CellGroup.removeMember(membership.cellGroupId, membership.personId, { runQuery });
+    }
+    const current = new Set(memberships.filter((membership) => membership.cellGroupId === cell.cellGroupId).map((membership) => membership.personId));
+    for (const personId of personIds.filter((id) => !current.has(id))) {
+        await CellGroup.addMember(cell.cellGroupId, personId, joinedAt, { runQuery });
+    }
+
+    await CellGroup.syncPersonCell(personIds, await legacyCell(cell, runQuery), { runQuery });
+    return CellGroup.members(cell.cellGroupId, { runQuery });
+});
+
+const removeMember = (cellGroupId, personId, { scope, user }) => transaction(async (runQuery) => {
+    const cell = await findInScope(cellGroupId, scope, runQuery);
+    assertCanLead(cell, user);
+
+    const result = await CellGroup.removeMember(cell.cellGroupId, personId, { runQuery });
+    if (result.affectedRows === 0) throw notFound('Person is not a member of this cell group');
+    await CellGroup.syncPersonCell([personId], { cellLeader: null, cellLocation: null }, { runQuery });
+});
+
+/**
+ * Capture one meeting: which members were present plus a head count of visitors. Recording the
+ * same date again replaces that meeting's attendance.
+ */
+const recordMeeting = (cellGroupId, { meetingDate, present = [], visitors = 0, notes }, { scope, user }) => transaction(async (runQuery) => {
+    const cell = await findInScope(cellGroupId, scope, runQuery);
+    assertCanLead(cell, user);
+
+    const members = new Set((await CellGroup.members(cell.cellGroupId, { runQuery })).map((member) => member.personId));
+    const strangers = present.filter((personId) => !members.has(personId));
+    if (strangers.length) throw badRequest('Only members can be marked present; count others as visitors', { personIds: strangers });
+
+    const existing = await CellGroup.findMeeting(cell.cellGroupId, meetingDate, { runQuery });
+    let meetingId;
+    if (existing) {
+        ({ meetingId } = existing);
+        await CellGroup.updateMeeting(meetingId, { visitors, notes }, { runQuery });
+    } else {
+        ({ insertId: meetingId } = await CellGroup.createMeeting({ cellGroupId: cell.cellGroupId, meetingDate, visitors, notes }, { runQuery }));
+    }
+    const attendees = [...new Set(present)];
+    await CellGroup.setAttendance(meetingId, attendees, { runQuery });
+
+    return {
+        meetingId,
+        cellGroupId: cell.cellGroupId,
+        meetingDate,
+        present: attendees,
+        visitors,
+        attendance: attendees.length + visitors,
+        members: members.size
+    };
+});
+
+// Meetings in a date range (default the last 90 days), newest first, with who was present
+const listMeetings = async (cellGroupId, { from, to, scope }) => {
+    const cell = await findInScope(cellGroupId, scope);
+    const end = to || today();
+    const start = from || addDays(end, 1 - DEFAULT_MEETING_DAYS);
+    const meetings = await CellGroup.meetings(cell.cellGroupId, { from: start, to: end });
+    const attendees = await CellGroup.attendees(meetings.map((meeting) => meeting.meetingId));
+
+    return {
+        from: start,
+        to: end,
+        data: meetings.map((meeting) => ({
+            ...meeting,
+            meetingDate: toDateString(meeting.meetingDate),
+            present: Number(meeting.present),
+            attendance: Number(meeting.present) + meeting.visitors,
+            attendees: attendees.filter((row) => row.meetingId === meeting.meetingId).map((row) => row.personId)
+        }))
+    };
+};
+
+/**
+ * Multiply a cell: a new cell is planted with its own leader and host, and the listed members
+ * move into it. The new leader moves too if they were in the parent. Both cells must keep members.
+ */
+const multiplyCellGroup = (cellGroupId, data, { scope, user }) => transaction(async (runQuery) => {
+    const parent = await findInScope(cellGroupId, scope, runQuery);
+    assertCanLead(parent, user);
+
+    const members = (await CellGroup.members(parent.cellGroupId, { runQuery })).map((member) => member.personId);
+    const leader = await findLeader(data.leaderId, parent.churchId, runQuery);
+    const moving = [...new Set([...data.memberIds, ...(members.includes(leader.personId) ? [leader.personId] : [])])];
+
+    const strangers = moving.filter((personId) => !members.includes(personId));
+    if (strangers.length) throw badRequest('Only members of the cell can move to the new cell', { personIds: strangers });
+    if (moving.length >= members.length) throw badRequest('A multiplication must leave members in both cells');
+
+    const { insertId: childId } = await CellGroup.create({
+        name: data.name,
+        churchId: parent.churchId,
+        leaderId: leader.personId,
+        hostLocation: data.hostLocation,
+        meetingDay: data.meetingDay,
+        meetingTime: data.meetingTime,
+        parentCellGroupId: parent.cellGroupId
+    }, { runQuery });
+
+    await CellGroup.moveMembers(parent.cellGroupId, childId, moving, { runQuery });
+    if (!members.includes(leader.personId)) {
+        const [membership] = await CellGroup.membershipsOf([leader.personId], { runQuery });
+        if (membership) await CellGroup.removeMember(membership.cellGroupId, leader.personId, { runQuery });
+        await CellGroup.addMember(childId, leader.personId, today(), { runQuery });
+    }
+    await syncMembers(await CellGroup.findById(childId, { runQuery }), runQuery);
+
+    return {
+        parent: await getCellGroup(parent.cellGroupId, { scope, runQuery }),
+        child: await getCellGroup(childId, { scope, runQuery })
+    };
+});
+
+const normalize = (text) => String(text || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Plan CellGroup records from the legacy free-text columns: people in the same church with the
+ * same cellLeader and cellLocation (ignoring case and spacing) form one cell. The leader is matched
+ * to the one Person in that church whose "name surname" equals cellLeader, or left empty.
+ * people is every Person row (personId, churchId, name, surname, cellLeader, cellLocation).
+ */
+const planCellGroups = (people) => {
+    const byName = new Map();
+    people.forEach((person) => {
+        const key = `${person.churchId}|${normalize(fullName(person)).toLowerCase()}`;
+        byName.set(key, byName.has(key) ? null : person.personId);
+    });
+
+    const cells = new Map();
+    people.forEach((person) => {
+        const cellLeader = normalize(person.cellLeader);
+        const cellLocation = normalize(person.cellLocation);
+        if (!cellLeader && !cellLocation) return;
+
+        const key = `${person.churchId}|${cellLeader.toLowerCase()}|${cellLocation.toLowerCase()}`;
+        if (!cells.has(key)) {
+            cells.set(key, {
+                name: [cellLeader, cellLocation].filter(Boolean).join(' - '),
+                churchId: person.churchId,
+                leaderId: (cellLeader && byName.get(`${person.churchId}|${cellLeader.toLowerCase()}`)) || null,
+                hostLocation: cellLocation || null,
+                memberIds: []
+            });
+        }
+        cells.get(key).memberIds.push(person.personId);
+    });
+
+    return [...cells.values()];
+};
+
+module.exports = {
+    CELL_GROUP_COLUMNS,
+    getCellGroup,
+    createCellGroup,
+    updateCellGroup,
+    deleteCellGroup,
+    addMembers,
+    removeMember,
+    recordMeeting,
+    listMeetings,
+    multiplyCellGroup,
+    planCellGroups
+};
@@ -1,10 +1,11 @@
 // filepath: /home/lindany-mabaso/projects/bbm_bulk_api/data/config.js
-const mysql = require('mysql');
 const dotenv = require('dotenv');
 
 // Load environment variables from .env file
 dotenv.config();
 
+const { driverFor } = require('./drivers');
+
 // Set database connection credentials from environment variables
 const config = {
     host: process.env.DB_HOST,
@@ -14,8 +15,8 @@ const config = {
     database: process.env.DB_NAME
 };
 
-// Create a MySQL pool
-const pool = mysql.createPool(config);
+// Create a pool for the engine DB_CLIENT names (mysql or postgres); both answer like the mysql driver
+const pool = driverFor(process.env.DB_CLIENT).createPool(config);
 
 // Export the pool
 module.exports = pool;
\ No newline at end of file
@@ -0,0 +1,263 @@
+const { transaction } = require('./db');
+const { Person, Stats, Contribution, Pledge } = require('./repositories');
+const { churchScopeClause } = require('../middleware/scope');
+const { badRequest, notFound } = require('../utils/errors');
+const { toDateString, today, addDays } = require('../utils/dates');
+const { toCents, fromCents } = require('../utils/money');
+
+const TYPES = ['tithe', 'seed', 'registration', 'offering', 'pledge', 'event'];
+
+// Event fees buy a place at an event, so they are left off giving certificates
+const GIFT_TYPES = TYPES.filter((type) => type !== 'event');
+const PAYMENT_METHODS = ['cash', 'card', 'eft', 'cheque', 'mobile', 'other'];
+
+// Gifts taken up at a service and therefore included in that day's Stats.offering
+const SERVICE_TYPES = ['tithe', 'offering'];
+
+const DEFAULT_RECONCILE_DAYS = 90;
+
+const CONTRIBUTION_COLUMNS = ['personId', 'churchId', 'type', 'pledgeId', 'amount', 'date', 'paymentMethod', 'reference', 'notes'];
+
+const emptyTotals = (types = TYPES) => Object.fromEntries(types.map((type) => [type, 0]));
+
+const findInScope = async (contributionId, scope, runQuery) => {
+    const contribution = await Contribution.findById(contributionId, { scope: churchScopeClause(scope), runQuery });
+    if (!contribution) throw notFound('Contribution not found');
+    return contribution;
+};
+
+const findPerson = async (personId, scope, runQuery) => {
+    const person = await Person.findById(personId, { scope: churchScopeClause(scope), runQuery });
+    if (!person) throw notFound('Person not found');
+    return person;
+};
+
+/**
+ * A payment towards a pledge is always of type pledge, from the pledger, and may not take the
+ * balance below zero. alreadyCounted is the part of pledge.paid that this payment replaces.
+ */
+const pledgePayment = async (data, { scope, runQuery, alreadyCounted = 0 }) => {
+    const pledge = await Pledge.findById(data.pledgeId, { scope: churchScopeClause(scope), runQuery });
+    if (!pledge) throw notFound('Pledge not found');
+    if (data.type && data.type !== 'pledge') throw badRequest('A payment against a pledge must have type pledge');
+    if (data.personId && parseInt(data.personId) !== parseInt(pledge.personId)) {
+        throw badRequest('A pledge can only be paid by the person who made it');
+    }
+
+    const balance = toCents(pledge.amount) - toCents(pledge.paid) + toCents(alreadyCounted);
+    if (toCents(data.amount) > balance) {
+        throw badRequest('Payment exceeds the pledge balance', { balance: fromCents(balance) });
+    }
+    return { ...data, type: 'pledge', personId: pledge.personId, churchId: data.churchId || pledge.churchId };
+};
+
+// Keep the legacy Person totals and each touched pledge's paid amount in step with the ledger
+const syncTotals = async (rows, runQuery) => {
+    const ids = (column) => [...new Set(rows.map((row) => row[column]).filter(Boolean))];
+    await Contribution.syncPersonTotals(ids('personId'), { runQuery });
+    await Pledge.syncPaid(ids('pledgeId'), { runQuery });
+};
+
+/**
+ * Record one gift. A named gift defaults to the giver's church; anonymous gifts need churchId.
+ * A pledgeId makes it a payment towards that pledge, reducing its balance. Pass runQuery to record
+ * it inside the caller's transaction.
+ * data.churchId, when given, must already be checked against the caller's scope (scopeBodyChurch).
+ */
+const recordContribution = (input, { scope, user, runQuery: outer }) => transaction(async (runQuery) => {
+    const data = input.pledgeId ? await pledgePayment(input, { scope, runQuery }) : input;
+    const person = data.personId ? await findPerson(data.personId, scope, runQuery) : null;
+    const churchId = data.churchId || (person && person.churchId);
+    if (!churchId) throw badRequest('churchId is required for an anonymous contribution');
+
+    const { insertId } = await Contribution.create({
+        ...data,
+        churchId,
+        date: data.date || today(),
+        recordedBy: user.userId,
+        createdAt: undefined
+    }, { runQuery });
+    await syncTotals([data], runQuery);
+    return Contribution.findById(insertId, { runQuery });
+}, { runQuery: outer });
+
+// Full update of the editable columns, or with partial only the fields sent, checked as the gift they leave;
+// the old and the new giver's and pledge's totals are refreshed. ifMatch is checked against the gift's ETag.
+const updateContribution = (contributionId, input, { scope, partial = false, ifMatch }) => transaction(async (runQuery) => {
+    const existing = await findInScope(contributionId, scope, runQuery);
+    const whole = partial ? { ...existing, ...input } : input;
+    const alreadyCounted = parseInt(existing.pledgeId) === parseInt(whole.pledgeId) ? existing.amount : 0;
+    const data = whole.pledgeId ? await pledgePayment(whole, { scope, runQuery, alreadyCounted }) : whole;
+    if (data.personId) await findPerson(data.personId, scope, runQuery);
+
+    // A partial write also takes the type, giver and church that a pledge settles
+    const columns = partial
+        ? CONTRIBUTION_COLUMNS.filter((column) => input[column] !== undefined || data[column] !== whole[column])
+        : CONTRIBUTION_COLUMNS;
+    await Contribution.replace(contributionId, { ...data, churchId: data.churchId || existing.churchId }, { columns, runQuery, ifMatch });
+    await syncTotals([existing, data], runQuery);
+    return Contribution.findById(contributionId, { runQuery });
+});
+
+const deleteContribution = (contributionId, { scope }) => transaction(async (runQuery) => {
+    const existing = await findInScope(contributionId, scope, runQuery);
+    await Contribution.remove(contributionId, { runQuery });
+    await syncTotals([existing], runQuery);
+});
+
+const getContribution = (contributionId, { scope }) => findInScope(contributionId, scope);
+
+/**
+ * A person's giving statement: every gift between from and to (default the current calendar year)
+ * with totals per type.
+ */
+const givingStatement = async (personId, { from: fromParam, to: toParam, scope }) => {
+    const person = await findPerson(personId, scope);
+    const to = toParam || today();
+    const from = fromParam || `${to.slice(0, 4)}-01-01`;
+    if (from > to) throw badRequest('from must not be after to');
+
+    const rows = await Contribution.forPerson(person.personId, { from, to });
+    const totals = emptyTotals();
+    let total = 0;
+    const contributions = rows.map((row) => {
+        totals[row.type] = fromCents(toCents(totals[row.type] || 0) + toCents(row.amount));
+        total += toCents(row.amount);
+        return { ...row, amount: Number(row.amount), date: toDateString(row.date) };
+    });
+
+    return {
+        person: { personId: person.personId, name: person.name, surname: person.surname, churchId: person.churchId },
+        from,
+        to,
+        count: contributions.length,
+        total: fromCents(total),
+        totals,
+        contributions
+    };
+};
+
+/**
+ * Compare Stats.offering with the tithes and offerings recorded in the ledger for each church and
+ * service date. unrecorded is counted minus recorded; a negative value means the ledger holds more
+ * than the service reported.
+ */
+const reconcileOfferings = async ({ from: fromParam, to: toParam, filters, scope, mismatchesOnly }) => {
+    const to = toParam || today();
+    const from = fromParam || addDays(to, 1 - DEFAULT_RECONCILE_DAYS);
+    if (from > to) throw badRequest('from must not be after to');
+
+    const [stats, recorded] = await Promise.all([
+        Stats.dailyTotals({
+            from,
+            to,
+            groupBy: 'church',
+            filters,
+            scope: churchScopeClause(scope, { churchColumn: 's.churchId', regionColumn: 'c.region' })
+        }),
+        Contribution.dailyTotals({
+            from,
+            to,
+            types: SERVICE_TYPES,
+            filters,
+            scope: churchScopeClause(scope, { churchColumn: 'ct.churchId' })
+        })
+    ]);
+
+    const services = new Map();
+    const serviceFor = (churchId, churchName, date) => {
+        const key = `${churchId}|${date}`;
+        if (!services.has(key)) services.set(key, { churchId, churchName, date, counted: 0, recorded: 0, gifts: 0 });
+        return services.get(key);
+    };
+
+    stats.forEach((row) => {
+        serviceFor(row.churchId, row.churchName, toDateString(row.date)).counted += toCents(row.offering);
+    });
+    recorded.forEach((row) => {
+        const service = serviceFor(row.churchId, row.churchName, toDateString(row.date));
+        service.recorded += toCents(row.amount);
+        service.gifts += Number(row.gifts);
+    });
+
+    const totals = { counted: 0, recorded: 0, unrecorded: 0 };
+    const data = [...services.values()]
+        .sort((a, b) => (a.date === b.date ? a.churchId - b.churchId : a.date.localeCompare(b.date)))
+        .map((service) => {
+            const unrecorded = service.counted - service.recorded;
+            totals.counted += service.counted;
+            totals.recorded += service.recorded;
+            totals.unrecorded += unrecorded;
+            return {
+                ...service,
+                counted: fromCents(service.counted),
+                recorded: fromCents(service.recorded),
+                unrecorded: fromCents(unrecorded),
+                matched: unrecorded === 0
+            };
+        })
+        .filter((service) => !mismatchesOnly || !service.matched);
+
+    return {
+        from,
+        to,
+        types: SERVICE_TYPES,
+        totals: { counted: fromCents(totals.counted), recorded: fromCents(totals.recorded), unrecorded: fromCents(totals.unrecorded) },
+        data
+    };
+};
+
+/**
+ * Annual giving summaries, one per named giver and receiving church, for certificates.
+ * Narrow with personId or churchId; everyone who gave in the year is included otherwise.
+ */
+const annualSummaries = async ({ year, personId, churchId, scope }) => {
+    const from = `${year}-01-01`;
+    const to = `${year}-12-31`;
+    const rows = await Contribution.giverTotals({
+        from,
+        to,
+        types: GIFT_TYPES,
+        personIds: personId ? [personId] : undefined,
+        filters: { churchId },
+        scope: churchScopeClause(scope, { churchColumn: 'ct.churchId' })
+    });
+
+    const summaries = new Map();
+    rows.forEach((row) => {
+        const key = `${row.personId}|${row.churchId}`;
+        if (!summaries.has(key)) {
+            summaries.set(key, {
+                year,
+                from,
+                to,
+                person: { personId: row.personId, name: row.name, surname: row.surname, address: row.address },
+                church: { churchId: row.churchId, churchName: row.churchName, city: row.city, province: row.province },
+                gifts: 0,
+                total: 0,
+                totals: emptyTotals(GIFT_TYPES)
+            });
+        }
+        const summary = summaries.get(key);
+        summary.gifts += Number(row.gifts);
+        summary.totals[row.type] = fromCents(toCents(summary.totals[row.type] || 0) + toCents(row.amount));
+        summary.total = fromCents(toCents(summary.total) + toCents(row.amount));
+    });
+
+    return [...summaries.values()];
+};
+
+module.exports = {
+    CONTRIBUTION_COLUMNS,
+    TYPES,
+    GIFT_TYPES,
+    PAYMENT_METHODS,
+    SERVICE_TYPES,
+    recordContribution,
+    updateContribution,
+    deleteContribution,
+    getContribution,
+    givingStatement,
+    reconcileOfferings,
+    annualSummaries
+};
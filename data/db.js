@@ -0,0 +1,62 @@
+const pool = require('./config');
+const { driverFor } = require('./drivers');
+
+// Statements are written for MySQL; the postgres driver translates them (see data/drivers/postgres.js)
+const driver = driverFor(process.env.DB_CLIENT);
+
+// Promise wrapper around pool.query; always pass values separately so they are escaped by the driver
+const query = (sql, values = []) => new Promise((resolve, reject) => {
+    pool.query(sql, values, (err, result) => (err ? reject(err) : resolve(result)));
+});
+
+const getConnection = () => new Promise((resolve, reject) => {
+    pool.getConnection((err, conn) => (err ? reject(err) : resolve(conn)));
+});
+
+/**
+ * Run work(runQuery) inside a transaction on one pooled connection. runQuery has the same
+ * signature as query(); the transaction commits when work resolves and rolls back if it throws.
+ * Pass { runQuery } from an enclosing transaction to run work as part of it instead.
+ */
+const transaction = async (work, { runQuery: outer } = {}) => {
+    if (outer) return work(outer);
+
+    const conn = await getConnection();
+    const runQuery = (sql, values = []) => new Promise((resolve, reject) => {
+        conn.query(sql, values, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    try {
+        await runQuery('START TRANSACTION');
+        const result = await work(runQuery);
+        await runQuery('COMMIT');
+        return result;
+    } catch (err) {
+        await runQuery('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+};
+
+// Backtick-quote an identifier taken from a fixed column list (e.g. Assets.`condition`)
+const quote = (identifier) => `\`${identifier}\``;
+
+/**
+ * The tail of an INSERT that updates the existing row instead when it clashes with keyColumns (the
+ * table's primary or unique key), overwriting columns with the values that were to be inserted.
+ */
+const upsertClause = (keyColumns, columns) => driver.upsertClause(keyColumns, columns);
+
+// SQL for the digits of a text expression, so phone numbers compare however they were punctuated
+const digitsOf = (expression) => driver.digitsOf(expression);
+
+module.exports = {
+    pool,
+    query,
+    transaction,
+    quote,
+    upsertClause,
+    digitsOf,
+    driver
+};
@@ -0,0 +1,15 @@
+const mysql = require('./mysql');
+const postgres = require('./postgres');
+
+const DRIVERS = { mysql, postgres };
+
+// The driver for DB_CLIENT (mysql when it is not set)
+const driverFor = (client = 'mysql') => {
+    if (!DRIVERS[client]) throw new Error(`DB_CLIENT must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+    return DRIVERS[client];
+};
+
+module.exports = {
+    DRIVERS,
+    driverFor
+};
@@ -0,0 +1,17 @@
+const mysql = require('mysql');
+
+// The repositories are written in MySQL's dialect, so its pool is used as it is
+const createPool = (config) => mysql.createPool(config);
+
+// INSERT ... ON DUPLICATE KEY UPDATE: on a clash with any unique key, overwrite columns from the new row
+const upsertClause = (keyColumns, columns) => `ON DUPLICATE KEY UPDATE ${columns.map((column) => `${column} = VALUES(${column})`).join(', ')}`;
+
+// The expression with everything but its digits taken out (MySQL 8's REGEXP_REPLACE)
+const digitsOf = (expression) => `REGEXP_REPLACE(${expression}, '[^0-9]', '')`;
+
+module.exports = {
+    name: 'mysql',
+    createPool,
+    upsertClause,
+    digitsOf
+};
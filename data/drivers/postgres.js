@@ -0,0 +1,174 @@
+const { Readable } = require('stream');
+const pg = require('pg');
+
+/**
+ * PostgreSQL behind the mysql pool's interface (query(sql, values, callback), getConnection, end), so
+ * data/db.js, data/bulk.js and data/export.js run on it unchanged. Statements are written in MySQL's
+ * dialect and translated on the way through:
+ *   ?            $1, $2 ...; an array becomes a list and an array of arrays a set of rows (VALUES ?),
+ *                as the mysql driver expands them
+ *   `condition`  "condition"
+ *   churchId     "churchId": unquoted names are folded to lower case, so every mixed-case word is
+ *                quoted; migrations/postgres creates the tables through the same translation
+ *   LIKE         ILIKE, since MySQL's default collation matches without regard to case
+ * Results take the mysql driver's shapes: rows for a SELECT, otherwise { affectedRows, changedRows,
+ * insertId }, with insertId read back through RETURNING on the table's identity column.
+ */
+
+// String literals (left alone), quoted names, placeholders and bare words
+const TOKEN = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`([^`]+)`|\?|\b[A-Za-z_]\w*\b/g;
+const MIXED_CASE = /[a-z].*[A-Z]|[A-Z].*[a-z]/;
+
+// INSERT INTO Person (name, surname, ...): the table and its column list
+const INSERT = /^\s*INSERT\s+INTO\s+`?(\w+)`?\s*\(([^)]*)\)/i;
+
+// pg leaves bigint (COUNT, SUM of integers) and numeric (DECIMAL columns) as strings; mysql returns numbers
+const NUMBER_TYPES = [pg.types.builtins.INT8, pg.types.builtins.NUMERIC];
+const TYPES = {
+    getTypeParser: (oid, format) => (NUMBER_TYPES.includes(oid) ? Number : pg.types.getTypeParser(oid, format))
+};
+
+const quoteName = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// { text, values } for pg from a MySQL statement and its ? values
+const toPostgres = (sql, values = []) => {
+    const params = [];
+    const bind = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    // An empty list becomes NULL, which matches nothing, where MySQL would reject IN ()
+    const expand = (value) => {
+        if (!Array.isArray(value)) return bind(value);
+        if (!value.length) return 'NULL';
+        return value.map((item) => (Array.isArray(item) ? `(${item.map(bind).join(', ')})` : bind(item))).join(', ');
+    };
+
+    let next = 0;
+    const text = sql.replace(TOKEN, (token, backticked) => {
+        if (backticked !== undefined) return quoteName(backticked);
+        if (token === '?') return expand(values[next++]);
+        if (token[0] === "'" || token[0] === '"') return token;
+        if (token === 'LIKE') return 'ILIKE';
+        return MIXED_CASE.test(token) ? quoteName(token) : token;
+    });
+    return { text, values: params };
+};
+
+// ON CONFLICT needs the key it clashes on; keyColumns is the table's primary or unique key
+const upsertClause = (keyColumns, columns) => `ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET ${
+    columns.map((column) => `${column} = EXCLUDED.${column}`).join(', ')}`;
+
+// The expression with everything but its digits taken out; 'g' replaces every match, not just the first
+const digitsOf = (expression) => `REGEXP_REPLACE(${expression}, '[^0-9]', '', 'g')`;
+
+// Callbacks run outside the promise chain, so an error they throw is not reported as a query error
+const callbackify = (promise, callback) => promise.then(
+    (result) => process.nextTick(callback, null, result),
+    (err) => process.nextTick(callback, err)
+);
+
+const createPool = (config) => {
+    const pgPool = new pg.Pool({ ...config, types: TYPES });
+    const identities = new Map();
+
+    // The table's identity column (what MySQL calls AUTO_INCREMENT) or null, looked up once per table
+    const identityColumn = async (client, table) => {
+        if (!identities.has(table)) {
+            const { rows } = await client.query(
+                "SELECT attname FROM pg_attribute WHERE attrelid = $1::regclass AND attidentity <> '' AND NOT attisdropped",
+                [quoteName(table)]
+            );
+            identities.set(table, rows.length ? rows[0].attname : null);
+        }
+        return identities.get(table);
+    };
+
+    // MySQL moves AUTO_INCREMENT past an id that was inserted explicitly (the seed does); so does this
+    const advanceIdentity = (client, table, column) => client.query(
+        `SELECT setval(pg_get_serial_sequence($1, $2), GREATEST(MAX(${quoteName(column)}), nextval(pg_get_serial_sequence($1, $2)) - 1))
+        FROM ${quoteName(table)}`,
+        [quoteName(table), column]
+    );
+
+    // client is the pg pool itself, or one connection of it
+    const run = async (client, sql, values) => {
+        const insert = sql.match(INSERT);
+        const identity = insert && !/\bRETURNING\b/i.test(sql) ? await identityColumn(client, insert[1]) : null;
+        const { text, values: params } = toPostgres(sql, values);
+        const result = await client.query(identity ? `${text} RETURNING ${quoteName(identity)}` : text, params);
+
+        if (result.command === 'SELECT') return result.rows;
+        if (identity && insert[2].split(',').some((column) => column.trim().replace(/`/g, '') === identity)) {
+            await advanceIdentity(client, insert[1], identity);
+        }
+        return {
+            affectedRows: result.rowCount || 0,
+            changedRows: result.rowCount || 0,
+            insertId: identity && result.rows.length ? result.rows[0][identity] : 0
+        };
+    };
+
+    // pool.query(sql, values).stream(): the rows through a server-side cursor, highWaterMark at a time
+    const cursorStream = (sql, values, { highWaterMark = 16 } = {}) => {
+        const { text, values: params } = toPostgres(sql, values);
+        let client = null;
+        let started = false;
+        const close = async () => {
+            if (!client) return;
+            const open = client;
+            client = null;
+            await open.query('ROLLBACK').catch(() => {});
+            open.release();
+        };
+
+        return new Readable({
+            objectMode: true,
+            highWaterMark,
+            read() {
+                (async () => {
+                    if (!started) {
+                        started = true;
+                        client = await pgPool.connect();
+                        await client.query('BEGIN');
+                        await client.query(`DECLARE export_rows NO SCROLL CURSOR FOR ${text}`, params);
+                    }
+                    // Closed before the last rows are pushed, as a push can ask for the next batch
+                    const { rows } = await client.query(`FETCH ${highWaterMark} FROM export_rows`);
+                    const last = rows.length < highWaterMark;
+                    if (last) await close();
+                    rows.forEach((row) => this.push(row));
+                    if (last) this.push(null);
+                })().catch((err) => this.destroy(err));
+            },
+            destroy(err, callback) {
+                close().then(() => callback(err));
+            }
+        });
+    };
+
+    const query = (sql, values, callback) => {
+        if (typeof values === 'function') return query(sql, [], values);
+        if (!callback) return { stream: (options) => cursorStream(sql, values, options) };
+        callbackify(run(pgPool, sql, values), callback);
+    };
+
+    const getConnection = (callback) => callbackify(pgPool.connect().then((client) => ({
+        query: (sql, values, done) => (typeof values === 'function'
+            ? callbackify(run(client, sql, []), values)
+            : callbackify(run(client, sql, values), done)),
+        release: () => client.release()
+    })), callback);
+
+    const end = (callback = () => {}) => callbackify(pgPool.end(), callback);
+
+    return { query, getConnection, end };
+};
+
+module.exports = {
+    name: 'postgres',
+    createPool,
+    upsertClause,
+    digitsOf,
+    toPostgres
+};
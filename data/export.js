@@ -0,0 +1,46 @@
+const { pool, quote } = require('./db');
+const { buildWhere, buildSort, buildFields } = require('./listQuery');
+const { EXPORT_FORMATS, streamExport } = require('../utils/export');
+const { badRequest } = require('../utils/errors');
+
+/**
+ * Express handler for GET /api/<Entity>/export.
+ *   format       - csv (default), xlsx or pdf
+ *   fields, sort - column selection and ordering, as on the list route
+ *   anything else - the list route's filters (field=value, field[gte]=value, ...)
+ */
+const exportHandler = (resource) => async (req, res, next) => {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return next(badRequest(`format must be one of: ${EXPORT_FORMATS.join(', ')}`));
+    }
+
+    let sql;
+    let values;
+    let columns;
+    try {
+        const where = buildWhere(resource, req);
+        const orderBy = buildSort(resource, req.query.sort)
+            .map(({ column, desc }) => `${quote(column)} ${desc ? 'DESC' : 'ASC'}`)
+            .join(', ');
+        columns = buildFields(resource, req.query.fields);
+        sql = `SELECT ${columns.map(quote).join(', ')} FROM ${resource.table} ${where.sql} ORDER BY ${orderBy}`;
+        values = where.values;
+    } catch (err) {
+        return next(err);
+    }
+
+    const rows = pool.query(sql, values).stream({ highWaterMark: 100 });
+
+    try {
+        await streamExport(res, format, { rows, columns, title: resource.table });
+    } catch (err) {
+        // Once the download has started the error middleware can only abort the response
+        next(err);
+    }
+};
+
+module.exports = {
+    exportHandler
+};
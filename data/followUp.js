@@ -0,0 +1,233 @@
+const { transaction } = require('./db');
+const { Person, Stats, FollowUp } = require('./repositories');
+const { ROLES } = require('../middleware/auth');
+const { churchScopeClause } = require('../middleware/scope');
+const { badRequest, forbidden, notFound } = require('../utils/errors');
+const { toDateString, today, addDays, daysBetween } = require('../utils/dates');
+
+// The pipeline every new convert or visitor moves through, in order
+const STAGES = ['new believer', 'contacted', 'attended cell', 'baptised', 'membership class'];
+const SOURCES = ['saved', 'visitor'];
+
+// Days a person may sit in each stage before their follow-up is overdue; the last stage has no deadline
+const STAGE_DUE_DAYS = {
+    'new believer': 2,
+    contacted: 14,
+    'attended cell': 60,
+    baptised: 30
+};
+
+const DEFAULT_RECONCILE_DAYS = 90;
+
+// Person fields accepted when a follow-up creates the person
+const PERSON_FIELDS = ['name', 'surname', 'contactNumber', 'address', 'gender', 'maritalStatus', 'comments'];
+
+const dueDateFor = (stage, from = today()) => (STAGE_DUE_DAYS[stage] ? addDays(from, STAGE_DUE_DAYS[stage]) : null);
+
+const leaderName = (leader) => [leader.name, leader.surname].filter(Boolean).join(' ');
+
+// A leader is any Person in the same church; cell leaders log in as a User linked to that Person
+const findLeader = async (leaderId, churchId, runQuery) => {
+    const leader = await Person.findById(leaderId, { runQuery });
+    if (!leader) throw badRequest(`Leader ${leaderId} does not exist`);
+    if (parseInt(leader.churchId) !== parseInt(churchId)) throw badRequest('The leader must belong to the same church');
+    return leader;
+};
+
+// Cell leaders may only work the follow-ups assigned to them
+const assertCanWork = (followUp, user) => {
+    if (user.role === ROLES.CELL_LEADER && parseInt(followUp.leaderId) !== parseInt(user.personId)) {
+        throw forbidden('This follow-up is assigned to another leader');
+    }
+};
+
+const findInScope = async (followUpId, scope, runQuery) => {
+    const followUp = await FollowUp.findById(followUpId, { scope: churchScopeClause(scope), runQuery });
+    if (!followUp) throw notFound('Follow-up not found');
+    return followUp;
+};
+
+/**
+ * Record a new convert or visitor. Creates the Person (or uses data.personId for someone already
+ * on the register) and starts them at "new believer", optionally assigned to a cell leader whose
+ * name and cell location are copied onto Person.cellLeader/cellLocation.
+ * data.churchId must already be checked against the caller's scope (scopeBodyChurch).
+ */
+const createFollowUp = (data, { scope, user }) => transaction(async (runQuery) => {
+    const { source, serviceDate = today(), notes } = data;
+    let { personId, churchId } = data;
+    // A cell leader recording someone keeps them unless another leader is named
+    const leaderId = data.leaderId || (user.role === ROLES.CELL_LEADER ? user.personId : undefined);
+
+    // Someone already on the register is followed up in their own church
+    const existing = personId ? await Person.findById(personId, { scope: churchScopeClause(scope), runQuery }) : null;
+    if (personId && !existing) throw notFound('Person not found');
+    if (existing) churchId = existing.churchId;
+    if (!churchId) throw badRequest('churchId is required');
+
+    const leader = leaderId ? await findLeader(leaderId, churchId, runQuery) : null;
+    const cell = leader ? { cellLeader: leaderName(leader), cellLocation: data.cellLocation || leader.cellLocation } : {};
+
+    if (existing) {
+        if (leader) await Person.update(personId, cell, { runQuery });
+    } else {
+        const person = Object.fromEntries(PERSON_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]]));
+        ({ insertId: personId } = await Person.create({ ...person, ...cell, churchId }, { runQuery }));
+    }
+
+    const stage = STAGES[0];
+    const { insertId: followUpId } = await FollowUp.create({
+        personId,
+        churchId,
+        source,
+        serviceDate,
+        stage,
+        dueDate: dueDateFor(stage),
+        leaderId: leader ? leader.personId : undefined,
+        notes
+    }, { runQuery });
+    await FollowUp.addStage({ followUpId, stage, changedBy: user.userId, notes }, { runQuery });
+
+    return { followUpId, personId };
+});
+
+// The follow-up with its person and stage history
+const getFollowUp = async (followUpId, { scope }) => {
+    const followUp = await findInScope(followUpId, scope);
+    const [person, history] = await Promise.all([Person.findById(followUp.personId), FollowUp.history(followUpId)]);
+    return { ...followUp, person, history };
+};
+
+// Move to any stage in the pipeline; the due date restarts from today for the new stage.
+// ifMatch is checked against the follow-up's ETag, as on the other writes.
+const moveStage = (followUpId, { stage, notes }, { scope, user, ifMatch }) => transaction(async (runQuery) => {
+    if (!STAGES.includes(stage)) throw badRequest(`stage must be one of: ${STAGES.join(', ')}`);
+    const followUp = await findInScope(followUpId, scope, runQuery);
+    assertCanWork(followUp, user);
+
+    await FollowUp.update(followUpId, { stage, stageChangedAt: new Date(), dueDate: dueDateFor(stage) }, { runQuery, ifMatch });
+    await FollowUp.addStage({ followUpId, stage, changedBy: user.userId, notes }, { runQuery });
+    return FollowUp.findById(followUpId, { runQuery });
+});
+
+// Hand the person to a cell leader, keeping Person.cellLeader/cellLocation in step; ifMatch as for moveStage
+const assignLeader = (followUpId, { leaderId, cellLocation }, { scope, ifMatch }) => transaction(async (runQuery) => {
+    const followUp = await findInScope(followUpId, scope, runQuery);
+    const leader = await findLeader(leaderId, followUp.churchId, runQuery);
+
+    await FollowUp.update(followUpId, { leaderId: leader.personId }, { runQuery, ifMatch });
+    await Person.update(followUp.personId, {
+        cellLeader: leaderName(leader),
+        cellLocation: cellLocation || leader.cellLocation
+    }, { runQuery });
+    return FollowUp.findById(followUpId, { runQuery });
+});
+
+/**
+ * Overdue follow-ups grouped per leader (unassigned ones under leader null), busiest leader first.
+ * Cell leaders only ever see their own list.
+ */
+const overdueByLeader = async ({ leaderId, scope, user }) => {
+    const asOf = today();
+    const ownOnly = user.role === ROLES.CELL_LEADER;
+    const rows = await FollowUp.findOverdue({
+        asOf,
+        leaderId: ownOnly ? user.personId : leaderId,
+        scope: churchScopeClause(scope, { churchColumn: 'f.churchId' })
+    });
+
+    const leaders = new Map();
+    rows.forEach((row) => {
+        const key = row.leaderId || null;
+        if (!leaders.has(key)) {
+            leaders.set(key, {
+                leader: key ? { personId: key, name: row.leaderName, surname: row.leaderSurname } : null,
+                count: 0,
+                followUps: []
+            });
+        }
+        const entry = leaders.get(key);
+        const dueDate = toDateString(row.dueDate);
+        const followUp = { ...row, serviceDate: toDateString(row.serviceDate), dueDate, daysOverdue: daysBetween(dueDate, asOf) };
+        delete followUp.leaderName;
+        delete followUp.leaderSurname;
+        entry.count += 1;
+        entry.followUps.push(followUp);
+    });
+
+    return { asOf, leaders: [...leaders.values()].sort((a, b) => b.count - a.count) };
+};
+
+/**
+ * Compare the saved/visitors counts on Stats with the people actually recorded for each church
+ * and service date. unrecorded is how many counted people still have no name; a negative value
+ * means more names were recorded than the service counted.
+ */
+const reconcile = async ({ from: fromParam, to: toParam, filters, scope, mismatchesOnly }) => {
+    const to = toParam || today();
+    const from = fromParam || addDays(to, 1 - DEFAULT_RECONCILE_DAYS);
+    if (from > to) throw badRequest('from must not be after to');
+
+    const [stats, recorded] = await Promise.all([
+        Stats.dailyTotals({
+            from,
+            to,
+            groupBy: 'church',
+            filters,
+            scope: churchScopeClause(scope, { churchColumn: 's.churchId', regionColumn: 'c.region' })
+        }),
+        FollowUp.countsByService({ from, to, filters, scope: churchScopeClause(scope, { churchColumn: 'f.churchId' }) })
+    ]);
+
+    const services = new Map();
+    const serviceFor = (churchId, churchName, date) => {
+        const key = `${churchId}|${date}`;
+        if (!services.has(key)) {
+            services.set(key, { churchId, churchName, date, counted: { saved: 0, visitors: 0 }, recorded: { saved: 0, visitors: 0 } });
+        }
+        return services.get(key);
+    };
+
+    stats.forEach((row) => {
+        const service = serviceFor(row.churchId, row.churchName, toDateString(row.date));
+        service.counted.saved += Number(row.saved);
+        service.counted.visitors += Number(row.visitors);
+    });
+    recorded.forEach((row) => {
+        const service = serviceFor(row.churchId, row.churchName, toDateString(row.serviceDate));
+        service.recorded[row.source === 'saved' ? 'saved' : 'visitors'] += Number(row.people);
+    });
+
+    const totals = { counted: { saved: 0, visitors: 0 }, recorded: { saved: 0, visitors: 0 }, unrecorded: { saved: 0, visitors: 0 } };
+    const data = [...services.values()]
+        .sort((a, b) => (a.date === b.date ? a.churchId - b.churchId : a.date.localeCompare(b.date)))
+        .map((service) => {
+            const unrecorded = {
+                saved: service.counted.saved - service.recorded.saved,
+                visitors: service.counted.visitors - service.recorded.visitors
+            };
+            ['counted', 'recorded'].forEach((kind) => {
+                totals[kind].saved += service[kind].saved;
+                totals[kind].visitors += service[kind].visitors;
+            });
+            totals.unrecorded.saved += unrecorded.saved;
+            totals.unrecorded.visitors += unrecorded.visitors;
+            return { ...service, unrecorded, matched: unrecorded.saved === 0 && unrecorded.visitors === 0 };
+        })
+        .filter((service) => !mismatchesOnly || !service.matched);
+
+    return { from, to, totals, data };
+};
+
+module.exports = {
+    STAGES,
+    SOURCES,
+    STAGE_DUE_DAYS,
+    dueDateFor,
+    createFollowUp,
+    getFollowUp,
+    moveStage,
+    assignLeader,
+    overdueByLeader,
+    reconcile
+};
@@ -0,0 +1,223 @@
+const { query, quote } = require('./db');
+const { HttpError } = require('../utils/errors');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Query parameters with a meaning of their own; everything else is a filter
+const RESERVED_PARAMS = ['page', 'pageSize', 'limit', 'cursor', 'sort', 'fields', 'format'];
+
+// Filter operators, written as field[op]=value (e.g. date[gte]=2024-01-01)
+const OPERATORS = {
+    eq: '=',
+    ne: '<>',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    like: 'LIKE',
+    in: 'IN'
+};
+
+// Bad list parameters (unknown filter, sort column, cursor...); answered as a 400
+class ListQueryError extends HttpError {
+    constructor(message) {
+        super(400, message);
+    }
+}
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(',')).map((item) => String(item).trim());
+
+// A filter on a real column, or on a resource.virtualFilters entry that maps to its own SQL
+const filterCondition = (resource, field, op, value) => {
+    const operator = OPERATORS[op];
+    if (!operator) throw new ListQueryError(`Unknown operator '${op}' on '${field}'`);
+    // A nested query object (username[eq][password]=x) would reach the driver, which expands objects into SQL
+    const valid = op === 'in' ? isScalar(value) || (Array.isArray(value) && value.every(isScalar)) : isScalar(value);
+    if (!valid) throw new ListQueryError(`Invalid value for '${field}[${op}]'`);
+
+    const values = op === 'in' ? [toList(value)] : [op === 'like' ? String(value).replace(/\*/g, '%') : value];
+    const placeholder = op === 'in' ? '(?)' : '?';
+    const virtual = resource.virtualFilters && resource.virtualFilters[field];
+    const sql = virtual ? virtual(`${operator} ${placeholder}`) : `${quote(field)} ${operator} ${placeholder}`;
+    return { sql, values };
+};
+
+/**
+ * WHERE clause for a list or export request: the resource's scope plus every filter parameter.
+ * field=value is an equality filter, a repeated or comma-separated field[in] matches any value.
+ * Soft-deleted rows are left out, or listed on their own when resource.deleted is set (the recycle bin).
+ */
+const buildWhere = (resource, req) => {
+    const conditions = [];
+    const values = [];
+
+    if (resource.softDelete) conditions.push(`${quote('deletedAt')} ${resource.deleted ? 'IS NOT NULL' : 'IS NULL'}`);
+
+    if (resource.scope) {
+        const scope = resource.scope(req);
+        conditions.push(scope.sql);
+        values.push(...scope.values);
+    }
+
+    Object.entries(req.query)
+        .filter(([field]) => !RESERVED_PARAMS.includes(field) && !field.startsWith('_'))
+        .forEach(([field, value]) => {
+            const known = resource.columns.includes(field) || (resource.virtualFilters && resource.virtualFilters[field]);
+            if (!known) throw new ListQueryError(`Unknown filter '${field}'`);
+
+            const clauses = value !== null && typeof value === 'object' && !Array.isArray(value)
+                ? Object.entries(value).map(([op, operand]) => filterCondition(resource, field, op, operand))
+                : [filterCondition(resource, field, Array.isArray(value) ? 'in' : 'eq', value)];
+            clauses.forEach((clause) => {
+                conditions.push(clause.sql);
+                values.push(...clause.values);
+            });
+        });
+
+    return { sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', values };
+};
+
+// sort=-date,name sorts by date descending then name; the id is always the final tie-breaker
+const buildSort = (resource, sortParam) => {
+    const keys = sortParam
+        ? toList(sortParam).filter(Boolean).map((key) => (key.startsWith('-')
+            ? { column: key.slice(1), desc: true }
+            : { column: key.replace(/^\+/, ''), desc: false }))
+        : [];
+
+    keys.forEach(({ column }) => {
+        if (!resource.columns.includes(column)) throw new ListQueryError(`Cannot sort by '${column}'`);
+    });
+    if (!keys.some(({ column }) => column === resource.idColumn)) {
+        keys.push({ column: resource.idColumn, desc: false });
+    }
+    return keys;
+};
+
+const buildFields = (resource, fieldsParam) => {
+    if (!fieldsParam) return resource.columns;
+    const fields = toList(fieldsParam).filter(Boolean);
+    const unknown = fields.filter((field) => !resource.columns.includes(field));
+    if (!fields.length || unknown.length) throw new ListQueryError(`Unknown field(s): ${unknown.join(', ') || '(none selected)'}`);
+    return fields;
+};
+
+const encodeCursor = (row, sort) => Buffer.from(JSON.stringify(sort.map(({ column }) => row[column]))).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (Array.isArray(values) && values.length === sort.length) return values;
+    } catch (err) {
+        // fall through to the error below
+    }
+    throw new ListQueryError('Invalid cursor');
+};
+
+// Keyset condition selecting the rows that sort after the cursor position
+const cursorCondition = (sort, values) => {
+    const branches = sort.map((key, index) => {
+        const equal = sort.slice(0, index).map(({ column }) => `${quote(column)} = ?`);
+        return {
+            sql: `(${[...equal, `${quote(key.column)} ${key.desc ? '<' : '>'} ?`].join(' AND ')})`,
+            values: values.slice(0, index + 1)
+        };
+    });
+    return { sql: `(${branches.map((branch) => branch.sql).join(' OR ')})`, values: branches.flatMap((branch) => branch.values) };
+};
+
+const positiveInt = (value, fallback, name) => {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) throw new ListQueryError(`${name} must be a positive integer`);
+    return number;
+};
+
+const pageLink = (req, params) => {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Express handler for GET /api/<Entity> list routes.
+ *   page/pageSize  - offset pagination (default page 1, pageSize 50, max 500)
+ *   limit/cursor   - keyset pagination; follow meta.nextCursor for the next page
+ *   sort, fields   - ordering and column projection
+ *   anything else  - filters, see buildWhere()
+ * resource.mapRow, when set, turns each selected row into its response shape.
+ * Responds with { data, meta: { total, ... }, links: { self, next, prev } }.
+ */
+const listHandler = (resource) => async (req, res, next) => {
+    try {
+        const where = buildWhere(resource, req);
+        const sort = buildSort(resource, req.query.sort);
+        const fields = buildFields(resource, req.query.fields);
+        const cursorMode = req.query.cursor !== undefined || req.query.limit !== undefined;
+        const orderBy = sort.map(({ column, desc }) => `${quote(column)} ${desc ? 'DESC' : 'ASC'}`).join(', ');
+        const from = `FROM ${resource.table} ${where.sql}`;
+
+        // Sort columns are selected too so the next cursor can be built, then dropped from the output
+        const selected = [...new Set([...fields, ...sort.map(({ column }) => column)])];
+        const project = (row) => {
+            const picked = Object.fromEntries(fields.map((field) => [field, row[field]]));
+            return resource.mapRow ? resource.mapRow(picked) : picked;
+        };
+
+        const [{ total }] = await query(`SELECT COUNT(*) AS total ${from}`, where.values);
+
+        if (cursorMode) {
+            const limit = Math.min(positiveInt(req.query.limit, DEFAULT_PAGE_SIZE, 'limit'), MAX_PAGE_SIZE);
+            const after = req.query.cursor ? cursorCondition(sort, decodeCursor(req.query.cursor, sort)) : null;
+            const filtered = after
+                ? `${where.sql ? `${from} AND` : `${from} WHERE`} ${after.sql}`
+                : from;
+            const rows = await query(
+                `SELECT ${selected.map(quote).join(', ')} ${filtered} ORDER BY ${orderBy} LIMIT ?`,
+                [...where.values, ...(after ? after.values : []), limit + 1]
+            );
+            const hasMore = rows.length > limit;
+            const page = rows.slice(0, limit);
+            const nextCursor = hasMore ? encodeCursor(page[page.length - 1], sort) : null;
+
+            return res.status(200).json({
+                data: page.map(project),
+                meta: { total, limit, nextCursor },
+                links: { self: req.originalUrl, next: nextCursor ? pageLink(req, { cursor: nextCursor, limit }) : null }
+            });
+        }
+
+        const pageSize = Math.min(positiveInt(req.query.pageSize, DEFAULT_PAGE_SIZE, 'pageSize'), MAX_PAGE_SIZE);
+        const page = positiveInt(req.query.page, 1, 'page');
+        const pageCount = Math.ceil(total / pageSize);
+        const rows = await query(
+            `SELECT ${selected.map(quote).join(', ')} ${from} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+            [...where.values, pageSize, (page - 1) * pageSize]
+        );
+
+        res.status(200).json({
+            data: rows.map(project),
+            meta: { total, page, pageSize, pageCount },
+            links: {
+                self: req.originalUrl,
+                next: page < pageCount ? pageLink(req, { page: page + 1, pageSize }) : null,
+                prev: page > 1 ? pageLink(req, { page: Math.min(page - 1, Math.max(pageCount, 1)), pageSize }) : null
+            }
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    ListQueryError,
+    buildWhere,
+    buildSort,
+    buildFields,
+    listHandler
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { query, driver } = require('./db');
+
+// Each engine has its own copy of every migration, with the same versions and names
+const MIGRATIONS_DIRS = {
+    mysql: path.join(__dirname, '..', 'migrations'),
+    postgres: path.join(__dirname, '..', 'migrations', 'postgres')
+};
+const MIGRATIONS_DIR = MIGRATIONS_DIRS[driver.name];
+
+// 001_baseline.sql: a three-digit version, then a name
+const FILE_PATTERN = /^(\d{3})_([\w-]+)\.sql$/;
+const UP_MARKER = '-- migrate:up';
+const DOWN_MARKER = '-- migrate:down';
+
+/**
+ * Statements in a migration section, one per trailing semicolon. Comment lines are dropped first, so a
+ * semicolon inside a comment (FREQ=WEEKLY;BYDAY=SU) never splits a statement.
+ */
+const splitStatements = (sql) => sql
+    .split('\n')
+    .filter((line) => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;\s*$/m)
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+
+const parseMigration = (text, file) => {
+    const upAt = text.indexOf(UP_MARKER);
+    const downAt = text.indexOf(DOWN_MARKER);
+    if (upAt === -1 || downAt < upAt) throw new Error(`${file} needs a '${UP_MARKER}' section followed by '${DOWN_MARKER}'`);
+    return {
+        up: splitStatements(text.slice(upAt + UP_MARKER.length, downAt)),
+        down: splitStatements(text.slice(downAt + DOWN_MARKER.length))
+    };
+};
+
+// Every migration file, oldest first: { version, name, file, up, down }
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+    .filter((file) => FILE_PATTERN.test(file))
+    .sort()
+    .map((file) => {
+        const [, version, name] = file.match(FILE_PATTERN);
+        return { version, name, file, ...parseMigration(fs.readFileSync(path.join(dir, file), 'utf8'), file) };
+    });
+
+// Which migrations have run, and when; created by the first command that needs it
+const ensureStatusTable = () => query(
+    `CREATE TABLE IF NOT EXISTS SchemaMigrations (
+        version CHAR(3) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        appliedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`
+);
+
+const appliedVersions = async () => {
+    await ensureStatusTable();
+    const rows = await query('SELECT version, appliedAt FROM SchemaMigrations ORDER BY version');
+    return new Map(rows.map((row) => [row.version, row.appliedAt]));
+};
+
+// Statements commit one at a time (MySQL cannot roll DDL back), so a migration that fails part-way
+// must be finished or undone by hand
+const runStatements = async (migration, statements) => {
+    for (const statement of statements) {
+        try {
+            await query(statement);
+        } catch (err) {
+            err.message = `${migration.file}: ${err.message}`;
+            throw err;
+        }
+    }
+};
+
+// Every migration with appliedAt, or null while it is pending
+const migrationStatus = async ({ dir } = {}) => {
+    const applied = await appliedVersions();
+    return loadMigrations(dir).map(({ version, name }) => ({ version, name, appliedAt: applied.get(version) || null }));
+};
+
+/**
+ * Apply the pending migrations in order, up to and including version `to` (all of them by default).
+ * Resolves to the migrations applied; log is called before each one.
+ */
+const migrateUp = async ({ to, dir, log = () => {} } = {}) => {
+    const applied = await appliedVersions();
+    const pending = loadMigrations(dir).filter(({ version }) => !applied.has(version) && (!to || version <= to));
+    for (const migration of pending) {
+        log(`Applying ${migration.file}`);
+        await runStatements(migration, migration.up);
+        await query('INSERT INTO SchemaMigrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+    return pending;
+};
+
+// Roll back the last `steps` applied migrations, newest first
+const migrateDown = async ({ steps = 1, dir, log = () => {} } = {}) => {
+    const applied = await appliedVersions();
+    const targets = loadMigrations(dir).filter(({ version }) => applied.has(version)).reverse().slice(0, steps);
+    for (const migration of targets) {
+        log(`Rolling back ${migration.file}`);
+        await runStatements(migration, migration.down);
+        await query('DELETE FROM SchemaMigrations WHERE version = ?', [migration.version]);
+    }
+    return targets;
+};
+
+/**
+ * Record the migrations up to `to` as applied without running them, for a database whose tables
+ * were already created by hand (e.g. production, set up before migrations existed).
+ */
+const markApplied = async ({ to, dir } = {}) => {
+    if (!to) throw new Error('markApplied needs the last version the database already has');
+    const applied = await appliedVersions();
+    const marked = loadMigrations(dir).filter(({ version }) => !applied.has(version) && version <= to);
+    for (const { version, name } of marked) {
+        await query('INSERT INTO SchemaMigrations (version, name) VALUES (?, ?)', [version, name]);
+    }
+    return marked;
+};
+
+module.exports = {
+    MIGRATIONS_DIRS,
+    MIGRATIONS_DIR,
+    splitStatements,
+    loadMigrations,
+    migrationStatus,
+    migrateUp,
+    migrateDown,
+    markApplied
+};
@@ -0,0 +1,166 @@
+const { query, digitsOf } = require('./db');
+const { churchScopeClause } = require('../middleware/scope');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Spreadsheet headers recognised for each Person field, compared after normalizeHeader()
+const FIELD_ALIASES = {
+    name: ['name', 'firstname', 'firstnames', 'names'],
+    surname: ['surname', 'lastname', 'familyname'],
+    contactNumber: ['contactnumber', 'contact', 'phone', 'phonenumber', 'cellphone', 'cellnumber', 'mobile'],
+    address: ['address', 'homeaddress', 'residentialaddress'],
+    gender: ['gender', 'sex'],
+    maritalStatus: ['maritalstatus', 'marital'],
+    churchId: ['churchid'],
+    church: ['church', 'churchname', 'branch'],
+    region: ['region'],
+    cellLeader: ['cellleader', 'leader'],
+    cellLocation: ['celllocation', 'cell'],
+    ministry: ['ministry', 'department'],
+    comments: ['comments', 'comment', 'notes']
+};
+
+const NUMERIC_FIELDS = ['churchId'];
+const REQUIRED_FIELDS = ['name', 'surname', 'churchId'];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '');
+const nameKey = (person) => `${String(person.name).trim().toLowerCase()}|${String(person.surname).trim().toLowerCase()}`;
+
+// Map each spreadsheet header to a Person field; an explicit { header: field } mapping wins over aliases.
+// Own properties only, so a header or field named after an Object member (constructor, toString) maps to nothing.
+const buildColumnMap = (headers, mapping = {}) => {
+    const columnMap = {};
+    headers.forEach((header) => {
+        if (Object.hasOwn(mapping, header) && mapping[header]) {
+            if (Object.hasOwn(FIELD_ALIASES, mapping[header])) columnMap[header] = mapping[header];
+            return;
+        }
+        const normalized = normalizeHeader(header);
+        const field = Object.keys(FIELD_ALIASES).find((key) => FIELD_ALIASES[key].includes(normalized));
+        if (field && !Object.values(columnMap).includes(field)) columnMap[header] = field;
+    });
+    return columnMap;
+};
+
+const toPerson = (values, columnMap) => {
+    const person = {};
+    Object.entries(columnMap).forEach(([header, field]) => {
+        const value = values[header];
+        if (value === undefined || value === null || String(value).trim() === '') return;
+        const text = String(value).trim();
+        // Non-numeric text is kept as typed so the preview can show what was wrong
+        person[field] = NUMERIC_FIELDS.includes(field) && !Number.isNaN(Number(text)) ? Number(text) : text;
+    });
+    return person;
+};
+
+const validatePerson = (person) => {
+    const errors = [];
+    REQUIRED_FIELDS.forEach((field) => {
+        if (person[field] === undefined) errors.push({ field, message: `${field} is required` });
+    });
+    NUMERIC_FIELDS.forEach((field) => {
+        if (person[field] !== undefined && typeof person[field] !== 'number') {
+            errors.push({ field, message: `${field} must be a number` });
+        }
+    });
+    if (person.contactNumber !== undefined) {
+        const digits = normalizePhone(person.contactNumber);
+        if (digits.length < 9 || digits.length > 15) {
+            errors.push({ field: 'contactNumber', message: 'contactNumber must contain 9 to 15 digits' });
+        }
+    }
+    return errors;
+};
+
+// Churches among the given ids that exist, are not deleted and fall inside the user's scope
+const churchesInScope = async (churchIds, scope) => {
+    if (!churchIds.length) return new Set();
+    const clause = churchScopeClause(scope, { regionColumn: 'region' });
+    const rows = await query(`SELECT churchId FROM Church WHERE churchId IN (?) AND ${clause.sql} AND deletedAt IS NULL`, [churchIds, ...clause.values]);
+    return new Set(rows.map((row) => row.churchId));
+};
+
+// Existing (not deleted) people in the user's scope who share a phone number, however it is punctuated,
+// or a name and surname within the same church
+const existingPeople = async (people, scope) => {
+    const churchIds = [...new Set(people.map((person) => person.churchId).filter(Number.isInteger))];
+    const phones = [...new Set(people.map((person) => normalizePhone(person.contactNumber)).filter(Boolean))];
+    if (!churchIds.length && !phones.length) return [];
+
+    const conditions = [];
+    const values = [];
+    if (phones.length) {
+        conditions.push(`${digitsOf('contactNumber')} IN (?)`);
+        values.push(phones);
+    }
+    if (churchIds.length) {
+        conditions.push('churchId IN (?)');
+        values.push(churchIds);
+    }
+    const clause = churchScopeClause(scope);
+    return query(`SELECT personId, name, surname, contactNumber, churchId FROM Person
+        WHERE (${conditions.join(' OR ')}) AND ${clause.sql} AND deletedAt IS NULL`, [...values, ...clause.values]);
+};
+
+/**
+ * Validate parsed spreadsheet rows as Person records and flag duplicates, without writing anything.
+ * Each row comes back as valid, invalid or duplicate; only valid rows are committed by an import.
+ */
+const previewPersonImport = async ({ headers, rows }, { scope, mapping }) => {
+    const columnMap = buildColumnMap(headers, mapping);
+    const preview = rows.map(({ row, values }) => {
+        const data = toPerson(values, columnMap);
+        if (data.churchId === undefined && scope.level === 'church') data.churchId = scope.churchId;
+        return { row, status: 'valid', errors: validatePerson(data), data };
+    });
+
+    const churchIds = [...new Set(preview.map((entry) => entry.data.churchId).filter(Number.isInteger))];
+    const allowedChurches = await churchesInScope(churchIds, scope);
+    preview.forEach((entry) => {
+        if (Number.isInteger(entry.data.churchId) && !allowedChurches.has(entry.data.churchId)) {
+            entry.errors.push({ field: 'churchId', message: 'Church does not exist or is outside your scope' });
+        }
+    });
+
+    const existing = await existingPeople(preview.map((entry) => entry.data), scope);
+    const byPhone = new Map();
+    const byName = new Map();
+    existing.forEach((person) => {
+        if (person.contactNumber) byPhone.set(normalizePhone(person.contactNumber), person);
+        byName.set(`${person.churchId}|${nameKey(person)}`, person);
+    });
+
+    const seenInFile = new Map();
+    preview.forEach((entry) => {
+        if (entry.errors.length) {
+            entry.status = 'invalid';
+            return;
+        }
+        const phone = normalizePhone(entry.data.contactNumber);
+        const key = `${entry.data.churchId}|${nameKey(entry.data)}`;
+        const match = (phone && byPhone.get(phone)) || byName.get(key);
+
+        if (match) {
+            entry.status = 'duplicate';
+            entry.duplicateOf = { personId: match.personId, name: match.name, surname: match.surname };
+        } else if (seenInFile.has(key) || (phone && seenInFile.has(phone))) {
+            entry.status = 'duplicate';
+            entry.duplicateOfRow = seenInFile.get(key) || seenInFile.get(phone);
+        } else {
+            seenInFile.set(key, entry.row);
+            if (phone) seenInFile.set(phone, entry.row);
+        }
+    });
+
+    const unmappedColumns = headers.filter((header) => !Object.hasOwn(columnMap, header));
+    return { columns: columnMap, unmappedColumns, rows: preview };
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    FIELD_ALIASES,
+    buildColumnMap,
+    previewPersonImport
+};
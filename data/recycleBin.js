@@ -0,0 +1,115 @@
+const { transaction } = require('./db');
+const { Church, Person, Stats, Assets } = require('./repositories');
+const { badRequest, conflict, notFound } = require('../utils/errors');
+
+// Repositories whose deletes go to the recycle bin, by table name
+const SOFT_DELETED = { Church, Person, Stats, Assets };
+const RECYCLED_ENTITIES = Object.keys(SOFT_DELETED);
+
+/**
+ * Cascade rules: the rows that belong to a record, by the column pointing at it. They are deleted
+ * with the record (sharing its deletedAt), restored with it, and purged with it; a purge is refused
+ * while any of them is still live. A church takes its people and stats with it. Its assets are not
+ * listed: they belong to a Location, which churches share, so deleting a church leaves them alone.
+ */
+const CASCADES = {
+    Church: [
+        { entity: 'Person', column: 'churchId' },
+        { entity: 'Stats', column: 'churchId' }
+    ]
+};
+
+// The reverse of CASCADES: the parent that must be live before a child can be restored on its own
+const PARENTS = Object.entries(CASCADES).reduce((parents, [parent, children]) => {
+    children.forEach(({ entity, column }) => {
+        parents[entity] = { entity: parent, column };
+    });
+    return parents;
+}, {});
+
+const repositoryFor = (entity) => {
+    if (!SOFT_DELETED[entity]) throw badRequest(`entity must be one of: ${RECYCLED_ENTITIES.join(', ')}`);
+    return SOFT_DELETED[entity];
+};
+
+// { Church: 1, Person: 40, Stats: 112 }: how many rows a delete, restore or purge touched
+const countsOf = (entity, children) => children.reduce(
+    (counts, { entity: child, ids }) => ({ ...counts, [child]: ids.length }),
+    { [entity]: 1 }
+);
+
+/**
+ * Move a record and the rows that cascade from it to the recycle bin. scope is the clause that
+ * limits which records the user may delete (middleware/scope.js); it applies to the record itself.
+ */
+const deleteRecord = (entity, id, { scope, user }) => transaction(async (runQuery) => {
+    const repository = repositoryFor(entity);
+    const deletedAt = new Date();
+    const deletedBy = user ? user.userId : null;
+
+    const result = await repository.remove(id, { scope, deletedAt, deletedBy, runQuery });
+    if (!result.affectedRows) throw notFound(`${repository.entity.name} not found`);
+
+    const children = [];
+    for (const { entity: child, column } of CASCADES[entity] || []) {
+        const ids = await SOFT_DELETED[child].findIdsBy(column, id, { runQuery });
+        await SOFT_DELETED[child].removeAll(ids, { deletedAt, deletedBy, runQuery });
+        children.push({ entity: child, ids });
+    }
+    return { entity, id, deletedAt, deleted: countsOf(entity, children) };
+});
+
+/**
+ * Take a record out of the recycle bin, with the rows that were deleted along with it. A child
+ * whose parent is still deleted cannot come back on its own: restore the parent instead.
+ * Pass { runQuery } to run inside an enclosing transaction (data/audit.js does).
+ */
+const restoreRecord = (entity, id, { scope, runQuery: outer } = {}) => transaction(async (runQuery) => {
+    const repository = repositoryFor(entity);
+    const row = await repository.findDeleted(id, { scope, runQuery });
+    if (!row) throw notFound(`${repository.entity.name} not found in the recycle bin`);
+
+    const parent = PARENTS[entity];
+    if (parent && row[parent.column] !== null && row[parent.column] !== undefined) {
+        const live = await SOFT_DELETED[parent.entity].findById(row[parent.column], { runQuery });
+        if (!live) throw conflict(`${parent.entity} ${row[parent.column]} is deleted; restore it first`);
+    }
+
+    await repository.restore([id], { runQuery });
+    const children = [];
+    for (const { entity: child, column } of CASCADES[entity] || []) {
+        const ids = await SOFT_DELETED[child].findIdsBy(column, id, { deleted: row.deletedAt, runQuery });
+        if (ids.length) await SOFT_DELETED[child].restore(ids, { runQuery });
+        children.push({ entity: child, ids });
+    }
+    return { entity, id, restored: countsOf(entity, children), data: await repository.findById(id, { runQuery }) };
+}, { runQuery: outer });
+
+/**
+ * Delete a record in the recycle bin for good, with every deleted row that cascades from it.
+ * Live records are never purged; nor is a parent while any of its children is live.
+ */
+const purgeRecord = (entity, id) => transaction(async (runQuery) => {
+    const repository = repositoryFor(entity);
+    const row = await repository.findDeleted(id, { runQuery });
+    if (!row) throw notFound(`${repository.entity.name} not found in the recycle bin`);
+
+    const children = [];
+    for (const { entity: child, column } of CASCADES[entity] || []) {
+        const live = await SOFT_DELETED[child].findIdsBy(column, id, { runQuery });
+        if (live.length) throw conflict(`${live.length} ${child} record(s) still belong to this ${repository.entity.name}`);
+        const ids = await SOFT_DELETED[child].findIdsBy(column, id, { deleted: true, runQuery });
+        if (ids.length) await SOFT_DELETED[child].purge(ids, { runQuery });
+        children.push({ entity: child, ids });
+    }
+    await repository.purge([id], { runQuery });
+    return { entity, id, purged: countsOf(entity, children) };
+});
+
+module.exports = {
+    RECYCLED_ENTITIES,
+    CASCADES,
+    deleteRecord,
+    restoreRecord,
+    purgeRecord
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { transaction } = require('./db');
+const { Person, Stats, Calendar, Registration } = require('./repositories');
+const { recordContribution } = require('./contributions');
+const { churchScopeClause, regionScopeClause } = require('../middleware/scope');
+const { badRequest, conflict, notFound } = require('../utils/errors');
+const { toDateString } = require('../utils/dates');
+const { toCents } = require('../utils/money');
+
+const STATUSES = ['registered', 'waitlisted', 'cancelled'];
+
+// Unguessable value carried in the person's QR code; 22 characters
+const newCheckInCode = () => crypto.randomBytes(16).toString('base64url');
+
+const findEvent = async (calendarId, scope, runQuery) => {
+    const event = await Calendar.findById(calendarId, { scope: regionScopeClause(scope), runQuery });
+    if (!event) throw notFound('Calendar event not found');
+    return event;
+};
+
+const findRegistration = async (calendarId, registrationId, scope, runQuery) => {
+    const registration = await Registration.findById(registrationId, { scope: churchScopeClause(scope), runQuery });
+    if (!registration || parseInt(registration.calendarId) !== parseInt(calendarId)) throw notFound('Registration not found');
+    return registration;
+};
+
+// Places are free while nobody holds them or the event has no capacity
+const hasPlace = (event, counts) => !event.capacity || counts.registered < Number(event.capacity);
+
+const hasFee = (event) => toCents(event.fee) > 0;
+
+/**
+ * Sign a person up for an event. Once capacity is reached they join the waitlist instead, in the
+ * order they signed up. Someone who cancelled may sign up again and goes to the back of the queue.
+ */
+const registerForEvent = (calendarId, { personId }, { scope }) => transaction(async (runQuery) => {
+    const event = await findEvent(calendarId, scope, runQuery);
+    await Registration.lockEvent(event.id, { runQuery });
+    const person = await Person.findById(personId, { scope: churchScopeClause(scope), runQuery });
+    if (!person) throw notFound('Person not found');
+
+    const existing = await Registration.findForPerson(event.id, person.personId, { runQuery });
+    if (existing && existing.status !== 'cancelled') {
+        throw conflict('This person is already registered for the event', { registrationId: existing.registrationId, status: existing.status });
+    }
+
+    const counts = await Registration.counts(event.id, { runQuery });
+    const status = hasPlace(event, counts) ? 'registered' : 'waitlisted';
+    const values = {
+        churchId: person.churchId,
+        status,
+        checkInCode: newCheckInCode(),
+        registeredAt: new Date(),
+        cancelledAt: null,
+        checkedInAt: null
+    };
+
+    let registrationId;
+    if (existing) {
+        ({ registrationId } = existing);
+        await Registration.update(registrationId, values, { runQuery });
+    } else {
+        ({ insertId: registrationId } = await Registration.create({ ...values, calendarId: event.id, personId: person.personId }, { runQuery }));
+    }
+    return Registration.findById(registrationId, { runQuery });
+});
+
+// Cancel a place; a freed place goes to the longest-waiting person on the waitlist
+const cancelRegistration = (calendarId, registrationId, { scope }) => transaction(async (runQuery) => {
+    const event = await findEvent(calendarId, scope, runQuery);
+    await Registration.lockEvent(event.id, { runQuery });
+    const registration = await findRegistration(event.id, registrationId, scope, runQuery);
+    if (registration.status === 'cancelled') throw conflict('This registration is already cancelled');
+    if (registration.checkedInAt) throw conflict('A checked-in registration cannot be cancelled');
+
+    await Registration.update(registration.registrationId, { status: 'cancelled', cancelledAt: new Date() }, { runQuery });
+
+    let promoted = null;
+    if (registration.status === 'registered') {
+        const next = await Registration.nextWaitlisted(event.id, { runQuery });
+        if (next && hasPlace(event, await Registration.counts(event.id, { runQuery }))) {
+            await Registration.update(next.registrationId, { status: 'registered' }, { runQuery });
+            promoted = await Registration.findById(next.registrationId, { runQuery });
+        }
+    }
+    return { registration: await Registration.findById(registration.registrationId, { runQuery }), promoted };
+});
+
+// The event's places and registrations in sign-up order; waitlisted people carry their position
+const listRegistrations = async (calendarId, { status, scope }) => {
+    if (status !== undefined && !STATUSES.includes(status)) throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    const event = await findEvent(calendarId, scope);
+    const [counts, waitlist, rows] = await Promise.all([
+        Registration.counts(event.id),
+        Registration.waitlist(event.id),
+        Registration.forEvent(event.id, { status, scope: churchScopeClause(scope, { churchColumn: 'r.churchId' }) })
+    ]);
+
+    // A position counts everyone waiting for the event, not only the people in this user's scope
+    const positions = new Map(waitlist.map(({ registrationId }, index) => [registrationId, index + 1]));
+    const data = rows.map((row) => ({
+        ...row,
+        waitlistPosition: positions.has(row.registrationId) ? positions.get(row.registrationId) : null,
+        paid: Boolean(row.contributionId)
+    }));
+    const capacity = event.capacity ? Number(event.capacity) : null;
+    return {
+        event: { id: event.id, name: event.name, capacity, fee: event.fee === null ? null : Number(event.fee) },
+        ...counts,
+        available: capacity === null ? null : Math.max(0, capacity - counts.registered),
+        data
+    };
+};
+
+// A registration's QR code value; waitlisted people get theirs too so it works once they are promoted
+const checkInCodeFor = async (calendarId, registrationId, { scope }) => {
+    const event = await findEvent(calendarId, scope);
+    const registration = await findRegistration(event.id, registrationId, scope);
+    if (registration.status === 'cancelled') throw conflict('This registration is cancelled');
+    return registration.checkInCode;
+};
+
+/**
+ * Record the event fee as an event-type Contribution from the registered person, in their church,
+ * and link it to the registration. The amount is always the event's fee.
+ */
+const payRegistrationFee = (calendarId, registrationId, { date, paymentMethod, reference, notes }, { scope, user }) => transaction(async (runQuery) => {
+    const event = await findEvent(calendarId, scope, runQuery);
+    if (!hasFee(event)) throw badRequest('This event has no fee');
+    const registration = await findRegistration(event.id, registrationId, scope, runQuery);
+    if (registration.status === 'cancelled') throw conflict('This registration is cancelled');
+    if (registration.contributionId) throw conflict('The fee has already been paid', { contributionId: registration.contributionId });
+
+    const payment = await recordContribution({
+        personId: registration.personId,
+        churchId: registration.churchId,
+        type: 'event',
+        amount: Number(event.fee),
+        date,
+        paymentMethod,
+        reference: reference || `event:${event.id}`,
+        notes
+    }, { scope, user, runQuery });
+    await Registration.update(registration.registrationId, { contributionId: payment.contributionId }, { runQuery });
+    return { payment, registration: await Registration.findById(registration.registrationId, { runQuery }) };
+});
+
+/**
+ * Check in the holder of a scanned code. Only registered (not waitlisted or cancelled) people
+ * get in, and only once the fee is paid. Scanning twice is harmless and says so; the registration
+ * is locked while it is checked, so two scans at once cannot both check it in.
+ */
+const checkIn = (calendarId, { code }, { scope }) => transaction(async (runQuery) => {
+    const event = await findEvent(calendarId, scope, runQuery);
+    const found = await Registration.findByCode(code, { forUpdate: true, runQuery });
+    if (!found || parseInt(found.calendarId) !== parseInt(event.id)) throw notFound('No registration for this event has that code');
+    const registration = await findRegistration(event.id, found.registrationId, scope, runQuery);
+    const person = { personId: found.personId, name: found.name, surname: found.surname };
+
+    if (registration.status !== 'registered') throw conflict(`This registration is ${registration.status}`, { person });
+    if (hasFee(event) && !registration.contributionId) throw conflict('The event fee has not been paid', { person, fee: Number(event.fee) });
+    if (registration.checkedInAt) return { alreadyCheckedIn: true, person, registration };
+
+    await Registration.update(registration.registrationId, { checkedInAt: new Date() }, { runQuery });
+    return { alreadyCheckedIn: false, person, registration: await Registration.findById(registration.registrationId, { runQuery }) };
+});
+
+// Who came: check-ins against registrations, with the count per church and day
+const eventAttendance = async (calendarId, { scope }) => {
+    const event = await findEvent(calendarId, scope);
+    const registrationScope = churchScopeClause(scope, { churchColumn: 'r.churchId' });
+    const [registrations, rows] = await Promise.all([
+        Registration.forEvent(event.id, { scope: registrationScope }),
+        Registration.attendanceByChurch(event.id, { scope: registrationScope })
+    ]);
+
+    const count = (status) => registrations.filter((row) => row.status === status).length;
+    const checkedIn = registrations.filter((row) => row.checkedInAt).length;
+    return {
+        event: { id: event.id, name: event.name },
+        registered: count('registered'),
+        waitlisted: count('waitlisted'),
+        checkedIn,
+        noShows: count('registered') - checkedIn,
+        byChurch: rows.map((row) => ({ ...row, date: toDateString(row.date), attended: Number(row.attended) }))
+    };
+};
+
+/**
+ * Post the check-ins to Stats as adult attendance, one row per church and day of the event.
+ * The rows are remembered in CalendarStats, so posting again after late check-ins updates them;
+ * a remembered row that has since been deleted is replaced by a new one.
+ */
+const postAttendanceToStats = (calendarId, { scope }) => transaction(async (runQuery) => {
+    const event = await findEvent(calendarId, scope, runQuery);
+    const rows = await Registration.attendanceByChurch(event.id, { scope: churchScopeClause(scope, { churchColumn: 'r.churchId' }) });
+
+    const posted = [];
+    for (const row of rows) {
+        const date = toDateString(row.date);
+        const adult = Number(row.attended);
+        const link = await Registration.postedStats(event.id, row.churchId, date, { runQuery });
+        let statsId = link && link.statsId;
+        const updated = link && (await Stats.update(statsId, { adult }, { runQuery })).affectedRows > 0;
+        if (!updated) {
+            ({ insertId: statsId } = await Stats.create({ churchId: row.churchId, date, adult }, { runQuery }));
+            await Registration.linkStats({ calendarId: event.id, churchId: row.churchId, date, statsId }, { runQuery });
+        }
+        posted.push({ statsId, churchId: row.churchId, churchName: row.churchName, date, adult, created: !updated });
+    }
+    return { event: { id: event.id, name: event.name }, posted };
+});
+
+module.exports = {
+    STATUSES,
+    registerForEvent,
+    cancelRegistration,
+    listRegistrations,
+    checkInCodeFor,
+    payRegistrationFee,
+    checkIn,
+    eventAttendance,
+    postAttendanceToStats
+};
@@ -0,0 +1,151 @@
+const { query } = require('../db');
+const { createRepository } = require('./base');
+
+/**
+ * @typedef {Object} Asset
+ * @property {number} asset_id
+ * @property {number} location_id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} [purchase_date]
+ * @property {number} [purchase_price]
+ * @property {number} [useful_life_years] - for straight-line depreciation; empty for the default
+ * @property {number} [salvage_value] - value left at the end of its useful life
+ * @property {string} [serial_number]
+ * @property {string} [category] - also picks the MaintenanceSchedule
+ * @property {string} [condition]
+ * @property {string} [last_maintenance_date]
+ */
+
+const repository = createRepository({
+    name: 'Asset',
+    table: 'Assets',
+    idColumn: 'asset_id',
+    audited: true,
+    softDelete: true,
+    columns: [
+        'asset_id', 'location_id', 'name', 'description', 'purchase_date', 'purchase_price', 'useful_life_years',
+        'salvage_value', 'serial_number', 'category', 'condition', 'last_maintenance_date'
+    ],
+    required: ['location_id', 'name'],
+    // Used by bulk writes; runQuery keeps the check inside the caller's transaction
+    validate: async (item, runQuery = query) => {
+        if (item.location_id === undefined) return;
+        const rows = await runQuery('SELECT location_id FROM Locations WHERE location_id = ?', [item.location_id]);
+        if (rows.length === 0) throw new Error('Invalid location ID');
+    }
+});
+
+// location_id and category filters shared by the reports, on the Assets alias a
+const assetFilters = (filters, conditions = [], values = []) => {
+    ['location_id', 'category'].filter((column) => filters[column] !== undefined).forEach((column) => {
+        conditions.push(`a.${column} = ?`);
+        values.push(filters[column]);
+    });
+    return { sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', values };
+};
+
+module.exports = {
+    ...repository,
+
+    // Lock the asset row so check-outs, transfers and maintenance are applied one at a time
+    lock: async (assetId, { runQuery = query } = {}) => {
+        const rows = await runQuery('SELECT * FROM Assets WHERE asset_id = ? AND deletedAt IS NULL FOR UPDATE', [assetId]);
+        return rows[0] || null;
+    },
+
+    // Assets whose category has a maintenance schedule, with the schedule and location name
+    findScheduled: (filters = {}) => {
+        const where = assetFilters(filters, ['a.deletedAt IS NULL']);
+        return query(
+            `SELECT a.*, l.name AS locationName, s.scheduleId, s.intervalDays, s.leadDays, s.task
+            FROM Assets a
+                JOIN MaintenanceSchedule s ON s.category = a.category
+                LEFT JOIN Locations l ON l.location_id = a.location_id
+            ${where.sql}
+            ORDER BY a.asset_id`,
+            where.values
+        );
+    },
+
+    // Assets with a purchase price, for the depreciation report
+    findDepreciable: (filters = {}) => {
+        const where = assetFilters(filters, ['a.purchase_price IS NOT NULL', 'a.deletedAt IS NULL']);
+        return query(
+            `SELECT a.*, l.name AS locationName
+            FROM Assets a LEFT JOIN Locations l ON l.location_id = a.location_id
+            ${where.sql}
+            ORDER BY a.category, a.asset_id`,
+            where.values
+        );
+    },
+
+    maintenanceLog: (assetId) => query('SELECT * FROM AssetMaintenance WHERE asset_id = ? ORDER BY date DESC, maintenanceId DESC', [assetId]),
+
+    addMaintenance: ({ asset_id, date, performedBy = null, cost = null, condition = null, notes = null, recordedBy = null }, { runQuery = query } = {}) => runQuery(
+        `INSERT INTO AssetMaintenance (asset_id, date, performedBy, cost, \`condition\`, notes, recordedBy)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [asset_id, date, performedBy, cost, condition, notes, recordedBy]
+    ),
+
+    checkouts: (assetId) => query('SELECT * FROM AssetCheckout WHERE asset_id = ? ORDER BY checkedOutAt DESC, checkoutId DESC', [assetId]),
+
+    findCheckout: async (checkoutId, { runQuery = query } = {}) => {
+        const rows = await runQuery('SELECT * FROM AssetCheckout WHERE checkoutId = ?', [checkoutId]);
+        return rows[0] || null;
+    },
+
+    // The check-out not yet checked in, if the asset is out
+    openCheckout: async (assetId, { runQuery = query } = {}) => {
+        const rows = await runQuery('SELECT * FROM AssetCheckout WHERE asset_id = ? AND checkedInAt IS NULL', [assetId]);
+        return rows[0] || null;
+    },
+
+    addCheckout: ({ asset_id, personId = null, borrowerName, dueBack = null, checkedOutBy = null, conditionOut = null, notes = null }, { runQuery = query } = {}) => runQuery(
+        `INSERT INTO AssetCheckout (asset_id, personId, borrowerName, dueBack, checkedOutBy, conditionOut, notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [asset_id, personId, borrowerName, dueBack, checkedOutBy, conditionOut, notes]
+    ),
+
+    // notes replaces the row's notes; see checkInAsset
+    closeCheckout: (checkoutId, { checkedInBy = null, conditionIn = null, notes = null }, { runQuery = query } = {}) => runQuery(
+        `UPDATE AssetCheckout SET checkedInAt = NOW(), checkedInBy = ?, conditionIn = ?, notes = ?
+        WHERE checkoutId = ? AND checkedInAt IS NULL`,
+        [checkedInBy, conditionIn, notes, checkoutId]
+    ),
+
+    // Assets currently checked out (dueBefore: only those due back before that date), with asset and location names
+    findCheckedOut: ({ dueBefore, ...filters } = {}) => {
+        const conditions = ['c.checkedInAt IS NULL'];
+        const values = [];
+        if (dueBefore) {
+            conditions.push('c.dueBack < ?');
+            values.push(dueBefore);
+        }
+        const where = assetFilters(filters, conditions, values);
+        return query(
+            `SELECT c.*, a.name, a.category, a.location_id, l.name AS locationName
+            FROM AssetCheckout c
+                JOIN Assets a ON a.asset_id = c.asset_id
+                LEFT JOIN Locations l ON l.location_id = a.location_id
+            ${where.sql}
+            ORDER BY c.dueBack IS NULL, c.dueBack, c.checkedOutAt`,
+            where.values
+        );
+    },
+
+    transfers: (assetId) => query(
+        `SELECT t.*, f.name AS fromLocationName, d.name AS toLocationName
+        FROM AssetTransfer t
+            LEFT JOIN Locations f ON f.location_id = t.fromLocationId
+            LEFT JOIN Locations d ON d.location_id = t.toLocationId
+        WHERE t.asset_id = ?
+        ORDER BY t.transferredAt DESC, t.transferId DESC`,
+        [assetId]
+    ),
+
+    addTransfer: ({ asset_id, fromLocationId, toLocationId, transferredBy = null, reason = null }, { runQuery = query } = {}) => runQuery(
+        'INSERT INTO AssetTransfer (asset_id, fromLocationId, toLocationId, transferredBy, reason) VALUES (?, ?, ?, ?, ?)',
+        [asset_id, fromLocationId, toLocationId, transferredBy, reason]
+    )
+};
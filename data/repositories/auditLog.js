@@ -0,0 +1,130 @@
+const { query, transaction, quote } = require('../db');
+const { currentActor } = require('../../middleware/audit');
+const { pad, toDateString } = require('../../utils/dates');
+
+/**
+ * One write to an audited table.
+ * @typedef {Object} AuditEntry
+ * @property {number} auditId
+ * @property {string} entity - the table, e.g. Person
+ * @property {string} entityId
+ * @property {string} action - create, update, delete or restore
+ * @property {number} [actorId] - the user; empty for scripts
+ * @property {string} [actorName]
+ * @property {string} [ip]
+ * @property {string} [requestId]
+ * @property {Object} changes - { column: { from, to } } for every column the write changed
+ * @property {Object} [snapshot] - the whole row after the write (before it, for a delete)
+ * @property {string} createdAt
+ */
+
+const COLUMNS = ['auditId', 'entity', 'entityId', 'action', 'actorId', 'actorName', 'ip', 'requestId', 'changes', 'snapshot', 'createdAt'];
+
+// Values of hidden columns (User.password) never reach the log; only the fact that they changed
+const HIDDEN_VALUE = '[hidden]';
+
+// DATE columns are logged as YYYY-MM-DD and DATETIMEs as local 'YYYY-MM-DD HH:MM:SS', so a snapshot can be written back
+const auditValue = (value) => {
+    if (value === undefined) return null;
+    if (!(value instanceof Date)) return value;
+    const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    return time === '00:00:00' ? toDateString(value) : `${toDateString(value)} ${time}`;
+};
+
+// { column: { from, to } } for every column that differs; before or after is null for an insert or delete
+const diffRows = (before, after, hiddenColumns = []) => {
+    const columns = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return columns.reduce((changes, column) => {
+        const from = before ? auditValue(before[column]) : null;
+        const to = after ? auditValue(after[column]) : null;
+        if (JSON.stringify(from) === JSON.stringify(to)) return changes;
+        changes[column] = hiddenColumns.includes(column) ? { from: HIDDEN_VALUE, to: HIDDEN_VALUE } : { from, to };
+        return changes;
+    }, {});
+};
+
+const snapshotOf = (row, hiddenColumns = []) => Object.fromEntries(Object.entries(row)
+    .filter(([column]) => !hiddenColumns.includes(column))
+    .map(([column, value]) => [column, auditValue(value)]));
+
+const readRows = async (entity, ids, runQuery) => {
+    if (!ids.length) return new Map();
+    const rows = await runQuery(
+        `SELECT ${entity.columns.map(quote).join(', ')} FROM ${entity.table} WHERE ${quote(entity.idColumn)} IN (?)`,
+        [ids]
+    );
+    return new Map(rows.map((row) => [String(row[entity.idColumn]), row]));
+};
+
+// MySQL hands JSON columns back as strings
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+const toEntry = (row) => ({ ...row, changes: parseJson(row.changes), snapshot: parseJson(row.snapshot) });
+
+const record = ({ entity, entityId, action, changes, snapshot }, { runQuery = query } = {}) => {
+    const actor = currentActor();
+    return runQuery(
+        `INSERT INTO AuditLog (entity, entityId, action, actorId, actorName, ip, requestId, changes, snapshot)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            entity, String(entityId), action, actor.actorId, actor.actorName, actor.ip, actor.requestId,
+            JSON.stringify(changes), snapshot ? JSON.stringify(snapshot) : null
+        ]
+    );
+};
+
+/**
+ * Run write(runQuery) and log every listed row of entity that it created, changed or deleted, with
+ * the current actor (middleware/audit.js). The write and its log entries share one transaction, the
+ * caller's when runQuery is given. entity is a repository definition ({ table, idColumn, columns,
+ * hiddenColumns }); an insert's id comes from its result. logAs records another action, e.g. restore.
+ */
+const captureChanges = (entity, { action, ids = [], runQuery, logAs }, write) => transaction(async (run) => {
+    const before = action === 'create' ? new Map() : await readRows(entity, ids, run);
+    const result = await write(run);
+    if (!result.affectedRows) return result;
+
+    const written = action === 'create' ? [result.insertId || ids[0]] : ids;
+    const after = action === 'delete' ? new Map() : await readRows(entity, written, run);
+    for (const id of written) {
+        const old = before.get(String(id)) || null;
+        const now = after.get(String(id)) || null;
+        const changes = diffRows(old, now, entity.hiddenColumns);
+        if (!Object.keys(changes).length) continue;
+        await record({
+            entity: entity.table,
+            entityId: id,
+            action: logAs || action,
+            changes,
+            snapshot: snapshotOf(now || old, entity.hiddenColumns)
+        }, { runQuery: run });
+    }
+    return result;
+}, { runQuery });
+
+module.exports = {
+    // For the list route; filter on any column, e.g. entity=Person&entityId=12
+    entity: {
+        name: 'Audit entry',
+        table: 'AuditLog',
+        idColumn: 'auditId',
+        columns: COLUMNS,
+        mapRow: toEntry
+    },
+
+    diffRows,
+    captureChanges,
+
+    findEntry: async (auditId) => {
+        const rows = await query(`SELECT ${COLUMNS.map(quote).join(', ')} FROM AuditLog WHERE auditId = ?`, [auditId]);
+        return rows[0] ? toEntry(rows[0]) : null;
+    },
+
+    // One record's entries, newest first
+    findHistory: async (entity, entityId) => {
+        const rows = await query(
+            `SELECT ${COLUMNS.map(quote).join(', ')} FROM AuditLog WHERE entity = ? AND entityId = ? ORDER BY auditId DESC`,
+            [entity, String(entityId)]
+        );
+        return rows.map(toEntry);
+    }
+};
@@ -0,0 +1,176 @@
+const { query, quote, transaction } = require('../db');
+const { captureChanges } = require('./auditLog');
+const { conflict } = require('../../utils/errors');
+const { etagOf, matchesEtag } = require('../../utils/etag');
+
+const NO_SCOPE = { sql: '1=1', values: [] };
+
+/**
+ * Build the parameterized CRUD helpers shared by every entity repository.
+ *   entity.table          - table name
+ *   entity.idColumn       - primary key column
+ *   entity.columns        - every column, including the id
+ *   entity.hiddenColumns  - columns never returned by the find helpers (e.g. User.password)
+ *   entity.readOnlyColumns - columns returned but never written by create/replace/update
+ *                           (values maintained elsewhere, e.g. Person giving totals)
+ *   entity.audited        - log every create/replace/update/remove to AuditLog with the row before and after
+ *   entity.softDelete     - remove() stamps deletedAt/deletedBy instead of deleting; the find and update helpers
+ *                           skip those rows until restore() puts them back or purge() deletes them for good
+ * Identifiers only ever come from these fixed lists; every value is sent as a ? placeholder.
+ * Helpers that touch existing rows take an optional { scope } clause from middleware/scope.
+ * Every helper also takes { runQuery } so it can run on a transaction's connection (see db.transaction);
+ * writes also take { auditAction } to log them as another action (see data/audit.js).
+ * replace and update take { ifMatch }, an If-Match header checked against the row's ETag (utils/etag.js).
+ */
+const createRepository = (entity) => {
+    const hidden = entity.hiddenColumns || [];
+    const readOnly = entity.readOnlyColumns || [];
+    const visibleColumns = entity.columns.filter((column) => !hidden.includes(column));
+    const writableColumns = entity.columns.filter((column) => !readOnly.includes(column));
+    const selectList = (withHidden) => (withHidden ? entity.columns : visibleColumns).map(quote).join(', ');
+    const idWhere = `${quote(entity.idColumn)} = ?`;
+    const present = (data, columns) => columns.filter((column) => data[column] !== undefined);
+
+    // Deleted rows are invisible to every helper except findDeleted, restore and purge
+    const live = entity.softDelete ? ` AND ${quote('deletedAt')} IS NULL` : '';
+    const deletedRows = ` AND ${quote('deletedAt')} IS NOT NULL`;
+    const deletedList = `${selectList(false)}, ${quote('deletedAt')}, ${quote('deletedBy')}`;
+
+    // Writes of audited entities go through captureChanges, in their own transaction unless runQuery is given.
+    // The log sees deletedAt/deletedBy too, so deleting and restoring show up as changes.
+    const audited = entity.softDelete ? { ...entity, columns: [...entity.columns, 'deletedAt', 'deletedBy'] } : entity;
+    const write = (action, ids, { runQuery, auditAction }, run) => (entity.audited
+        ? captureChanges(audited, { action, ids, runQuery, logAs: auditAction }, run)
+        : run(runQuery || query));
+
+    // With an If-Match header the row is locked and only written while its ETag still matches; otherwise
+    // the write is refused with a 409 carrying the row as it now is. A missing row is left to the write.
+    // The ETag covers the hidden columns too (a new password is a change), but the 409 never carries them.
+    const guard = (id, scope, { ifMatch, ...options }, run) => {
+        if (!ifMatch) return run(options);
+        return transaction(async (runQuery) => {
+            const [current] = await runQuery(
+                `SELECT ${selectList(true)} FROM ${entity.table} WHERE ${idWhere} AND ${scope.sql}${live} FOR UPDATE`,
+                [id, ...scope.values]
+            );
+            if (current && !matchesEtag(ifMatch, current)) {
+                const visible = Object.fromEntries(Object.entries(current).filter(([column]) => !hidden.includes(column)));
+                throw conflict(`${entity.name} has been changed since you read it`, { etag: etagOf(current), current: visible });
+            }
+            return run({ ...options, runQuery });
+        }, options);
+    };
+
+    // Soft delete: one deletedAt for the whole call, so rows deleted together can be restored together
+    const trash = (ids, { scope = NO_SCOPE, deletedAt = new Date(), deletedBy = null, ...options } = {}) => write('delete', ids, options, (runQuery) => runQuery(
+        `UPDATE ${entity.table} SET ${quote('deletedAt')} = ?, ${quote('deletedBy')} = ?
+        WHERE ${quote(entity.idColumn)} IN (?)${live} AND ${scope.sql}`,
+        [deletedAt, deletedBy, ids, ...scope.values]
+    ));
+
+    return {
+        entity: { ...entity, columns: visibleColumns },
+
+        findAll: ({ scope = NO_SCOPE, withHidden = false, runQuery = query } = {}) => runQuery(
+            `SELECT ${selectList(withHidden)} FROM ${entity.table} WHERE ${scope.sql}${live} ORDER BY ${quote(entity.idColumn)}`,
+            scope.values
+        ),
+
+        // Resolves to the row, or null when it does not exist or is outside the scope
+        findById: async (id, { scope = NO_SCOPE, withHidden = false, runQuery = query } = {}) => {
+            const rows = await runQuery(
+                `SELECT ${selectList(withHidden)} FROM ${entity.table} WHERE ${idWhere} AND ${scope.sql}${live}`,
+                [id, ...scope.values]
+            );
+            return rows[0] || null;
+        },
+
+        findOneBy: async (column, value, { withHidden = false, runQuery = query } = {}) => {
+            if (!entity.columns.includes(column)) throw new Error(`Unknown column '${column}'`);
+            const rows = await runQuery(`SELECT ${selectList(withHidden)} FROM ${entity.table} WHERE ${quote(column)} = ?${live}`, [value]);
+            return rows[0] || null;
+        },
+
+        // Insert the supplied columns only; the driver's OkPacket (insertId, affectedRows) is returned
+        create: (data, options = {}) => {
+            const columns = present(data, writableColumns);
+            return write('create', [data[entity.idColumn]], options, (runQuery) => runQuery(
+                `INSERT INTO ${entity.table} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map((column) => data[column])
+            ));
+        },
+
+        // Full replacement: every listed column is written, missing values become NULL
+        replace: (id, data, { scope = NO_SCOPE, columns = writableColumns, ...options } = {}) => {
+            const targets = columns.filter((column) => column !== entity.idColumn && !readOnly.includes(column));
+            return guard(id, scope, options, (guarded) => write('update', [id], guarded, (runQuery) => runQuery(
+                `UPDATE ${entity.table} SET ${targets.map((column) => `${quote(column)} = ?`).join(', ')} WHERE ${idWhere} AND ${scope.sql}${live}`,
+                [...targets.map((column) => (data[column] === undefined ? null : data[column])), id, ...scope.values]
+            )));
+        },
+
+        // Partial update: only the columns present in data are written
+        update: (id, data, { scope = NO_SCOPE, ...options } = {}) => {
+            const targets = present(data, writableColumns).filter((column) => column !== entity.idColumn);
+            if (!targets.length) return Promise.resolve({ affectedRows: 0, changedRows: 0 });
+            return guard(id, scope, options, (guarded) => write('update', [id], guarded, (runQuery) => runQuery(
+                `UPDATE ${entity.table} SET ${targets.map((column) => `${quote(column)} = ?`).join(', ')} WHERE ${idWhere} AND ${scope.sql}${live}`,
+                [...targets.map((column) => data[column]), id, ...scope.values]
+            )));
+        },
+
+        // Soft-deleted entities take { deletedAt, deletedBy } and keep the row in the recycle bin
+        remove: (id, { scope = NO_SCOPE, ...options } = {}) => (entity.softDelete
+            ? trash([id], { scope, ...options })
+            : write('delete', [id], options, (runQuery) => runQuery(
+                `DELETE FROM ${entity.table} WHERE ${idWhere} AND ${scope.sql}`,
+                [id, ...scope.values]
+            ))),
+
+        ...(entity.softDelete && {
+            // Soft-delete several rows with one deletedAt, e.g. a church's people along with it
+            removeAll: (ids, options = {}) => (ids.length ? trash(ids, options) : Promise.resolve({ affectedRows: 0 })),
+
+            // A row in the recycle bin, with deletedAt and deletedBy
+            findDeleted: async (id, { scope = NO_SCOPE, runQuery = query } = {}) => {
+                const rows = await runQuery(
+                    `SELECT ${deletedList} FROM ${entity.table} WHERE ${idWhere} AND ${scope.sql}${deletedRows}`,
+                    [id, ...scope.values]
+                );
+                return rows[0] || null;
+            },
+
+            // Ids of the live rows whose column matches value; deleted: true for those in the recycle bin
+            // instead, or a deletedAt for the ones deleted at that moment (e.g. along with their church)
+            findIdsBy: async (column, value, { deleted = false, runQuery = query } = {}) => {
+                if (!entity.columns.includes(column)) throw new Error(`Unknown column '${column}'`);
+                const [state, values] = deleted instanceof Date
+                    ? [` AND ${quote('deletedAt')} = ?`, [deleted]]
+                    : [deleted ? deletedRows : live, []];
+                const rows = await runQuery(
+                    `SELECT ${quote(entity.idColumn)} FROM ${entity.table} WHERE ${quote(column)} = ?${state}`,
+                    [value, ...values]
+                );
+                return rows.map((row) => row[entity.idColumn]);
+            },
+
+            // Take rows out of the recycle bin; logged as a restore
+            restore: (ids, { scope = NO_SCOPE, ...options } = {}) => write('update', ids, { auditAction: 'restore', ...options }, (runQuery) => runQuery(
+                `UPDATE ${entity.table} SET ${quote('deletedAt')} = NULL, ${quote('deletedBy')} = NULL
+                WHERE ${quote(entity.idColumn)} IN (?) AND ${scope.sql}${deletedRows}`,
+                [ids, ...scope.values]
+            )),
+
+            // Delete a row in the recycle bin for good; live rows are never purged
+            purge: (ids, options = {}) => write('delete', ids, { auditAction: 'purge', ...options }, (runQuery) => runQuery(
+                `DELETE FROM ${entity.table} WHERE ${quote(entity.idColumn)} IN (?)${deletedRows}`,
+                [ids]
+            ))
+        })
+    };
+};
+
+module.exports = {
+    NO_SCOPE,
+    createRepository
+};
@@ -0,0 +1,87 @@
+const { query, upsertClause } = require('../db');
+const { createRepository } = require('./base');
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {number} id
+ * @property {string} name
+ * @property {string} [time]
+ * @property {string} [month] - legacy; kept in step with startDate
+ * @property {number} [year] - legacy; kept in step with startDate
+ * @property {string} [department]
+ * @property {string} [region]
+ * @property {number} [dayFrom] - legacy; kept in step with startDate
+ * @property {number} [dayTo] - legacy; kept in step with endDate
+ * @property {number} [capacity] - places available; empty for unlimited
+ * @property {number} [fee] - registration fee; empty or 0 for free events
+ * @property {string} [startDate] - the first (or only) day
+ * @property {string} [endDate] - last day of each occurrence, for multi-day events
+ * @property {string} [startTime]
+ * @property {string} [endTime]
+ * @property {string} [rrule] - iCalendar recurrence rule, e.g. FREQ=WEEKLY;BYDAY=SU
+ * @property {string} [location]
+ * @property {string} [description]
+ * @property {number} [churchId] - set for a single church's events
+ * @property {string} [uid] - iCalendar UID of an imported event
+ */
+
+const repository = createRepository({
+    name: 'Calendar event',
+    table: 'Calendar',
+    idColumn: 'id',
+    audited: true,
+    columns: [
+        'id', 'name', 'time', 'month', 'year', 'department', 'region', 'dayFrom', 'dayTo', 'capacity', 'fee',
+        'startDate', 'endDate', 'startTime', 'endTime', 'rrule', 'location', 'description', 'churchId', 'uid'
+    ],
+    required: ['name']
+});
+
+const ANY_REGION = (column) => `(${column} = ? OR ${column} IS NULL OR ${column} = '')`;
+
+module.exports = {
+    ...repository,
+
+    /**
+     * Events for a calendar view or feed. church (a Church row) gives that church's own events plus the
+     * region-wide and ministry-wide ones; region gives region-wide and ministry-wide events; department
+     * narrows either. scope is a regionScopeClause.
+     */
+    findForCalendar: ({ region, department, church, scope }) => {
+        const conditions = [scope.sql];
+        const values = [...scope.values];
+        if (church) {
+            conditions.push(`(churchId = ? OR (churchId IS NULL AND ${ANY_REGION('region')}))`);
+            values.push(church.churchId, church.region);
+        } else if (region !== undefined) {
+            conditions.push(`churchId IS NULL AND ${ANY_REGION('region')}`);
+            values.push(region);
+        }
+        if (department !== undefined) {
+            conditions.push('department = ?');
+            values.push(department);
+        }
+        return query(`SELECT * FROM Calendar WHERE ${conditions.join(' AND ')} ORDER BY startDate, id`, values);
+    },
+
+    exceptionsFor: (calendarIds, { runQuery = query } = {}) => (calendarIds.length
+        ? runQuery('SELECT * FROM CalendarException WHERE calendarId IN (?) ORDER BY calendarId, date', [calendarIds])
+        : Promise.resolve([])),
+
+    saveException: ({ calendarId, date, movedTo = null, startTime = null, note = null }, { runQuery = query } = {}) => runQuery(
+        `INSERT INTO CalendarException (calendarId, date, movedTo, startTime, note) VALUES (?, ?, ?, ?, ?)
+        ${upsertClause(['calendarId', 'date'], ['movedTo', 'startTime', 'note'])}`,
+        [calendarId, date, movedTo, startTime, note]
+    ),
+
+    removeException: (calendarId, date, { runQuery = query } = {}) => runQuery(
+        'DELETE FROM CalendarException WHERE calendarId = ? AND date = ?',
+        [calendarId, date]
+    ),
+
+    clearExceptions: (calendarId, { runQuery = query } = {}) => runQuery('DELETE FROM CalendarException WHERE calendarId = ?', [calendarId]),
+
+    findByUids: (uids, { runQuery = query } = {}) => (uids.length
+        ? runQuery('SELECT * FROM Calendar WHERE uid IN (?)', [uids])
+        : Promise.resolve([]))
+};
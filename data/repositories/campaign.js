@@ -0,0 +1,39 @@
+const { query } = require('../db');
+const { createRepository } = require('./base');
+
+/**
+ * A fundraising campaign (building fund, outreach, ...).
+ * @typedef {Object} Campaign
+ * @property {number} campaignId
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number} [churchId] - the running church; empty for a ministry-wide campaign
+ * @property {number} targetAmount
+ * @property {string} startDate
+ * @property {string} [endDate]
+ * @property {string} createdAt
+ */
+
+const repository = createRepository({
+    name: 'Campaign',
+    table: 'Campaign',
+    idColumn: 'campaignId',
+    churchScoped: true,
+    columns: ['campaignId', 'name', 'description', 'churchId', 'targetAmount', 'startDate', 'endDate', 'createdAt'],
+    required: ['name', 'targetAmount', 'startDate']
+});
+
+module.exports = {
+    ...repository,
+
+    // Pledged and paid totals for a campaign per pledger's church
+    progressByChurch: (campaignId) => query(
+        `SELECT pl.churchId, c.churchName, c.region, COUNT(*) AS pledges,
+            COALESCE(SUM(pl.amount), 0) AS pledged, COALESCE(SUM(pl.paid), 0) AS raised
+        FROM Pledge pl LEFT JOIN Church c ON c.churchId = pl.churchId
+        WHERE pl.campaignId = ?
+        GROUP BY pl.churchId, c.churchName, c.region
+        ORDER BY raised DESC, pl.churchId`,
+        [campaignId]
+    )
+};
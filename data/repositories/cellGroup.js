@@ -0,0 +1,108 @@
+const { query } = require('../db');
+const { createRepository } = require('./base');
+const { captureChanges } = require('./auditLog');
+const Person = require('./person');
+
+/**
+ * @typedef {Object} CellGroup
+ * @property {number} cellGroupId
+ * @property {string} name
+ * @property {number} churchId - the parent church
+ * @property {number} [leaderId] - the leader's Person
+ * @property {string} [hostLocation]
+ * @property {string} [meetingDay] - Monday .. Sunday
+ * @property {string} [meetingTime]
+ * @property {number} [parentCellGroupId] - the cell this one multiplied from
+ * @property {string} createdAt
+ */
+
+const repository = createRepository({
+    name: 'Cell group',
+    table: 'CellGroup',
+    idColumn: 'cellGroupId',
+    churchScoped: true,
+    columns: [
+        'cellGroupId', 'name', 'churchId', 'leaderId', 'hostLocation', 'meetingDay', 'meetingTime',
+        'parentCellGroupId', 'createdAt'
+    ],
+    required: ['name', 'churchId']
+});
+
+module.exports = {
+    ...repository,
+
+    members: (cellGroupId, { runQuery = query } = {}) => runQuery(
+        `SELECT p.personId, p.name, p.surname, p.contactNumber, m.joinedAt
+        FROM CellGroupMember m JOIN Person p ON p.personId = m.personId AND p.deletedAt IS NULL
+        WHERE m.cellGroupId = ?
+        ORDER BY p.surname, p.name`,
+        [cellGroupId]
+    ),
+
+    // The cell each of these people currently belongs to
+    membershipsOf: (personIds, { runQuery = query } = {}) => (personIds.length
+        ? runQuery('SELECT cellGroupId, personId FROM CellGroupMember WHERE personId IN (?)', [personIds])
+        : Promise.resolve([])),
+
+    addMember: (cellGroupId, personId, joinedAt, { runQuery = query } = {}) => runQuery(
+        'INSERT INTO CellGroupMember (cellGroupId, personId, joinedAt) VALUES (?, ?, ?)',
+        [cellGroupId, personId, joinedAt]
+    ),
+
+    removeMember: (cellGroupId, personId, { runQuery = query } = {}) => runQuery(
+        'DELETE FROM CellGroupMember WHERE cellGroupId = ? AND personId = ?',
+        [cellGroupId, personId]
+    ),
+
+    moveMembers: (fromCellGroupId, toCellGroupId, personIds, { runQuery = query } = {}) => runQuery(
+        'UPDATE CellGroupMember SET cellGroupId = ? WHERE cellGroupId = ? AND personId IN (?)',
+        [toCellGroupId, fromCellGroupId, personIds]
+    ),
+
+    // Keep the legacy free-text columns on Person in step with cell membership; the changes are audited like Person edits
+    syncPersonCell: (personIds, { cellLeader, cellLocation }, { runQuery } = {}) => (personIds.length
+        ? captureChanges(Person.entity, { action: 'update', ids: personIds, runQuery }, (run) => run(
+            'UPDATE Person SET cellLeader = ?, cellLocation = ? WHERE personId IN (?)',
+            [cellLeader, cellLocation, personIds]
+        ))
+        : Promise.resolve({ affectedRows: 0 })),
+
+    findMeeting: async (cellGroupId, meetingDate, { runQuery = query } = {}) => {
+        const rows = await runQuery(
+            'SELECT meetingId, cellGroupId, meetingDate, visitors, notes FROM CellMeeting WHERE cellGroupId = ? AND meetingDate = ?',
+            [cellGroupId, meetingDate]
+        );
+        return rows[0] || null;
+    },
+
+    createMeeting: ({ cellGroupId, meetingDate, visitors, notes }, { runQuery = query } = {}) => runQuery(
+        'INSERT INTO CellMeeting (cellGroupId, meetingDate, visitors, notes) VALUES (?, ?, ?, ?)',
+        [cellGroupId, meetingDate, visitors, notes === undefined ? null : notes]
+    ),
+
+    updateMeeting: (meetingId, { visitors, notes }, { runQuery = query } = {}) => runQuery(
+        'UPDATE CellMeeting SET visitors = ?, notes = ? WHERE meetingId = ?',
+        [visitors, notes === undefined ? null : notes, meetingId]
+    ),
+
+    // Replace who was present at a meeting
+    setAttendance: async (meetingId, personIds, { runQuery = query } = {}) => {
+        await runQuery('DELETE FROM CellAttendance WHERE meetingId = ?', [meetingId]);
+        if (!personIds.length) return;
+        await runQuery('INSERT INTO CellAttendance (meetingId, personId) VALUES ?', [personIds.map((personId) => [meetingId, personId])]);
+    },
+
+    // Meetings between from and to with the number of members present
+    meetings: (cellGroupId, { from, to }) => query(
+        `SELECT mt.meetingId, mt.meetingDate, mt.visitors, mt.notes, COUNT(a.personId) AS present
+        FROM CellMeeting mt LEFT JOIN CellAttendance a ON a.meetingId = mt.meetingId
+        WHERE mt.cellGroupId = ? AND mt.meetingDate >= ? AND mt.meetingDate <= ?
+        GROUP BY mt.meetingId, mt.meetingDate, mt.visitors, mt.notes
+        ORDER BY mt.meetingDate DESC`,
+        [cellGroupId, from, to]
+    ),
+
+    attendees: (meetingIds) => (meetingIds.length
+        ? query('SELECT meetingId, personId FROM CellAttendance WHERE meetingId IN (?)', [meetingIds])
+        : Promise.resolve([]))
+};
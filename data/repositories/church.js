@@ -0,0 +1,23 @@
+const { createRepository } = require('./base');
+
+/**
+ * @typedef {Object} Church
+ * @property {number} churchId
+ * @property {string} churchName
+ * @property {string} location
+ * @property {string} [branch]
+ * @property {string} [province]
+ * @property {string} [city]
+ * @property {string} [region]
+ * @property {number} [pastorId]
+ */
+
+module.exports = createRepository({
+    name: 'Church',
+    table: 'Church',
+    idColumn: 'churchId',
+    audited: true,
+    softDelete: true,
+    columns: ['churchId', 'churchName', 'location', 'branch', 'province', 'city', 'region', 'pastorId'],
+    required: ['churchName', 'location']
+});
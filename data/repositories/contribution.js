@@ -0,0 +1,115 @@
+const { query } = require('../db');
+const { createRepository } = require('./base');
+const { captureChanges } = require('./auditLog');
+const Person = require('./person');
+
+/**
+ * One gift in the giving ledger.
+ * @typedef {Object} Contribution
+ * @property {number} contributionId
+ * @property {number} [personId] - the giver; empty for anonymous offerings
+ * @property {number} churchId
+ * @property {string} type - tithe, seed, registration, offering or pledge
+ * @property {number} [pledgeId] - the pledge a pledge payment goes towards
+ * @property {number} amount
+ * @property {string} date - the day it was given, matching Stats.date for service collections
+ * @property {string} paymentMethod
+ * @property {string} [reference] - receipt, slip or transaction number
+ * @property {string} [notes]
+ * @property {number} [recordedBy] - the User who captured it
+ * @property {string} createdAt
+ */
+
+const repository = createRepository({
+    name: 'Contribution',
+    table: 'Contribution',
+    idColumn: 'contributionId',
+    churchScoped: true,
+    columns: [
+        'contributionId', 'personId', 'churchId', 'type', 'pledgeId', 'amount', 'date', 'paymentMethod', 'reference',
+        'notes', 'recordedBy', 'createdAt'
+    ],
+    required: ['churchId', 'type', 'amount', 'date']
+});
+
+// Narrow ct.* rows by churchId, region or province (the last two via the joined Church c)
+const filterConditions = (filters, conditions, values) => {
+    if (filters.churchId !== undefined) {
+        conditions.push('ct.churchId = ?');
+        values.push(filters.churchId);
+    }
+    ['region', 'province'].filter((column) => filters[column] !== undefined).forEach((column) => {
+        conditions.push(`c.${column} = ?`);
+        values.push(filters[column]);
+    });
+};
+
+module.exports = {
+    ...repository,
+
+    // One person's gifts between from and to, oldest first
+    forPerson: (personId, { from, to }) => query(
+        `SELECT contributionId, churchId, type, amount, date, paymentMethod, reference, notes
+        FROM Contribution
+        WHERE personId = ? AND date >= ? AND date <= ?
+        ORDER BY date, contributionId`,
+        [personId, from, to]
+    ),
+
+    // Payments towards a pledge, oldest first
+    forPledge: (pledgeId, { runQuery = query } = {}) => runQuery(
+        `SELECT contributionId, amount, date, paymentMethod, reference, notes
+        FROM Contribution
+        WHERE pledgeId = ?
+        ORDER BY date, contributionId`,
+        [pledgeId]
+    ),
+
+    // Amounts per church and day for the given types, for reconciling against Stats.offering
+    dailyTotals: ({ from, to, types, filters = {}, scope }) => {
+        const conditions = ['ct.date >= ?', 'ct.date <= ?', 'ct.type IN (?)', scope.sql];
+        const values = [from, to, types, ...scope.values];
+        filterConditions(filters, conditions, values);
+        return query(
+            `SELECT ct.churchId, c.churchName, ct.date, COUNT(*) AS gifts, COALESCE(SUM(ct.amount), 0) AS amount
+            FROM Contribution ct LEFT JOIN Church c ON c.churchId = ct.churchId
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY ct.churchId, c.churchName, ct.date`,
+            values
+        );
+    },
+
+    // Each named giver's totals of the given types per receiving church and type between from and to, with their names
+    giverTotals: ({ from, to, types, personIds, filters = {}, scope }) => {
+        const conditions = ['ct.date >= ?', 'ct.date <= ?', 'ct.type IN (?)', 'ct.personId IS NOT NULL', scope.sql];
+        const values = [from, to, types, ...scope.values];
+        if (personIds) {
+            conditions.push('ct.personId IN (?)');
+            values.push(personIds);
+        }
+        filterConditions(filters, conditions, values);
+        return query(
+            `SELECT ct.personId, p.name, p.surname, p.address, ct.churchId, c.churchName, c.city, c.province,
+                ct.type, COUNT(*) AS gifts, COALESCE(SUM(ct.amount), 0) AS amount
+            FROM Contribution ct
+                JOIN Person p ON p.personId = ct.personId AND p.deletedAt IS NULL
+                LEFT JOIN Church c ON c.churchId = ct.churchId
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY ct.personId, p.name, p.surname, p.address, ct.churchId, c.churchName, c.city, c.province, ct.type
+            ORDER BY ct.churchId, p.surname, p.name, ct.personId`,
+            values
+        );
+    },
+
+    // Refresh the legacy Person.regContribution/seedContribution/amount totals from the ledger; the changes are audited like Person edits
+    syncPersonTotals: (personIds, { runQuery } = {}) => (personIds.length
+        ? captureChanges(Person.entity, { action: 'update', ids: personIds, runQuery }, (run) => run(
+            `UPDATE Person p SET
+                regContribution = (SELECT COALESCE(SUM(amount), 0) FROM Contribution WHERE personId = p.personId AND type = 'registration'),
+                seedContribution = (SELECT COALESCE(SUM(amount), 0) FROM Contribution WHERE personId = p.personId AND type = 'seed'),
+                amount = (SELECT COALESCE(SUM(amount), 0) FROM Contribution WHERE personId = p.personId)
+            WHERE p.personId IN (?)`,
+            [personIds]
+        ))
+        : Promise.resolve({ affectedRows: 0 }))
+};
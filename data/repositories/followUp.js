@@ -0,0 +1,87 @@
+const { query } = require('../db');
+const { createRepository } = require('./base');
+
+/**
+ * A new convert or visitor being followed up, one per Person.
+ * @typedef {Object} FollowUp
+ * @property {number} followUpId
+ * @property {number} personId
+ * @property {number} churchId
+ * @property {string} source - 'saved' or 'visitor'
+ * @property {string} serviceDate - the service they were counted at, matching Stats.date
+ * @property {string} stage
+ * @property {string} stageChangedAt
+ * @property {string} [dueDate] - next step is overdue after this date
+ * @property {number} [leaderId] - the cell leader's Person
+ * @property {string} [notes]
+ * @property {string} createdAt
+ */
+
+const repository = createRepository({
+    name: 'Follow-up',
+    table: 'FollowUp',
+    idColumn: 'followUpId',
+    churchScoped: true,
+    columns: [
+        'followUpId', 'personId', 'churchId', 'source', 'serviceDate', 'stage', 'stageChangedAt',
+        'dueDate', 'leaderId', 'notes', 'createdAt'
+    ],
+    required: ['personId', 'churchId', 'source', 'serviceDate']
+});
+
+module.exports = {
+    ...repository,
+
+    // Stage changes, oldest first
+    history: (followUpId, { runQuery = query } = {}) => runQuery(
+        'SELECT stage, changedAt, changedBy, notes FROM FollowUpStage WHERE followUpId = ? ORDER BY changedAt, id',
+        [followUpId]
+    ),
+
+    addStage: ({ followUpId, stage, changedBy, notes }, { runQuery = query } = {}) => runQuery(
+        'INSERT INTO FollowUpStage (followUpId, stage, changedBy, notes) VALUES (?, ?, ?, ?)',
+        [followUpId, stage, changedBy === undefined ? null : changedBy, notes === undefined ? null : notes]
+    ),
+
+    // Follow-ups whose due date is before asOf, with the person's and leader's names
+    findOverdue: ({ asOf, leaderId, scope }) => {
+        const conditions = ['f.dueDate < ?', scope.sql];
+        const values = [asOf, ...scope.values];
+        if (leaderId !== undefined) {
+            conditions.push('f.leaderId = ?');
+            values.push(leaderId);
+        }
+        return query(
+            `SELECT f.followUpId, f.personId, p.name, p.surname, p.contactNumber, f.churchId, f.source,
+                f.serviceDate, f.stage, f.stageChangedAt, f.dueDate, f.leaderId,
+                l.name AS leaderName, l.surname AS leaderSurname
+            FROM FollowUp f
+                JOIN Person p ON p.personId = f.personId AND p.deletedAt IS NULL
+                LEFT JOIN Person l ON l.personId = f.leaderId AND l.deletedAt IS NULL
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY f.leaderId, f.dueDate, f.followUpId`,
+            values
+        );
+    },
+
+    // Named people per church, service date and source, for reconciling against Stats counts
+    countsByService: ({ from, to, filters = {}, scope }) => {
+        const conditions = ['f.serviceDate >= ?', 'f.serviceDate <= ?', scope.sql];
+        const values = [from, to, ...scope.values];
+        if (filters.churchId !== undefined) {
+            conditions.push('f.churchId = ?');
+            values.push(filters.churchId);
+        }
+        ['region', 'province'].filter((column) => filters[column] !== undefined).forEach((column) => {
+            conditions.push(`c.${column} = ?`);
+            values.push(filters[column]);
+        });
+        return query(
+            `SELECT f.churchId, c.churchName, f.serviceDate, f.source, COUNT(*) AS people
+            FROM FollowUp f LEFT JOIN Church c ON c.churchId = f.churchId
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY f.churchId, c.churchName, f.serviceDate, f.source`,
+            values
+        );
+    }
+};
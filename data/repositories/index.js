@@ -0,0 +1,18 @@
+// One parameterized repository per table; routes go through these instead of writing SQL
+module.exports = {
+    Church: require('./church'),
+    Person: require('./person'),
+    Stats: require('./stats'),
+    User: require('./user'),
+    Calendar: require('./calendar'),
+    Assets: require('./assets'),
+    Locations: require('./locations'),
+    MaintenanceSchedule: require('./maintenanceSchedule'),
+    FollowUp: require('./followUp'),
+    CellGroup: require('./cellGroup'),
+    Contribution: require('./contribution'),
+    Campaign: require('./campaign'),
+    Pledge: require('./pledge'),
+    Registration: require('./registration'),
+    AuditLog: require('./auditLog')
+};
@@ -0,0 +1,19 @@
+const { createRepository } = require('./base');
+
+/**
+ * @typedef {Object} Location
+ * @property {number} location_id
+ * @property {string} name
+ * @property {string} address
+ * @property {string} contact_person
+ * @property {string} contact_phone
+ */
+
+module.exports = createRepository({
+    name: 'Location',
+    table: 'Locations',
+    idColumn: 'location_id',
+    audited: true,
+    columns: ['location_id', 'name', 'address', 'contact_person', 'contact_phone'],
+    required: ['name', 'address', 'contact_person', 'contact_phone']
+});
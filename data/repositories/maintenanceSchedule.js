@@ -0,0 +1,19 @@
+const { createRepository } = require('./base');
+
+/**
+ * How often the assets of one category are serviced.
+ * @typedef {Object} MaintenanceSchedule
+ * @property {number} scheduleId
+ * @property {string} category - matches Assets.category
+ * @property {number} intervalDays - days between services
+ * @property {number} leadDays - how far ahead an upcoming service is reported as due
+ * @property {string} [task] - what the service involves
+ */
+
+module.exports = createRepository({
+    name: 'Maintenance schedule',
+    table: 'MaintenanceSchedule',
+    idColumn: 'scheduleId',
+    columns: ['scheduleId', 'category', 'intervalDays', 'leadDays', 'task'],
+    required: ['category', 'intervalDays']
+});
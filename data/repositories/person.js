@@ -0,0 +1,38 @@
+const { createRepository } = require('./base');
+
+/**
+ * @typedef {Object} Person
+ * @property {number} personId
+ * @property {string} name
+ * @property {string} surname
+ * @property {number} churchId
+ * @property {string} [address]
+ * @property {string} [comments]
+ * @property {string} [contactNumber]
+ * @property {number|string} [gender]
+ * @property {string} [maritalStatus]
+ * @property {string} [cellLeader]
+ * @property {string} [cellLocation]
+ * @property {string} [ministry]
+ * @property {string} [church]
+ * @property {string} [region]
+ * @property {number} [regContribution] - total registration giving, kept from the Contribution ledger
+ * @property {number} [seedContribution] - total seed giving, kept from the Contribution ledger
+ * @property {number} [amount] - total of all giving, kept from the Contribution ledger
+ */
+
+module.exports = createRepository({
+    name: 'Person',
+    table: 'Person',
+    idColumn: 'personId',
+    audited: true,
+    softDelete: true,
+    churchScoped: true,
+    columns: [
+        'personId', 'address', 'comments', 'contactNumber', 'gender', 'maritalStatus', 'name', 'surname', 'churchId',
+        'cellLeader', 'cellLocation', 'ministry', 'church', 'region', 'regContribution', 'seedContribution', 'amount'
+    ],
+    // Giving now lives in the Contribution ledger; these totals are refreshed from it
+    readOnlyColumns: ['regContribution', 'seedContribution', 'amount'],
+    required: ['name', 'surname']
+});
@@ -0,0 +1,61 @@
+const { query } = require('../db');
+const { createRepository } = require('./base');
+
+/**
+ * A person's promise to give towards a campaign.
+ * @typedef {Object} Pledge
+ * @property {number} pledgeId
+ * @property {number} campaignId
+ * @property {number} personId
+ * @property {number} churchId - the pledger's church
+ * @property {number} amount - the amount promised
+ * @property {number} paid - total of the payments recorded against it
+ * @property {string} pledgeDate
+ * @property {string} [dueDate] - fully paid by this date
+ * @property {string} [notes]
+ * @property {string} createdAt
+ */
+
+const repository = createRepository({
+    name: 'Pledge',
+    table: 'Pledge',
+    idColumn: 'pledgeId',
+    churchScoped: true,
+    columns: ['pledgeId', 'campaignId', 'personId', 'churchId', 'amount', 'paid', 'pledgeDate', 'dueDate', 'notes', 'createdAt'],
+    // paid follows the ledger; record payments instead of writing it
+    readOnlyColumns: ['paid'],
+    required: ['campaignId', 'personId', 'churchId', 'amount', 'pledgeDate']
+});
+
+module.exports = {
+    ...repository,
+
+    // Refresh paid from the pledge payments in the Contribution ledger
+    syncPaid: (pledgeIds, { runQuery = query } = {}) => (pledgeIds.length
+        ? runQuery(
+            `UPDATE Pledge pl SET paid = (SELECT COALESCE(SUM(amount), 0) FROM Contribution WHERE pledgeId = pl.pledgeId)
+            WHERE pl.pledgeId IN (?)`,
+            [pledgeIds]
+        )
+        : Promise.resolve({ affectedRows: 0 })),
+
+    // Pledges with a balance left after their due date, with the pledger and campaign names
+    findOverdue: ({ asOf, filters = {}, scope }) => {
+        const conditions = ['pl.dueDate < ?', 'pl.paid < pl.amount', scope.sql];
+        const values = [asOf, ...scope.values];
+        ['campaignId', 'churchId'].filter((column) => filters[column] !== undefined).forEach((column) => {
+            conditions.push(`pl.${column} = ?`);
+            values.push(filters[column]);
+        });
+        return query(
+            `SELECT pl.pledgeId, pl.campaignId, cp.name AS campaignName, pl.personId, p.name, p.surname, p.contactNumber,
+                pl.churchId, pl.amount, pl.paid, pl.pledgeDate, pl.dueDate
+            FROM Pledge pl
+                JOIN Person p ON p.personId = pl.personId AND p.deletedAt IS NULL
+                JOIN Campaign cp ON cp.campaignId = pl.campaignId
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY pl.dueDate, pl.pledgeId`,
+            values
+        );
+    }
+};
@@ -0,0 +1,125 @@
+const { query, upsertClause } = require('../db');
+const { createRepository } = require('./base');
+
+/**
+ * A person's place at a Calendar event.
+ * @typedef {Object} Registration
+ * @property {number} registrationId
+ * @property {number} calendarId
+ * @property {number} personId
+ * @property {number} churchId - the person's church when they registered
+ * @property {string} status - registered, waitlisted or cancelled
+ * @property {string} checkInCode - the value in the person's QR code
+ * @property {number} [contributionId] - the event fee payment
+ * @property {string} registeredAt - waitlist order
+ * @property {string} [cancelledAt]
+ * @property {string} [checkedInAt]
+ */
+
+const repository = createRepository({
+    name: 'Registration',
+    table: 'Registration',
+    idColumn: 'registrationId',
+    churchScoped: true,
+    columns: [
+        'registrationId', 'calendarId', 'personId', 'churchId', 'status', 'checkInCode', 'contributionId',
+        'registeredAt', 'cancelledAt', 'checkedInAt'
+    ],
+    required: ['calendarId', 'personId', 'churchId', 'checkInCode']
+});
+
+module.exports = {
+    ...repository,
+
+    // Lock the event row so places are counted and taken one registration at a time
+    lockEvent: (calendarId, { runQuery = query } = {}) => runQuery('SELECT id FROM Calendar WHERE id = ? FOR UPDATE', [calendarId]),
+
+    findForPerson: async (calendarId, personId, { runQuery = query } = {}) => {
+        const rows = await runQuery('SELECT * FROM Registration WHERE calendarId = ? AND personId = ?', [calendarId, personId]);
+        return rows[0] || null;
+    },
+
+    // With forUpdate the registration row (not the person's) stays locked until the transaction ends
+    findByCode: async (checkInCode, { forUpdate = false, runQuery = query } = {}) => {
+        const rows = await runQuery(
+            `SELECT r.*, p.name, p.surname
+            FROM Registration r JOIN Person p ON p.personId = r.personId AND p.deletedAt IS NULL
+            WHERE r.checkInCode = ?${forUpdate ? ' FOR UPDATE OF r' : ''}`,
+            [checkInCode]
+        );
+        return rows[0] || null;
+    },
+
+    // Registered, waitlisted, cancelled and checked-in counts for an event
+    counts: async (calendarId, { runQuery = query } = {}) => {
+        const [row] = await runQuery(
+            `SELECT COALESCE(SUM(status = 'registered'), 0) AS registered,
+                COALESCE(SUM(status = 'waitlisted'), 0) AS waitlisted,
+                COALESCE(SUM(status = 'cancelled'), 0) AS cancelled,
+                COUNT(checkedInAt) AS checkedIn
+            FROM Registration WHERE calendarId = ?`,
+            [calendarId]
+        );
+        return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, Number(value)]));
+    },
+
+    // The longest-waiting person on the waitlist
+    nextWaitlisted: async (calendarId, { runQuery = query } = {}) => {
+        const rows = await runQuery(
+            `SELECT * FROM Registration WHERE calendarId = ? AND status = 'waitlisted'
+            ORDER BY registeredAt, registrationId LIMIT 1`,
+            [calendarId]
+        );
+        return rows[0] || null;
+    },
+
+    // The event's whole waitlist, every church's, in the order nextWaitlisted promotes it
+    waitlist: (calendarId, { runQuery = query } = {}) => runQuery(
+        `SELECT registrationId FROM Registration WHERE calendarId = ? AND status = 'waitlisted'
+        ORDER BY registeredAt, registrationId`,
+        [calendarId]
+    ),
+
+    // An event's registrations in sign-up order with names; scope is a churchScopeClause on r.churchId
+    forEvent: (calendarId, { status, scope }) => {
+        const conditions = ['r.calendarId = ?', scope.sql];
+        const values = [calendarId, ...scope.values];
+        if (status !== undefined) {
+            conditions.push('r.status = ?');
+            values.push(status);
+        }
+        return query(
+            `SELECT r.registrationId, r.personId, p.name, p.surname, p.contactNumber, r.churchId, r.status,
+                r.contributionId, r.registeredAt, r.cancelledAt, r.checkedInAt
+            FROM Registration r JOIN Person p ON p.personId = r.personId AND p.deletedAt IS NULL
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY r.registeredAt, r.registrationId`,
+            values
+        );
+    },
+
+    // People checked in per church and day; scope is a churchScopeClause on r.churchId
+    attendanceByChurch: (calendarId, { scope }) => query(
+        `SELECT r.churchId, c.churchName, DATE(r.checkedInAt) AS date, COUNT(*) AS attended
+        FROM Registration r LEFT JOIN Church c ON c.churchId = r.churchId
+        WHERE r.calendarId = ? AND r.checkedInAt IS NOT NULL AND ${scope.sql}
+        GROUP BY r.churchId, c.churchName, DATE(r.checkedInAt)
+        ORDER BY date, r.churchId`,
+        [calendarId, ...scope.values]
+    ),
+
+    postedStats: async (calendarId, churchId, date, { runQuery = query } = {}) => {
+        const rows = await runQuery(
+            'SELECT statsId FROM CalendarStats WHERE calendarId = ? AND churchId = ? AND date = ?',
+            [calendarId, churchId, date]
+        );
+        return rows[0] || null;
+    },
+
+    // Links the event's church and day to a Stats row, replacing a link to one that has since been deleted
+    linkStats: ({ calendarId, churchId, date, statsId }, { runQuery = query } = {}) => runQuery(
+        `INSERT INTO CalendarStats (calendarId, churchId, date, statsId) VALUES (?, ?, ?, ?)
+        ${upsertClause(['calendarId', 'churchId', 'date'], ['statsId'])}`,
+        [calendarId, churchId, date, statsId]
+    )
+};
@@ -0,0 +1,80 @@
+const { query, quote } = require('../db');
+const { createRepository } = require('./base');
+
+/**
+ * One service's attendance and offering for a church.
+ * @typedef {Object} Stats
+ * @property {number} statsId
+ * @property {number} churchId
+ * @property {string} date
+ * @property {number} adult
+ * @property {number} car
+ * @property {number} fk
+ * @property {number} saved
+ * @property {number} offering
+ * @property {number} visitors
+ * @property {number} aow
+ * @property {number} ck
+ */
+
+const repository = createRepository({
+    name: 'Stats',
+    table: 'Stats',
+    idColumn: 'statsId',
+    audited: true,
+    softDelete: true,
+    churchScoped: true,
+    columns: ['statsId', 'adult', 'car', 'fk', 'saved', 'offering', 'visitors', 'date', 'churchId', 'aow', 'ck'],
+    required: ['churchId', 'date']
+});
+
+// Counted columns that can be summed across services
+const METRICS = ['adult', 'car', 'fk', 'saved', 'offering', 'visitors', 'aow', 'ck'];
+
+// Columns each analytics grouping reports, taken from the Stats row's Church
+const GROUP_COLUMNS = {
+    all: [],
+    church: ['s.churchId', 'c.churchName', 'c.region', 'c.province'],
+    region: ['c.region'],
+    province: ['c.province']
+};
+
+module.exports = {
+    ...repository,
+    METRICS,
+
+    /**
+     * Per-day metric totals between from and to (inclusive), one row per date and group,
+     * with a services count. Periods are bucketed by the caller so the SQL stays portable.
+     * filters narrows by churchId, region or province; scope is a churchScopeClause on s.churchId.
+     */
+    dailyTotals: ({ from, to, groupBy = 'all', filters = {}, scope }) => {
+        const groupColumns = GROUP_COLUMNS[groupBy];
+        const conditions = ['s.date >= ?', 's.date <= ?', 's.deletedAt IS NULL'];
+        const values = [from, to];
+
+        if (filters.churchId !== undefined) {
+            conditions.push('s.churchId = ?');
+            values.push(filters.churchId);
+        }
+        ['region', 'province'].filter((column) => filters[column] !== undefined).forEach((column) => {
+            conditions.push(`c.${column} = ?`);
+            values.push(filters[column]);
+        });
+        if (scope) {
+            conditions.push(scope.sql);
+            values.push(...scope.values);
+        }
+
+        const groupList = ['s.date', ...groupColumns];
+        return query(
+            `SELECT ${groupList.join(', ')}, COUNT(*) AS services,
+                ${METRICS.map((metric) => `COALESCE(SUM(s.${quote(metric)}), 0) AS ${quote(metric)}`).join(', ')}
+            FROM Stats s LEFT JOIN Church c ON c.churchId = s.churchId
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY ${groupList.join(', ')}
+            ORDER BY s.date`,
+            values
+        );
+    }
+};
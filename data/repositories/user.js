@@ -0,0 +1,73 @@
+const { query, transaction } = require('../db');
+const { createRepository } = require('./base');
+const { captureChanges } = require('./auditLog');
+
+/**
+ * @typedef {Object} User
+ * @property {number} userId
+ * @property {string} role
+ * @property {string} username
+ * @property {string} [password] - bcrypt hash, only returned with { withHidden: true }
+ * @property {number} [personId]
+ * @property {number} [tokenVersion] - bumped by every new password; only read for issuing and refreshing tokens
+ */
+
+const USER = {
+    name: 'User',
+    table: 'User',
+    idColumn: 'userId',
+    audited: true,
+    columns: ['userId', 'role', 'username', 'password', 'personId'],
+    hiddenColumns: ['password'],
+    required: ['username', 'role', 'password']
+};
+
+const repository = createRepository(USER);
+
+// tokenVersion is left out of USER so the CRUD helpers never read or write it; a new password bumps it
+// in the same transaction, which refuses every refresh token issued before (see middleware/auth.js)
+const bumpTokenVersion = (userId, runQuery) => runQuery('UPDATE User SET tokenVersion = tokenVersion + 1 WHERE userId = ?', [userId]);
+
+const withTokenRevocation = (write) => (id, data, options = {}) => {
+    const changesPassword = data.password !== undefined && (!options.columns || options.columns.includes('password'));
+    if (!changesPassword) return write(id, data, options);
+    return transaction(async (runQuery) => {
+        const result = await write(id, data, { ...options, runQuery });
+        if (result.affectedRows) await bumpTokenVersion(id, runQuery);
+        return result;
+    }, options);
+};
+
+// A user's church and region come from the Person record they are linked to, while that record and
+// its church are not in the recycle bin
+const SCOPE_COLUMNS = 'u.userId, u.username, u.role, u.personId, u.tokenVersion, p.churchId, c.region';
+const SCOPE_FROM = `FROM User u
+    LEFT JOIN Person p ON p.personId = u.personId AND p.deletedAt IS NULL
+    LEFT JOIN Church c ON c.churchId = p.churchId AND c.deletedAt IS NULL`;
+
+module.exports = {
+    ...repository,
+
+    replace: withTokenRevocation(repository.replace),
+    update: withTokenRevocation(repository.update),
+
+    // User with password hash, church and region for checking a login; null when the username is unknown
+    findForLogin: async (username) => {
+        const rows = await query(`SELECT ${SCOPE_COLUMNS}, u.password ${SCOPE_FROM} WHERE u.username = ?`, [username]);
+        return rows[0] || null;
+    },
+
+    // User with church and region, for issuing tokens
+    findWithScope: async (userId) => {
+        const rows = await query(`SELECT ${SCOPE_COLUMNS} ${SCOPE_FROM} WHERE u.userId = ?`, [userId]);
+        return rows[0] || null;
+    },
+
+    // Logged like any other User write; the audit entry only says that the password changed.
+    // keepTokens is for rehashing the same password, which is no reason to sign the user out.
+    setPassword: (userId, passwordHash, { keepTokens = false } = {}) => captureChanges(USER, { action: 'update', ids: [userId] }, async (runQuery) => {
+        const result = await runQuery('UPDATE User SET password = ? WHERE userId = ?', [passwordHash, userId]);
+        if (result.affectedRows && !keepTokens) await bumpTokenVersion(userId, runQuery);
+        return result;
+    })
+};
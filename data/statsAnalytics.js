@@ -0,0 +1,221 @@
+const { Stats } = require('./repositories');
+const { churchScopeClause } = require('../middleware/scope');
+const { badRequest } = require('../utils/errors');
+const {
+    DAY_MS, pad, toDateString, parseDate, formatDate, today, addDays, daysBetween
+} = require('../utils/dates');
+
+const { METRICS } = Stats;
+
+// How many periods the totals report covers when no from date is given
+const DEFAULT_SPAN = { week: 12, month: 12, year: 5 };
+const DEFAULT_RANKING_DAYS = 90;
+const MAX_RANKING_LIMIT = 50;
+
+// First day of the period holding date: the ISO week's Monday, the 1st of the month or 1 January
+const periodStart = (date, period) => {
+    const day = parseDate(date);
+    if (period === 'week') return addDays(date, -((day.getUTCDay() + 6) % 7));
+    if (period === 'month') return `${date.slice(0, 7)}-01`;
+    return `${date.slice(0, 4)}-01-01`;
+};
+
+// Move a period start by n whole periods
+const addPeriods = (start, period, n) => {
+    if (period === 'week') return addDays(start, 7 * n);
+    const day = parseDate(start);
+    if (period === 'month') day.setUTCMonth(day.getUTCMonth() + n);
+    else day.setUTCFullYear(day.getUTCFullYear() + n);
+    return formatDate(day);
+};
+
+// The matching period a year earlier; weeks go back 52 so they stay on a Monday in the same ISO week
+const lastYearStart = (start, period) => (period === 'week' ? addDays(start, -364) : addPeriods(start, period, period === 'month' ? -12 : -1));
+
+// 2024-W07, 2024-02 or 2024
+const periodLabel = (start, period) => {
+    if (period === 'month') return start.slice(0, 7);
+    if (period === 'year') return start.slice(0, 4);
+    const thursday = parseDate(addDays(start, 3));
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+    return `${year}-W${pad(week)}`;
+};
+
+// Relative change, e.g. 0.125 for +12.5%; null when there is nothing to compare against
+const growthRate = (current, previous) => (previous ? Math.round(((current - previous) / previous) * 10000) / 10000 : null);
+
+const roundMetric = (metric, value) => (metric === 'offering' ? Math.round(value * 100) / 100 : value);
+
+const groupOf = (row, groupBy) => {
+    if (groupBy === 'church') {
+        return { churchId: row.churchId, churchName: row.churchName, region: row.region, province: row.province };
+    }
+    if (groupBy === 'region') return { region: row.region };
+    if (groupBy === 'province') return { province: row.province };
+    return {};
+};
+
+const groupKey = (row, groupBy) => (groupBy === 'church' ? row.churchId : groupBy === 'all' ? 'all' : row[groupBy]);
+
+const emptyTotals = () => Object.fromEntries(METRICS.map((metric) => [metric, 0]));
+
+const addRow = (bucket, row) => {
+    bucket.services += Number(row.services);
+    METRICS.forEach((metric) => {
+        bucket.totals[metric] = roundMetric(metric, bucket.totals[metric] + Number(row[metric]));
+    });
+};
+
+const filtersFrom = (query) => ({ churchId: query.churchId, region: query.region, province: query.province });
+
+const scopeFor = (req) => churchScopeClause(req.scope, { churchColumn: 's.churchId', regionColumn: 'c.region' });
+
+/**
+ * Sum daily rows into one bucket per group and period, keyed "<group>|<periodStart>".
+ * Exported for tests; the handlers below are the public surface.
+ */
+const bucketRows = (rows, { period, groupBy }) => {
+    const buckets = new Map();
+    rows.forEach((row) => {
+        const start = periodStart(toDateString(row.date), period);
+        const key = `${groupKey(row, groupBy)}|${start}`;
+        if (!buckets.has(key)) {
+            buckets.set(key, { group: groupOf(row, groupBy), groupKey: groupKey(row, groupBy), start, services: 0, totals: emptyTotals() });
+        }
+        addRow(buckets.get(key), row);
+    });
+    return buckets;
+};
+
+/**
+ * GET /api/Stats/analytics/totals
+ *   period   - week, month (default) or year
+ *   groupBy  - all (default), church, region or province
+ *   from, to - date range; from is rounded down to the start of its period, so every period
+ *              but the latest is complete. Defaults to the last 12 weeks/12 months/5 years.
+ *   churchId, region, province - narrow the churches included
+ * Each period reports its totals, growth against the previous period and year-over-year change.
+ */
+const statsTotalsHandler = async (req, res, next) => {
+    try {
+        const { period = 'month', groupBy = 'all' } = req.query;
+        const to = req.query.to || today();
+        const from = periodStart(req.query.from || addPeriods(periodStart(to, period), period, 1 - DEFAULT_SPAN[period]), period);
+        if (from > to) return next(badRequest('from must not be after to'));
+
+        // Reach back far enough to compare the first period with the same period a year earlier
+        const rows = await Stats.dailyTotals({
+            from: lastYearStart(from, period),
+            to,
+            groupBy,
+            filters: filtersFrom(req.query),
+            scope: scopeFor(req)
+        });
+        const buckets = bucketRows(rows, { period, groupBy });
+
+        const data = [...buckets.values()]
+            .filter((bucket) => bucket.start >= from)
+            .sort((a, b) => (a.start === b.start ? String(a.groupKey).localeCompare(String(b.groupKey)) : a.start.localeCompare(b.start)))
+            .map((bucket) => {
+                const previous = buckets.get(`${bucket.groupKey}|${addPeriods(bucket.start, period, -1)}`);
+                const lastYear = buckets.get(`${bucket.groupKey}|${lastYearStart(bucket.start, period)}`);
+                return {
+                    period: periodLabel(bucket.start, period),
+                    periodStart: bucket.start,
+                    periodEnd: addDays(addPeriods(bucket.start, period, 1), -1),
+                    ...bucket.group,
+                    services: bucket.services,
+                    totals: bucket.totals,
+                    growth: Object.fromEntries(METRICS.map((metric) => [metric, growthRate(bucket.totals[metric], previous && previous.totals[metric])])),
+                    lastYear: lastYear ? lastYear.totals : null,
+                    yoy: Object.fromEntries(METRICS.map((metric) => [metric, growthRate(bucket.totals[metric], lastYear && lastYear.totals[metric])]))
+                };
+            });
+
+        res.status(200).json({ period, groupBy, from, to, data });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/Stats/analytics/rankings
+ *   metric   - the Stats column to rank on (default adult)
+ *   by       - total (default), average per service, or growth against the previous window
+ *   groupBy  - church (default), region or province
+ *   from, to - window to rank (default the last 90 days); the previous window is the same
+ *              number of days immediately before it
+ *   limit    - entries in each of top and bottom (default 5, max 50)
+ * Only groups that reported at least one service in the window are ranked.
+ */
+const statsRankingsHandler = async (req, res, next) => {
+    try {
+        const { metric = 'adult', by = 'total', groupBy = 'church' } = req.query;
+        const limit = Math.min(req.query.limit || 5, MAX_RANKING_LIMIT);
+        const to = req.query.to || today();
+        const from = req.query.from || addDays(to, 1 - DEFAULT_RANKING_DAYS);
+        if (from > to) return next(badRequest('from must not be after to'));
+
+        const days = daysBetween(from, to) + 1;
+        const previousFrom = addDays(from, -days);
+
+        const rows = await Stats.dailyTotals({
+            from: previousFrom,
+            to,
+            groupBy,
+            filters: filtersFrom(req.query),
+            scope: scopeFor(req)
+        });
+
+        const groups = new Map();
+        rows.forEach((row) => {
+            const key = groupKey(row, groupBy);
+            if (!groups.has(key)) groups.set(key, { group: groupOf(row, groupBy), services: 0, total: 0, previous: 0 });
+            const entry = groups.get(key);
+            if (toDateString(row.date) >= from) {
+                entry.services += Number(row.services);
+                entry.total = roundMetric(metric, entry.total + Number(row[metric]));
+            } else {
+                entry.previous = roundMetric(metric, entry.previous + Number(row[metric]));
+            }
+        });
+
+        const ranked = [...groups.values()]
+            .filter((entry) => entry.services > 0)
+            .map((entry) => ({
+                ...entry.group,
+                services: entry.services,
+                total: entry.total,
+                average: Math.round((entry.total / entry.services) * 100) / 100,
+                previous: entry.previous,
+                growth: growthRate(entry.total, entry.previous)
+            }))
+            .filter((entry) => entry[by] !== null)
+            .sort((a, b) => b[by] - a[by])
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+        res.status(200).json({
+            metric,
+            by,
+            groupBy,
+            from,
+            to,
+            previousFrom,
+            count: ranked.length,
+            top: ranked.slice(0, limit),
+            bottom: ranked.slice(-limit).reverse()
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    periodStart,
+    periodLabel,
+    lastYearStart,
+    bucketRows,
+    statsTotalsHandler,
+    statsRankingsHandler
+};
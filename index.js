@@ -6,17 +6,85 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const { readdirSync } = require('fs');
-const pool = require('./data/config');
+const crypto = require('crypto');
+const path = require('path');
+const QRCode = require('qrcode');
+const {
+    Church, Person, Stats, User, Calendar, Assets, Locations, MaintenanceSchedule, FollowUp, CellGroup, Contribution,
+    Campaign, Pledge, AuditLog
+} = require('./data/repositories');
+const { runBulk, bulkHandler } = require('./data/bulk');
+const { MAX_IMPORT_ROWS, previewPersonImport } = require('./data/personImport');
+const { exportHandler } = require('./data/export');
+const { listHandler } = require('./data/listQuery');
+const { statsTotalsHandler, statsRankingsHandler } = require('./data/statsAnalytics');
+const {
+    createFollowUp, getFollowUp, moveStage, assignLeader, overdueByLeader, reconcile
+} = require('./data/followUp');
+const {
+    CELL_GROUP_COLUMNS, getCellGroup, createCellGroup, updateCellGroup, deleteCellGroup, addMembers, removeMember,
+    recordMeeting, listMeetings, multiplyCellGroup
+} = require('./data/cellGroups');
+const {
+    CONTRIBUTION_COLUMNS, recordContribution, updateContribution, deleteContribution, getContribution, givingStatement,
+    reconcileOfferings, annualSummaries
+} = require('./data/contributions');
+const {
+    CAMPAIGN_COLUMNS, PLEDGE_COLUMNS, campaignScope, getCampaign, createCampaign, updateCampaign, deleteCampaign,
+    getPledge, createPledge, updatePledge, deletePledge, recordPledgePayment, campaignProgress, overduePledges
+} = require('./data/campaigns');
+const {
+    registerForEvent, cancelRegistration, listRegistrations, checkInCodeFor, payRegistrationFee, checkIn,
+    eventAttendance, postAttendanceToStats
+} = require('./data/registrations');
+const {
+    prepareEvent, updateEvent, listOccurrences, eventOccurrences, setException, removeException, calendarFeed,
+    importCalendar
+} = require('./data/calendar');
+const {
+    DEPRECIATION_COLUMNS, updateAsset, maintenanceReport, maintenanceHistory, recordMaintenance, checkOutAsset,
+    checkInAsset, checkoutHistory, checkedOutAssets, transferAsset, transferHistory, depreciationReport, assetDepreciation
+} = require('./data/assets');
+const { recordHistory, restoreVersion } = require('./data/audit');
+const { RECYCLED_ENTITIES, deleteRecord, restoreRecord, purgeRecord } = require('./data/recycleBin');
+const { uploadSpreadsheet, readSpreadsheet } = require('./utils/spreadsheet');
+const { EXPORT_FORMATS, streamExport } = require('./utils/export');
+const { streamGivingCertificates } = require('./utils/givingCertificate');
+const { uploadCalendarFile } = require('./utils/ics');
+const {
+    ROLES, ALL_ROLES, normalizeRole, issueTokens, verifyRefreshToken, isCurrentRefreshToken, issueFeedToken, verifyFeedToken, authenticate, authorize,
+    isPasswordHash, hashPassword, verifyPassword
+} = require('./middleware/auth');
+const {
+    attachScope, churchScopeClause, regionScopeClause, scopeBodyChurch, scopeBodyRegion, scopePatchChurch,
+    scopePatchRegion
+} = require('./middleware/scope');
+const { matchBodyId, bodyIdAlias, requireChanges } = require('./middleware/resourceId');
+const { withPatchSchemas, schemaValidator, validateRequests } = require('./middleware/validate');
+const { auditContext } = require('./middleware/audit');
+const { requestId, notFoundHandler, errorHandler } = require('./middleware/errors');
+const { badRequest, unauthorized, notFound, unprocessable, payloadTooLarge } = require('./utils/errors');
+const { etagOf } = require('./utils/etag');
+
+const { ADMIN, PASTOR, CELL_LEADER, FINANCE } = ROLES;
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// req.ip, which the audit log records, is the client's address from X-Forwarded-For only when the
+// proxies in front of the app are trusted: TRUST_PROXY of them, default 1 for Vercel's edge
+app.set('trust proxy', process.env.TRUST_PROXY === undefined ? 1 : parseInt(process.env.TRUST_PROXY) || 0);
+
 // Middleware
+app.use(requestId);
 app.use(helmet());
-app.use(cors());
+// ETag is exposed so browser clients can send it back as If-Match
+const corsOptions = { exposedHeaders: ['ETag'] };
+
+app.use(cors(corsOptions));
 app.use(compression());
-app.use(express.json());
-app.options('*', cors());
+app.use(express.json({ limit: '5mb' }));
+app.options('*', cors(corsOptions));
 
 // Swagger setup
 const swaggerJsDoc = require('swagger-jsdoc');
@@ -38,13 +106,27 @@ const swaggerOptions = {
       { url: 'http://localhost:8080' },
       { url: 'https://bbm-apis.vercel.app/api/' },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+    security: [{ bearerAuth: [] }],
   },
-  apis: ['*.js'],
+  apis: [path.join(__dirname, '*.js')],
 };
 
-const swaggerDocs = swaggerJsDoc(swaggerOptions);
+const swaggerDocs = withPatchSchemas(swaggerJsDoc(swaggerOptions));
 app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
+// Every /api route requires a valid access token; routes declare their allowed roles with authorize().
+// attachScope limits what the user sees to their church, their region, or everything.
+// auditContext records who is asking, so every write lands in the audit log under their name.
+app.use('/api', authenticate, attachScope, auditContext);
+
+// Path, query and JSON body validation generated from the @swagger schemas in this file
+app.use(validateRequests(swaggerDocs));
+
 /**
  * @swagger
  * components:
@@ -71,34 +153,447 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
  *           type: string
  *         pastorId:
  *           type: integer
+ *     Person:
+ *       type: object
+ *       required:
+ *         - name
+ *         - surname
+ *       properties:
+ *         personId:
+ *           type: integer
+ *         address:
+ *           type: string
+ *         comments:
+ *           type: string
+ *         contactNumber:
+ *           type: string
+ *           pattern: '^[0-9+()\s-]{9,20}$'
+ *         gender:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *         maritalStatus:
+ *           type: string
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         surname:
+ *           type: string
+ *           minLength: 1
+ *         churchId:
+ *           type: integer
+ *         cellLeader:
+ *           type: string
+ *         cellLocation:
+ *           type: string
+ *         ministry:
+ *           type: string
+ *         church:
+ *           type: string
+ *         region:
+ *           type: string
+ *         seedContribution:
+ *           type: number
+ *           readOnly: true
+ *           description: Total seed giving from the Contribution ledger
+ *         regContribution:
+ *           type: number
+ *           readOnly: true
+ *           description: Total registration giving from the Contribution ledger
+ *         amount:
+ *           type: number
+ *           readOnly: true
+ *           description: Total of all giving from the Contribution ledger
+ *     Stats:
+ *       type: object
+ *       required:
+ *         - date
+ *       properties:
+ *         statsId:
+ *           type: integer
+ *         adult:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         car:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         fk:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         saved:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         offering:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *         visitors:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         date:
+ *           type: string
+ *           format: date
+ *         churchId:
+ *           type: integer
+ *         aow:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         ck:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     User:
+ *       type: object
+ *       required:
+ *         - username
+ *         - role
+ *       properties:
+ *         userId:
+ *           type: integer
+ *         role:
+ *           type: string
+ *           enum: [admin, pastor, cell leader, finance, regional overseer, head office]
+ *         username:
+ *           type: string
+ *           minLength: 1
+ *         password:
+ *           type: string
+ *           minLength: 8
+ *         personId:
+ *           type: integer
+ *     Calendar:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         time:
+ *           type: string
+ *         month:
+ *           type: string
+ *         year:
+ *           type: integer
+ *           minimum: 1900
+ *         department:
+ *           type: string
+ *         region:
+ *           type: string
+ *         dayFrom:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *         dayTo:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *         capacity:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *           description: Places available; leave empty for unlimited
+ *         fee:
+ *           type: number
+ *           minimum: 0
+ *           multipleOf: 0.01
+ *           nullable: true
+ *           description: Registration fee, recorded as an event contribution when paid
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: First (or only) day; year, month, dayFrom and dayTo are filled in from it
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Last day of each occurrence, for events lasting several days
+ *         startTime:
+ *           type: string
+ *           pattern: '^([01][0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$'
+ *           nullable: true
+ *           description: Empty for all-day events
+ *         endTime:
+ *           type: string
+ *           pattern: '^([01][0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$'
+ *           nullable: true
+ *         rrule:
+ *           type: string
+ *           maxLength: 255
+ *           nullable: true
+ *           description: iCalendar recurrence rule, e.g. FREQ=WEEKLY;BYDAY=SU or FREQ=MONTHLY;BYDAY=1FR
+ *         location:
+ *           type: string
+ *           maxLength: 255
+ *           nullable: true
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         churchId:
+ *           type: integer
+ *           nullable: true
+ *           description: Set for one church's own events; the event takes the church's region
+ *     CalendarException:
+ *       type: object
+ *       properties:
+ *         movedTo:
+ *           type: string
+ *           format: date
+ *           description: Leave out to cancel the occurrence
+ *         startTime:
+ *           type: string
+ *           pattern: '^([01][0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$'
+ *           description: New start time for the moved occurrence
+ *         note:
+ *           type: string
+ *           maxLength: 255
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         region:
+ *           type: string
+ *         department:
+ *           type: string
+ *         churchId:
+ *           type: integer
+ *     Asset:
+ *       type: object
+ *       required:
+ *         - location_id
+ *         - name
+ *       properties:
+ *         location_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         description:
+ *           type: string
+ *         purchase_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         purchase_price:
+ *           type: number
+ *           minimum: 0
+ *           nullable: true
+ *         useful_life_years:
+ *           type: number
+ *           exclusiveMinimum: 0
+ *           nullable: true
+ *           description: For straight-line depreciation; defaults to 5 years
+ *         salvage_value:
+ *           type: number
+ *           minimum: 0
+ *           nullable: true
+ *           description: Value left at the end of its useful life; defaults to 0
+ *         serial_number:
+ *           type: string
+ *         category:
+ *           type: string
+ *           description: Also picks the asset's maintenance schedule
+ *         condition:
+ *           type: string
+ *         last_maintenance_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *     Location:
+ *       type: object
+ *       required:
+ *         - name
+ *         - address
+ *         - contact_person
+ *         - contact_phone
+ *       properties:
+ *         name:
+ *           type: string
+ *         address:
+ *           type: string
+ *         contact_person:
+ *           type: string
+ *         contact_phone:
+ *           type: string
+ *     Error:
+ *       type: object
+ *       description: Body of every 4xx/5xx response
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: NOT_FOUND
+ *         message:
+ *           type: string
+ *           example: Person not found
+ *         details:
+ *           description: Extra context, e.g. the failing fields of a VALIDATION_FAILED error
+ *         requestId:
+ *           type: string
+ *           description: Also sent as the X-Request-Id response header
+ *     BulkRequest:
+ *       type: object
+ *       required:
+ *         - items
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *           description: atomic rolls the whole batch back on any failure; partial commits every item that succeeded
+ *         items:
+ *           type: array
+ *           maxItems: 1000
+ *           items:
+ *             type: object
+ *             description: >-
+ *               Entity fields plus an optional action (create, update, delete or upsert, the default).
+ *               The fields are checked against the entity's schema; a bad item fails with its field errors.
+ *     BulkResponse:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *         committed:
+ *           type: boolean
+ *         summary:
+ *           type: object
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [created, updated, deleted, failed, rolled_back, not_run]
+ *               id:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 description: The item's failing fields, when it failed validation
+ *                 items:
+ *                   type: object
+ *   parameters:
+ *     page:
+ *       in: query
+ *       name: page
+ *       description: Page number for offset pagination (starts at 1)
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *     pageSize:
+ *       in: query
+ *       name: pageSize
+ *       description: Rows per page, default 50, max 500
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *     limit:
+ *       in: query
+ *       name: limit
+ *       description: Rows per page for cursor pagination, default 50, max 500
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *     cursor:
+ *       in: query
+ *       name: cursor
+ *       description: Opaque meta.nextCursor from the previous page
+ *       schema:
+ *         type: string
+ *     sort:
+ *       in: query
+ *       name: sort
+ *       description: Comma-separated columns, prefix with - for descending; the id breaks any tie
+ *       schema:
+ *         type: string
+ *     fields:
+ *       in: query
+ *       name: fields
+ *       description: Comma-separated columns to return
+ *       schema:
+ *         type: string
+ *     ifMatch:
+ *       in: header
+ *       name: If-Match
+ *       description: The ETag from reading the record; the write is refused with 409 if the record has changed since
+ *       schema:
+ *         type: string
  */
 
 //============================================= CHURCH ROUTES =================================
 
+const churchScope = (req) => churchScopeClause(req.scope, { regionColumn: 'region' });
+
+// The ETag of the stored row, for answers that carry more than the row (a cell with its members, a pledge with its balance)
+const storedEtag = async (repository, id) => etagOf(await repository.findById(id, { withHidden: true }));
+
+const CHURCH_LIST = { ...Church.entity, scope: churchScope };
+
 /**
  * @swagger
  * /api/Church:
  *   get:
  *     summary: Retrieve all churches
+ *     description: Paginated list; filter on any column, e.g. region=North, province=Gauteng, sort=churchName.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: A list of churches
  */
-app.get('/api/Church', (req, res) => {
-  pool.query('SELECT * FROM Church', (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.status(200).json(result);
-  });
-});
+app.get('/api/Church', authorize(...ALL_ROLES), listHandler(CHURCH_LIST));
+
+/**
+ * @swagger
+ * /api/Church/export:
+ *   get:
+ *     summary: Export churches as CSV, XLSX or PDF
+ *     description: Streams the collection as a download. Any column can be given as a filter, e.g. ?region=North.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: fields
+ *         description: Comma-separated columns to include, in order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The exported file
+ *       '400':
+ *         description: Unknown format or field
+ */
+app.get('/api/Church/export', authorize(...ALL_ROLES), exportHandler(CHURCH_LIST));
 
 /**
  * @swagger
- * /api/Church/{churchId}:
+ * /api/Church/{id}:
  *   get:
  *     summary: Get a church by ID
  *     parameters:
  *       - in: path
- *         name: churchId
+ *         name: id
  *         required: true
  *         schema:
  *           type: integer
@@ -108,12 +603,14 @@ app.get('/api/Church', (req, res) => {
  *       404:
  *         description: Church not found
  */
-app.get('/api/Church/:churchId', (req, res) => {
-  const churchId = parseInt(req.params.churchId);
-  pool.query('SELECT * FROM Church WHERE churchId = ?', [churchId], (err, result) => {
-    if (err || result.length === 0) return res.status(404).json({ message: 'Church not found' });
-    res.status(200).json(result);
-  });
+app.get('/api/Church/:id', authorize(...ALL_ROLES), async (req, res, next) => {
+  try {
+    const church = await Church.findById(parseInt(req.params.id), { scope: churchScope(req) });
+    if (!church) return next(notFound('Church not found'));
+    res.status(200).set('ETag', etagOf(church)).json([church]);
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
@@ -131,21 +628,28 @@ app.get('/api/Church/:churchId', (req, res) => {
  *       201:
  *         description: Church created
  */
-app.post('/api/Church', (req, res) => {
-  const { churchName, location, branch, province, city, region, pastorId } = req.body;
-  const sql = `INSERT INTO Church (churchName, location, branch, province, city, region, pastorId) VALUES (?, ?, ?, ?, ?, ?, ?)`;
-
-  pool.query(sql, [churchName, location, branch, province, city, region, pastorId], (err, result) => {
-    if (err) return res.status(400).json({ error: err.message });
+app.post('/api/Church', authorize(ADMIN), async (req, res, next) => {
+  try {
+    const result = await Church.create(req.body);
     res.status(201).json({ message: 'Church created successfully', result });
-  });
+  } catch (err) {
+    next(err);
+  }
 });
 
 /**
  * @swagger
- * /api/Church:
+ * /api/Church/{id}:
  *   put:
- *     summary: Update a church
+ *     summary: Replace a church
+ *     description: Every field is written; fields left out are emptied. A churchId in the body must match the path.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -155,25 +659,92 @@ app.post('/api/Church', (req, res) => {
  *     responses:
  *       200:
  *         description: Church updated
+ *       400:
+ *         description: churchId in the body does not match the path
+ *       404:
+ *         description: Church not found
+ *       409:
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   patch:
+ *     summary: Update some of a church's fields
+ *     description: Only the fields sent are written.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChurchPatch'
+ *     responses:
+ *       200:
+ *         description: The church as updated
+ *       400:
+ *         description: No church fields in the body
+ *       404:
+ *         description: Church not found
+ *       409:
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
  */
-app.put('/api/Church', (req, res) => {
-  const { churchId, churchName, location, branch, province, city, region, pastorId } = req.body;
-  const sql = `
-    UPDATE Church SET 
-      churchName = ?, location = ?, branch = ?, province = ?, city = ?, region = ?, pastorId = ?
-    WHERE churchId = ?
-  `;
-  pool.query(sql, [churchName, location, branch, province, city, region, pastorId, churchId], (err, result) => {
-    if (err) return res.status(500).json({ error: err.message });
+const replaceChurch = async (req, res, next) => {
+  try {
+    const result = await Church.replace(parseInt(req.params.id), req.body, { scope: churchScope(req), ifMatch: req.get('If-Match') });
+    if (result.affectedRows === 0) return next(notFound('Church not found'));
     res.status(200).json({ message: 'Church updated successfully', result });
-  });
+  } catch (err) {
+    next(err);
+  }
+};
+
+app.put('/api/Church/:id', authorize(ADMIN), matchBodyId('churchId'), replaceChurch);
+
+app.patch('/api/Church/:id', authorize(ADMIN), matchBodyId('churchId'), requireChanges(Church.entity), async (req, res, next) => {
+  try {
+    const churchId = parseInt(req.params.id);
+    const result = await Church.update(churchId, req.body, { scope: churchScope(req), ifMatch: req.get('If-Match') });
+    if (result.affectedRows === 0) return next(notFound('Church not found'));
+    const church = await Church.findById(churchId);
+    res.status(200).set('ETag', etagOf(church)).json(church);
+  } catch (err) {
+    next(err);
+  }
 });
 
+/**
+ * @swagger
+ * /api/Church:
+ *   put:
+ *     deprecated: true
+ *     summary: Replace the church named by churchId in the body
+ *     description: Use PUT /api/Church/{id}. Answers with Deprecation and Link headers pointing there.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Church'
+ *               - required:
+ *                   - churchId
+ *     responses:
+ *       200:
+ *         description: Church updated
+ *       404:
+ *         description: Church not found
+ */
+app.put('/api/Church', authorize(ADMIN), bodyIdAlias('churchId'), replaceChurch);
+
 /**
  * @swagger
  * /api/Church/{id}:
  *   delete:
  *     summary: Delete a church by ID
+ *     description: Moves the church to the recycle bin, together with its people and stats.
  *     parameters:
  *       - in: path
  *         name: id
@@ -182,27 +753,37 @@ app.put('/api/Church', (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Church deleted
+ *         description: "Church deleted; deleted counts the rows moved, e.g. { Church: 1, Person: 40, Stats: 112 }"
  *       404:
  *         description: Church not found
  */
-app.delete('/api/Church/:id', (req, res) => {
-  const churchId = parseInt(req.params.id);
-  pool.query('DELETE FROM Church WHERE churchId = ?', [churchId], (err, result) => {
-    if (err || result.affectedRows === 0) return res.status(404).json({ message: 'Church not found' });
-    res.status(200).json({ message: 'Church deleted successfully' });
-  });
+app.delete('/api/Church/:id', authorize(ADMIN), async (req, res, next) => {
+  try {
+    const { deleted } = await deleteRecord('Church', parseInt(req.params.id), { scope: churchScope(req), user: req.user });
+    res.status(200).json({ message: 'Church deleted successfully', deleted });
+  } catch (err) {
+    next(err);
+  }
 });
 
 
 // =========================================== PERSON =========================================
 
+const PERSON_LIST = { ...Person.entity, scope: (req) => churchScopeClause(req.scope) };
+
 /**
  * @swagger
  * /api/Person:
  *   get:
  *     summary: Retrieve all people
- *     description: Get a list of all available people.
+ *     description: Paginated list; filter on any column, e.g. churchId=3, surname[like]=Mok*, sort=surname,name.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       '200':
  *         description: A list of people
@@ -211,19 +792,34 @@ app.delete('/api/Church/:id', (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-app.get('/api/Person', async (req, res) => {
-    try {
-        pool.query(`select * from Person`, (err, result) => {
-            if (err) {
-                return err;
-            }
-            res.status(200).send(result);
-        })
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
-});
+app.get('/api/Person', authorize(...ALL_ROLES), listHandler(PERSON_LIST));
+
 
+/**
+ * @swagger
+ * /api/Person/export:
+ *   get:
+ *     summary: Export people as CSV, XLSX or PDF
+ *     description: Streams the collection as a download. Any column can be given as a filter, e.g. ?churchId=3&ministry=Youth.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: fields
+ *         description: Comma-separated columns to include, in order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The exported file
+ *       '400':
+ *         description: Unknown format or field
+ */
+app.get('/api/Person/export', authorize(...ALL_ROLES), exportHandler(PERSON_LIST));
 
 /**
  * @swagger
@@ -249,17 +845,13 @@ app.get('/api/Person', async (req, res) => {
  *         description: Person not found
  */
 // GET a church by ID
-app.get('/api/Person/:id', async (req, res) => {
-    const personId = parseInt(req.params.id);
+app.get('/api/Person/:id', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`select * from Person where personId=${personId}`, (err, result) => {
-            if (err) {
-                res.status(404).json({ message: 'Person not found' });
-            }
-            res.status(200).send(result);
-        })
+        const person = await Person.findById(parseInt(req.params.id), { scope: churchScopeClause(req.scope) });
+        if (!person) return next(notFound('Person not found'));
+        res.status(200).set('ETag', etagOf(person)).send([person]);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
@@ -269,47 +861,12 @@ app.get('/api/Person/:id', async (req, res) => {
  *   post:
  *     summary: Add a new person 
  *     description: Add details of a person
-  *     parameters:
- *      - in: body
- *        name: Person
- *        description: Add a new person
- *        schema:
- *            type: object
- *            properties:  
- *               personId: 
- *                 type: integer
- *               address:
- *                 type: string
- *               comments: 
- *                 type: string
- *               contactNumber:
- *                 type: string
- *               gender: 
- *                 type: int
- *               maritalStatus:
- *                 type: string
- *               name: 
- *                 type: string
- *               surname:
- *                 type: string
- *               churchId: 
- *                 type: integer
- *               cellLeader:
- *                 type: string
- *               cellLocation: 
- *                 type: string
- *               ministry:
- *                 type: string
- *               church:
- *                 type: string
- *               region:
- *                 type: string
- *               seedContribution:
- *                 type: integer
- *               regContribution:
- *                 type: integer
- *               amount:
- *                 type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Person'
  *     responses:
  *       '200':
  *         description: Person updated successfully
@@ -318,145 +875,191 @@ app.get('/api/Person/:id', async (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-app.post('/api/Person', async (request, response) => {
-    //const churchId = request.body.churchId;
-    const personId = request.body.personId;
-    const address = request.body.address;
-    const comments = request.body.comments;
-    const contactNumber = request.body.contactNumber;
-    const gender = request.body.gender;
-    const maritalStatus = request.body.maritalStatus;
-    const name = request.body.name;
-    const surname = request.body.surname;
-    const churchId = request.body.churchId;
-    const cellLeader = request.body.cellLeader;
-    const cellLocation = request.body.cellLocation;
-    const church = request.body.church;
-    const ministry = request.body.ministry;
-    const region = request.body.region;
-    const regContribution = request.body.regContribution;
-    const seedContribution = request.body.seedContribution;
-    const amount = request.body.amount;
-
-    console.log(request.body)
-    var sql = `INSERT INTO Person
-    (personId, address, comments, contactNumber, gender, maritalStatus, name, surname, churchId, cellLeader, cellLocation, ministry, church, region, regContribution, seedContribution, amount) VALUES 
-    ('${personId}', '${address}', '${comments}', '${contactNumber}', '${gender}', '${maritalStatus}' , '${name}', '${surname}' , '${churchId}', '${cellLeader}', '${cellLocation}' , '${ministry}', '${church}', '${region}', '${regContribution}', '${seedContribution}', '${amount}')`;
-
-    try {
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
-
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
+app.post('/api/Person', authorize(ADMIN, PASTOR, CELL_LEADER), scopeBodyChurch, async (req, res, next) => {
+    try {
+        const result = await Person.create(req.body);
+        res.status(200).send(result);
     } catch (err) {
-        response.status(400).json({ message: err.message });
+        next(err);
     }
 });
 
 /**
  * @swagger
- * /api/Person:
- *   put:
- *     summary: Update a Person by ID
- *     description: Update an existing Person entity by its ID.
-*     parameters:
- *      - in: body
- *        name: Person
- *        description: Add a new Person
- *        schema:
- *            type: object
- *            properties:  
- *               personId: 
- *                 type: integer
- *               address:
- *                 type: string
- *               comments: 
- *                 type: string
- *               contactNumber:
- *                 type: string
- *               gender: 
- *                 type: int
- *               maritalStatus:
- *                 type: string
- *               name: 
- *                 type: string
- *               surname:
- *                 type: string
- *               churchId: 
- *                 type: integer
- *               cellLeader:
- *                 type: string
- *               cellLocation: 
- *                 type: string
- *               ministry:
- *                 type: string
+ * /api/Person/bulk:
+ *   post:
+ *     summary: Create, update or delete people in one transaction
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkRequest'
  *     responses:
  *       '200':
- *         description: Person updated successfully
- *       '404':
- *         description: Person not found
- *       '500':
- *         description: Internal server error
+ *         description: Every item was applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResponse'
+ *       '207':
+ *         description: Partial mode; some items failed and the rest were committed
+ *       '400':
+ *         description: Malformed bulk request
+ *       '422':
+ *         description: Atomic mode; an item failed and nothing was committed
  */
-// Update a Person by ID
-app.put('/api/Person/{id}', async (request, res) => {
-    const personId = request.body.personId;
-    const address = request.body.address;
-    const comments = request.body.comments;
-    const contactNumber = request.body.contactNumber;
-    const gender = request.body.gender;
-    const maritalStatus = request.body.maritalStatus;
-    const name = request.body.name;
-    const surname = request.body.surname;
-    const churchId = request.body.churchId;
-    const cellLeader = request.body.cellLeader;
-    const cellLocation = request.body.cellLocation;
-    const ministry = request.body.ministry;
-    const church = request.body.church;
-    const region = request.body.region;
-    const regContribution = request.body.regContribution;
-    const seedContribution = request.body.seedContribution;
-    const amount = request.body.amount;
-
-
-    try {
-        console.log(request.body)
-        var sql = `UPDATE Person
-        SET  address='${address}', comments='${comments}', contactNumber='${contactNumber}', gender='${gender}', maritalStatus='${maritalStatus}', name='${name}', surname='${surname}', churchId='${churchId}', cellLeader='${cellLeader}', cellLocation='${cellLocation}', ministry='${ministry}', church='${church}', region='${region}', regContribution='${regContribution}', seedContribution='${seedContribution}', amount='${amount}'
-        WHERE personId='${personId}' `;
-
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
-
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
+app.post('/api/Person/bulk', authorize(ADMIN, PASTOR, CELL_LEADER), bulkHandler(Person.entity, { validate: schemaValidator(swaggerDocs, 'Person') }));
+
+/**
+ * @swagger
+ * /api/Person/import:
+ *   post:
+ *     summary: Import a member register from CSV or XLSX
+ *     description: >
+ *       Maps spreadsheet columns to Person fields, validates every row and flags duplicates of existing people
+ *       (same contact number, or same name and surname in the same church). With dryRun (the default) nothing is
+ *       written; with dryRun=false the valid rows are inserted and duplicates and invalid rows are skipped.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *                 description: 'Optional JSON object of spreadsheet header to Person field, e.g. {"Cell Group": "cellLocation"}'
+ *     responses:
+ *       '200':
+ *         description: Per-row preview, or per-row outcome once committed
+ *       '400':
+ *         description: Missing, unsupported or unreadable file
+ */
+app.post('/api/Person/import', authorize(ADMIN, PASTOR, CELL_LEADER), uploadSpreadsheet, async (req, res, next) => {
+    const dryRun = req.query.dryRun !== 'false';
+
+    // mapping is a JSON object of { "Spreadsheet header": "personField" }
+    let mapping = {};
+    try {
+        if (req.body.mapping) mapping = JSON.parse(req.body.mapping);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        return next(badRequest('mapping must be a JSON object'));
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)
+        || !Object.values(mapping).every((field) => typeof field === 'string')) {
+        return next(badRequest('mapping must be a JSON object of header names to Person fields'));
     }
-});
 
+    let sheet;
+    try {
+        sheet = await readSpreadsheet(req.file);
+    } catch (err) {
+        return next(badRequest(`Could not read spreadsheet: ${err.message}`));
+    }
+    if (sheet.rows.length === 0) return next(badRequest('The spreadsheet has no data rows'));
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+        return next(payloadTooLarge(`An import may contain at most ${MAX_IMPORT_ROWS} rows`));
+    }
+
+    try {
+        const preview = await previewPersonImport(sheet, { scope: req.scope, mapping });
+        const accepted = preview.rows.filter((entry) => entry.status === 'valid');
+
+        if (!dryRun && accepted.length) {
+            const items = accepted.map((entry) => ({ action: 'create', ...entry.data }));
+            const { results } = await runBulk(Person.entity, items, { mode: 'partial', scope: req.scope });
+            results.forEach((result, index) => {
+                accepted[index].status = result.status;
+                if (result.id) accepted[index].personId = result.id;
+                if (result.reason) accepted[index].errors.push({ message: result.reason });
+            });
+        }
+
+        const summary = preview.rows.reduce((counts, entry) => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+            return counts;
+        }, { total: preview.rows.length });
+
+        res.status(200).json({ dryRun, summary, ...preview });
+    } catch (err) {
+        next(err);
+    }
+});
 
 /**
  * @swagger
  * /api/Person/{id}:
+ *   put:
+ *     summary: Replace a Person
+ *     description: Every field is written; fields left out are emptied. A personId in the body must match the path.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Person'
+ *     responses:
+ *       '200':
+ *         description: Person updated successfully
+ *       '400':
+ *         description: personId in the body does not match the path
+ *       '404':
+ *         description: Person not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *       '500':
+ *         description: Internal server error
+ *   patch:
+ *     summary: Update some of a Person's fields
+ *     description: Only the fields sent are written.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PersonPatch'
+ *     responses:
+ *       '200':
+ *         description: The Person as updated
+ *       '400':
+ *         description: No Person fields in the body
+ *       '404':
+ *         description: Person not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
  *   delete:
  *     summary: Delete a Person by ID
- *     description: Remove an existing Person entity by its ID.
+ *     description: Moves the Person to the recycle bin (see /api/RecycleBin).
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           type: integer
  *         description: The ID of the Person to delete.
  *     responses:
  *       '200':
@@ -466,29 +1069,92 @@ app.put('/api/Person/{id}', async (request, res) => {
  *       '500':
  *         description: Internal server error
  */
-// Delete a Person by ID
-app.delete('/api/Person/{id}', async (req, res) => {
-    const personId = req.params.id;
+const replacePerson = async (req, res, next) => {
     try {
-        pool.query(`delete from Person where personId=${personId}`, (err, result) => {
-            if (err) {
-                res.status(404).json({ message: 'Person not found' });
-            }
-            res.status(200).send(result);
-        })
+        const result = await Person.replace(parseInt(req.params.id), req.body, { scope: churchScopeClause(req.scope), ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('Person not found'));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.put('/api/Person/:id', authorize(ADMIN, PASTOR, CELL_LEADER), matchBodyId('personId'), scopeBodyChurch, replacePerson);
+
+app.patch('/api/Person/:id', authorize(ADMIN, PASTOR, CELL_LEADER), matchBodyId('personId'), requireChanges(Person.entity), scopePatchChurch, async (req, res, next) => {
+    try {
+        const personId = parseInt(req.params.id);
+        const scope = churchScopeClause(req.scope);
+        const result = await Person.update(personId, req.body, { scope, ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('Person not found'));
+        const updated = await Person.findById(personId, { scope });
+        res.status(200).set('ETag', etagOf(updated)).send(updated);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/Person/:id', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        const result = await Person.remove(parseInt(req.params.id), { scope: churchScopeClause(req.scope), deletedBy: req.user.userId });
+        if (result.affectedRows === 0) return next(notFound('Person not found'));
+        res.status(200).send(result);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
+/**
+ * @swagger
+ * /api/Person:
+ *   put:
+ *     deprecated: true
+ *     summary: Replace the Person named by personId in the body
+ *     description: Use PUT /api/Person/{id}. Answers with Deprecation and Link headers pointing there.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Person'
+ *               - required:
+ *                   - personId
+ *     responses:
+ *       '200':
+ *         description: Person updated successfully
+ *       '404':
+ *         description: Person not found
+ *       '500':
+ *         description: Internal server error
+ */
+app.put('/api/Person', authorize(ADMIN, PASTOR, CELL_LEADER), bodyIdAlias('personId'), scopeBodyChurch, replacePerson);
+
 // =========================================== STATS =========================================
 
+// Stats rows only carry churchId, so region and province filters go through the Church table
+const STATS_LIST = {
+    ...Stats.entity,
+    scope: (req) => churchScopeClause(req.scope),
+    virtualFilters: {
+        region: (condition) => `churchId IN (SELECT churchId FROM Church WHERE region ${condition})`,
+        province: (condition) => `churchId IN (SELECT churchId FROM Church WHERE province ${condition})`
+    }
+};
+
 /**
  * @swagger
  * /api/Stats:
  *   get:
  *     summary: Retrieve all Stats
- *     description: Get a list of all available Stats.
+ *     description: Paginated list; filter on any column or on region and province, e.g. churchId=3, date[gte]=2024-01-01, sort=-date.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       '200':
  *         description: A list of Stats
@@ -497,19 +1163,154 @@ app.delete('/api/Person/{id}', async (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-app.get('/api/Stats', async (req, res) => {
-    try {
-        pool.query(`select * from Stats`, (err, result) => {
-            if (err) {
-                return err;
-            }
-            res.status(200).send(result);
-        })
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
-});
+app.get('/api/Stats', authorize(...ALL_ROLES), listHandler(STATS_LIST));
+
+
+/**
+ * @swagger
+ * /api/Stats/export:
+ *   get:
+ *     summary: Export Stats as CSV, XLSX or PDF
+ *     description: Streams the collection as a download. Any column, region or province can be given as a filter, e.g. ?region=North&date[gte]=2024-01-01.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: fields
+ *         description: Comma-separated columns to include, in order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The exported file
+ *       '400':
+ *         description: Unknown format or field
+ */
+app.get('/api/Stats/export', authorize(...ALL_ROLES), exportHandler(STATS_LIST));
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     analyticsFrom:
+ *       in: query
+ *       name: from
+ *       description: First date to include (YYYY-MM-DD)
+ *       schema:
+ *         type: string
+ *         format: date
+ *     analyticsTo:
+ *       in: query
+ *       name: to
+ *       description: Last date to include (YYYY-MM-DD), default today
+ *       schema:
+ *         type: string
+ *         format: date
+ *     analyticsChurchId:
+ *       in: query
+ *       name: churchId
+ *       description: Only this church
+ *       schema:
+ *         type: integer
+ *     analyticsRegion:
+ *       in: query
+ *       name: region
+ *       description: Only churches in this region
+ *       schema:
+ *         type: string
+ *     analyticsProvince:
+ *       in: query
+ *       name: province
+ *       description: Only churches in this province
+ *       schema:
+ *         type: string
+ */
+
+/**
+ * @swagger
+ * /api/Stats/analytics/totals:
+ *   get:
+ *     summary: Weekly, monthly or yearly Stats totals with growth and year-over-year change
+ *     description: >
+ *       Sums every Stats metric per period and per church, region or province (or across the whole scope).
+ *       Each period carries growth against the previous period and the change against the same period last year,
+ *       as ratios (0.125 = +12.5%, null when there is nothing to compare with). from is rounded down to the start
+ *       of its period; the latest period may still be in progress.
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [week, month, year]
+ *           default: month
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [all, church, region, province]
+ *           default: all
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *       - $ref: '#/components/parameters/analyticsChurchId'
+ *       - $ref: '#/components/parameters/analyticsRegion'
+ *       - $ref: '#/components/parameters/analyticsProvince'
+ *     responses:
+ *       '200':
+ *         description: "{ period, groupBy, from, to, data: [{ period, periodStart, periodEnd, services, totals, growth, lastYear, yoy }] }"
+ *       '400':
+ *         description: Invalid parameters
+ */
+app.get('/api/Stats/analytics/totals', authorize(...ALL_ROLES), statsTotalsHandler);
 
+/**
+ * @swagger
+ * /api/Stats/analytics/rankings:
+ *   get:
+ *     summary: Top and bottom branches for a Stats metric
+ *     description: >
+ *       Ranks churches (or regions/provinces) on one metric over a date window, by total, by average per service,
+ *       or by growth against the window of the same length just before it. Defaults to the last 90 days.
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         schema:
+ *           type: string
+ *           enum: [adult, car, fk, saved, offering, visitors, aow, ck]
+ *           default: adult
+ *       - in: query
+ *         name: by
+ *         schema:
+ *           type: string
+ *           enum: [total, average, growth]
+ *           default: total
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [church, region, province]
+ *           default: church
+ *       - in: query
+ *         name: limit
+ *         description: Entries in each of top and bottom, max 50
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 5
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *       - $ref: '#/components/parameters/analyticsRegion'
+ *       - $ref: '#/components/parameters/analyticsProvince'
+ *     responses:
+ *       '200':
+ *         description: "{ metric, by, groupBy, from, to, previousFrom, count, top: [...], bottom: [...] }"
+ *       '400':
+ *         description: Invalid parameters
+ */
+app.get('/api/Stats/analytics/rankings', authorize(...ALL_ROLES), statsRankingsHandler);
 
 /**
  * @swagger
@@ -535,17 +1336,13 @@ app.get('/api/Stats', async (req, res) => {
  *         description: Stats not found
  */
 // GET a church by ID
-app.get('/api/Stats/:id', async (req, res) => {
-    const statsId = parseInt(req.params.id);
+app.get('/api/Stats/:id', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`select * from Stats where statsId=${statsId}`, (err, result) => {
-            if (err) {
-                res.status(404).json({ message: 'Stats not found' });
-            }
-            res.status(200).send(result);
-        })
+        const stats = await Stats.findById(parseInt(req.params.id), { scope: churchScopeClause(req.scope) });
+        if (!stats) return next(notFound('Stats not found'));
+        res.status(200).set('ETag', etagOf(stats)).send([stats]);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
@@ -556,33 +1353,12 @@ app.get('/api/Stats/:id', async (req, res) => {
  *   post:
  *     summary: Add a new Stats 
  *     description: Add details of a Stats
-  *     parameters:
- *      - in: body
- *        name: Stats
- *        description: Add a new Stats
- *        schema:
- *            type: object
- *            properties:  
- *               adult:
- *                 type: integer
- *               car: 
- *                 type: integer
- *               fk:
- *                 type: integer
- *               saved: 
- *                 type: integer
- *               offering:
- *                 type: integer
- *               visitors: 
- *                 type: integer
- *               date:
- *                 type: integer
- *               churchId: 
- *                 type: integer
- *               aow:
- *                 type: integer
- *               ck: 
- *                 type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Stats'
  *     responses:
  *       '200':
  *         description: Stats updated successfully
@@ -591,1017 +1367,4054 @@ app.get('/api/Stats/:id', async (req, res) => {
  *       '500':
  *         description: Internal server error
  */
-app.post('/api/Stats', async (request, response) => {
-    const adult = request.body.adult;
-    const car = request.body.car;
-    const fk = request.body.fk;
-    const saved = request.body.saved;
-    const offering = request.body.offering;
-    const visitors = request.body.visitors;
-    const date = request.body.date;
-    const churchId = request.body.churchId;
-    const aow = request.body.aow;
-    const ck = request.body.ck;
-    console.log(request.body)
-    var sql = `INSERT INTO Stats
-    (adult, car, fk, saved, offering, visitors, date, churchId, aow, ck) VALUES 
-    ('${adult}', '${car}', '${fk}', '${saved}' , '${offering}', '${visitors}' ,'${date}' , '${churchId}', '${aow}', '${ck}')`;
-
-    try {
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
-
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
+app.post('/api/Stats', authorize(ADMIN, PASTOR, FINANCE), scopeBodyChurch, async (req, res, next) => {
+    try {
+        const result = await Stats.create(req.body);
+        res.status(200).send(result);
     } catch (err) {
-        response.status(400).json({ message: err.message });
+        next(err);
     }
 });
 
 
 /**
  * @swagger
- * /api/Stats:
- *   put:
- *     summary: Update a new Stats 
- *     description: Add details of a Stats
-  *     parameters:
- *      - in: body
- *        name: Stats
- *        description: Add a new Stats
- *        schema:
- *            type: object
- *            properties:  
- *               statsId: 
- *                 type: integer
- *               adult:
- *                 type: integer
- *               car: 
- *                 type: integer
- *               fk:
- *                 type: integer
- *               saved: 
- *                 type: integer
- *               offering:
- *                 type: integer
- *               visitors: 
- *                 type: integer
- *               date:
- *                 type: integer
- *               churchId: 
- *                 type: integer
- *               aow:
- *                 type: integer
- *               ck: 
- *                 type: integer
+ * /api/Stats/bulk:
+ *   post:
+ *     summary: Create, update or delete Stats in one transaction
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkRequest'
  *     responses:
  *       '200':
- *         description: Stats updated successfully
- *       '404':
- *         description: Stats not found
- *       '500':
- *         description: Internal server error
+ *         description: Every item was applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResponse'
+ *       '207':
+ *         description: Partial mode; some items failed and the rest were committed
+ *       '400':
+ *         description: Malformed bulk request
+ *       '422':
+ *         description: Atomic mode; an item failed and nothing was committed
  */
-app.put('/api/Stats', async (request, response) => {
-    const statsId = request.body.statsId;
-    const adult = request.body.adult;
-    const car = request.body.car;
-    const fk = request.body.fk;
-    const saved = request.body.saved;
-    const offering = request.body.offering;
-    const visitors = request.body.visitors;
-    const date = request.body.date;
-    const churchId = request.body.churchId;
-    const aow = request.body.aow;
-    const ck = request.body.ck;
-    console.log(request.body)
-    var sql = `UPDATE Stats
-    SET  adult='${adult}', car='${car}', fk='${fk}', saved='${saved}', offering='${offering}', visitors='${visitors}', date='${date}', churchId='${churchId}', aow='${aow}', ck='${ck}'
-    WHERE statsId='${statsId}' `;
-
-    try {
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
-
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
-    } catch (err) {
-        response.status(400).json({ message: err.message });
-    }
-});
+app.post('/api/Stats/bulk', authorize(ADMIN, PASTOR, FINANCE), bulkHandler(Stats.entity, { validate: schemaValidator(swaggerDocs, 'Stats') }));
 
 /**
  * @swagger
- * /api/Stats/{statsId}:
- *   delete:
- *     summary: Delete a Stats by ID
- *     description: Remove an existing Stats entity by its ID.
+ * /api/Stats/{id}:
+ *   put:
+ *     summary: Replace a Stats
+ *     description: Every field is written; fields left out are emptied. A statsId in the body must match the path.
  *     parameters:
  *       - in: path
- *         name: statsId
+ *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: The ID of the Stats to delete.
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Stats'
  *     responses:
  *       '200':
- *         description: Stats deleted successfully
+ *         description: Stats updated successfully
+ *       '400':
+ *         description: statsId in the body does not match the path
  *       '404':
  *         description: Stats not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
  *       '500':
  *         description: Internal server error
- */
-// Delete a Stats by ID
-app.delete('/api/Stats/:{statsId}', async (req, res) => {
-    const statsId = req.params.statsId;
-    console.log("Stats ID: "+statsId)
-    try {
-        pool.query(`delete * from Stats where statsId=${statsId}`, (err, result) => {
-            console.log("Stats ID: "+err)
-
-            if (err) {
-                res.status(404).json({ message: 'Stats not found' });
-            }
-            res.status(200).send(result);
-        })
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
-});
-
-// =========================================== USER =========================================
-/**
- * @swagger
- * /api/User:
- *   get:
- *     summary: Retrieve all Users
- *     description: Get a list of all available Users.
+ *   patch:
+ *     summary: Update some of a Stats' fields
+ *     description: Only the fields sent are written.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatsPatch'
+ *     responses:
+ *       '200':
+ *         description: The Stats as updated
+ *       '400':
+ *         description: No Stats fields in the body
+ *       '404':
+ *         description: Stats not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   delete:
+ *     summary: Delete a Stats by ID
+ *     description: Moves the Stats to the recycle bin (see /api/RecycleBin).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the Stats to delete.
+ *     responses:
+ *       '200':
+ *         description: Stats deleted successfully
+ *       '404':
+ *         description: Stats not found
+ *       '500':
+ *         description: Internal server error
+ */
+const replaceStats = async (req, res, next) => {
+    try {
+        const result = await Stats.replace(parseInt(req.params.id), req.body, { scope: churchScopeClause(req.scope), ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('Stats not found'));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.put('/api/Stats/:id', authorize(ADMIN, PASTOR, FINANCE), matchBodyId('statsId'), scopeBodyChurch, replaceStats);
+
+app.patch('/api/Stats/:id', authorize(ADMIN, PASTOR, FINANCE), matchBodyId('statsId'), requireChanges(Stats.entity), scopePatchChurch, async (req, res, next) => {
+    try {
+        const statsId = parseInt(req.params.id);
+        const scope = churchScopeClause(req.scope);
+        const result = await Stats.update(statsId, req.body, { scope, ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('Stats not found'));
+        const updated = await Stats.findById(statsId, { scope });
+        res.status(200).set('ETag', etagOf(updated)).send(updated);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/Stats/:id', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const result = await Stats.remove(parseInt(req.params.id), { scope: churchScopeClause(req.scope), deletedBy: req.user.userId });
+        if (result.affectedRows === 0) return next(notFound('Stats not found'));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Stats:
+ *   put:
+ *     deprecated: true
+ *     summary: Replace the Stats named by statsId in the body
+ *     description: Use PUT /api/Stats/{id}. Answers with Deprecation and Link headers pointing there.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Stats'
+ *               - required:
+ *                   - statsId
+ *     responses:
+ *       '200':
+ *         description: Stats updated successfully
+ *       '404':
+ *         description: Stats not found
+ *       '500':
+ *         description: Internal server error
+ */
+app.put('/api/Stats', authorize(ADMIN, PASTOR, FINANCE), bodyIdAlias('statsId'), scopeBodyChurch, replaceStats);
+
+// =========================================== FOLLOW-UP =========================================
+
+const FOLLOW_UP_LIST = { ...FollowUp.entity, scope: (req) => churchScopeClause(req.scope) };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FollowUp:
+ *       type: object
+ *       properties:
+ *         followUpId:
+ *           type: integer
+ *         personId:
+ *           type: integer
+ *         churchId:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           enum: [saved, visitor]
+ *         serviceDate:
+ *           type: string
+ *           format: date
+ *         stage:
+ *           type: string
+ *           enum: [new believer, contacted, attended cell, baptised, membership class]
+ *         stageChangedAt:
+ *           type: string
+ *           format: date-time
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         leaderId:
+ *           type: integer
+ *           nullable: true
+ *         notes:
+ *           type: string
+ *     FollowUpCreate:
+ *       type: object
+ *       description: A new convert or visitor; give name and surname for someone new, or personId for someone already registered
+ *       required:
+ *         - source
+ *       anyOf:
+ *         - required: [personId]
+ *         - required: [name, surname]
+ *       properties:
+ *         source:
+ *           type: string
+ *           enum: [saved, visitor]
+ *         serviceDate:
+ *           type: string
+ *           format: date
+ *           description: The service they were counted at (default today)
+ *         personId:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         surname:
+ *           type: string
+ *           minLength: 1
+ *         contactNumber:
+ *           type: string
+ *           pattern: '^[0-9+()\s-]{9,20}$'
+ *         address:
+ *           type: string
+ *         gender:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *         maritalStatus:
+ *           type: string
+ *         comments:
+ *           type: string
+ *         churchId:
+ *           type: integer
+ *         leaderId:
+ *           type: integer
+ *           description: Person id of the cell leader to assign
+ *         cellLocation:
+ *           type: string
+ *           description: Defaults to the leader's own cellLocation
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/FollowUp:
+ *   get:
+ *     summary: List follow-ups
+ *     description: Paginated list; filter on any column, e.g. stage=contacted, leaderId=12, dueDate[lt]=2024-06-01.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of follow-ups
+ */
+app.get('/api/FollowUp', authorize(...ALL_ROLES), listHandler(FOLLOW_UP_LIST));
+
+/**
+ * @swagger
+ * /api/FollowUp/overdue:
+ *   get:
+ *     summary: Overdue follow-ups per cell leader
+ *     description: Follow-ups past their due date, grouped by leader. Cell leaders only see their own.
+ *     parameters:
+ *       - in: query
+ *         name: leaderId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ asOf, leaders: [{ leader, count, followUps: [{ ..., dueDate, daysOverdue }] }] }"
+ */
+app.get('/api/FollowUp/overdue', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        res.status(200).json(await overdueByLeader({ leaderId: req.query.leaderId, scope: req.scope, user: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/FollowUp/reconciliation:
+ *   get:
+ *     summary: Reconcile recorded people against Stats saved/visitors counts
+ *     description: >
+ *       Per church and service date, compares the saved and visitors counts on Stats with the follow-ups
+ *       recorded for that service. unrecorded is counted minus recorded. Defaults to the last 90 days.
+ *     parameters:
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *       - $ref: '#/components/parameters/analyticsChurchId'
+ *       - $ref: '#/components/parameters/analyticsRegion'
+ *       - $ref: '#/components/parameters/analyticsProvince'
+ *       - in: query
+ *         name: mismatchesOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       '200':
+ *         description: "{ from, to, totals, data: [{ churchId, date, counted, recorded, unrecorded, matched }] }"
+ */
+app.get('/api/FollowUp/reconciliation', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { from, to, churchId, region, province, mismatchesOnly } = req.query;
+        res.status(200).json(await reconcile({
+            from,
+            to,
+            filters: { churchId, region, province },
+            scope: req.scope,
+            mismatchesOnly: mismatchesOnly === 'true'
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/FollowUp/{id}:
+ *   get:
+ *     summary: A follow-up with its person and stage history
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The follow-up, person and history
+ *       '404':
+ *         description: Follow-up not found
+ */
+app.get('/api/FollowUp/:id', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const followUpId = parseInt(req.params.id);
+        const followUp = await getFollowUp(followUpId, { scope: req.scope });
+        res.status(200).set('ETag', await storedEtag(FollowUp, followUpId)).json(followUp);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/FollowUp:
+ *   post:
+ *     summary: Record a new convert or visitor
+ *     description: Creates the Person (unless personId is given) at the "new believer" stage, optionally assigned to a cell leader.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FollowUpCreate'
+ *     responses:
+ *       '201':
+ *         description: "{ followUpId, personId }"
+ *       '400':
+ *         description: Invalid input or leader
+ *       '409':
+ *         description: The person is already being followed up
+ */
+app.post('/api/FollowUp', authorize(ADMIN, PASTOR, CELL_LEADER), scopeBodyChurch, async (req, res, next) => {
+    try {
+        res.status(201).json(await createFollowUp(req.body, { scope: req.scope, user: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/FollowUp/{id}/stage:
+ *   put:
+ *     summary: Move a follow-up to another stage
+ *     description: Records the change in the stage history and restarts the due date for the new stage.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stage
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [new believer, contacted, attended cell, baptised, membership class]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: The updated follow-up
+ *       '403':
+ *         description: Assigned to another cell leader
+ *       '404':
+ *         description: Follow-up not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ */
+app.put('/api/FollowUp/:id/stage', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        res.status(200).json(await moveStage(parseInt(req.params.id), req.body, { scope: req.scope, user: req.user, ifMatch: req.get('If-Match') }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/FollowUp/{id}/leader:
+ *   put:
+ *     summary: Assign a follow-up to a cell leader
+ *     description: Also sets the person's cellLeader and cellLocation.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - leaderId
+ *             properties:
+ *               leaderId:
+ *                 type: integer
+ *               cellLocation:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: The updated follow-up
+ *       '404':
+ *         description: Follow-up not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ */
+app.put('/api/FollowUp/:id/leader', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        res.status(200).json(await assignLeader(parseInt(req.params.id), req.body, { scope: req.scope, ifMatch: req.get('If-Match') }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/FollowUp/{id}:
+ *   delete:
+ *     summary: Stop following someone up
+ *     description: Deletes the follow-up and its history; the Person stays on the register.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Follow-up deleted
+ *       '404':
+ *         description: Follow-up not found
+ */
+app.delete('/api/FollowUp/:id', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        const result = await FollowUp.remove(parseInt(req.params.id), { scope: churchScopeClause(req.scope) });
+        if (result.affectedRows === 0) return next(notFound('Follow-up not found'));
+        res.status(200).json({ message: 'Follow-up deleted successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== CELL GROUPS =========================================
+
+const CELL_GROUP_LIST = { ...CellGroup.entity, scope: (req) => churchScopeClause(req.scope) };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CellGroup:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         cellGroupId:
+ *           type: integer
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         churchId:
+ *           type: integer
+ *           description: The parent church; defaults to your own
+ *         leaderId:
+ *           type: integer
+ *           description: Person id of the cell leader
+ *         hostLocation:
+ *           type: string
+ *         meetingDay:
+ *           type: string
+ *           enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *         meetingTime:
+ *           type: string
+ *           pattern: '^([01][0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$'
+ *           example: '18:30'
+ *         parentCellGroupId:
+ *           type: integer
+ *           readOnly: true
+ *           description: The cell this one multiplied from
+ */
+
+/**
+ * @swagger
+ * /api/CellGroup:
+ *   get:
+ *     summary: List cell groups
+ *     description: Paginated list; filter on any column, e.g. churchId=3, leaderId=12, meetingDay=Wednesday.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of cell groups
+ */
+app.get('/api/CellGroup', authorize(...ALL_ROLES), listHandler(CELL_GROUP_LIST));
+
+/**
+ * @swagger
+ * /api/CellGroup/{id}:
+ *   get:
+ *     summary: A cell group with its leader and members
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The cell group
+ *       '404':
+ *         description: Cell group not found
+ */
+app.get('/api/CellGroup/:id', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const cellGroupId = parseInt(req.params.id);
+        const cell = await getCellGroup(cellGroupId, { scope: req.scope });
+        res.status(200).set('ETag', await storedEtag(CellGroup, cellGroupId)).json(cell);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/CellGroup:
+ *   post:
+ *     summary: Plant a cell group
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CellGroup'
+ *     responses:
+ *       '201':
+ *         description: The new cell group
+ *       '400':
+ *         description: Invalid input or leader
+ */
+app.post('/api/CellGroup', authorize(ADMIN, PASTOR), scopeBodyChurch, async (req, res, next) => {
+    try {
+        res.status(201).json(await createCellGroup(req.body, { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/CellGroup/{id}:
+ *   put:
+ *     summary: Update a cell group
+ *     description: Members' cellLeader and cellLocation follow a change of leader or host.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CellGroup'
+ *     responses:
+ *       '200':
+ *         description: The updated cell group
+ *       '404':
+ *         description: Cell group not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   patch:
+ *     summary: Update some of a cell group's fields
+ *     description: Only the fields sent are written; the result is checked as a whole, as for PUT.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CellGroupPatch'
+ *     responses:
+ *       '200':
+ *         description: The cell group as updated
+ *       '400':
+ *         description: No cell group fields in the body, or the result is invalid
+ *       '404':
+ *         description: Cell group not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ */
+app.put('/api/CellGroup/:id', authorize(ADMIN, PASTOR), scopeBodyChurch, async (req, res, next) => {
+    try {
+        res.status(200).json(await updateCellGroup(parseInt(req.params.id), req.body, { scope: req.scope, ifMatch: req.get('If-Match') }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.patch('/api/CellGroup/:id', authorize(ADMIN, PASTOR), requireChanges(CellGroup.entity, { columns: CELL_GROUP_COLUMNS }), scopePatchChurch, async (req, res, next) => {
+    try {
+        const cellGroupId = parseInt(req.params.id);
+        const cell = await updateCellGroup(cellGroupId, req.body, { scope: req.scope, partial: true, ifMatch: req.get('If-Match') });
+        res.status(200).set('ETag', await storedEtag(CellGroup, cellGroupId)).json(cell);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/CellGroup/{id}:
+ *   delete:
+ *     summary: Close a cell group
+ *     description: Members are released and their cellLeader/cellLocation cleared.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Cell group deleted
+ *       '404':
+ *         description: Cell group not found
+ */
+app.delete('/api/CellGroup/:id', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        await deleteCellGroup(parseInt(req.params.id), { scope: req.scope });
+        res.status(200).json({ message: 'Cell group deleted successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/CellGroup/{id}/members:
+ *   get:
+ *     summary: Members of a cell group
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The members
+ *       '404':
+ *         description: Cell group not found
+ *   post:
+ *     summary: Add people to a cell group
+ *     description: People already in another cell are refused with 409 unless move is true.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - personIds
+ *             properties:
+ *               personIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: integer
+ *               move:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       '200':
+ *         description: The cell's members after the change
+ *       '409':
+ *         description: Someone already belongs to another cell
+ */
+app.get('/api/CellGroup/:id/members', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { members } = await getCellGroup(parseInt(req.params.id), { scope: req.scope });
+        res.status(200).json(members);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.post('/api/CellGroup/:id/members', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        res.status(200).json(await addMembers(parseInt(req.params.id), req.body, { scope: req.scope, user: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/CellGroup/{id}/members/{personId}:
+ *   delete:
+ *     summary: Remove a person from a cell group
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: personId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Member removed
+ *       '404':
+ *         description: Not a member of this cell group
+ */
+app.delete('/api/CellGroup/:id/members/:personId', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        await removeMember(parseInt(req.params.id), parseInt(req.params.personId), { scope: req.scope, user: req.user });
+        res.status(200).json({ message: 'Member removed successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/CellGroup/{id}/meetings:
+ *   get:
+ *     summary: Attendance at a cell group's meetings
+ *     description: Newest first; defaults to the last 90 days.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       '200':
+ *         description: "{ from, to, data: [{ meetingId, meetingDate, present, visitors, attendance, attendees }] }"
+ *   post:
+ *     summary: Record a cell meeting's attendance
+ *     description: Marks which members were present and counts visitors. Recording the same date again replaces it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - meetingDate
+ *             properties:
+ *               meetingDate:
+ *                 type: string
+ *                 format: date
+ *               present:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               visitors:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       '201':
+ *         description: The recorded meeting
+ *       '400':
+ *         description: Someone marked present is not a member
+ */
+app.get('/api/CellGroup/:id/meetings', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+        res.status(200).json(await listMeetings(parseInt(req.params.id), { from, to, scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.post('/api/CellGroup/:id/meetings', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        res.status(201).json(await recordMeeting(parseInt(req.params.id), req.body, { scope: req.scope, user: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/CellGroup/{id}/multiply:
+ *   post:
+ *     summary: Multiply a cell group into two
+ *     description: >
+ *       Plants a new cell (parentCellGroupId = this cell) with its own leader and host, and moves the listed
+ *       members into it. The new leader moves too if they were a member. Both cells must keep members.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - leaderId
+ *               - memberIds
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               leaderId:
+ *                 type: integer
+ *               memberIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: integer
+ *               hostLocation:
+ *                 type: string
+ *               meetingDay:
+ *                 type: string
+ *                 enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *               meetingTime:
+ *                 type: string
+ *     responses:
+ *       '201':
+ *         description: "{ parent, child } cell groups after the split"
+ *       '400':
+ *         description: Members or leader not valid for the split
+ */
+app.post('/api/CellGroup/:id/multiply', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        res.status(201).json(await multiplyCellGroup(parseInt(req.params.id), req.body, { scope: req.scope, user: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== CONTRIBUTIONS =========================================
+
+const CONTRIBUTION_LIST = { ...Contribution.entity, scope: (req) => churchScopeClause(req.scope) };
+
+// The certificate year defaults to last year, the one usually being certified
+const certificateYear = (req) => parseInt(req.query.year) || new Date().getUTCFullYear() - 1;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Contribution:
+ *       type: object
+ *       required:
+ *         - type
+ *         - amount
+ *       properties:
+ *         contributionId:
+ *           type: integer
+ *           readOnly: true
+ *         personId:
+ *           type: integer
+ *           nullable: true
+ *           description: The giver; leave out for anonymous offerings
+ *         churchId:
+ *           type: integer
+ *           description: The receiving church; defaults to your own, or the giver's
+ *         type:
+ *           type: string
+ *           enum: [tithe, seed, registration, offering, pledge, event]
+ *         pledgeId:
+ *           type: integer
+ *           nullable: true
+ *           description: Makes this a payment towards the pledge; type becomes pledge
+ *         amount:
+ *           type: number
+ *           exclusiveMinimum: 0
+ *           multipleOf: 0.01
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: The day it was given (default today)
+ *         paymentMethod:
+ *           type: string
+ *           enum: [cash, card, eft, cheque, mobile, other]
+ *           default: cash
+ *         reference:
+ *           type: string
+ *           maxLength: 64
+ *           description: Receipt, slip or transaction number
+ *         notes:
+ *           type: string
+ *         recordedBy:
+ *           type: integer
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /api/Contribution:
+ *   get:
+ *     summary: List contributions
+ *     description: Paginated ledger; filter on any column, e.g. personId=12, type=tithe, date[gte]=2024-01-01.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of contributions
+ */
+app.get('/api/Contribution', authorize(ADMIN, PASTOR, FINANCE), listHandler(CONTRIBUTION_LIST));
+
+/**
+ * @swagger
+ * /api/Contribution/export:
+ *   get:
+ *     summary: Export contributions as CSV, XLSX or PDF
+ *     description: Streams the ledger as a download. Any column can be given as a filter, e.g. ?type=tithe.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: fields
+ *         description: Comma-separated columns to include, in order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The exported file
+ *       '400':
+ *         description: Unknown format or field
+ */
+app.get('/api/Contribution/export', authorize(ADMIN, PASTOR, FINANCE), exportHandler(CONTRIBUTION_LIST));
+
+/**
+ * @swagger
+ * /api/Contribution/reconciliation:
+ *   get:
+ *     summary: Reconcile recorded tithes and offerings against Stats.offering
+ *     description: >
+ *       Per church and service date, compares the offering counted on Stats with the tithe and offering
+ *       contributions recorded for that day. unrecorded is counted minus recorded. Defaults to the last 90 days.
+ *     parameters:
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *       - $ref: '#/components/parameters/analyticsChurchId'
+ *       - $ref: '#/components/parameters/analyticsRegion'
+ *       - $ref: '#/components/parameters/analyticsProvince'
+ *       - in: query
+ *         name: mismatchesOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       '200':
+ *         description: "{ from, to, types, totals, data: [{ churchId, date, counted, recorded, unrecorded, gifts, matched }] }"
+ */
+app.get('/api/Contribution/reconciliation', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const { from, to, churchId, region, province, mismatchesOnly } = req.query;
+        res.status(200).json(await reconcileOfferings({
+            from,
+            to,
+            filters: { churchId, region, province },
+            scope: req.scope,
+            mismatchesOnly: mismatchesOnly === 'true'
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Contribution/certificates:
+ *   get:
+ *     summary: Annual giving certificates as one PDF
+ *     description: A page per giver and receiving church for the year, for everyone who gave in your scope.
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         description: Defaults to last year
+ *         schema:
+ *           type: integer
+ *           minimum: 2000
+ *       - $ref: '#/components/parameters/analyticsChurchId'
+ *     responses:
+ *       '200':
+ *         description: The certificates
+ *         content:
+ *           application/pdf: {}
+ *       '404':
+ *         description: No named contributions in that year
+ */
+app.get('/api/Contribution/certificates', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const year = certificateYear(req);
+        const summaries = await annualSummaries({ year, churchId: req.query.churchId, scope: req.scope });
+        if (!summaries.length) return next(notFound(`No contributions recorded in ${year}`));
+        await streamGivingCertificates(res, summaries, { filename: `giving-certificates-${year}.pdf` });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Contribution/{id}:
+ *   get:
+ *     summary: A contribution by id
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The contribution
+ *       '404':
+ *         description: Contribution not found
+ */
+app.get('/api/Contribution/:id', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const contribution = await getContribution(parseInt(req.params.id), { scope: req.scope });
+        res.status(200).set('ETag', etagOf(contribution)).json(contribution);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Contribution:
+ *   post:
+ *     summary: Record a contribution
+ *     description: The giver's Person regContribution, seedContribution and amount totals are refreshed.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Contribution'
+ *     responses:
+ *       '201':
+ *         description: The recorded contribution
+ *       '404':
+ *         description: Person not found
+ */
+app.post('/api/Contribution', authorize(ADMIN, PASTOR, FINANCE), scopeBodyChurch, async (req, res, next) => {
+    try {
+        res.status(201).json(await recordContribution(req.body, { scope: req.scope, user: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Contribution/{id}:
+ *   put:
+ *     summary: Correct a contribution
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Contribution'
+ *     responses:
+ *       '200':
+ *         description: The updated contribution
+ *       '404':
+ *         description: Contribution not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   patch:
+ *     summary: Correct some of a contribution's fields
+ *     description: Only the fields sent are written; the result is checked as a whole, as for PUT.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContributionPatch'
+ *     responses:
+ *       '200':
+ *         description: The contribution as updated
+ *       '400':
+ *         description: No contribution fields in the body, or the result is invalid
+ *       '404':
+ *         description: Contribution not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   delete:
+ *     summary: Delete a contribution
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Contribution deleted
+ *       '404':
+ *         description: Contribution not found
+ */
+app.put('/api/Contribution/:id', authorize(ADMIN, FINANCE), scopeBodyChurch, async (req, res, next) => {
+    try {
+        res.status(200).json(await updateContribution(parseInt(req.params.id), req.body, { scope: req.scope, ifMatch: req.get('If-Match') }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.patch('/api/Contribution/:id', authorize(ADMIN, FINANCE), requireChanges(Contribution.entity, { columns: CONTRIBUTION_COLUMNS }), scopePatchChurch, async (req, res, next) => {
+    try {
+        const contribution = await updateContribution(parseInt(req.params.id), req.body, { scope: req.scope, partial: true, ifMatch: req.get('If-Match') });
+        res.status(200).set('ETag', etagOf(contribution)).json(contribution);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/Contribution/:id', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        await deleteContribution(parseInt(req.params.id), { scope: req.scope });
+        res.status(200).json({ message: 'Contribution deleted successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Person/{id}/statement:
+ *   get:
+ *     summary: A person's giving statement
+ *     description: Every gift in the range with totals per type. Defaults to the current calendar year.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/analyticsFrom'
+ *       - $ref: '#/components/parameters/analyticsTo'
+ *     responses:
+ *       '200':
+ *         description: "{ person, from, to, count, total, totals, contributions }"
+ *       '404':
+ *         description: Person not found
+ */
+app.get('/api/Person/:id/statement', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+        res.status(200).json(await givingStatement(parseInt(req.params.id), { from, to, scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Person/{id}/certificate:
+ *   get:
+ *     summary: A person's annual giving certificate as PDF
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: year
+ *         description: Defaults to last year
+ *         schema:
+ *           type: integer
+ *           minimum: 2000
+ *     responses:
+ *       '200':
+ *         description: The certificate, a page per receiving church
+ *         content:
+ *           application/pdf: {}
+ *       '404':
+ *         description: No contributions from this person in that year
+ */
+app.get('/api/Person/:id/certificate', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const year = certificateYear(req);
+        const personId = parseInt(req.params.id);
+        const summaries = await annualSummaries({ year, personId, scope: req.scope });
+        if (!summaries.length) return next(notFound(`No contributions from this person in ${year}`));
+        await streamGivingCertificates(res, summaries, { filename: `giving-certificate-${personId}-${year}.pdf` });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== CAMPAIGNS & PLEDGES =========================================
+
+const CAMPAIGN_LIST = { ...Campaign.entity, scope: (req) => campaignScope(req.scope) };
+const PLEDGE_LIST = { ...Pledge.entity, scope: (req) => churchScopeClause(req.scope) };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Campaign:
+ *       type: object
+ *       required:
+ *         - name
+ *         - targetAmount
+ *         - startDate
+ *       properties:
+ *         campaignId:
+ *           type: integer
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         description:
+ *           type: string
+ *         churchId:
+ *           type: integer
+ *           description: The running church; defaults to your own. Admins leave it out for a ministry-wide campaign.
+ *         targetAmount:
+ *           type: number
+ *           exclusiveMinimum: 0
+ *           multipleOf: 0.01
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *     Pledge:
+ *       type: object
+ *       required:
+ *         - campaignId
+ *         - personId
+ *         - amount
+ *       properties:
+ *         pledgeId:
+ *           type: integer
+ *           readOnly: true
+ *         campaignId:
+ *           type: integer
+ *         personId:
+ *           type: integer
+ *         churchId:
+ *           type: integer
+ *           readOnly: true
+ *           description: The pledger's church
+ *         amount:
+ *           type: number
+ *           exclusiveMinimum: 0
+ *           multipleOf: 0.01
+ *         paid:
+ *           type: number
+ *           readOnly: true
+ *         pledgeDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *           description: Defaults to the campaign's endDate
+ *         notes:
+ *           type: string
+ *     PledgeUpdate:
+ *       type: object
+ *       required:
+ *         - amount
+ *       properties:
+ *         amount:
+ *           type: number
+ *           exclusiveMinimum: 0
+ *           multipleOf: 0.01
+ *         pledgeDate:
+ *           type: string
+ *           format: date
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         notes:
+ *           type: string
+ *     PledgePayment:
+ *       type: object
+ *       required:
+ *         - amount
+ *       properties:
+ *         amount:
+ *           type: number
+ *           exclusiveMinimum: 0
+ *           multipleOf: 0.01
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today
+ *         paymentMethod:
+ *           type: string
+ *           enum: [cash, card, eft, cheque, mobile, other]
+ *           default: cash
+ *         reference:
+ *           type: string
+ *           maxLength: 64
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/Campaign:
+ *   get:
+ *     summary: List campaigns
+ *     description: Campaigns run by churches in your scope plus ministry-wide ones; filter on any column.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of campaigns
+ *   post:
+ *     summary: Start a campaign
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Campaign'
+ *     responses:
+ *       '201':
+ *         description: The new campaign
+ */
+app.get('/api/Campaign', authorize(...ALL_ROLES), listHandler(CAMPAIGN_LIST));
+
+app.post('/api/Campaign', authorize(ADMIN, PASTOR), scopeBodyChurch, async (req, res, next) => {
+    try {
+        res.status(201).json(await createCampaign(req.body));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Campaign/{id}:
+ *   get:
+ *     summary: A campaign by id
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The campaign
+ *       '404':
+ *         description: Campaign not found
+ *   put:
+ *     summary: Update a campaign
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Campaign'
+ *     responses:
+ *       '200':
+ *         description: The updated campaign
+ *       '404':
+ *         description: Campaign not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   patch:
+ *     summary: Update some of a campaign's fields
+ *     description: Only the fields sent are written; the result is checked as a whole, as for PUT.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CampaignPatch'
+ *     responses:
+ *       '200':
+ *         description: The campaign as updated
+ *       '400':
+ *         description: No campaign fields in the body, or the result is invalid
+ *       '404':
+ *         description: Campaign not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   delete:
+ *     summary: Delete a campaign without pledges
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Campaign deleted
+ *       '422':
+ *         description: The campaign still has pledges
+ */
+app.get('/api/Campaign/:id', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const campaign = await getCampaign(parseInt(req.params.id), { scope: req.scope });
+        res.status(200).set('ETag', etagOf(campaign)).json(campaign);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/Campaign/:id', authorize(ADMIN, PASTOR), scopeBodyChurch, async (req, res, next) => {
+    try {
+        res.status(200).json(await updateCampaign(parseInt(req.params.id), req.body, { scope: req.scope, ifMatch: req.get('If-Match') }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.patch('/api/Campaign/:id', authorize(ADMIN, PASTOR), requireChanges(Campaign.entity, { columns: CAMPAIGN_COLUMNS }), scopePatchChurch, async (req, res, next) => {
+    try {
+        const campaign = await updateCampaign(parseInt(req.params.id), req.body, { scope: req.scope, partial: true, ifMatch: req.get('If-Match') });
+        res.status(200).set('ETag', etagOf(campaign)).json(campaign);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/Campaign/:id', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        await deleteCampaign(parseInt(req.params.id), { scope: req.scope });
+        res.status(200).json({ message: 'Campaign deleted successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Campaign/{id}/progress:
+ *   get:
+ *     summary: Raised and pledged against the target, overall and per branch
+ *     description: raised is what has been paid; outstanding is pledged but not yet paid.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ campaign, target, pledges, pledged, raised, outstanding, remaining, percentRaised, percentPledged, byChurch }"
+ *       '404':
+ *         description: Campaign not found
+ */
+app.get('/api/Campaign/:id/progress', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        res.status(200).json(await campaignProgress(parseInt(req.params.id), { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Pledge:
+ *   get:
+ *     summary: List pledges
+ *     description: Paginated list; filter on any column, e.g. campaignId=2, personId=12.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of pledges
+ *   post:
+ *     summary: Record a pledge towards a campaign
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Pledge'
+ *     responses:
+ *       '201':
+ *         description: The pledge with its balance
+ *       '400':
+ *         description: The campaign does not take pledges from this person's church
+ *       '404':
+ *         description: Campaign or person not found
+ */
+app.get('/api/Pledge', authorize(ADMIN, PASTOR, FINANCE), listHandler(PLEDGE_LIST));
+
+app.post('/api/Pledge', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        res.status(201).json(await createPledge(req.body, { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Pledge/overdue:
+ *   get:
+ *     summary: Pledges still owing after their due date
+ *     parameters:
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/analyticsChurchId'
+ *     responses:
+ *       '200':
+ *         description: "{ asOf, count, balance, data: [{ ..., balance, daysOverdue }] }"
+ */
+app.get('/api/Pledge/overdue', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const { campaignId, churchId } = req.query;
+        res.status(200).json(await overduePledges({ campaignId, churchId, scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Pledge/{id}:
+ *   get:
+ *     summary: A pledge with its balance and payments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The pledge
+ *       '404':
+ *         description: Pledge not found
+ *   put:
+ *     summary: Change a pledge
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PledgeUpdate'
+ *     responses:
+ *       '200':
+ *         description: The updated pledge
+ *       '400':
+ *         description: The amount is below what has been paid
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   patch:
+ *     summary: Change some of a pledge's fields
+ *     description: Only the fields sent are written; the result is checked as a whole, as for PUT. The amount may not drop below what has been paid.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PledgeUpdatePatch'
+ *     responses:
+ *       '200':
+ *         description: The pledge as updated
+ *       '400':
+ *         description: No pledge fields in the body, or the result is invalid
+ *       '404':
+ *         description: Pledge not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   delete:
+ *     summary: Delete a pledge without payments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Pledge deleted
+ *       '409':
+ *         description: The pledge has payments
+ */
+app.get('/api/Pledge/:id', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        const pledgeId = parseInt(req.params.id);
+        const pledge = await getPledge(pledgeId, { scope: req.scope });
+        res.status(200).set('ETag', await storedEtag(Pledge, pledgeId)).json(pledge);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/Pledge/:id', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        res.status(200).json(await updatePledge(parseInt(req.params.id), req.body, { scope: req.scope, ifMatch: req.get('If-Match') }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.patch('/api/Pledge/:id', authorize(ADMIN, PASTOR, FINANCE), requireChanges(Pledge.entity, { columns: PLEDGE_COLUMNS }), async (req, res, next) => {
+    try {
+        const pledgeId = parseInt(req.params.id);
+        const pledge = await updatePledge(pledgeId, req.body, { scope: req.scope, partial: true, ifMatch: req.get('If-Match') });
+        res.status(200).set('ETag', await storedEtag(Pledge, pledgeId)).json(pledge);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/Pledge/:id', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        await deletePledge(parseInt(req.params.id), { scope: req.scope });
+        res.status(200).json({ message: 'Pledge deleted successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Pledge/{id}/payments:
+ *   post:
+ *     summary: Record a payment towards a pledge
+ *     description: Adds a pledge contribution to the ledger and reduces the pledge's balance.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PledgePayment'
+ *     responses:
+ *       '201':
+ *         description: "{ payment, pledge }"
+ *       '400':
+ *         description: The payment is more than the balance
+ *       '404':
+ *         description: Pledge not found
+ */
+app.post('/api/Pledge/:id/payments', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        res.status(201).json(await recordPledgePayment(parseInt(req.params.id), req.body, { scope: req.scope, user: req.user }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== USER =========================================
+
+// The User repository never returns the password column unless asked for it explicitly
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * @swagger
+ * /api/User:
+ *   get:
+ *     summary: Retrieve all Users
+ *     description: Paginated list; filter on any column, e.g. role=pastor, username[like]=j*, sort=username.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A list of Users
+ *       '401':
+ *         description: Unaurthorized
+ *       '500':
+ *         description: Internal server error
+ */
+app.get('/api/User', authorize(ADMIN), listHandler(User.entity));
+
+
+/**
+ * @swagger
+ * /api/User/{id}:
+ *   get:
+ *     summary: Retrieve a User by ID
+ *     description: Get a User by their ID.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: ID of the User to retrieve
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Details of the User
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       '404':
+ *         description: User not found
+ */
+// GET a User by ID
+app.get('/api/User/:id', authorize(ADMIN), async (req, res, next) => {
+    try {
+        const stored = await User.findById(parseInt(req.params.id), { withHidden: true });
+        if (!stored) return next(notFound('User not found'));
+        // The ETag covers the password hash, so a new password invalidates it; the hash itself is never sent
+        const { password, ...user } = stored;
+        res.status(200).set('ETag', etagOf(stored)).send([user]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/User:
+ *   post:
+ *     summary: Add a new User 
+ *     description: Add details of a User
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/User'
+ *               - required:
+ *                   - password
+ *     responses:
+ *       '200':
+ *         description: User updated successfully
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+app.post('/api/User', authorize(ADMIN), async (req, res, next) => {
+    const { password } = req.body;
+
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        return next(badRequest(`password must be at least ${MIN_PASSWORD_LENGTH} characters`));
+    }
+
+    try {
+        const result = await User.create({ ...req.body, password: await hashPassword(password) });
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+/**
+ * @swagger
+ * /Login:
+ *  post:
+ *    summary: Login
+ *    security: []
+ *    description: Validate the credentials and issue an access token and a refresh token
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            required:
+ *              - username
+ *              - password
+ *            properties:
+ *              username:
+ *                type: string
+ *              password:
+ *                type: string
+ *    responses:
+ *      '200':
+ *        description: Access and refresh tokens for the user
+ *      '401':
+ *        description: Invalid username or password
+ */
+
+app.post('/Login/', async (req, res, next) => {
+    const { username, password } = req.body;
+
+    try {
+        const user = await User.findForLogin(username);
+        if (!user || !(await verifyPassword(password, user.password))) {
+            return next(unauthorized('Invalid username or password'));
+        }
+
+        // Upgrade a legacy plaintext password the first time its owner logs in
+        if (!isPasswordHash(user.password)) {
+            await User.setPassword(user.userId, await hashPassword(password), { keepTokens: true });
+        }
+
+        res.status(200).json({
+            message: 'Auth Successfully, Access Granted!!',
+            ...issueTokens(user),
+            user: { userId: user.userId, username: user.username, role: user.role, personId: user.personId }
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /Login/refresh:
+ *  post:
+ *    summary: Exchange a refresh token for a new token pair
+ *    security: []
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            type: object
+ *            properties:
+ *              refreshToken:
+ *                type: string
+ *    responses:
+ *      '200':
+ *        description: New access and refresh tokens
+ *      '401':
+ *        description: Invalid or expired refresh token, or one issued before the user's password last changed
+ */
+app.post('/Login/refresh', async (req, res, next) => {
+    let payload;
+    try {
+        payload = verifyRefreshToken(req.body.refreshToken);
+    } catch (err) {
+        return next(unauthorized('Invalid or expired refresh token'));
+    }
+
+    try {
+        // Re-read the user so role changes, deleted accounts and new passwords take effect on refresh
+        const user = await User.findWithScope(parseInt(payload.sub));
+        if (!user) return next(unauthorized('User no longer exists'));
+        if (!isCurrentRefreshToken(payload, user)) return next(unauthorized('Refresh token was revoked by a password change'));
+        res.status(200).json(issueTokens(user));
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+/**
+ * @swagger
+ * /api/User/password:
+ *   put:
+ *     summary: Change the signed-in user's password
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Password changed
+ *       '400':
+ *         description: New password too short
+ *       '401':
+ *         description: Current password is wrong
+ */
+app.put('/api/User/password', authorize(...ALL_ROLES), async (req, res, next) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+        return next(badRequest(`newPassword must be at least ${MIN_PASSWORD_LENGTH} characters`));
+    }
+
+    try {
+        const user = await User.findById(req.user.userId, { withHidden: true });
+        if (!user) return next(notFound('User not found'));
+        if (!(await verifyPassword(currentPassword, user.password))) {
+            return next(unauthorized('Current password is incorrect'));
+        }
+
+        await User.setPassword(req.user.userId, await hashPassword(newPassword));
+        res.status(200).json({ message: 'Password changed successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/User/{id}/reset-password:
+ *   post:
+ *     summary: Reset a user's password (admin)
+ *     description: Sets the given password, or generates a temporary one and returns it once.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Password reset
+ *       '404':
+ *         description: User not found
+ */
+app.post('/api/User/:id/reset-password', authorize(ADMIN), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    const supplied = req.body && req.body.newPassword;
+
+    if (supplied && String(supplied).length < MIN_PASSWORD_LENGTH) {
+        return next(badRequest(`newPassword must be at least ${MIN_PASSWORD_LENGTH} characters`));
+    }
+
+    const newPassword = supplied || crypto.randomBytes(9).toString('base64url');
+
+    try {
+        const result = await User.setPassword(userId, await hashPassword(newPassword));
+        if (result.affectedRows === 0) return next(notFound('User not found'));
+        res.status(200).json({
+            message: 'Password reset successfully',
+            ...(supplied ? {} : { temporaryPassword: newPassword })
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+/**
+ * @swagger
+ * /api/User/{id}:
+ *   put:
+ *     summary: Replace a User
+ *     description: Writes role, username and personId. The stored password is only replaced when a new one is sent. A userId in the body must match the path.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/User'
+ *     responses:
+ *       '200':
+ *         description: User updated successfully
+ *       '400':
+ *         description: Password too short, or userId in the body does not match the path
+ *       '404':
+ *         description: User not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *       '500':
+ *         description: Internal server error
+ *   patch:
+ *     summary: Update some of a User's fields
+ *     description: Only the fields sent are written; a password sent is hashed.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserPatch'
+ *     responses:
+ *       '200':
+ *         description: The User as updated
+ *       '400':
+ *         description: No User fields in the body, or password too short
+ *       '404':
+ *         description: User not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   delete:
+ *     summary: Delete a User by ID
+ *     description: Remove an existing User entity by its ID.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the User to delete.
+ *     responses:
+ *       '200':
+ *         description: User deleted successfully
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+// Registered after /api/User/password so that path is not taken for an id
+const replaceUser = async (req, res, next) => {
+    const { password } = req.body;
+
+    try {
+        // Only touch the stored hash when a new password is supplied
+        const data = { ...req.body };
+        const columns = ['role', 'username', 'personId'];
+        if (password !== undefined && password !== null && password !== '') {
+            if (String(password).length < MIN_PASSWORD_LENGTH) {
+                return next(badRequest(`password must be at least ${MIN_PASSWORD_LENGTH} characters`));
+            }
+            data.password = await hashPassword(password);
+            columns.push('password');
+        }
+
+        const result = await User.replace(parseInt(req.params.id), data, { columns, ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('User not found'));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.put('/api/User/:id', authorize(ADMIN), matchBodyId('userId'), replaceUser);
+
+app.patch('/api/User/:id', authorize(ADMIN), matchBodyId('userId'), requireChanges(User.entity, { columns: ['username', 'role', 'personId', 'password'] }), async (req, res, next) => {
+    const userId = parseInt(req.params.id);
+    const { password } = req.body;
+
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+        return next(badRequest(`password must be at least ${MIN_PASSWORD_LENGTH} characters`));
+    }
+
+    try {
+        const data = password === undefined ? req.body : { ...req.body, password: await hashPassword(password) };
+        const result = await User.update(userId, data, { ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('User not found'));
+        const stored = await User.findById(userId, { withHidden: true });
+        const { password: hash, ...user } = stored;
+        res.status(200).set('ETag', etagOf(stored)).send(user);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Delete a User by ID
+app.delete('/api/User/:id', authorize(ADMIN), async (req, res, next) => {
+    try {
+        const result = await User.remove(parseInt(req.params.id));
+        if (result.affectedRows === 0) return next(notFound('User not found'));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/User:
+ *   put:
+ *     deprecated: true
+ *     summary: Replace the User named by userId in the body
+ *     description: Use PUT /api/User/{id}. Answers with Deprecation and Link headers pointing there.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/User'
+ *               - required:
+ *                   - userId
+ *     responses:
+ *       '200':
+ *         description: User updated successfully
+ *       '404':
+ *         description: User not found
+ *       '500':
+ *         description: Internal server error
+ */
+app.put('/api/User', authorize(ADMIN), bodyIdAlias('userId'), replaceUser);
+
+// =========================================== CALENDAR =========================================
+
+const CALENDAR_LIST = { ...Calendar.entity, scope: (req) => regionScopeClause(req.scope) };
+
+/**
+ * @swagger
+ * /api/Calendar:
+ *   get:
+ *     summary: Retrieve all Calendar events
+ *     description: Paginated list; filter on any column, e.g. region=North, startDate[gte]=2024-01-01, sort=startDate,startTime.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A list of events
+ *       '401':
+ *         description: Unaurthorized
+ *       '500':
+ *         description: Internal server error
+ */
+app.get('/api/Calendar', authorize(...ALL_ROLES), listHandler(CALENDAR_LIST));
+
+/**
+ * @swagger
+ * /api/Calendar/occurrences:
+ *   get:
+ *     summary: Event occurrences between two dates
+ *     description: >
+ *       Recurring events are expanded and their cancelled or moved occurrences applied. churchId gives that
+ *       church's events plus region-wide and ministry-wide ones; region gives region-wide and ministry-wide events.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         description: First date (YYYY-MM-DD), default today
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Last date (YYYY-MM-DD), default 90 days from from; at most two years later
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: churchId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ from, to, count, data: [{ id, name, date, endDate, startTime, endTime, originalDate, moved, ... }] }"
+ *       '400':
+ *         description: Invalid range
+ */
+app.get('/api/Calendar/occurrences', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { from, to, region, department, churchId } = req.query;
+        res.status(200).json(await listOccurrences({ from, to, region, department, churchId, scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/feed.ics:
+ *   get:
+ *     summary: Download events as an iCalendar file
+ *     description: Same filters as the occurrences list. Use POST /api/Calendar/feeds for a URL phones can subscribe to.
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: churchId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The events, recurring ones with their RRULE
+ *         content:
+ *           text/calendar: {}
+ */
+app.get('/api/Calendar/feed.ics', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { region, department, churchId } = req.query;
+        res.type('text/calendar; charset=utf-8').send(await calendarFeed({ region, department, churchId }, { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/feeds:
+ *   post:
+ *     summary: Create a subscription URL for a calendar feed
+ *     description: >
+ *       The URL carries a signed token with your access and the filters, so calendar apps can fetch it
+ *       without logging in. Treat it like a password.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarFeed'
+ *     responses:
+ *       '201':
+ *         description: "{ url, webcalUrl }"
+ */
+app.post('/api/Calendar/feeds', authorize(...ALL_ROLES), (req, res, next) => {
+    try {
+        const { region, department, churchId } = req.body || {};
+        const token = issueFeedToken(req.user, { region, department, churchId });
+        const url = `${req.protocol}://${req.get('host')}/feeds/calendar.ics?token=${encodeURIComponent(token)}`;
+        res.status(201).json({ url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /feeds/calendar.ics:
+ *   get:
+ *     summary: Subscribed calendar feed
+ *     description: Fetched by calendar apps with the token from POST /api/Calendar/feeds instead of a bearer token.
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The feed
+ *         content:
+ *           text/calendar: {}
+ *       '401':
+ *         description: Invalid or expired feed token, or the user no longer exists
+ *       '403':
+ *         description: The user's role or church no longer allows the feed
+ */
+app.get('/feeds/calendar.ics', async (req, res, next) => {
+    try {
+        req.feed = verifyFeedToken(String(req.query.token));
+    } catch (err) {
+        return next(unauthorized('Invalid or expired feed token'));
+    }
+    try {
+        // Re-read the user on every fetch, as the token lasts a year: a deleted account's feeds stop
+        // and a changed role, church or region applies to the next fetch
+        const user = await User.findWithScope(parseInt(req.feed.sub));
+        if (!user) return next(unauthorized('User no longer exists'));
+        req.user = { ...user, role: normalizeRole(user.role) };
+        next();
+    } catch (err) {
+        next(err);
+    }
+}, authorize(...ALL_ROLES), attachScope, async (req, res, next) => {
+    try {
+        res.type('text/calendar; charset=utf-8').send(await calendarFeed(req.feed.filters || {}, { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/import:
+ *   post:
+ *     summary: Import events from an iCalendar (.ics) file
+ *     description: >
+ *       Events are matched on their UID: one imported before is updated, any other is created, with its
+ *       cancelled (EXDATE) and moved (RECURRENCE-ID) occurrences. Every event gets the region and churchId
+ *       sent with the file, and the department unless the event has a category. With dryRun (the default)
+ *       nothing is written; with dryRun=false all valid events are written together.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               region:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               churchId:
+ *                 type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ dryRun, summary, events: [{ event, uid, name, startDate, rrule, status, id, errors }] }"
+ *       '400':
+ *         description: Missing or unreadable file
+ */
+app.post('/api/Calendar/import', authorize(ADMIN, PASTOR), uploadCalendarFile, scopeBodyRegion, async (req, res, next) => {
+    try {
+        const { region, department, churchId } = req.body;
+        res.status(200).json(await importCalendar(req.file.buffer.toString('utf8'), {
+            region,
+            department: department || undefined,
+            churchId: churchId ? parseInt(churchId) : undefined,
+            dryRun: req.query.dryRun !== 'false',
+            scope: req.scope
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}:
+ *   get:
+ *     summary: Retrieve a Calendar by ID
+ *     description: Get a Calendar by their ID.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: ID of the Calendar to retrieve
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Details of the Calendar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Calendar'
+ *       '404':
+ *         description: Calendar not found
+ */
+// GET a calendar by ID
+app.get('/api/Calendar/:id', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const event = await Calendar.findById(parseInt(req.params.id), { scope: regionScopeClause(req.scope) });
+        if (!event) return next(notFound('Calendar event not found'));
+        res.status(200).set('ETag', etagOf(event)).send([event]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar:
+ *   post:
+ *     summary: Add a new Calendar 
+ *     description: Add details of a Calendar
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Calendar'
+ *     responses:
+ *       '200':
+ *         description: Calendar updated successfully
+ *       '404':
+ *         description: Calendar not found
+ *       '500':
+ *         description: Internal server error
+ */
+app.post('/api/Calendar', authorize(ADMIN, PASTOR), scopeBodyRegion, async (req, res, next) => {
+    try {
+        const result = await Calendar.create(await prepareEvent(req.body, { scope: req.scope }));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+
+/**
+ * @swagger
+ * /api/Calendar/{id}:
+ *   put:
+ *     summary: Replace a Calendar event
+ *     description: Every field is written; fields left out are emptied. An id in the body must match the path.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Calendar'
+ *     responses:
+ *       '200':
+ *         description: Calendar updated successfully
+ *       '400':
+ *         description: id in the body does not match the path
+ *       '404':
+ *         description: Calendar not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *       '500':
+ *         description: Internal server error
+ *   patch:
+ *     summary: Update some of a Calendar event's fields
+ *     description: Only the fields sent are written; dates and the rrule are checked against the event as a whole.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarPatch'
+ *     responses:
+ *       '200':
+ *         description: The event as updated
+ *       '400':
+ *         description: No Calendar fields in the body, or the changed event is invalid
+ *       '404':
+ *         description: Calendar event not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *   delete:
+ *     summary: Delete a Calendar by ID
+ *     description: Remove an existing Calendar entity by its ID.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the Calendar to delete.
+ *     responses:
+ *       '200':
+ *         description: Calendar deleted successfully
+ *       '404':
+ *         description: Calendar not found
+ *       '500':
+ *         description: Internal server error
+ */
+const replaceCalendar = async (req, res, next) => {
+    try {
+        const event = await prepareEvent(req.body, { scope: req.scope });
+        const result = await Calendar.replace(parseInt(req.params.id), event, { scope: regionScopeClause(req.scope), ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('Calendar not found'));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.put('/api/Calendar/:id', authorize(ADMIN, PASTOR), matchBodyId('id'), scopeBodyRegion, replaceCalendar);
+
+app.patch('/api/Calendar/:id', authorize(ADMIN, PASTOR), matchBodyId('id'), requireChanges(Calendar.entity), scopePatchRegion, async (req, res, next) => {
+    try {
+        const calendarId = parseInt(req.params.id);
+        const event = await updateEvent(calendarId, req.body, { scope: req.scope, ifMatch: req.get('If-Match') });
+        res.status(200).set('ETag', await storedEtag(Calendar, calendarId)).send(event);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Delete a Calendar by ID
+app.delete('/api/Calendar/:id', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        const result = await Calendar.remove(parseInt(req.params.id), { scope: regionScopeClause(req.scope) });
+        if (result.affectedRows === 0) return next(notFound('Calendar not found'));
+        res.status(200).send(result);
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar:
+ *   put:
+ *     deprecated: true
+ *     summary: Replace the Calendar event named by id in the body
+ *     description: Use PUT /api/Calendar/{id}. Answers with Deprecation and Link headers pointing there.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Calendar'
+ *               - required:
+ *                   - id
+ *     responses:
+ *       '200':
+ *         description: Calendar updated successfully
+ *       '404':
+ *         description: Calendar not found
+ *       '500':
+ *         description: Internal server error
+ */
+app.put('/api/Calendar', authorize(ADMIN, PASTOR), bodyIdAlias('id'), scopeBodyRegion, replaceCalendar);
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/occurrences:
+ *   get:
+ *     summary: One event's occurrences between two dates
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         description: First date (YYYY-MM-DD), default today
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Last date (YYYY-MM-DD), default 90 days from from
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       '200':
+ *         description: "{ event, from, to, data }"
+ *       '404':
+ *         description: Calendar event not found
+ */
+app.get('/api/Calendar/:id/occurrences', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+        res.status(200).json(await eventOccurrences(parseInt(req.params.id), { from, to, scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/exceptions/{date}:
+ *   put:
+ *     summary: Cancel or move one occurrence of a recurring event
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         description: The occurrence's original date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CalendarException'
+ *     responses:
+ *       '200':
+ *         description: The exception
+ *       '400':
+ *         description: The event does not recur, or the date is not one of its occurrences
+ *       '404':
+ *         description: Calendar event not found
+ *   delete:
+ *     summary: Restore an occurrence to its usual date and time
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       '200':
+ *         description: Exception removed
+ *       '404':
+ *         description: Calendar event or exception not found
+ */
+app.put('/api/Calendar/:id/exceptions/:date', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        res.status(200).json(await setException(parseInt(req.params.id), req.params.date, req.body || {}, { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/Calendar/:id/exceptions/:date', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        await removeException(parseInt(req.params.id), req.params.date, { scope: req.scope });
+        res.status(200).json({ message: 'Exception removed successfully' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== EVENT REGISTRATION =========================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Registration:
+ *       type: object
+ *       required:
+ *         - personId
+ *       properties:
+ *         personId:
+ *           type: integer
+ *           minimum: 1
+ *     RegistrationPayment:
+ *       type: object
+ *       description: The amount is always the event's fee.
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Defaults to today
+ *         paymentMethod:
+ *           type: string
+ *           enum: [cash, card, eft, cheque, mobile, other]
+ *           default: cash
+ *         reference:
+ *           type: string
+ *           maxLength: 64
+ *           description: Defaults to event:<calendarId>
+ *         notes:
+ *           type: string
+ *     CheckIn:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 32
+ *           description: The value read from the person's QR code
+ */
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/registrations:
+ *   get:
+ *     summary: An event's registrations and places
+ *     description: In sign-up order; waitlisted people carry their waitlistPosition.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [registered, waitlisted, cancelled]
+ *     responses:
+ *       '200':
+ *         description: "{ event, registered, waitlisted, cancelled, checkedIn, available, data }"
+ *       '404':
+ *         description: Calendar event not found
+ *   post:
+ *     summary: Register a person for an event
+ *     description: Once the event's capacity is reached the person joins the waitlist instead.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Registration'
+ *     responses:
+ *       '201':
+ *         description: The registration, with status registered or waitlisted
+ *       '404':
+ *         description: Calendar event or person not found
+ *       '409':
+ *         description: The person is already registered or waitlisted
+ */
+app.get('/api/Calendar/:id/registrations', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        res.status(200).json(await listRegistrations(parseInt(req.params.id), { status: req.query.status, scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.post('/api/Calendar/:id/registrations', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        res.status(201).json(await registerForEvent(parseInt(req.params.id), req.body, { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/registrations/{registrationId}:
+ *   delete:
+ *     summary: Cancel a registration
+ *     description: A freed place goes to the longest-waiting person on the waitlist, returned as promoted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ registration, promoted }"
+ *       '404':
+ *         description: Registration not found
+ *       '409':
+ *         description: Already cancelled or checked in
+ */
+app.delete('/api/Calendar/:id/registrations/:registrationId', authorize(ADMIN, PASTOR, CELL_LEADER), async (req, res, next) => {
+    try {
+        res.status(200).json(await cancelRegistration(parseInt(req.params.id), parseInt(req.params.registrationId), { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/registrations/{registrationId}/payment:
+ *   post:
+ *     summary: Pay the event fee for a registration
+ *     description: Records the fee as an event contribution in the ledger and links it to the registration.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegistrationPayment'
+ *     responses:
+ *       '201':
+ *         description: "{ payment, registration }"
+ *       '400':
+ *         description: The event has no fee
+ *       '404':
+ *         description: Registration not found
+ *       '409':
+ *         description: Already paid, or the registration is cancelled
+ */
+app.post('/api/Calendar/:id/registrations/:registrationId/payment', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        res.status(201).json(await payRegistrationFee(
+            parseInt(req.params.id),
+            parseInt(req.params.registrationId),
+            req.body || {},
+            { scope: req.scope, user: req.user }
+        ));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/registrations/{registrationId}/qr:
+ *   get:
+ *     summary: The registration's check-in QR code
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, svg]
+ *           default: png
+ *     responses:
+ *       '200':
+ *         description: The QR code image
+ *         content:
+ *           image/png: {}
+ *           image/svg+xml: {}
+ *       '404':
+ *         description: Registration not found
+ *       '409':
+ *         description: The registration is cancelled
+ */
+app.get('/api/Calendar/:id/registrations/:registrationId/qr', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const code = await checkInCodeFor(parseInt(req.params.id), parseInt(req.params.registrationId), { scope: req.scope });
+        if (req.query.format === 'svg') {
+            res.type('image/svg+xml').send(await QRCode.toString(code, { type: 'svg', margin: 2 }));
+        } else {
+            res.type('image/png').send(await QRCode.toBuffer(code, { type: 'png', margin: 2, width: 300 }));
+        }
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/checkin:
+ *   post:
+ *     summary: Check in a scanned QR code at the door
+ *     description: Scanning the same code twice answers 200 with alreadyCheckedIn true.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CheckIn'
+ *     responses:
+ *       '200':
+ *         description: "{ alreadyCheckedIn, person, registration }"
+ *       '404':
+ *         description: No registration for this event has that code
+ *       '409':
+ *         description: The person is waitlisted or cancelled, or the fee is unpaid
+ */
+app.post('/api/Calendar/:id/checkin', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        res.status(200).json(await checkIn(parseInt(req.params.id), req.body, { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/attendance:
+ *   get:
+ *     summary: Check-ins against registrations for an event
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ event, registered, waitlisted, checkedIn, noShows, byChurch }"
+ *       '404':
+ *         description: Calendar event not found
+ */
+app.get('/api/Calendar/:id/attendance', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        res.status(200).json(await eventAttendance(parseInt(req.params.id), { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Calendar/{id}/attendance/stats:
+ *   post:
+ *     summary: Post the event's check-ins to Stats
+ *     description: |
+ *       Writes each church's check-ins per event day as adult attendance on a Stats row.
+ *       Posting again updates the same rows.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ event, posted }"
+ *       '404':
+ *         description: Calendar event not found
+ */
+app.post('/api/Calendar/:id/attendance/stats', authorize(ADMIN, PASTOR), async (req, res, next) => {
+    try {
+        res.status(200).json(await postAttendanceToStats(parseInt(req.params.id), { scope: req.scope }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== ASSERTS =========================================
+
+/**
+ * @swagger
+ * /api/Assets:
+ *   get:
+ *     summary: Retrieve all Assets
+ *     description: Paginated list; filter on any column, e.g. location_id=4, category=Sound, sort=-purchase_date.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A list of Assets
+ *       '401':
+ *         description: Unauthorized
+ *       '500':
+ *         description: Internal server error
+ */
+app.get('/api/Assets', authorize(...ALL_ROLES), listHandler(Assets.entity));
+
+
+/**
+ * @swagger
+ * /api/Assets/export:
+ *   get:
+ *     summary: Export Assets as CSV, XLSX or PDF
+ *     description: Streams the collection as a download. Any column can be given as a filter, e.g. ?location_id=4&category=Sound.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: fields
+ *         description: Comma-separated columns to include, in order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The exported file
+ *       '400':
+ *         description: Unknown format or field
+ */
+app.get('/api/Assets/export', authorize(...ALL_ROLES), exportHandler(Assets.entity));
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     assetLocation:
+ *       in: query
+ *       name: location_id
+ *       schema:
+ *         type: integer
+ *     assetCategory:
+ *       in: query
+ *       name: category
+ *       schema:
+ *         type: string
+ */
+
+/**
+ * @swagger
+ * /api/Assets/maintenance/due:
+ *   get:
+ *     summary: Assets whose next scheduled service is coming up
+ *     description: >
+ *       The next service is due intervalDays (from the category's MaintenanceSchedule) after
+ *       last_maintenance_date, or after purchase_date for an asset never serviced. Soonest first.
+ *     parameters:
+ *       - in: query
+ *         name: within
+ *         description: Days ahead to look; defaults to each schedule's leadDays
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 366
+ *       - $ref: '#/components/parameters/assetLocation'
+ *       - $ref: '#/components/parameters/assetCategory'
  *     responses:
  *       '200':
- *         description: A list of Users
- *       '401':
- *         description: Unaurthorized
- *       '500':
- *         description: Internal server error
+ *         description: "{ asOf, count, data: [{ asset_id, name, category, lastDone, nextDue, daysUntilDue, status, ... }] }"
  */
-app.get('/api/User', async (req, res) => {
+app.get('/api/Assets/maintenance/due', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`select * from User`, (err, result) => {
-            if (err) {
-                return err;
-            }
-            res.status(200).send(result);
-        })
+        const { within, location_id, category } = req.query;
+        res.status(200).json(await maintenanceReport({
+            status: 'due',
+            within: within === undefined ? undefined : parseInt(within),
+            location_id,
+            category
+        }));
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
+/**
+ * @swagger
+ * /api/Assets/maintenance/overdue:
+ *   get:
+ *     summary: Assets past their scheduled service date
+ *     parameters:
+ *       - $ref: '#/components/parameters/assetLocation'
+ *       - $ref: '#/components/parameters/assetCategory'
+ *     responses:
+ *       '200':
+ *         description: "{ asOf, count, data: [{ asset_id, name, category, lastDone, nextDue, daysUntilDue, status, ... }] }"
+ */
+app.get('/api/Assets/maintenance/overdue', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { location_id, category } = req.query;
+        res.status(200).json(await maintenanceReport({ status: 'overdue', location_id, category }));
+    } catch (err) {
+        next(err);
+    }
+});
 
 /**
  * @swagger
- * /api/User/{id}:
+ * /api/Assets/checkouts:
  *   get:
- *     summary: Retrieve a User by ID
- *     description: Get a User by their ID.
+ *     summary: Assets currently checked out
+ *     parameters:
+ *       - in: query
+ *         name: overdue
+ *         description: Only those past their dueBack date
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/assetLocation'
+ *       - $ref: '#/components/parameters/assetCategory'
+ *     responses:
+ *       '200':
+ *         description: "{ asOf, count, data: [{ checkoutId, asset_id, name, borrowerName, checkedOutAt, dueBack, daysOverdue, ... }] }"
+ */
+app.get('/api/Assets/checkouts', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const { overdue, location_id, category } = req.query;
+        res.status(200).json(await checkedOutAssets({ overdue: overdue === 'true', location_id, category }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Assets/depreciation:
+ *   get:
+ *     summary: Straight-line depreciation report
+ *     description: >
+ *       Cost, accumulated depreciation and book value on asOf for every asset with a purchase_price, and the
+ *       depreciation charged from `from` to asOf, with totals overall and per category. Depreciation is
+ *       (purchase_price - salvage_value) spread over useful_life_years, counted in whole months from purchase_date.
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         description: Defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: from
+ *         description: Start of the period; defaults to 1 January of asOf's year
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - $ref: '#/components/parameters/assetLocation'
+ *       - $ref: '#/components/parameters/assetCategory'
+ *       - in: query
+ *         name: format
+ *         description: json, or a download of the per-asset rows
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx, pdf]
+ *           default: json
+ *     responses:
+ *       '200':
+ *         description: "{ from, asOf, totals, byCategory, data: [{ asset_id, cost, accumulated, bookValue, periodDepreciation, ... }] }"
+ *       '400':
+ *         description: from is after asOf
+ */
+app.get('/api/Assets/depreciation', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const { asOf, from, location_id, category, format = 'json' } = req.query;
+        const report = await depreciationReport({ asOf, from, location_id, category });
+        if (!EXPORT_FORMATS.includes(format)) return res.status(200).json(report);
+        await streamExport(res, format, { rows: report.data, columns: DEPRECIATION_COLUMNS, title: 'Depreciation' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Assets/{id}:
+ *   get:
+ *     summary: Retrieve an Asset by ID
+ *     description: Get an Asset by its ID.
  *     parameters:
  *       - in: path
  *         name: id
- *         description: ID of the User to retrieve
+ *         description: ID of the Asset to retrieve
  *         required: true
  *         schema:
  *           type: integer
  *     responses:
  *       '200':
- *         description: Details of the User
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
+ *         description: Details of the Asset
  *       '404':
- *         description: User not found
+ *         description: Asset not found
  */
-// GET a User by ID
-app.get('/api/User/:id', async (req, res) => {
-    const userId = parseInt(req.params.id);
+app.get('/api/Assets/:id', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`select * from User where userId=${userId}`, (err, result) => {
-            if (err) {
-                res.status(404).json({ message: 'User not found' });
-            }
-            res.status(200).send(result);
-        })
+        const asset = await Assets.findById(parseInt(req.params.id));
+        if (!asset) return next(notFound('Asset not found'));
+        res.status(200).set('ETag', etagOf(asset)).send([asset]);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
 /**
  * @swagger
- * /api/User:
+ * /api/Assets:
  *   post:
- *     summary: Add a new User 
- *     description: Add details of a User
-  *     parameters:
- *      - in: body
- *        name: User
- *        description: Add a new User
- *        schema:
- *            type: object
- *            properties:  
- *               role:
- *                 type: integer
- *               username: 
- *                 type: string
- *               password:
- *                 type: string
- *               personId: 
- *                 type: integer
+ *     summary: Add a new Asset
+ *     description: Add a new Asset, associating it with a valid location.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Asset'
  *     responses:
  *       '200':
- *         description: User updated successfully
- *       '404':
- *         description: User not found
+ *         description: Asset added successfully
+ *       '400':
+ *         description: Invalid input
+ *       '422':
+ *         description: Location not found
  *       '500':
  *         description: Internal server error
  */
-app.post('/api/User', async (request, response) => {
-    const role = request.body.role;
-    const username = request.body.username;
-    const password = request.body.password;
-    const personId = request.body.personId;
-    console.log(request.body)
-    var sql = `INSERT INTO User
-    (role, username, password, personId) VALUES 
-    ('${role}', '${username}', '${password}', '${personId}')`;
+app.post('/api/Assets', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    const { location_id, name, purchase_date, purchase_price, last_maintenance_date } = req.body;
+
+    if (!location_id || isNaN(location_id)) {
+        return next(badRequest('Invalid or missing location_id'));
+    }
 
     try {
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
+        const location = await Locations.findById(location_id);
+        if (!location) {
+            return next(unprocessable('Invalid location ID', { field: 'location_id' }));
+        }
 
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
+        const result = await Assets.create({
+            ...req.body,
+            purchase_date: purchase_date || null,
+            purchase_price: purchase_price || null,
+            last_maintenance_date: last_maintenance_date || null
+        });
+
+        res.status(200).json({
+            message: `Asset '${name}' added successfully at location '${location.name}'`,
+            assetId: result.insertId
+        });
     } catch (err) {
-        response.status(400).json({ message: err.message });
+        next(err);
     }
 });
 
-
 /**
  * @swagger
- * /Login:
- *  post:
- *    summary: Login
- *    consumes:
- *      - application/json
- *    description: validate the credentials
- *    parameters:
- *      - in: body
- *        name: user
- *        description: username and Password to match existing user
- *        schema:
- *            type: object
- *            properties:
- *               username: 
- *                 type: string
- *               password:
- *                 type: string
- *    responses:
- *      '201':
- *        description: A successful response
- *      '404':
- *        description: no credentials found
+ * /api/Assets/bulk:
+ *   post:
+ *     summary: Create, update or delete Assets in one transaction
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkRequest'
+ *     responses:
+ *       '200':
+ *         description: Every item was applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkResponse'
+ *       '207':
+ *         description: Partial mode; some items failed and the rest were committed
+ *       '400':
+ *         description: Malformed bulk request
+ *       '422':
+ *         description: Atomic mode; an item failed and nothing was committed
  */
-
-app.post('/Login/',(request, response) =>{
-    const username =  request.body.username;
-    const password= request.body.password;
-    console.log("username:", username)
-    console.log("Password:",password)
-
-    pool.query(`select password from User where username=?`,username,(err, result) => {
-        const res = JSON.parse(JSON.stringify(result));
-
-        if (res == [] || res == undefined || err) {
-            console.log("err:", err)
-            response.status(500).send("Unaurthorized, Invalid Username")
-        } else {
-            const resultPassword = res[0].password;
-            console.log("Results:",resultPassword)
-    
-            if(resultPassword != password){
-                response.status(401).send("Unaurthorized, invalid password")
-            }
-            response.status(200).send("Auth Successfully, Access Granted!!");
-        }
-    })
-   
-});
-
+app.post('/api/Assets/bulk', authorize(ADMIN, FINANCE), bulkHandler(Assets.entity, { validate: schemaValidator(swaggerDocs, 'Asset') }));
 
 /**
  * @swagger
- * /api/User:
+ * /api/Assets/{id}:
  *   put:
- *     summary: Update a User by ID
- *     description: Update an existing User entity by its ID.
-*     parameters:
- *      - in: body
- *        name: User
- *        description: Add a new User
+ *     summary: Update an Asset
+ *     description: Replace an existing Asset; fields left out are emptied. A changed location_id is recorded in the asset's transfer history.
+ *     parameters:
+ *      - in: path
+ *        name: id
+ *        required: true
  *        schema:
- *            type: object
- *            properties:  
- *               userId: 
- *                 type: integer
- *               role:
- *                 type: integer
- *               username: 
- *                 type: string
- *               password:
- *                 type: string
- *               personId: 
- *                 type: integer
+ *          type: integer
+ *      - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Asset'
  *     responses:
  *       '200':
- *         description: User updated successfully
+ *         description: Asset updated successfully
  *       '404':
- *         description: User not found
+ *         description: Asset not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *       '422':
+ *         description: Location not found
  *       '500':
  *         description: Internal server error
+ *   patch:
+ *     summary: Update some of an Asset's fields
+ *     description: Only the fields sent are written. A changed location_id is recorded in the asset's transfer history.
+ *     parameters:
+ *      - in: path
+ *        name: id
+ *        required: true
+ *        schema:
+ *          type: integer
+ *      - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetPatch'
+ *     responses:
+ *       '200':
+ *         description: The Asset as updated
+ *       '400':
+ *         description: No Asset fields in the body
+ *       '404':
+ *         description: Asset not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
+ *       '422':
+ *         description: Location not found
  */
-// Update a User by ID
-app.put('/api/User/{id}', async (request, res) => {
-    const userId = request.body.userId;
-    const role = request.body.role;
-    const username = request.body.username;
-    const password = request.body.password;
-    const personId = request.body.personId;
-
+app.put('/api/Assets/:id', authorize(ADMIN, FINANCE), async (req, res, next) => {
     try {
-        console.log(request.body)
-        var sql = `UPDATE User
-        SET  role='${role}', username='${username}', password='${password}', personId='${personId}'
-        WHERE userId='${userId}' `;
+        res.status(200).send(await updateAsset(parseInt(req.params.id), req.body, { user: req.user, ifMatch: req.get('If-Match') }));
+    } catch (err) {
+        next(err);
+    }
+});
 
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
+app.patch('/api/Assets/:id', authorize(ADMIN, FINANCE), requireChanges(Assets.entity), async (req, res, next) => {
+    try {
+        const assetId = parseInt(req.params.id);
+        await updateAsset(assetId, req.body, { user: req.user, partial: true, ifMatch: req.get('If-Match') });
+        const asset = await Assets.findById(assetId);
+        res.status(200).set('ETag', etagOf(asset)).send(asset);
+    } catch (err) {
+        next(err);
+    }
+});
 
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
+/**
+ * @swagger
+ * /api/Assets/{id}:
+ *   delete:
+ *     summary: Delete an Asset by ID
+ *     description: Moves the Asset to the recycle bin (see /api/RecycleBin).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The ID of the Asset to delete.
+ *     responses:
+ *       '200':
+ *         description: Asset deleted successfully
+ *       '404':
+ *         description: Asset not found
+ *       '500':
+ *         description: Internal server error
+ */
+app.delete('/api/Assets/:id', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const result = await Assets.remove(parseInt(req.params.id), { deletedBy: req.user.userId });
+        if (result.affectedRows === 0) {
+            return next(notFound('Asset not found'));
+        }
+        res.status(200).send(result);
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AssetMaintenance:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: When the service was done; defaults to today
+ *         performedBy:
+ *           type: string
+ *           maxLength: 100
+ *         cost:
+ *           type: number
+ *           minimum: 0
+ *           multipleOf: 0.01
+ *         condition:
+ *           type: string
+ *           maxLength: 50
+ *           description: Becomes the asset's condition
+ *         notes:
+ *           type: string
+ *     AssetCheckout:
+ *       type: object
+ *       description: The borrower is a member (personId) or anyone else by borrowerName
+ *       properties:
+ *         personId:
+ *           type: integer
+ *         borrowerName:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *         dueBack:
+ *           type: string
+ *           format: date
+ *         condition:
+ *           type: string
+ *           maxLength: 50
+ *           description: Condition going out; defaults to the asset's condition
+ *         notes:
+ *           type: string
+ *     AssetCheckin:
+ *       type: object
+ *       properties:
+ *         condition:
+ *           type: string
+ *           maxLength: 50
+ *           description: Condition coming back; becomes the asset's condition
+ *         notes:
+ *           type: string
+ *     AssetTransfer:
+ *       type: object
+ *       required:
+ *         - location_id
+ *       properties:
+ *         location_id:
+ *           type: integer
+ *           description: The Location the asset moves to
+ *         reason:
+ *           type: string
+ *           maxLength: 255
+ *     MaintenanceSchedule:
+ *       type: object
+ *       required:
+ *         - category
+ *         - intervalDays
+ *       properties:
+ *         scheduleId:
+ *           type: integer
+ *           readOnly: true
+ *         category:
+ *           type: string
+ *           minLength: 1
+ *           description: Applies to every asset with this category
+ *         intervalDays:
+ *           type: integer
+ *           minimum: 1
+ *         leadDays:
+ *           type: integer
+ *           minimum: 0
+ *           default: 14
+ *           description: How far ahead a coming service shows as due
+ *         task:
+ *           type: string
+ *           maxLength: 255
+ */
 
 /**
  * @swagger
- * /api/User/{id}:
- *   delete:
- *     summary: Delete a User by ID
- *     description: Remove an existing User entity by its ID.
+ * /api/Assets/{id}/maintenance:
+ *   get:
+ *     summary: An asset's maintenance schedule, next due date and service history
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ asset, schedule, lastDone, nextDue, status, daysUntilDue, data }"
+ *       '404':
+ *         description: Asset not found
+ *   post:
+ *     summary: Record maintenance carried out on an asset
+ *     description: Moves last_maintenance_date forward and, when given, sets the asset's condition.
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: The ID of the User to delete.
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetMaintenance'
  *     responses:
- *       '200':
- *         description: User deleted successfully
+ *       '201':
+ *         description: "{ maintenanceId, asset }"
+ *       '400':
+ *         description: The date is in the future
  *       '404':
- *         description: User not found
- *       '500':
- *         description: Internal server error
+ *         description: Asset not found
  */
-// Delete a User by ID
-app.delete('/api/User/{id}', async (req, res) => {
-    const userId = req.params.id;
+app.get('/api/Assets/:id/maintenance', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`delete from User where userId=${userId}`, (err, result) => {
-            if (err) {
-                res.status(404).json({ message: 'User not found' });
-            }
-            res.status(200).send(result);
-        })
+        res.status(200).json(await maintenanceHistory(parseInt(req.params.id)));
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
-// =========================================== CALENDAR =========================================
-
-/**
- * @swagger
- * /api/Calendar:
- *   get:
- *     summary: Retrieve all Calendar events
- *     description: Get a list of all available calendar events.
- *     responses:
- *       '200':
- *         description: A list of events
- *       '401':
- *         description: Unaurthorized
- *       '500':
- *         description: Internal server error
- */
-app.get('/api/Calendar', async (req, res) => {
+app.post('/api/Assets/:id/maintenance', authorize(ADMIN, FINANCE), async (req, res, next) => {
     try {
-        pool.query(`select * from Calendar`, (err, result) => {
-            if (err) {
-                return err;
-            }
-            res.status(200).send(result);
-        })
+        res.status(201).json(await recordMaintenance(parseInt(req.params.id), req.body, { user: req.user }));
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
 /**
  * @swagger
- * /api/Calendar/{id}:
+ * /api/Assets/{id}/checkouts:
  *   get:
- *     summary: Retrieve a Calendar by ID
- *     description: Get a Calendar by their ID.
+ *     summary: Who has borrowed an asset and when it came back, latest first
  *     parameters:
  *       - in: path
  *         name: id
- *         description: ID of the Calendar to retrieve
  *         required: true
  *         schema:
  *           type: integer
  *     responses:
  *       '200':
- *         description: Details of the Calendar
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Calendar'
+ *         description: "{ asset, out, data: [{ checkoutId, borrowerName, checkedOutAt, dueBack, checkedInAt, ... }] }"
  *       '404':
- *         description: Calendar not found
+ *         description: Asset not found
  */
-// GET a calendar by ID
-app.get('/api/Calendar/:id', async (req, res) => {
-    const calendarId = parseInt(req.params.id);
+app.get('/api/Assets/:id/checkouts', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`select * from Calendar where Id=${calendarId}`, (err, result) => {
-            if (err) {
-                res.status(404).json({ message: 'Calendar event not found' });
-            }
-            res.status(200).send(result);
-        })
+        res.status(200).json(await checkoutHistory(parseInt(req.params.id)));
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
 /**
  * @swagger
- * /api/Calendar:
+ * /api/Assets/{id}/checkout:
  *   post:
- *     summary: Add a new Calendar 
- *     description: Add details of a Calendar
+ *     summary: Check an asset out to a borrower
  *     parameters:
- *      - in: body
- *        name: Calendar
- *        description: Add a new Calendar
- *        schema:
- *            type: object
- *            properties:  
- *               name:
- *                 type: string
- *               time: 
- *                 type: string
- *               month:
- *                 type: string
- *               year: 
- *                 type: integer
- *               department:
- *                 type: string
- *               region: 
- *                 type: string
- *               dayFrom:
- *                 type: string
- *               dayTo: 
- *                 type: integer
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetCheckout'
  *     responses:
- *       '200':
- *         description: Calendar updated successfully
+ *       '201':
+ *         description: The open check-out
+ *       '400':
+ *         description: No borrower, or dueBack is in the past
  *       '404':
- *         description: Calendar not found
- *       '500':
- *         description: Internal server error
+ *         description: Asset or person not found
+ *       '409':
+ *         description: The asset is already checked out
  */
-app.post('/api/Calendar', async (request, response) => {
-    const name = request.body.name;
-    const time = request.body.time;
-    const month = request.body.month;
-    const year = request.body.year;
-    const department = request.body.department;
-    const region = request.body.region;
-    const dayFrom = request.body.dayFrom;
-    const dayTo = request.body.dayTo;
-    console.log(request.body)
-    var sql = `INSERT INTO Calendar
-    (name, time, month, year, department, region, dayFrom, dayTo) VALUES 
-    ('${name}', '${time}', '${month}', '${year}', '${department}', '${region}' , '${dayFrom}', '${dayTo}')`;
-
-    try {
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
-
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
+app.post('/api/Assets/:id/checkout', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        res.status(201).json(await checkOutAsset(parseInt(req.params.id), req.body, { scope: req.scope, user: req.user }));
     } catch (err) {
-        response.status(400).json({ message: err.message });
+        next(err);
     }
 });
 
-
 /**
  * @swagger
- * /api/Calendar:
- *   put:
- *     summary: Update a Calendar 
- *     description: Update details of a Calendar
+ * /api/Assets/{id}/checkin:
+ *   post:
+ *     summary: Check a borrowed asset back in
  *     parameters:
- *      - in: body
- *        name: Calendar
- *        description: Update a  Calendar
- *        schema:
- *            type: object
- *            properties:  
- *               name:
- *                 type: string
- *               time: 
- *                 type: string
- *               month:
- *                 type: string
- *               year: 
- *                 type: integer
- *               department:
- *                 type: string
- *               region: 
- *                 type: string
- *               dayFrom:
- *                 type: string
- *               dayTo: 
- *                 type: integer
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetCheckin'
  *     responses:
  *       '200':
- *         description: Calendar updated successfully
+ *         description: The closed check-out; late is true when it came back after dueBack
  *       '404':
- *         description: Calendar not found
- *       '500':
- *         description: Internal server error
+ *         description: Asset not found
+ *       '409':
+ *         description: The asset is not checked out
  */
-app.put('/api/Calendar/{id}', async (request, response) => {
-    const id = request.body.id;
-    const name = request.body.name;
-    const time = request.body.time;
-    const month = request.body.month;
-    const year = request.body.year;
-    const department = request.body.department;
-    const region = request.body.region;
-    const dayFrom = request.body.dayFrom;
-    const dayTo = request.body.dayTo;
-    console.log(request.body)
-    console.log(request.body)
-    var sql = `UPDATE Calendar
-    SET name='${name}', time='${time}', month='${month}', year='${year}', department='${department}', region='${region}', dayFrom='${dayFrom}', dayTo='${dayTo}') VALUES 
-    WHERE id='${id}' `;
-
-    try {
-        pool.query(sql, (err, result) => {
-            console.log("Results:", result)
-
-            if (err) {
-                console.log("err:", err)
-                return err;
-            }
-            response.status(200).send(result);
-        })
+app.post('/api/Assets/:id/checkin', authorize(ADMIN, PASTOR, FINANCE), async (req, res, next) => {
+    try {
+        res.status(200).json(await checkInAsset(parseInt(req.params.id), req.body, { user: req.user }));
     } catch (err) {
-        response.status(400).json({ message: err.message });
+        next(err);
     }
 });
 
-
 /**
  * @swagger
- * /api/Calendar/{id}:
- *   delete:
- *     summary: Delete a Calendar by ID
- *     description: Remove an existing Calendar entity by its ID.
+ * /api/Assets/{id}/transfers:
+ *   get:
+ *     summary: An asset's moves between Locations, latest first
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: The ID of the Calendar to delete.
+ *           type: integer
  *     responses:
  *       '200':
- *         description: Calendar deleted successfully
+ *         description: "{ asset, data: [{ transferId, fromLocationId, fromLocationName, toLocationId, toLocationName, transferredAt, reason }] }"
  *       '404':
- *         description: Calendar not found
- *       '500':
- *         description: Internal server error
+ *         description: Asset not found
  */
-// Delete a Calendar by ID
-app.delete('/api/Calendar/{id}', async (req, res) => {
-    const id = req.params.id;
+app.get('/api/Assets/:id/transfers', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`delete from Calendar where id=${id}`, (err, result) => {
-            if (err) {
-                res.status(404).json({ message: 'Calendar not found' });
-            }
-            res.status(200).send(result);
-        })
+        res.status(200).json(await transferHistory(parseInt(req.params.id)));
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
-// =========================================== ASSERTS =========================================
 /**
  * @swagger
- * /api/Assets:
- *   get:
- *     summary: Retrieve all Assets
- *     description: Get a list of all available Assets.
+ * /api/Assets/{id}/transfer:
+ *   post:
+ *     summary: Move an asset to another Location
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssetTransfer'
  *     responses:
- *       '200':
- *         description: A list of Assets
- *       '401':
- *         description: Unauthorized
- *       '500':
- *         description: Internal server error
+ *       '201':
+ *         description: "{ transferId, fromLocationId, toLocationId, asset }"
+ *       '400':
+ *         description: The asset is already at that location
+ *       '404':
+ *         description: Asset not found
+ *       '409':
+ *         description: The asset is checked out
+ *       '422':
+ *         description: Location not found
  */
-app.get('/api/Assets', async (req, res) => {
+app.post('/api/Assets/:id/transfer', authorize(ADMIN, FINANCE), async (req, res, next) => {
     try {
-        pool.query(`select * from Assets`, (err, result) => {
-            if (err) {
-                return err;
-            }
-            res.status(200).send(result);
-        })
+        res.status(201).json(await transferAsset(parseInt(req.params.id), req.body, { user: req.user }));
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
-
 /**
  * @swagger
- * /api/Assets/{id}:
+ * /api/Assets/{id}/depreciation:
  *   get:
- *     summary: Retrieve an Asset by ID
- *     description: Get an Asset by its ID.
+ *     summary: An asset's depreciation on a date and its year-by-year schedule
  *     parameters:
  *       - in: path
  *         name: id
- *         description: ID of the Asset to retrieve
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: asOf
+ *         description: Defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       '200':
- *         description: Details of the Asset
+ *         description: "{ asset, asOf, cost, accumulated, bookValue, ..., schedule: [{ year, endsOn, depreciation, accumulated, bookValue }] }"
+ *       '400':
+ *         description: The asset has no purchase_price
  *       '404':
  *         description: Asset not found
  */
-app.get('/api/Assets/:id', async (req, res) => {
-    const assetId = parseInt(req.params.id);
+app.get('/api/Assets/:id/depreciation', authorize(ADMIN, FINANCE), async (req, res, next) => {
     try {
-        pool.query(`select * from Assets where asset_id=${assetId}`, (err, result) => {
-            if (err || result.length === 0) {
-                res.status(404).json({ message: 'Asset not found' });
-            }
-            res.status(200).send(result);
-        })
+        res.status(200).json(await assetDepreciation(parseInt(req.params.id), { asOf: req.query.asOf }));
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
 /**
  * @swagger
- * /api/Assets:
+ * /api/MaintenanceSchedule:
+ *   get:
+ *     summary: List maintenance schedules
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of schedules
  *   post:
- *     summary: Add a new Asset
- *     description: Add a new Asset, associating it with a valid location.
+ *     summary: Schedule maintenance for a category of assets
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:  
- *               location_id:
- *                 type: integer
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               purchase_date:
- *                 type: string
- *                 format: date
- *               purchase_price:
- *                 type: number
- *               serial_number:
- *                 type: string
- *               category:
- *                 type: string
- *               condition:
- *                 type: string
- *               last_maintenance_date:
- *                 type: string
- *                 format: date
+ *             $ref: '#/components/schemas/MaintenanceSchedule'
  *     responses:
- *       '200':
- *         description: Asset added successfully
- *       '400':
- *         description: Invalid input
- *       '404':
- *         description: Location not found
- *       '500':
- *         description: Internal server error
+ *       '201':
+ *         description: The new schedule
+ *       '409':
+ *         description: The category already has a schedule
  */
-app.post('/api/Assets', async (req, res) => {
-    const {
-        location_id,
-        name,
-        description,
-        purchase_date,
-        purchase_price,
-        serial_number,
-        category,
-        condition,
-        last_maintenance_date
-    } = req.body;
-
-    console.log('Received data:', req.body);
+app.get('/api/MaintenanceSchedule', authorize(...ALL_ROLES), listHandler(MaintenanceSchedule.entity));
 
-    if (!location_id || isNaN(location_id)) {
-        return res.status(400).json({ message: 'Invalid or missing location_id' });
+app.post('/api/MaintenanceSchedule', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const { insertId } = await MaintenanceSchedule.create(req.body);
+        res.status(201).json(await MaintenanceSchedule.findById(insertId));
+    } catch (err) {
+        next(err);
     }
-
-    const checkLocationSQL = `SELECT name FROM Locations WHERE location_id = ?`;
-
-    pool.query(checkLocationSQL, [location_id], (err, locationResult) => {
-        if (err) {
-            console.error('Error querying location:', err);
-            return res.status(500).json({ message: 'Database error' });
-        }
-
-        if (!locationResult || locationResult.length === 0) {
-            return res.status(404).json({ message: 'Invalid location ID' });
-        }
-
-        const location_name = locationResult[0].name;
-
-        const insertSQL = `
-            INSERT INTO Assets (
-                location_id, name, description, purchase_date, purchase_price,
-                serial_number, category, \`condition\`, last_maintenance_date
-            )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const values = [
-            location_id,
-            name,
-            description,
-            purchase_date || null,
-            purchase_price || null,
-            serial_number,
-            category,
-            condition,
-            last_maintenance_date || null
-        ];
-
-        pool.query(insertSQL, values, (err, result) => {
-            if (err) {
-                console.error('Error inserting asset:', err);
-                return res.status(500).json({ message: 'Error adding asset', error: err.message });
-            }
-
-            res.status(200).json({
-                message: `Asset '${name}' added successfully at location '${location_name}'`,
-                assetId: result.insertId
-            });
-        });
-    });
 });
 
-
-// /**
-//  * @swagger
-//  * /api/Assets:
-//  *   post:
-//  *     summary: Add a new Asset
-//  *     description: Add a new Asset.
-//  *     parameters:
-//  *      - in: body
-//  *        name: Asset
-//  *        description: Add a new Asset
-//  *        schema:
-//  *            type: object
-//  *            properties:  
-//  *               location_id:
-//  *                 type: integer
-//  *               name:
-//  *                 type: string
-//  *               description:
-//  *                 type: string
-//  *               purchase_date:
-//  *                 type: string
-//  *                 format: date
-//  *               purchase_price:
-//  *                 type: number
-//  *                 format: decimal
-//  *               serial_number:
-//  *                 type: string
-//  *               category:
-//  *                 type: string
-//  *               condition:
-//  *                 type: string
-//  *               last_maintenance_date:
-//  *                 type: string
-//  *                 format: date
-//  *     responses:
-//  *       '200':
-//  *         description: Asset added successfully
-//  *       '400':
-//  *         description: Bad Request
-//  *       '500':
-//  *         description: Internal server error
-//  */
-// app.post('/api/Assets', async (req, res) => {
-//     const { location_id, name, description, purchase_date, purchase_price, serial_number, category, condition, last_maintenance_date } = req.body;
-//     const sql = `INSERT INTO Assets (location_id, name, description, purchase_date, purchase_price, serial_number, category, condition, last_maintenance_date) 
-//                  VALUES ('${location_id}', '${name}', '${description}', '${purchase_date}', ${purchase_price}, '${serial_number}', '${category}', '${condition}', '${last_maintenance_date}')`;
-
-//     try {
-//         pool.query(sql, (err, result) => {
-//             if (err) {
-//                 return res.status(400).json({ message: err.message });
-//             }
-//             res.status(200).send(result);
-//         })
-//     } catch (err) {
-//         res.status(500).json({ message: err.message });
-//     }
-// });
-
 /**
  * @swagger
- * /api/Assets/{id}:
+ * /api/MaintenanceSchedule/{id}:
+ *   get:
+ *     summary: A maintenance schedule
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: The schedule
+ *       '404':
+ *         description: Schedule not found
  *   put:
- *     summary: Update an Asset
- *     description: Update an existing Asset.
+ *     summary: Update a maintenance schedule
  *     parameters:
- *      - in: path
- *        name: id
- *        required: true
- *        schema:
- *          type: integer
- *      - in: body
- *        name: Asset
- *        description: Update an existing Asset
- *        schema:
- *            type: object
- *            properties:  
- *               location_id:
- *                 type: integer
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               purchase_date:
- *                 type: string
- *                 format: date
- *               purchase_price:
- *                 type: number
- *                 format: decimal
- *               serial_number:
- *                 type: string
- *               category:
- *                 type: string
- *               condition:
- *                 type: string
- *               last_maintenance_date:
- *                 type: string
- *                 format: date
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaintenanceSchedule'
  *     responses:
  *       '200':
- *         description: Asset updated successfully
+ *         description: The updated schedule
  *       '404':
- *         description: Asset not found
- *       '500':
- *         description: Internal server error
- */
-app.put('/api/Assets/:id', async (req, res) => {
-    const assetId = req.params.id;
-    const { location_id, name, description, purchase_date, purchase_price, serial_number, category, condition, last_maintenance_date } = req.body;
-    const sql = `UPDATE Assets SET 
-        location_id='${location_id}', name='${name}', description='${description}', purchase_date='${purchase_date}', 
-        purchase_price=${purchase_price}, serial_number='${serial_number}', category='${category}', 
-        condition='${condition}', last_maintenance_date='${last_maintenance_date}' 
-        WHERE asset_id=${assetId}`;
-
-    try {
-        pool.query(sql, (err, result) => {
-            if (err || result.affectedRows === 0) {
-                return res.status(404).json({ message: 'Asset not found' });
-            }
-            res.status(200).send(result);
-        })
-    } catch (err) {
-        res.status(500).json({ message: err.message });
-    }
-});
-
-/**
- * @swagger
- * /api/Assets/{id}:
+ *         description: Schedule not found
+ *       '409':
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
  *   delete:
- *     summary: Delete an Asset by ID
- *     description: Remove an existing Asset entity by its ID.
+ *     summary: Delete a maintenance schedule
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
- *         description: The ID of the Asset to delete.
  *     responses:
  *       '200':
- *         description: Asset deleted successfully
+ *         description: Schedule deleted
  *       '404':
- *         description: Asset not found
- *       '500':
- *         description: Internal server error
+ *         description: Schedule not found
  */
-app.delete('/api/Assets/:id', async (req, res) => {
-    const assetId = req.params.id;
+app.get('/api/MaintenanceSchedule/:id', authorize(...ALL_ROLES), async (req, res, next) => {
     try {
-        pool.query(`DELETE FROM Assets WHERE asset_id=${assetId}`, (err, result) => {
-            if (err || result.affectedRows === 0) {
-                return res.status(404).json({ message: 'Asset not found' });
-            }
-            res.status(200).send(result);
-        })
+        const schedule = await MaintenanceSchedule.findById(parseInt(req.params.id));
+        if (!schedule) return next(notFound('Maintenance schedule not found'));
+        res.status(200).set('ETag', etagOf(schedule)).json(schedule);
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/MaintenanceSchedule/:id', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const scheduleId = parseInt(req.params.id);
+        const result = await MaintenanceSchedule.replace(scheduleId, req.body, { ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('Maintenance schedule not found'));
+        res.status(200).json(await MaintenanceSchedule.findById(scheduleId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/MaintenanceSchedule/:id', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const result = await MaintenanceSchedule.remove(parseInt(req.params.id));
+        if (result.affectedRows === 0) return next(notFound('Maintenance schedule not found'));
+        res.status(200).json({ message: 'Maintenance schedule deleted successfully' });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        next(err);
     }
 });
 
 
 // ================================ LOCATIONS ROUTES ================================
 
+
 /**
  * @swagger
  * /api/Locations:
  *   get:
  *     summary: Retrieve all Locations
- *     description: Get a list of all available Locations.
+ *     description: Paginated list; filter on any column, e.g. name[like]=*Hall*, sort=name.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
  *     responses:
  *       200:
  *         description: A list of Locations
  *       500:
  *         description: Internal server error
  */
-app.get('/api/Locations', (req, res) => {
-    pool.query('SELECT * FROM Locations', (err, result) => {
-        if (err) return res.status(500).json({ message: err.message });
-        res.status(200).json(result);
-    });
-});
+app.get('/api/Locations', authorize(...ALL_ROLES), listHandler(Locations.entity));
+
+/**
+ * @swagger
+ * /api/Locations/export:
+ *   get:
+ *     summary: Export Locations as CSV, XLSX or PDF
+ *     description: Streams the collection as a download. Any column can be given as a filter, e.g. ?contact_person=Thabo.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: fields
+ *         description: Comma-separated columns to include, in order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: The exported file
+ *       '400':
+ *         description: Unknown format or field
+ */
+app.get('/api/Locations/export', authorize(...ALL_ROLES), exportHandler(Locations.entity));
 
 /**
  * @swagger
@@ -1614,21 +5427,7 @@ app.get('/api/Locations', (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - address
- *               - contact_person
- *               - contact_phone
- *             properties:
- *               name:
- *                 type: string
- *               address:
- *                 type: string
- *               contact_person:
- *                 type: string
- *               contact_phone:
- *                 type: string
+ *             $ref: '#/components/schemas/Location'
  *     responses:
  *       201:
  *         description: Location added successfully
@@ -1637,15 +5436,40 @@ app.get('/api/Locations', (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.post('/api/Locations', (req, res) => {
-    const { name, address, contact_person, contact_phone } = req.body;
-    console.log("POST - LOCATION - req.body", req.body)
-    const sql = `INSERT INTO Locations (name, address, contact_person, contact_phone) VALUES (?, ?, ?, ?)`;
-
-    pool.query(sql, [name, address, contact_person, contact_phone], (err, result) => {
-        if (err) return res.status(400).json({ message: err.message });
+app.post('/api/Locations', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const result = await Locations.create(req.body);
         res.status(201).json({ message: 'Location added successfully', result });
-    });
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Locations/{id}:
+ *   get:
+ *     summary: Retrieve a Location by ID
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Details of the Location
+ *       404:
+ *         description: Location not found
+ */
+app.get('/api/Locations/:id', authorize(...ALL_ROLES), async (req, res, next) => {
+    try {
+        const location = await Locations.findById(parseInt(req.params.id));
+        if (!location) return next(notFound('Location not found'));
+        res.status(200).set('ETag', etagOf(location)).json(location);
+    } catch (err) {
+        next(err);
+    }
 });
 
 /**
@@ -1660,48 +5484,70 @@ app.post('/api/Locations', (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - address
- *               - contact_person
- *               - contact_phone
- *             properties:
- *               name:
- *                 type: string
- *               address:
- *                 type: string
- *               contact_person:
- *                 type: string
- *               contact_phone:
- *                 type: string
+ *             $ref: '#/components/schemas/Location'
  *     responses:
  *       200:
  *         description: Location updated successfully
  *       404:
  *         description: Location not found
+ *       409:
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
  *       500:
  *         description: Internal server error
+ *   patch:
+ *     summary: Update some of a Location's fields
+ *     description: Only the fields sent are written.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/ifMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationPatch'
+ *     responses:
+ *       200:
+ *         description: The Location as updated
+ *       400:
+ *         description: No Location fields in the body
+ *       404:
+ *         description: Location not found
+ *       409:
+ *         description: The record has changed since the If-Match ETag; details.current is the record as it is now
  */
-app.put('/api/Locations/:id', (req, res) => {
-    const locationId = parseInt(req.params.id);
-    const { name, address, contact_person, contact_phone } = req.body;
-    const sql = `
-        UPDATE Locations SET name = ?, address = ?, contact_person = ?, contact_phone = ? 
-        WHERE location_id = ?
-    `;
-
-    pool.query(sql, [name, address, contact_person, contact_phone, locationId], (err, result) => {
-        if (err || result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Location not found or update failed' });
+app.put('/api/Locations/:id', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const result = await Locations.replace(parseInt(req.params.id), req.body, { ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) {
+            return next(notFound('Location not found or update failed'));
         }
         res.status(200).json({ message: 'Location updated successfully', result });
-    });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.patch('/api/Locations/:id', authorize(ADMIN, FINANCE), requireChanges(Locations.entity), async (req, res, next) => {
+    try {
+        const locationId = parseInt(req.params.id);
+        const result = await Locations.update(locationId, req.body, { ifMatch: req.get('If-Match') });
+        if (result.affectedRows === 0) return next(notFound('Location not found'));
+        const location = await Locations.findById(locationId);
+        res.status(200).set('ETag', etagOf(location)).json(location);
+    } catch (err) {
+        next(err);
+    }
 });
 
 /**
@@ -1723,19 +5569,293 @@ app.put('/api/Locations/:id', (req, res) => {
  *       500:
  *         description: Internal server error
  */
-app.delete('/api/Locations/:id', (req, res) => {
-    const locationId = parseInt(req.params.id);
-    pool.query('DELETE FROM Locations WHERE location_id = ?', [locationId], (err, result) => {
-        if (err || result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Location not found' });
+app.delete('/api/Locations/:id', authorize(ADMIN, FINANCE), async (req, res, next) => {
+    try {
+        const result = await Locations.remove(parseInt(req.params.id));
+        if (result.affectedRows === 0) {
+            return next(notFound('Location not found'));
         }
         res.status(200).json({ message: 'Location deleted successfully' });
-    });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== AUDIT =========================================
+
+const AUDIT_LIST = AuditLog.entity;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         auditId:
+ *           type: integer
+ *         entity:
+ *           type: string
+ *           enum: [Church, Person, Stats, User, Calendar, Assets, Locations]
+ *         entityId:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *         actorId:
+ *           type: integer
+ *           nullable: true
+ *           description: The user who made the change; empty for scripts
+ *         actorName:
+ *           type: string
+ *           nullable: true
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *         changes:
+ *           type: object
+ *           description: '{ column: { from, to } } for every column the write changed; passwords show as [hidden]'
+ *         snapshot:
+ *           type: object
+ *           description: The whole record after the change, or before it for a delete
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/Audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: >
+ *       Every create, update and delete of Church, Person, Stats, User, Calendar, Assets and Locations
+ *       records. Filter on any column, e.g. entity=Person&actorId=4 or createdAt[gte]=2025-03-01; sort=-auditId
+ *       lists the newest first.
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of AuditEntry records
+ */
+app.get('/api/Audit', authorize(ADMIN), listHandler(AUDIT_LIST));
+
+/**
+ * @swagger
+ * /api/Audit/{entity}/{id}:
+ *   get:
+ *     summary: One record's history, newest first
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Church, Person, Stats, User, Calendar, Assets, Locations]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: "{ entity, entityId, current, data: [AuditEntry] }; current is null once the record is deleted"
+ *       '404':
+ *         description: The record never existed
+ */
+app.get('/api/Audit/:entity/:id', authorize(ADMIN), async (req, res, next) => {
+    try {
+        res.status(200).json(await recordHistory(req.params.entity, req.params.id));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/Audit/{auditId}/restore:
+ *   post:
+ *     summary: Restore a record to the version in an audit entry
+ *     description: >
+ *       Puts back the record as it was after that change (before it, for a delete), re-creating a deleted
+ *       record with its old id. The restore is logged as a change of its own.
+ *     parameters:
+ *       - in: path
+ *         name: auditId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ restoredFrom, entity, entityId, data }"
+ *       '404':
+ *         description: Audit entry not found
+ *       '409':
+ *         description: A deleted user cannot be restored, or the version clashes with another record
+ *       '422':
+ *         description: The version refers to a record that no longer exists
+ */
+app.post('/api/Audit/:auditId/restore', authorize(ADMIN), async (req, res, next) => {
+    try {
+        res.status(200).json(await restoreVersion(parseInt(req.params.auditId)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// =========================================== RECYCLE BIN =========================================
+
+// Who may see and restore each entity's deleted records: the roles that may delete them
+const RECYCLE_BIN_ROLES = {
+    Church: [ADMIN],
+    Person: [ADMIN, PASTOR, CELL_LEADER],
+    Stats: [ADMIN, PASTOR, FINANCE],
+    Assets: [ADMIN, FINANCE]
+};
+
+// The scope clause each entity's deleted records are limited to, as on its own routes; Assets have none
+const RECYCLE_BIN_SCOPES = {
+    Church: churchScope,
+    Person: (req) => churchScopeClause(req.scope),
+    Stats: (req) => churchScopeClause(req.scope)
+};
+
+const RECYCLE_BIN_LISTS = Object.fromEntries(RECYCLED_ENTITIES.map((entity) => {
+    const { entity: resource } = { Church, Person, Stats, Assets }[entity];
+    return [entity, listHandler({
+        ...resource,
+        columns: [...resource.columns, 'deletedAt', 'deletedBy'],
+        deleted: true,
+        scope: RECYCLE_BIN_SCOPES[entity]
+    })];
+}));
+
+const authorizeRecycleBin = (req, res, next) => authorize(...(RECYCLE_BIN_ROLES[req.params.entity] || [ADMIN]))(req, res, next);
+
+/**
+ * @swagger
+ * /api/RecycleBin/{entity}:
+ *   get:
+ *     summary: List deleted records
+ *     description: >
+ *       Church, Person, Stats and Assets records are kept here when deleted, with deletedAt and deletedBy
+ *       (the user). Filters and sorting work as on the live lists, e.g. deletedAt[gte]=2025-03-01&sort=-deletedAt.
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Church, Person, Stats, Assets]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pageSize'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/fields'
+ *     responses:
+ *       '200':
+ *         description: A page of deleted records
+ */
+app.get('/api/RecycleBin/:entity', authorizeRecycleBin, (req, res, next) => RECYCLE_BIN_LISTS[req.params.entity](req, res, next));
+
+/**
+ * @swagger
+ * /api/RecycleBin/{entity}/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted record
+ *     description: >
+ *       Puts the record back with everything deleted along with it (a church's people and stats).
+ *       A person or stats deleted with their church comes back by restoring the church.
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Church, Person, Stats, Assets]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ entity, id, restored: { Church: 1, Person: 40 }, data }"
+ *       '404':
+ *         description: Not in the recycle bin
+ *       '409':
+ *         description: The church it belongs to is still deleted
+ */
+app.post('/api/RecycleBin/:entity/:id/restore', authorizeRecycleBin, async (req, res, next) => {
+    try {
+        const { entity, id } = req.params;
+        const scope = RECYCLE_BIN_SCOPES[entity];
+        res.status(200).json(await restoreRecord(entity, parseInt(id), { scope: scope && scope(req) }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/RecycleBin/{entity}/{id}:
+ *   delete:
+ *     summary: Purge a deleted record for good
+ *     description: >
+ *       Admins only. Deletes the record permanently with every deleted row that belongs to it. Only records
+ *       in the recycle bin can be purged, and a church only once none of its people or stats is live.
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Church, Person, Stats, Assets]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: "{ entity, id, purged: { Church: 1, Person: 40, Stats: 112 } }"
+ *       '404':
+ *         description: Not in the recycle bin
+ *       '409':
+ *         description: Live records still belong to it
+ *       '422':
+ *         description: Other records (e.g. contributions) still refer to it
+ */
+app.delete('/api/RecycleBin/:entity/:id', authorize(ADMIN), async (req, res, next) => {
+    try {
+        res.status(200).json(await purgeRecord(req.params.entity, parseInt(req.params.id)));
+    } catch (err) {
+        next(err);
+    }
 });
 
+//============================================= ERRORS =========================================
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 //============================================= START SERVER =========================================
 
-app.listen(PORT, () => {
-    console.log(`🔥 Server running at http://localhost:${PORT}`);
-  });
+// Listen only when run directly (npm start); the tests and vercel require the app and serve it themselves
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🔥 Server running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
 
@@ -0,0 +1,31 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Who is making the current request, for the audit log; set once per request by auditContext
+const storage = new AsyncLocalStorage();
+
+const NO_ACTOR = { actorId: null, actorName: null, ip: null, requestId: null };
+
+/**
+ * Run the rest of the request with its user, source IP and request id available to currentActor(),
+ * so repositories can log writes without every route passing them down. Mount after authenticate.
+ */
+const auditContext = (req, res, next) => {
+    storage.run({
+        actorId: req.user ? req.user.userId : null,
+        actorName: req.user ? req.user.username : null,
+        ip: req.ip || null,
+        requestId: req.id || null
+    }, next);
+};
+
+// The current request's actor; scripts and other work outside a request get an empty one
+const currentActor = () => storage.getStore() || NO_ACTOR;
+
+// Keep the request's context in a callback that stream events call later (e.g. multer's)
+const bindContext = (callback) => AsyncResource.bind(callback);
+
+module.exports = {
+    auditContext,
+    currentActor,
+    bindContext
+};
@@ -0,0 +1,148 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { unauthorized, forbidden } = require('../utils/errors');
+
+// Roles stored in User.role. Compared case-insensitively so "Cell Leader" and "cell leader" match.
+const ROLES = {
+    ADMIN: 'admin',
+    PASTOR: 'pastor',
+    CELL_LEADER: 'cell leader',
+    FINANCE: 'finance',
+    REGIONAL_OVERSEER: 'regional overseer',
+    HEAD_OFFICE: 'head office'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+const normalizeRole = (role) => String(role || '').trim().toLowerCase();
+
+const accessSecret = () => process.env.JWT_SECRET;
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const feedSecret = () => process.env.JWT_FEED_SECRET || process.env.JWT_SECRET;
+
+// The User's tokenVersion; rows from before the column existed count as version 0
+const tokenVersionOf = (user) => Number(user.tokenVersion) || 0;
+
+// Issue a short-lived access token and a long-lived refresh token for a User row. The refresh token
+// carries the user's tokenVersion, so a new password (which bumps it) revokes every one issued before.
+const issueTokens = (user) => {
+    if (!accessSecret()) throw new Error('JWT_SECRET is not configured');
+
+    const claims = {
+        sub: String(user.userId),
+        username: user.username,
+        role: normalizeRole(user.role),
+        personId: user.personId,
+        churchId: user.churchId,
+        region: user.region
+    };
+
+    const accessToken = jwt.sign({ ...claims, type: 'access' }, accessSecret(), {
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+    });
+    const refreshToken = jwt.sign({ sub: claims.sub, ver: tokenVersionOf(user), type: 'refresh' }, refreshSecret(), {
+        expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+    });
+
+    return { accessToken, refreshToken, tokenType: 'Bearer' };
+};
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+const isPasswordHash = (value) => /^\$2[aby]\$\d{2}\$/.test(String(value || ''));
+
+const hashPassword = (plain) => bcrypt.hash(String(plain), BCRYPT_ROUNDS);
+
+// Legacy rows may still hold plaintext until the rehash migration has run
+const verifyPassword = async (plain, stored) => {
+    if (plain === undefined || plain === null || !stored) return false;
+    if (isPasswordHash(stored)) return bcrypt.compare(String(plain), stored);
+    return String(plain) === String(stored);
+};
+
+// Returns the decoded payload, or throws if the refresh token is invalid or expired
+const verifyRefreshToken = (token) => {
+    const payload = jwt.verify(token, refreshSecret());
+    if (payload.type !== 'refresh') throw new Error('Not a refresh token');
+    return payload;
+};
+
+// Whether a verified refresh token was issued under the user's current password
+const isCurrentRefreshToken = (payload, user) => (Number(payload.ver) || 0) === tokenVersionOf(user);
+
+/**
+ * Long-lived token for a calendar subscription URL, which phones fetch without an Authorization
+ * header. It carries only the user and the feed's filters: the feed route looks up the user's
+ * current role and scope on every fetch. Changing JWT_FEED_SECRET revokes every feed URL at once.
+ */
+const issueFeedToken = (user, filters) => {
+    if (!feedSecret()) throw new Error('JWT_SECRET is not configured');
+    return jwt.sign({
+        sub: String(user.userId),
+        filters,
+        type: 'feed'
+    }, feedSecret(), { expiresIn: process.env.JWT_FEED_EXPIRES_IN || '365d' });
+};
+
+// Returns the decoded payload, or throws if the feed token is invalid or expired
+const verifyFeedToken = (token) => {
+    const payload = jwt.verify(token, feedSecret());
+    if (payload.type !== 'feed') throw new Error('Not a feed token');
+    return payload;
+};
+
+// Reject any request without a valid "Authorization: Bearer <token>" header
+const authenticate = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(unauthorized('Missing bearer token'));
+    }
+
+    try {
+        const payload = jwt.verify(token, accessSecret());
+        if (payload.type !== 'access') {
+            return next(unauthorized('Invalid token type'));
+        }
+        req.user = {
+            userId: parseInt(payload.sub),
+            username: payload.username,
+            role: payload.role,
+            personId: payload.personId,
+            churchId: payload.churchId,
+            region: payload.region
+        };
+        next();
+    } catch (err) {
+        return next(unauthorized('Invalid or expired token'));
+    }
+};
+
+// Allow the request through only if the authenticated user holds one of the given roles
+const authorize = (...roles) => {
+    const allowed = roles.map(normalizeRole);
+    return (req, res, next) => {
+        if (!req.user) return next(unauthorized('Not authenticated'));
+        if (!allowed.includes(req.user.role)) {
+            return next(forbidden('Forbidden: insufficient role'));
+        }
+        next();
+    };
+};
+
+module.exports = {
+    ROLES,
+    ALL_ROLES,
+    normalizeRole,
+    issueTokens,
+    isPasswordHash,
+    hashPassword,
+    verifyPassword,
+    verifyRefreshToken,
+    isCurrentRefreshToken,
+    issueFeedToken,
+    verifyFeedToken,
+    authenticate,
+    authorize
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { STATUS_CODES, HttpError } = require('../utils/errors');
+
+// Client-supplied ids are echoed back, so only accept short, header-safe values
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// MySQL errors caused by the request rather than the server, keyed by the driver's error code
+const MYSQL_ERRORS = {
+    ER_DUP_ENTRY: { status: 409, message: 'A record with the same unique value already exists' },
+    ER_NO_REFERENCED_ROW: { status: 422, message: 'A referenced record does not exist' },
+    ER_NO_REFERENCED_ROW_2: { status: 422, message: 'A referenced record does not exist' },
+    ER_ROW_IS_REFERENCED: { status: 422, message: 'The record is still referenced by other records' },
+    ER_ROW_IS_REFERENCED_2: { status: 422, message: 'The record is still referenced by other records' },
+    ER_BAD_NULL_ERROR: { status: 400 },
+    ER_NO_DEFAULT_FOR_FIELD: { status: 400 },
+    ER_DATA_TOO_LONG: { status: 400 },
+    ER_TRUNCATED_WRONG_VALUE: { status: 400 },
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: { status: 400 },
+    ER_WARN_DATA_OUT_OF_RANGE: { status: 400 }
+};
+
+// The same errors from PostgreSQL, keyed by SQLSTATE; a foreign key error is told apart by its detail
+const POSTGRES_ERRORS = {
+    23505: MYSQL_ERRORS.ER_DUP_ENTRY,
+    23503: MYSQL_ERRORS.ER_NO_REFERENCED_ROW,
+    23502: { status: 400 },
+    22001: { status: 400 },
+    22003: { status: 400 },
+    22007: { status: 400 },
+    22008: { status: 400 },
+    '22P02': { status: 400 }
+};
+
+const databaseError = (err) => {
+    if (err.code === '23503' && /is still referenced/.test(err.detail || '')) return MYSQL_ERRORS.ER_ROW_IS_REFERENCED;
+    return MYSQL_ERRORS[err.code] || POSTGRES_ERRORS[err.code];
+};
+
+// Give every request an id (X-Request-Id, or a fresh UUID) that is echoed on the response and in errors
+const requestId = (req, res, next) => {
+    const supplied = req.get('X-Request-Id');
+    req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+// "Duplicate entry 'bob' for key 'username'" / "FOREIGN KEY (`churchId`) REFERENCES `Church`", or from
+// PostgreSQL the constraint name and 'Key ("churchId")=(9) is not present in table "Church".'
+const constraintDetails = (err) => {
+    if (err.constraint) {
+        const reference = (err.detail || '').match(/^Key \("?([^")]+)"?\)=\(.*\) is not present in table "([^"]+)"/);
+        return reference ? { field: reference[1], references: reference[2] } : { constraint: err.constraint };
+    }
+    const message = err.sqlMessage || '';
+    const key = message.match(/for key '([^']+)'/);
+    if (key) return { constraint: key[1] };
+    const foreignKey = message.match(/FOREIGN KEY \(`([^`]+)`\) REFERENCES `([^`]+)`/);
+    if (foreignKey) return { field: foreignKey[1], references: foreignKey[2] };
+    return undefined;
+};
+
+// Normalize anything thrown by a route into an HttpError
+const toHttpError = (err) => {
+    if (err instanceof HttpError) return err;
+
+    const mapped = err.code && databaseError(err);
+    if (mapped) {
+        return new HttpError(mapped.status, mapped.message || err.sqlMessage || err.message, { details: constraintDetails(err) });
+    }
+
+    // body-parser and similar middleware flag client errors with an exposable status
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+        return new HttpError(status, err.expose === false ? STATUS_CODES[status] : err.message);
+    }
+
+    return new HttpError(500, 'Internal server error');
+};
+
+// Unknown routes answer 404 in the standard envelope instead of Express's HTML page
+const notFoundHandler = (req, res, next) => {
+    next(new HttpError(404, `Cannot ${req.method} ${req.path}`));
+};
+
+/**
+ * The one place errors turn into responses:
+ *   { "code": "NOT_FOUND", "message": "Person not found", "details": ..., "requestId": "..." }
+ * Server errors are logged with the request id and never leak their message to the client.
+ */
+const errorHandler = (err, req, res, next) => {
+    const error = toHttpError(err);
+    if (error.status >= 500) console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err);
+
+    if (res.headersSent) return res.destroy(err);
+
+    res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        details: error.details === undefined ? null : error.details,
+        requestId: req.id
+    });
+};
+
+module.exports = {
+    requestId,
+    toHttpError,
+    notFoundHandler,
+    errorHandler
+};
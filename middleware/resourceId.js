@@ -0,0 +1,52 @@
+const { badRequest } = require('../utils/errors');
+
+// When the PUT /api/<Entity> aliases were deprecated, as an RFC 9745 Deprecation date
+const DEPRECATED_ON = `@${Date.UTC(2026, 9, 18) / 1000}`;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * For PUT and PATCH /api/<Entity>/:id: the path names the record. A body that also carries the
+ * id column (as older clients send) must name the same record.
+ */
+const matchBodyId = (idColumn) => (req, res, next) => {
+    const bodyId = req.body && req.body[idColumn];
+    if (!isBlank(bodyId) && String(bodyId) !== String(req.params.id)) {
+        return next(badRequest(`${idColumn} in the body does not match the id in the path`, { [idColumn]: bodyId, id: req.params.id }));
+    }
+    next();
+};
+
+/**
+ * The deprecated PUT /api/<Entity> form, which names the record by its id column in the body.
+ * The id is copied to req.params.id so the /:id handler can serve it, and the response carries
+ * Deprecation and a successor-version Link to the path to use instead.
+ */
+const bodyIdAlias = (idColumn) => (req, res, next) => {
+    const bodyId = req.body && req.body[idColumn];
+    if (isBlank(bodyId)) return next(badRequest(`${idColumn} is required`));
+    req.params.id = String(bodyId);
+    res.set('Deprecation', DEPRECATED_ON);
+    res.set('Link', `<${req.baseUrl}${req.path.replace(/\/$/, '')}/${encodeURIComponent(bodyId)}>; rel="successor-version"`);
+    next();
+};
+
+/**
+ * A PATCH must change at least one column the client may write: by default the repository
+ * entity's columns other than its id and read-only ones.
+ */
+const requireChanges = (entity, {
+    columns = entity.columns.filter((column) => column !== entity.idColumn && !(entity.readOnlyColumns || []).includes(column))
+} = {}) => (req, res, next) => {
+    if (!columns.some((column) => req.body && req.body[column] !== undefined)) {
+        return next(badRequest(`Nothing to update; send at least one of: ${columns.join(', ')}`));
+    }
+    next();
+};
+
+module.exports = {
+    DEPRECATED_ON,
+    matchBodyId,
+    bodyIdAlias,
+    requireChanges
+};
@@ -0,0 +1,99 @@
+const { Church } = require('../data/repositories');
+const { ROLES } = require('./auth');
+const { forbidden } = require('../utils/errors');
+
+// How much of the ministry a signed-in user may see:
+//   all    - head office and system admins
+//   region - regional overseers, every church in their church's region
+//   church - everyone else, their own congregation only
+const resolveScope = (user) => {
+    if (user.role === ROLES.ADMIN || user.role === ROLES.HEAD_OFFICE) {
+        return { level: 'all' };
+    }
+    if (user.role === ROLES.REGIONAL_OVERSEER) {
+        return { level: 'region', region: user.region };
+    }
+    return { level: 'church', churchId: user.churchId, region: user.region };
+};
+
+// Attach req.scope; users that are not linked to a church (or region) cannot see any data
+const attachScope = (req, res, next) => {
+    const scope = resolveScope(req.user);
+    if (scope.level === 'church' && !scope.churchId) {
+        return next(forbidden('User is not linked to a church'));
+    }
+    if (scope.level === 'region' && !scope.region) {
+        return next(forbidden('User is not linked to a region'));
+    }
+    req.scope = scope;
+    next();
+};
+
+// SQL condition limiting rows by their church column. Pass regionColumn when the table
+// carries the region itself (Church), so no subquery on the same table is needed.
+const churchScopeClause = (scope, { churchColumn = 'churchId', regionColumn } = {}) => {
+    if (scope.level === 'all') return { sql: '1=1', values: [] };
+    if (scope.level === 'region') {
+        if (regionColumn) return { sql: `${regionColumn} = ?`, values: [scope.region] };
+        return { sql: `${churchColumn} IN (SELECT churchId FROM Church WHERE region = ?)`, values: [scope.region] };
+    }
+    return { sql: `${churchColumn} = ?`, values: [scope.churchId] };
+};
+
+// SQL condition for region-tagged rows (Calendar); rows without a region are ministry-wide
+const regionScopeClause = (scope, column = 'region') => {
+    if (scope.level === 'all') return { sql: '1=1', values: [] };
+    return { sql: `(${column} = ? OR ${column} IS NULL OR ${column} = '')`, values: [scope.region] };
+};
+
+// Default req.body.churchId to the user's church and refuse writes into churches outside scope
+const scopeBodyChurch = (req, res, next) => {
+    const { scope } = req;
+    if (scope.level === 'all') return next();
+
+    if (scope.level === 'church') {
+        if (req.body.churchId === undefined || req.body.churchId === null || req.body.churchId === '') {
+            req.body.churchId = scope.churchId;
+        }
+        if (parseInt(req.body.churchId) !== parseInt(scope.churchId)) {
+            return next(forbidden('Church is outside your scope'));
+        }
+        return next();
+    }
+
+    Church.findById(req.body.churchId)
+        .then((church) => {
+            if (!church || church.region !== scope.region) {
+                return next(forbidden('Church is outside your scope'));
+            }
+            next();
+        })
+        .catch(next);
+};
+
+// Default req.body.region to the user's region and refuse writes tagged with another region
+const scopeBodyRegion = (req, res, next) => {
+    const { scope } = req;
+    if (scope.level === 'all') return next();
+
+    if (!req.body.region) req.body.region = scope.region;
+    if (req.body.region !== scope.region) {
+        return next(forbidden('Region is outside your scope'));
+    }
+    next();
+};
+
+// A PATCH body carries only the fields being changed; churchId and region are checked only when sent
+const scopePatchChurch = (req, res, next) => (req.body.churchId === undefined ? next() : scopeBodyChurch(req, res, next));
+const scopePatchRegion = (req, res, next) => (req.body.region === undefined ? next() : scopeBodyRegion(req, res, next));
+
+module.exports = {
+    resolveScope,
+    attachScope,
+    churchScopeClause,
+    regionScopeClause,
+    scopeBodyChurch,
+    scopeBodyRegion,
+    scopePatchChurch,
+    scopePatchRegion
+};
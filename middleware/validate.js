@@ -0,0 +1,165 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { HttpError } = require('../utils/errors');
+
+const SPEC_ID = 'openapi';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// One Ajv per document, with its components registered so "#/components/..." references resolve
+const instances = new WeakMap();
+const ajvFor = (spec) => {
+    if (!instances.has(spec)) {
+        const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, strict: false });
+        addFormats(ajv);
+        ajv.addSchema({ components: spec.components || {} }, SPEC_ID);
+        instances.set(spec, ajv);
+    }
+    return instances.get(spec);
+};
+
+// Point local "#/components/..." references at the registered spec so Ajv can resolve them
+const resolveRefs = (schema) => JSON.parse(
+    JSON.stringify(schema).replace(/"\$ref":"#\/components\//g, `"$ref":"${SPEC_ID}#/components/`)
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "/api/Person/{id}" -> /^\/api\/Person\/([^/]+)\/?$/ plus its parameter names
+const compilePath = (path) => {
+    const names = [];
+    const pattern = path.split(/(\{[^}]+\})/).map((part) => {
+        const match = part.match(/^\{([^}]+)\}$/);
+        if (!match) return escapeRegExp(part);
+        names.push(match[1]);
+        return '([^/]+)';
+    }).join('');
+    return { regex: new RegExp(`^${pattern}/?$`), names };
+};
+
+const toFieldErrors = (location, errors) => errors.map((error) => {
+    const path = error.instancePath.split('/').filter(Boolean);
+    if (error.keyword === 'required') path.push(error.params.missingProperty);
+    return { field: [location, ...path].filter(Boolean).join('.'), message: error.message };
+});
+
+// Parameters may be "$ref: '#/components/parameters/page'" pointers into the shared list
+const resolveParameter = (spec, param) => {
+    const match = param.$ref && param.$ref.match(/^#\/components\/parameters\/(.+)$/);
+    return match ? ((spec.components && spec.components.parameters) || {})[match[1]] || {} : param;
+};
+
+const compileOperation = (ajv, spec, operation) => {
+    const parameters = (operation.parameters || []).map((param) => resolveParameter(spec, param));
+    const byLocation = (location) => {
+        const params = parameters.filter((param) => param.in === location && param.schema);
+        if (!params.length) return null;
+        return ajv.compile(resolveRefs({
+            type: 'object',
+            properties: Object.fromEntries(params.map((param) => [param.name, param.schema])),
+            required: params.filter((param) => param.required).map((param) => param.name)
+        }));
+    };
+
+    const content = operation.requestBody && operation.requestBody.content;
+    const jsonBody = content && content['application/json'];
+
+    return {
+        path: byLocation('path'),
+        query: byLocation('query'),
+        body: jsonBody && jsonBody.schema ? ajv.compile(resolveRefs(jsonBody.schema)) : null,
+        bodyRequired: Boolean(operation.requestBody && operation.requestBody.required && jsonBody)
+    };
+};
+
+// Drop required and every default: a PATCH sends only the fields it changes, and a default would overwrite the rest
+const partialOf = (schema) => {
+    const { required, ...partial } = schema;
+    const properties = Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([name, { default: unused, ...property }]) => [name, property]));
+    return { ...partial, properties, minProperties: 1 };
+};
+
+/**
+ * Fill in every "#/components/schemas/<Name>Patch" the document refers to from its <Name> schema: the same
+ * typed properties (and additionalProperties) as the PUT body, but with none required and no defaults.
+ * Returns the spec, so the docs and the validators share the derived schemas.
+ */
+const withPatchSchemas = (spec) => {
+    const schemas = (spec.components && spec.components.schemas) || {};
+    const referenced = JSON.stringify(spec.paths || {}).match(/#\/components\/schemas\/\w+Patch(?=")/g) || [];
+    referenced.map((ref) => ref.split('/').pop()).forEach((name) => {
+        const entity = schemas[name.slice(0, -'Patch'.length)];
+        if (entity && !schemas[name]) schemas[name] = partialOf(entity);
+    });
+    return spec;
+};
+
+/**
+ * A check of one value against a components schema, for data that reaches a handler other than as the
+ * request body, e.g. the items of a bulk request. Checked as a PATCH body would be (typed, nothing required,
+ * no defaults), numeric strings coerced in place. Returns [] or the failing fields, as { field, message }.
+ */
+const schemaValidator = (spec, name) => {
+    const validate = ajvFor(spec).compile(resolveRefs(partialOf(spec.components.schemas[name])));
+    return (value) => (validate(value) ? [] : toFieldErrors(null, validate.errors));
+};
+
+/**
+ * Validate every request against the OpenAPI document generated from the @swagger comments:
+ * path and query parameters, and JSON request bodies. Numeric strings are coerced and schema
+ * defaults filled in place, so handlers see numbers instead of missing values. Any failure
+ * answers 400 listing every bad field; paths the document does not describe pass through.
+ */
+const validateRequests = (spec) => {
+    const ajv = ajvFor(spec);
+
+    // Literal paths are tried before templated ones so /api/Person/export never matches /api/Person/{id}
+    const routes = Object.entries(spec.paths || {})
+        .map(([path, item]) => ({ path, ...compilePath(path), item }))
+        .sort((a, b) => a.names.length - b.names.length);
+
+    const compiled = new Map();
+    const validatorsFor = (route, method) => {
+        const key = `${method} ${route.path}`;
+        if (!compiled.has(key)) compiled.set(key, compileOperation(ajv, spec, route.item[method]));
+        return compiled.get(key);
+    };
+
+    return (req, res, next) => {
+        const method = req.method.toLowerCase();
+        if (!METHODS.includes(method)) return next();
+
+        let match;
+        const route = routes.find((candidate) => {
+            match = candidate.item[method] && candidate.regex.exec(req.path);
+            return match;
+        });
+        if (!route) return next();
+
+        const validators = validatorsFor(route, method);
+        const errors = [];
+
+        if (validators.path) {
+            const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+            if (!validators.path(params)) errors.push(...toFieldErrors('path', validators.path.errors));
+        }
+        if (validators.query) {
+            // Validate a copy; list filters are free-form and stay as Express parsed them
+            if (!validators.query({ ...req.query })) errors.push(...toFieldErrors('query', validators.query.errors));
+        }
+        if (validators.body && req.is('application/json')) {
+            if (!validators.body(req.body)) errors.push(...toFieldErrors('body', validators.body.errors));
+        } else if (validators.bodyRequired && !req.is('application/json')) {
+            errors.push({ field: 'body', message: 'must be a JSON request body' });
+        }
+
+        if (errors.length) return next(new HttpError(400, 'Validation failed', { code: 'VALIDATION_FAILED', details: errors }));
+        next();
+    };
+};
+
+module.exports = {
+    withPatchSchemas,
+    schemaValidator,
+    validateRequests
+};
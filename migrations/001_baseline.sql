@@ -0,0 +1,114 @@
+-- The original tables as they stood before migrations, with the foreign keys they always implied
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS Church (
+    churchId INT AUTO_INCREMENT PRIMARY KEY,
+    churchName VARCHAR(100) NOT NULL,
+    location VARCHAR(255) NOT NULL,
+    branch VARCHAR(100) NULL,
+    province VARCHAR(100) NULL,
+    city VARCHAR(100) NULL,
+    region VARCHAR(100) NULL,
+    pastorId INT NULL,
+    KEY idx_church_region (region)
+);
+
+CREATE TABLE IF NOT EXISTS Locations (
+    location_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    address VARCHAR(255) NOT NULL,
+    contact_person VARCHAR(100) NOT NULL,
+    contact_phone VARCHAR(20) NOT NULL
+);
+
+-- gender holds a code or a word, as older clients sent either. The giving totals are kept from the
+-- Contribution ledger (migration 004) and never written directly.
+CREATE TABLE IF NOT EXISTS Person (
+    personId INT AUTO_INCREMENT PRIMARY KEY,
+    address VARCHAR(255) NULL,
+    comments TEXT NULL,
+    contactNumber VARCHAR(20) NULL,
+    gender VARCHAR(10) NULL,
+    maritalStatus VARCHAR(20) NULL,
+    name VARCHAR(100) NOT NULL,
+    surname VARCHAR(100) NOT NULL,
+    churchId INT NULL,
+    cellLeader VARCHAR(100) NULL,
+    cellLocation VARCHAR(255) NULL,
+    ministry VARCHAR(100) NULL,
+    church VARCHAR(100) NULL,
+    region VARCHAR(100) NULL,
+    regContribution DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    seedContribution DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    KEY idx_person_contact (contactNumber),
+    CONSTRAINT fk_person_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+
+-- One row per service
+CREATE TABLE IF NOT EXISTS Stats (
+    statsId INT AUTO_INCREMENT PRIMARY KEY,
+    adult INT NOT NULL DEFAULT 0,
+    car INT NOT NULL DEFAULT 0,
+    fk INT NOT NULL DEFAULT 0,
+    saved INT NOT NULL DEFAULT 0,
+    offering DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    visitors INT NOT NULL DEFAULT 0,
+    date DATE NOT NULL,
+    churchId INT NOT NULL,
+    aow INT NOT NULL DEFAULT 0,
+    ck INT NOT NULL DEFAULT 0,
+    KEY idx_stats_church_date (churchId, date),
+    KEY idx_stats_date (date),
+    CONSTRAINT fk_stats_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+
+-- password is a bcrypt hash; a user's church and region come from their Person
+CREATE TABLE IF NOT EXISTS User (
+    userId INT AUTO_INCREMENT PRIMARY KEY,
+    role VARCHAR(32) NOT NULL,
+    username VARCHAR(100) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    personId INT NULL,
+    UNIQUE KEY uq_user_username (username),
+    CONSTRAINT fk_user_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE SET NULL
+);
+
+-- The legacy date columns; real dates and recurrence come in migration 007
+CREATE TABLE IF NOT EXISTS Calendar (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    time VARCHAR(50) NULL,
+    month VARCHAR(20) NULL,
+    year INT NULL,
+    department VARCHAR(100) NULL,
+    region VARCHAR(100) NULL,
+    dayFrom INT NULL,
+    dayTo INT NULL
+);
+
+CREATE TABLE IF NOT EXISTS Assets (
+    asset_id INT AUTO_INCREMENT PRIMARY KEY,
+    location_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    purchase_date DATE NULL,
+    purchase_price DECIMAL(12, 2) NULL,
+    serial_number VARCHAR(100) NULL,
+    category VARCHAR(100) NULL,
+    `condition` VARCHAR(50) NULL,
+    last_maintenance_date DATE NULL,
+    KEY idx_assets_category (category),
+    CONSTRAINT fk_assets_location FOREIGN KEY (location_id) REFERENCES Locations (location_id)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS Assets;
+DROP TABLE IF EXISTS Calendar;
+DROP TABLE IF EXISTS User;
+DROP TABLE IF EXISTS Stats;
+DROP TABLE IF EXISTS Person;
+DROP TABLE IF EXISTS Locations;
+DROP TABLE IF EXISTS Church;
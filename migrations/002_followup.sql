@@ -0,0 +1,38 @@
+-- Follow-up pipeline for new converts and visitors (see data/followUp.js)
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS FollowUp (
+    followUpId INT AUTO_INCREMENT PRIMARY KEY,
+    personId INT NOT NULL,
+    churchId INT NOT NULL,
+    source VARCHAR(16) NOT NULL,
+    serviceDate DATE NOT NULL,
+    stage VARCHAR(32) NOT NULL DEFAULT 'new believer',
+    stageChangedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    dueDate DATE NULL,
+    leaderId INT NULL,
+    notes TEXT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_followup_person (personId),
+    KEY idx_followup_church_date (churchId, serviceDate),
+    KEY idx_followup_leader_due (leaderId, dueDate),
+    CONSTRAINT fk_followup_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE,
+    CONSTRAINT fk_followup_leader FOREIGN KEY (leaderId) REFERENCES Person (personId) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS FollowUpStage (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    followUpId INT NOT NULL,
+    stage VARCHAR(32) NOT NULL,
+    changedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    changedBy INT NULL,
+    notes TEXT NULL,
+    KEY idx_followup_stage_followup (followUpId),
+    CONSTRAINT fk_followup_stage_followup FOREIGN KEY (followUpId) REFERENCES FollowUp (followUpId) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS FollowUpStage;
+DROP TABLE IF EXISTS FollowUp;
@@ -0,0 +1,55 @@
+-- Cell groups, their members and meeting attendance (see data/cellGroups.js)
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS CellGroup (
+    cellGroupId INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    churchId INT NOT NULL,
+    leaderId INT NULL,
+    hostLocation VARCHAR(255) NULL,
+    meetingDay VARCHAR(9) NULL,
+    meetingTime TIME NULL,
+    parentCellGroupId INT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_cellgroup_church (churchId),
+    KEY idx_cellgroup_leader (leaderId),
+    CONSTRAINT fk_cellgroup_leader FOREIGN KEY (leaderId) REFERENCES Person (personId) ON DELETE SET NULL,
+    CONSTRAINT fk_cellgroup_parent FOREIGN KEY (parentCellGroupId) REFERENCES CellGroup (cellGroupId) ON DELETE SET NULL
+);
+
+-- A person belongs to at most one cell
+CREATE TABLE IF NOT EXISTS CellGroupMember (
+    cellGroupId INT NOT NULL,
+    personId INT NOT NULL,
+    joinedAt DATE NOT NULL,
+    PRIMARY KEY (cellGroupId, personId),
+    UNIQUE KEY uq_cellgroupmember_person (personId),
+    CONSTRAINT fk_cellgroupmember_cell FOREIGN KEY (cellGroupId) REFERENCES CellGroup (cellGroupId) ON DELETE CASCADE,
+    CONSTRAINT fk_cellgroupmember_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS CellMeeting (
+    meetingId INT AUTO_INCREMENT PRIMARY KEY,
+    cellGroupId INT NOT NULL,
+    meetingDate DATE NOT NULL,
+    visitors INT NOT NULL DEFAULT 0,
+    notes TEXT NULL,
+    UNIQUE KEY uq_cellmeeting_date (cellGroupId, meetingDate),
+    CONSTRAINT fk_cellmeeting_cell FOREIGN KEY (cellGroupId) REFERENCES CellGroup (cellGroupId) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS CellAttendance (
+    meetingId INT NOT NULL,
+    personId INT NOT NULL,
+    PRIMARY KEY (meetingId, personId),
+    CONSTRAINT fk_cellattendance_meeting FOREIGN KEY (meetingId) REFERENCES CellMeeting (meetingId) ON DELETE CASCADE,
+    CONSTRAINT fk_cellattendance_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS CellAttendance;
+DROP TABLE IF EXISTS CellMeeting;
+DROP TABLE IF EXISTS CellGroupMember;
+DROP TABLE IF EXISTS CellGroup;
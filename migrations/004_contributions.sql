@@ -0,0 +1,26 @@
+-- Giving ledger: one row per gift (see data/contributions.js)
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS Contribution (
+    contributionId INT AUTO_INCREMENT PRIMARY KEY,
+    personId INT NULL,
+    churchId INT NOT NULL,
+    type VARCHAR(16) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    date DATE NOT NULL,
+    paymentMethod VARCHAR(16) NOT NULL DEFAULT 'cash',
+    reference VARCHAR(64) NULL,
+    notes TEXT NULL,
+    recordedBy INT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_contribution_church_date (churchId, date),
+    KEY idx_contribution_person_date (personId, date),
+    -- Gifts outlive the person so church totals never change after the fact
+    CONSTRAINT fk_contribution_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE SET NULL,
+    CONSTRAINT fk_contribution_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS Contribution;
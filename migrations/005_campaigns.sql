@@ -0,0 +1,52 @@
+-- Fundraising campaigns, pledges towards them and the ledger link for pledge payments (see data/campaigns.js)
+
+-- migrate:up
+
+-- churchId is empty for a ministry-wide campaign
+CREATE TABLE IF NOT EXISTS Campaign (
+    campaignId INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    churchId INT NULL,
+    targetAmount DECIMAL(12, 2) NOT NULL,
+    startDate DATE NOT NULL,
+    endDate DATE NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_campaign_church (churchId),
+    CONSTRAINT fk_campaign_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+
+-- paid is kept equal to the sum of the pledge's Contribution rows
+CREATE TABLE IF NOT EXISTS Pledge (
+    pledgeId INT AUTO_INCREMENT PRIMARY KEY,
+    campaignId INT NOT NULL,
+    personId INT NOT NULL,
+    churchId INT NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    paid DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    pledgeDate DATE NOT NULL,
+    dueDate DATE NULL,
+    notes TEXT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_pledge_campaign (campaignId),
+    KEY idx_pledge_person (personId),
+    KEY idx_pledge_church_due (churchId, dueDate),
+    CONSTRAINT fk_pledge_campaign FOREIGN KEY (campaignId) REFERENCES Campaign (campaignId),
+    CONSTRAINT fk_pledge_person FOREIGN KEY (personId) REFERENCES Person (personId),
+    CONSTRAINT fk_pledge_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+
+-- Payments are Contribution rows of type 'pledge' pointing at their pledge
+ALTER TABLE Contribution
+    ADD COLUMN pledgeId INT NULL AFTER type,
+    ADD KEY idx_contribution_pledge (pledgeId),
+    ADD CONSTRAINT fk_contribution_pledge FOREIGN KEY (pledgeId) REFERENCES Pledge (pledgeId) ON DELETE SET NULL;
+
+-- migrate:down
+
+ALTER TABLE Contribution DROP FOREIGN KEY fk_contribution_pledge;
+ALTER TABLE Contribution
+    DROP KEY idx_contribution_pledge,
+    DROP COLUMN pledgeId;
+DROP TABLE IF EXISTS Pledge;
+DROP TABLE IF EXISTS Campaign;
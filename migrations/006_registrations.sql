@@ -0,0 +1,48 @@
+-- Event registration, waitlists and check-in on Calendar events (see data/registrations.js)
+
+-- migrate:up
+
+-- capacity is empty for unlimited places; fee is empty or 0 for free events
+ALTER TABLE Calendar
+    ADD COLUMN capacity INT NULL,
+    ADD COLUMN fee DECIMAL(12, 2) NULL;
+
+-- One row per person and event; a cancelled registration is reused if they sign up again
+CREATE TABLE IF NOT EXISTS Registration (
+    registrationId INT AUTO_INCREMENT PRIMARY KEY,
+    calendarId INT NOT NULL,
+    personId INT NOT NULL,
+    churchId INT NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'registered',
+    checkInCode VARCHAR(32) NOT NULL,
+    contributionId INT NULL,
+    registeredAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    cancelledAt DATETIME NULL,
+    checkedInAt DATETIME NULL,
+    UNIQUE KEY uq_registration_person (calendarId, personId),
+    UNIQUE KEY uq_registration_code (checkInCode),
+    KEY idx_registration_queue (calendarId, status, registeredAt),
+    CONSTRAINT fk_registration_event FOREIGN KEY (calendarId) REFERENCES Calendar (id) ON DELETE CASCADE,
+    CONSTRAINT fk_registration_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE,
+    CONSTRAINT fk_registration_church FOREIGN KEY (churchId) REFERENCES Church (churchId),
+    CONSTRAINT fk_registration_fee FOREIGN KEY (contributionId) REFERENCES Contribution (contributionId) ON DELETE SET NULL
+);
+
+-- The Stats row each event day's attendance was posted to, per church, so posting again updates it
+CREATE TABLE IF NOT EXISTS CalendarStats (
+    calendarId INT NOT NULL,
+    churchId INT NOT NULL,
+    date DATE NOT NULL,
+    statsId INT NOT NULL,
+    PRIMARY KEY (calendarId, churchId, date),
+    CONSTRAINT fk_calendarstats_event FOREIGN KEY (calendarId) REFERENCES Calendar (id) ON DELETE CASCADE,
+    CONSTRAINT fk_calendarstats_stats FOREIGN KEY (statsId) REFERENCES Stats (statsId) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS CalendarStats;
+DROP TABLE IF EXISTS Registration;
+ALTER TABLE Calendar
+    DROP COLUMN capacity,
+    DROP COLUMN fee;
@@ -0,0 +1,48 @@
+-- Real dates, recurrence and iCalendar feeds for Calendar events (see data/calendar.js)
+
+-- migrate:up
+
+-- startDate/endDate replace month/year/dayFrom/dayTo, which are still kept in step for older clients.
+-- rrule is an iCalendar recurrence rule such as FREQ=WEEKLY;BYDAY=SU. churchId narrows an event to one
+-- church; uid identifies events imported from other calendars so importing again updates them.
+ALTER TABLE Calendar
+    ADD COLUMN startDate DATE NULL,
+    ADD COLUMN endDate DATE NULL,
+    ADD COLUMN startTime TIME NULL,
+    ADD COLUMN endTime TIME NULL,
+    ADD COLUMN rrule VARCHAR(255) NULL,
+    ADD COLUMN location VARCHAR(255) NULL,
+    ADD COLUMN description TEXT NULL,
+    ADD COLUMN churchId INT NULL,
+    ADD COLUMN uid VARCHAR(255) NULL,
+    ADD UNIQUE KEY uq_calendar_uid (uid),
+    ADD KEY idx_calendar_start (startDate),
+    ADD CONSTRAINT fk_calendar_church FOREIGN KEY (churchId) REFERENCES Church (churchId);
+
+-- Single occurrences of a recurring event that are cancelled (movedTo empty) or moved
+CREATE TABLE IF NOT EXISTS CalendarException (
+    calendarId INT NOT NULL,
+    date DATE NOT NULL,
+    movedTo DATE NULL,
+    startTime TIME NULL,
+    note VARCHAR(255) NULL,
+    PRIMARY KEY (calendarId, date),
+    CONSTRAINT fk_calendarexception_event FOREIGN KEY (calendarId) REFERENCES Calendar (id) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS CalendarException;
+ALTER TABLE Calendar DROP FOREIGN KEY fk_calendar_church;
+ALTER TABLE Calendar
+    DROP KEY uq_calendar_uid,
+    DROP KEY idx_calendar_start,
+    DROP COLUMN startDate,
+    DROP COLUMN endDate,
+    DROP COLUMN startTime,
+    DROP COLUMN endTime,
+    DROP COLUMN rrule,
+    DROP COLUMN location,
+    DROP COLUMN description,
+    DROP COLUMN churchId,
+    DROP COLUMN uid;
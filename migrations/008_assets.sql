@@ -0,0 +1,78 @@
+-- Asset maintenance schedules and log, check-out/check-in, transfers between Locations and depreciation (see data/assets.js)
+
+-- migrate:up
+
+-- Straight-line depreciation inputs; an empty useful_life_years means the default of 5 years
+ALTER TABLE Assets
+    ADD COLUMN useful_life_years DECIMAL(4, 1) NULL AFTER purchase_price,
+    ADD COLUMN salvage_value DECIMAL(12, 2) NULL AFTER useful_life_years;
+
+-- How often assets of a category are serviced; category matches Assets.category
+CREATE TABLE IF NOT EXISTS MaintenanceSchedule (
+    scheduleId INT AUTO_INCREMENT PRIMARY KEY,
+    category VARCHAR(100) NOT NULL,
+    intervalDays INT NOT NULL,
+    leadDays INT NOT NULL DEFAULT 14,
+    task VARCHAR(255) NULL,
+    UNIQUE KEY uq_schedule_category (category)
+);
+
+-- Maintenance carried out; the latest date is copied to Assets.last_maintenance_date
+CREATE TABLE IF NOT EXISTS AssetMaintenance (
+    maintenanceId INT AUTO_INCREMENT PRIMARY KEY,
+    asset_id INT NOT NULL,
+    date DATE NOT NULL,
+    performedBy VARCHAR(100) NULL,
+    cost DECIMAL(12, 2) NULL,
+    `condition` VARCHAR(50) NULL,
+    notes TEXT NULL,
+    recordedBy INT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_maintenance_asset_date (asset_id, date),
+    CONSTRAINT fk_maintenance_asset FOREIGN KEY (asset_id) REFERENCES Assets (asset_id) ON DELETE CASCADE
+);
+
+-- checkedInAt is empty while the asset is out; an asset has at most one open row
+CREATE TABLE IF NOT EXISTS AssetCheckout (
+    checkoutId INT AUTO_INCREMENT PRIMARY KEY,
+    asset_id INT NOT NULL,
+    personId INT NULL,
+    borrowerName VARCHAR(100) NOT NULL,
+    checkedOutAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    dueBack DATE NULL,
+    checkedOutBy INT NULL,
+    conditionOut VARCHAR(50) NULL,
+    checkedInAt DATETIME NULL,
+    checkedInBy INT NULL,
+    conditionIn VARCHAR(50) NULL,
+    notes TEXT NULL,
+    KEY idx_checkout_asset (asset_id, checkedOutAt),
+    KEY idx_checkout_open (checkedInAt, dueBack),
+    CONSTRAINT fk_checkout_asset FOREIGN KEY (asset_id) REFERENCES Assets (asset_id) ON DELETE CASCADE,
+    CONSTRAINT fk_checkout_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE SET NULL
+);
+
+-- Every move of an asset between Locations; a deleted Location leaves the history with an empty id
+CREATE TABLE IF NOT EXISTS AssetTransfer (
+    transferId INT AUTO_INCREMENT PRIMARY KEY,
+    asset_id INT NOT NULL,
+    fromLocationId INT NULL,
+    toLocationId INT NULL,
+    transferredAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    transferredBy INT NULL,
+    reason VARCHAR(255) NULL,
+    KEY idx_transfer_asset (asset_id, transferredAt),
+    CONSTRAINT fk_transfer_asset FOREIGN KEY (asset_id) REFERENCES Assets (asset_id) ON DELETE CASCADE,
+    CONSTRAINT fk_transfer_from FOREIGN KEY (fromLocationId) REFERENCES Locations (location_id) ON DELETE SET NULL,
+    CONSTRAINT fk_transfer_to FOREIGN KEY (toLocationId) REFERENCES Locations (location_id) ON DELETE SET NULL
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS AssetTransfer;
+DROP TABLE IF EXISTS AssetCheckout;
+DROP TABLE IF EXISTS AssetMaintenance;
+DROP TABLE IF EXISTS MaintenanceSchedule;
+ALTER TABLE Assets
+    DROP COLUMN useful_life_years,
+    DROP COLUMN salvage_value;
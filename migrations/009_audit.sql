@@ -0,0 +1,26 @@
+-- Audit log of every write to Church, Person, Stats, User, Calendar, Assets and Locations (see data/repositories/auditLog.js)
+
+-- migrate:up
+
+-- entityId is text so one column holds every table's key; changes is { column: { from, to } }
+-- and snapshot the whole row after the write (before it, for a delete), without User.password
+CREATE TABLE IF NOT EXISTS AuditLog (
+    auditId BIGINT AUTO_INCREMENT PRIMARY KEY,
+    entity VARCHAR(50) NOT NULL,
+    entityId VARCHAR(64) NOT NULL,
+    action VARCHAR(10) NOT NULL,
+    actorId INT NULL,
+    actorName VARCHAR(100) NULL,
+    ip VARCHAR(45) NULL,
+    requestId VARCHAR(64) NULL,
+    changes JSON NOT NULL,
+    snapshot JSON NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_audit_record (entity, entityId, auditId),
+    KEY idx_audit_actor (actorId),
+    KEY idx_audit_created (createdAt)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS AuditLog;
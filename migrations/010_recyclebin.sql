@@ -0,0 +1,47 @@
+-- Soft delete for Church, Person, Stats and Assets (see data/recycleBin.js)
+
+-- migrate:up
+
+-- A deleted row keeps its data until an admin purges it; deletedBy is the User who deleted it.
+-- Rows deleted together (a church with its people and stats) share one deletedAt.
+ALTER TABLE Church
+    ADD COLUMN deletedAt DATETIME NULL,
+    ADD COLUMN deletedBy INT NULL,
+    ADD KEY idx_church_deleted (deletedAt);
+
+ALTER TABLE Person
+    ADD COLUMN deletedAt DATETIME NULL,
+    ADD COLUMN deletedBy INT NULL,
+    ADD KEY idx_person_deleted (deletedAt);
+
+ALTER TABLE Stats
+    ADD COLUMN deletedAt DATETIME NULL,
+    ADD COLUMN deletedBy INT NULL,
+    ADD KEY idx_stats_deleted (deletedAt);
+
+ALTER TABLE Assets
+    ADD COLUMN deletedAt DATETIME NULL,
+    ADD COLUMN deletedBy INT NULL,
+    ADD KEY idx_assets_deleted (deletedAt);
+
+-- migrate:down
+
+ALTER TABLE Assets
+    DROP KEY idx_assets_deleted,
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
+
+ALTER TABLE Stats
+    DROP KEY idx_stats_deleted,
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
+
+ALTER TABLE Person
+    DROP KEY idx_person_deleted,
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
+
+ALTER TABLE Church
+    DROP KEY idx_church_deleted,
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
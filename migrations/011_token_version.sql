@@ -0,0 +1,12 @@
+-- Refresh tokens revoked by a password change (see middleware/auth.js)
+
+-- migrate:up
+
+-- Every refresh token carries the version it was issued under; a new password bumps it, so older tokens stop working
+ALTER TABLE User
+    ADD COLUMN tokenVersion INT NOT NULL DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE User
+    DROP COLUMN tokenVersion;
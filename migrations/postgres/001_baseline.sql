@@ -0,0 +1,110 @@
+-- PostgreSQL copy of ../001_baseline.sql. Names are written as in the MySQL files; the postgres driver
+-- quotes the mixed-case ones (Church, churchId) so they keep their case.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS Church (
+    churchId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    churchName VARCHAR(100) NOT NULL,
+    location VARCHAR(255) NOT NULL,
+    branch VARCHAR(100) NULL,
+    province VARCHAR(100) NULL,
+    city VARCHAR(100) NULL,
+    region VARCHAR(100) NULL,
+    pastorId INT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_church_region ON Church (region);
+
+CREATE TABLE IF NOT EXISTS Locations (
+    location_id INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    address VARCHAR(255) NOT NULL,
+    contact_person VARCHAR(100) NOT NULL,
+    contact_phone VARCHAR(20) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS Person (
+    personId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    address VARCHAR(255) NULL,
+    comments TEXT NULL,
+    contactNumber VARCHAR(20) NULL,
+    gender VARCHAR(10) NULL,
+    maritalStatus VARCHAR(20) NULL,
+    name VARCHAR(100) NOT NULL,
+    surname VARCHAR(100) NOT NULL,
+    churchId INT NULL,
+    cellLeader VARCHAR(100) NULL,
+    cellLocation VARCHAR(255) NULL,
+    ministry VARCHAR(100) NULL,
+    church VARCHAR(100) NULL,
+    region VARCHAR(100) NULL,
+    regContribution DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    seedContribution DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    CONSTRAINT fk_person_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+CREATE INDEX IF NOT EXISTS idx_person_contact ON Person (contactNumber);
+
+CREATE TABLE IF NOT EXISTS Stats (
+    statsId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    adult INT NOT NULL DEFAULT 0,
+    car INT NOT NULL DEFAULT 0,
+    fk INT NOT NULL DEFAULT 0,
+    saved INT NOT NULL DEFAULT 0,
+    offering DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    visitors INT NOT NULL DEFAULT 0,
+    date DATE NOT NULL,
+    churchId INT NOT NULL,
+    aow INT NOT NULL DEFAULT 0,
+    ck INT NOT NULL DEFAULT 0,
+    CONSTRAINT fk_stats_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+CREATE INDEX IF NOT EXISTS idx_stats_church_date ON Stats (churchId, date);
+CREATE INDEX IF NOT EXISTS idx_stats_date ON Stats (date);
+
+CREATE TABLE IF NOT EXISTS User (
+    userId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    role VARCHAR(32) NOT NULL,
+    username VARCHAR(100) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    personId INT NULL,
+    CONSTRAINT uq_user_username UNIQUE (username),
+    CONSTRAINT fk_user_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS Calendar (
+    id INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    time VARCHAR(50) NULL,
+    month VARCHAR(20) NULL,
+    year INT NULL,
+    department VARCHAR(100) NULL,
+    region VARCHAR(100) NULL,
+    dayFrom INT NULL,
+    dayTo INT NULL
+);
+
+CREATE TABLE IF NOT EXISTS Assets (
+    asset_id INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    location_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    purchase_date DATE NULL,
+    purchase_price DECIMAL(12, 2) NULL,
+    serial_number VARCHAR(100) NULL,
+    category VARCHAR(100) NULL,
+    `condition` VARCHAR(50) NULL,
+    last_maintenance_date DATE NULL,
+    CONSTRAINT fk_assets_location FOREIGN KEY (location_id) REFERENCES Locations (location_id)
+);
+CREATE INDEX IF NOT EXISTS idx_assets_category ON Assets (category);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS Assets;
+DROP TABLE IF EXISTS Calendar;
+DROP TABLE IF EXISTS User;
+DROP TABLE IF EXISTS Stats;
+DROP TABLE IF EXISTS Person;
+DROP TABLE IF EXISTS Locations;
+DROP TABLE IF EXISTS Church;
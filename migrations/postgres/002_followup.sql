@@ -0,0 +1,38 @@
+-- PostgreSQL copy of ../002_followup.sql
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS FollowUp (
+    followUpId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    personId INT NOT NULL,
+    churchId INT NOT NULL,
+    source VARCHAR(16) NOT NULL,
+    serviceDate DATE NOT NULL,
+    stage VARCHAR(32) NOT NULL DEFAULT 'new believer',
+    stageChangedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    dueDate DATE NULL,
+    leaderId INT NULL,
+    notes TEXT NULL,
+    createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_followup_person UNIQUE (personId),
+    CONSTRAINT fk_followup_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE,
+    CONSTRAINT fk_followup_leader FOREIGN KEY (leaderId) REFERENCES Person (personId) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_followup_church_date ON FollowUp (churchId, serviceDate);
+CREATE INDEX IF NOT EXISTS idx_followup_leader_due ON FollowUp (leaderId, dueDate);
+
+CREATE TABLE IF NOT EXISTS FollowUpStage (
+    id INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    followUpId INT NOT NULL,
+    stage VARCHAR(32) NOT NULL,
+    changedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    changedBy INT NULL,
+    notes TEXT NULL,
+    CONSTRAINT fk_followup_stage_followup FOREIGN KEY (followUpId) REFERENCES FollowUp (followUpId) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_followup_stage_followup ON FollowUpStage (followUpId);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS FollowUpStage;
+DROP TABLE IF EXISTS FollowUp;
@@ -0,0 +1,54 @@
+-- PostgreSQL copy of ../003_cellgroups.sql
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS CellGroup (
+    cellGroupId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    churchId INT NOT NULL,
+    leaderId INT NULL,
+    hostLocation VARCHAR(255) NULL,
+    meetingDay VARCHAR(9) NULL,
+    meetingTime TIME NULL,
+    parentCellGroupId INT NULL,
+    createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_cellgroup_leader FOREIGN KEY (leaderId) REFERENCES Person (personId) ON DELETE SET NULL,
+    CONSTRAINT fk_cellgroup_parent FOREIGN KEY (parentCellGroupId) REFERENCES CellGroup (cellGroupId) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_cellgroup_church ON CellGroup (churchId);
+CREATE INDEX IF NOT EXISTS idx_cellgroup_leader ON CellGroup (leaderId);
+
+CREATE TABLE IF NOT EXISTS CellGroupMember (
+    cellGroupId INT NOT NULL,
+    personId INT NOT NULL,
+    joinedAt DATE NOT NULL,
+    PRIMARY KEY (cellGroupId, personId),
+    CONSTRAINT uq_cellgroupmember_person UNIQUE (personId),
+    CONSTRAINT fk_cellgroupmember_cell FOREIGN KEY (cellGroupId) REFERENCES CellGroup (cellGroupId) ON DELETE CASCADE,
+    CONSTRAINT fk_cellgroupmember_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS CellMeeting (
+    meetingId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    cellGroupId INT NOT NULL,
+    meetingDate DATE NOT NULL,
+    visitors INT NOT NULL DEFAULT 0,
+    notes TEXT NULL,
+    CONSTRAINT uq_cellmeeting_date UNIQUE (cellGroupId, meetingDate),
+    CONSTRAINT fk_cellmeeting_cell FOREIGN KEY (cellGroupId) REFERENCES CellGroup (cellGroupId) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS CellAttendance (
+    meetingId INT NOT NULL,
+    personId INT NOT NULL,
+    PRIMARY KEY (meetingId, personId),
+    CONSTRAINT fk_cellattendance_meeting FOREIGN KEY (meetingId) REFERENCES CellMeeting (meetingId) ON DELETE CASCADE,
+    CONSTRAINT fk_cellattendance_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS CellAttendance;
+DROP TABLE IF EXISTS CellMeeting;
+DROP TABLE IF EXISTS CellGroupMember;
+DROP TABLE IF EXISTS CellGroup;
@@ -0,0 +1,25 @@
+-- PostgreSQL copy of ../004_contributions.sql
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS Contribution (
+    contributionId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    personId INT NULL,
+    churchId INT NOT NULL,
+    type VARCHAR(16) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    date DATE NOT NULL,
+    paymentMethod VARCHAR(16) NOT NULL DEFAULT 'cash',
+    reference VARCHAR(64) NULL,
+    notes TEXT NULL,
+    recordedBy INT NULL,
+    createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_contribution_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE SET NULL,
+    CONSTRAINT fk_contribution_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+CREATE INDEX IF NOT EXISTS idx_contribution_church_date ON Contribution (churchId, date);
+CREATE INDEX IF NOT EXISTS idx_contribution_person_date ON Contribution (personId, date);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS Contribution;
@@ -0,0 +1,46 @@
+-- PostgreSQL copy of ../005_campaigns.sql
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS Campaign (
+    campaignId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    churchId INT NULL,
+    targetAmount DECIMAL(12, 2) NOT NULL,
+    startDate DATE NOT NULL,
+    endDate DATE NULL,
+    createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_campaign_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+CREATE INDEX IF NOT EXISTS idx_campaign_church ON Campaign (churchId);
+
+CREATE TABLE IF NOT EXISTS Pledge (
+    pledgeId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    campaignId INT NOT NULL,
+    personId INT NOT NULL,
+    churchId INT NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    paid DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    pledgeDate DATE NOT NULL,
+    dueDate DATE NULL,
+    notes TEXT NULL,
+    createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_pledge_campaign FOREIGN KEY (campaignId) REFERENCES Campaign (campaignId),
+    CONSTRAINT fk_pledge_person FOREIGN KEY (personId) REFERENCES Person (personId),
+    CONSTRAINT fk_pledge_church FOREIGN KEY (churchId) REFERENCES Church (churchId)
+);
+CREATE INDEX IF NOT EXISTS idx_pledge_campaign ON Pledge (campaignId);
+CREATE INDEX IF NOT EXISTS idx_pledge_person ON Pledge (personId);
+CREATE INDEX IF NOT EXISTS idx_pledge_church_due ON Pledge (churchId, dueDate);
+
+ALTER TABLE Contribution
+    ADD COLUMN pledgeId INT NULL,
+    ADD CONSTRAINT fk_contribution_pledge FOREIGN KEY (pledgeId) REFERENCES Pledge (pledgeId) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_contribution_pledge ON Contribution (pledgeId);
+
+-- migrate:down
+
+ALTER TABLE Contribution DROP COLUMN pledgeId;
+DROP TABLE IF EXISTS Pledge;
+DROP TABLE IF EXISTS Campaign;
@@ -0,0 +1,45 @@
+-- PostgreSQL copy of ../006_registrations.sql
+
+-- migrate:up
+
+ALTER TABLE Calendar
+    ADD COLUMN capacity INT NULL,
+    ADD COLUMN fee DECIMAL(12, 2) NULL;
+
+CREATE TABLE IF NOT EXISTS Registration (
+    registrationId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    calendarId INT NOT NULL,
+    personId INT NOT NULL,
+    churchId INT NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'registered',
+    checkInCode VARCHAR(32) NOT NULL,
+    contributionId INT NULL,
+    registeredAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    cancelledAt TIMESTAMP NULL,
+    checkedInAt TIMESTAMP NULL,
+    CONSTRAINT uq_registration_person UNIQUE (calendarId, personId),
+    CONSTRAINT uq_registration_code UNIQUE (checkInCode),
+    CONSTRAINT fk_registration_event FOREIGN KEY (calendarId) REFERENCES Calendar (id) ON DELETE CASCADE,
+    CONSTRAINT fk_registration_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE CASCADE,
+    CONSTRAINT fk_registration_church FOREIGN KEY (churchId) REFERENCES Church (churchId),
+    CONSTRAINT fk_registration_fee FOREIGN KEY (contributionId) REFERENCES Contribution (contributionId) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_registration_queue ON Registration (calendarId, status, registeredAt);
+
+CREATE TABLE IF NOT EXISTS CalendarStats (
+    calendarId INT NOT NULL,
+    churchId INT NOT NULL,
+    date DATE NOT NULL,
+    statsId INT NOT NULL,
+    PRIMARY KEY (calendarId, churchId, date),
+    CONSTRAINT fk_calendarstats_event FOREIGN KEY (calendarId) REFERENCES Calendar (id) ON DELETE CASCADE,
+    CONSTRAINT fk_calendarstats_stats FOREIGN KEY (statsId) REFERENCES Stats (statsId) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS CalendarStats;
+DROP TABLE IF EXISTS Registration;
+ALTER TABLE Calendar
+    DROP COLUMN capacity,
+    DROP COLUMN fee;
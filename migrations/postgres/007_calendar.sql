@@ -0,0 +1,41 @@
+-- PostgreSQL copy of ../007_calendar.sql
+
+-- migrate:up
+
+ALTER TABLE Calendar
+    ADD COLUMN startDate DATE NULL,
+    ADD COLUMN endDate DATE NULL,
+    ADD COLUMN startTime TIME NULL,
+    ADD COLUMN endTime TIME NULL,
+    ADD COLUMN rrule VARCHAR(255) NULL,
+    ADD COLUMN location VARCHAR(255) NULL,
+    ADD COLUMN description TEXT NULL,
+    ADD COLUMN churchId INT NULL,
+    ADD COLUMN uid VARCHAR(255) NULL,
+    ADD CONSTRAINT uq_calendar_uid UNIQUE (uid),
+    ADD CONSTRAINT fk_calendar_church FOREIGN KEY (churchId) REFERENCES Church (churchId);
+CREATE INDEX IF NOT EXISTS idx_calendar_start ON Calendar (startDate);
+
+CREATE TABLE IF NOT EXISTS CalendarException (
+    calendarId INT NOT NULL,
+    date DATE NOT NULL,
+    movedTo DATE NULL,
+    startTime TIME NULL,
+    note VARCHAR(255) NULL,
+    PRIMARY KEY (calendarId, date),
+    CONSTRAINT fk_calendarexception_event FOREIGN KEY (calendarId) REFERENCES Calendar (id) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS CalendarException;
+ALTER TABLE Calendar
+    DROP COLUMN startDate,
+    DROP COLUMN endDate,
+    DROP COLUMN startTime,
+    DROP COLUMN endTime,
+    DROP COLUMN rrule,
+    DROP COLUMN location,
+    DROP COLUMN description,
+    DROP COLUMN churchId,
+    DROP COLUMN uid;
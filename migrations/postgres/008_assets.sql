@@ -0,0 +1,73 @@
+-- PostgreSQL copy of ../008_assets.sql
+
+-- migrate:up
+
+ALTER TABLE Assets
+    ADD COLUMN useful_life_years DECIMAL(4, 1) NULL,
+    ADD COLUMN salvage_value DECIMAL(12, 2) NULL;
+
+CREATE TABLE IF NOT EXISTS MaintenanceSchedule (
+    scheduleId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    category VARCHAR(100) NOT NULL,
+    intervalDays INT NOT NULL,
+    leadDays INT NOT NULL DEFAULT 14,
+    task VARCHAR(255) NULL,
+    CONSTRAINT uq_schedule_category UNIQUE (category)
+);
+
+CREATE TABLE IF NOT EXISTS AssetMaintenance (
+    maintenanceId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    asset_id INT NOT NULL,
+    date DATE NOT NULL,
+    performedBy VARCHAR(100) NULL,
+    cost DECIMAL(12, 2) NULL,
+    `condition` VARCHAR(50) NULL,
+    notes TEXT NULL,
+    recordedBy INT NULL,
+    createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_maintenance_asset FOREIGN KEY (asset_id) REFERENCES Assets (asset_id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_maintenance_asset_date ON AssetMaintenance (asset_id, date);
+
+CREATE TABLE IF NOT EXISTS AssetCheckout (
+    checkoutId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    asset_id INT NOT NULL,
+    personId INT NULL,
+    borrowerName VARCHAR(100) NOT NULL,
+    checkedOutAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    dueBack DATE NULL,
+    checkedOutBy INT NULL,
+    conditionOut VARCHAR(50) NULL,
+    checkedInAt TIMESTAMP NULL,
+    checkedInBy INT NULL,
+    conditionIn VARCHAR(50) NULL,
+    notes TEXT NULL,
+    CONSTRAINT fk_checkout_asset FOREIGN KEY (asset_id) REFERENCES Assets (asset_id) ON DELETE CASCADE,
+    CONSTRAINT fk_checkout_person FOREIGN KEY (personId) REFERENCES Person (personId) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_checkout_asset ON AssetCheckout (asset_id, checkedOutAt);
+CREATE INDEX IF NOT EXISTS idx_checkout_open ON AssetCheckout (checkedInAt, dueBack);
+
+CREATE TABLE IF NOT EXISTS AssetTransfer (
+    transferId INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    asset_id INT NOT NULL,
+    fromLocationId INT NULL,
+    toLocationId INT NULL,
+    transferredAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    transferredBy INT NULL,
+    reason VARCHAR(255) NULL,
+    CONSTRAINT fk_transfer_asset FOREIGN KEY (asset_id) REFERENCES Assets (asset_id) ON DELETE CASCADE,
+    CONSTRAINT fk_transfer_from FOREIGN KEY (fromLocationId) REFERENCES Locations (location_id) ON DELETE SET NULL,
+    CONSTRAINT fk_transfer_to FOREIGN KEY (toLocationId) REFERENCES Locations (location_id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_transfer_asset ON AssetTransfer (asset_id, transferredAt);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS AssetTransfer;
+DROP TABLE IF EXISTS AssetCheckout;
+DROP TABLE IF EXISTS AssetMaintenance;
+DROP TABLE IF EXISTS MaintenanceSchedule;
+ALTER TABLE Assets
+    DROP COLUMN useful_life_years,
+    DROP COLUMN salvage_value;
@@ -0,0 +1,24 @@
+-- PostgreSQL copy of ../009_audit.sql
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS AuditLog (
+    auditId BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    entity VARCHAR(50) NOT NULL,
+    entityId VARCHAR(64) NOT NULL,
+    action VARCHAR(10) NOT NULL,
+    actorId INT NULL,
+    actorName VARCHAR(100) NULL,
+    ip VARCHAR(45) NULL,
+    requestId VARCHAR(64) NULL,
+    changes JSONB NOT NULL,
+    snapshot JSONB NULL,
+    createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_audit_record ON AuditLog (entity, entityId, auditId);
+CREATE INDEX IF NOT EXISTS idx_audit_actor ON AuditLog (actorId);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON AuditLog (createdAt);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS AuditLog;
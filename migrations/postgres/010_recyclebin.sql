@@ -0,0 +1,41 @@
+-- PostgreSQL copy of ../010_recyclebin.sql
+
+-- migrate:up
+
+ALTER TABLE Church
+    ADD COLUMN deletedAt TIMESTAMP NULL,
+    ADD COLUMN deletedBy INT NULL;
+CREATE INDEX IF NOT EXISTS idx_church_deleted ON Church (deletedAt);
+
+ALTER TABLE Person
+    ADD COLUMN deletedAt TIMESTAMP NULL,
+    ADD COLUMN deletedBy INT NULL;
+CREATE INDEX IF NOT EXISTS idx_person_deleted ON Person (deletedAt);
+
+ALTER TABLE Stats
+    ADD COLUMN deletedAt TIMESTAMP NULL,
+    ADD COLUMN deletedBy INT NULL;
+CREATE INDEX IF NOT EXISTS idx_stats_deleted ON Stats (deletedAt);
+
+ALTER TABLE Assets
+    ADD COLUMN deletedAt TIMESTAMP NULL,
+    ADD COLUMN deletedBy INT NULL;
+CREATE INDEX IF NOT EXISTS idx_assets_deleted ON Assets (deletedAt);
+
+-- migrate:down
+
+ALTER TABLE Assets
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
+
+ALTER TABLE Stats
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
+
+ALTER TABLE Person
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
+
+ALTER TABLE Church
+    DROP COLUMN deletedAt,
+    DROP COLUMN deletedBy;
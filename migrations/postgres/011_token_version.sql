@@ -0,0 +1,11 @@
+-- PostgreSQL copy of ../011_token_version.sql
+
+-- migrate:up
+
+ALTER TABLE User
+    ADD COLUMN tokenVersion INT NOT NULL DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE User
+    DROP COLUMN tokenVersion;
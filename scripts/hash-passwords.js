@@ -0,0 +1,23 @@
+// One-time migration: replace every plaintext User.password with a bcrypt hash.
+// Safe to re-run; rows that already hold a hash are skipped.
+const { pool, query } = require('../data/db');
+const { isPasswordHash, hashPassword } = require('../middleware/auth');
+
+const run = async () => {
+    const users = await query('SELECT userId, password FROM User');
+    const plaintext = users.filter((user) => user.password && !isPasswordHash(user.password));
+
+    for (const user of plaintext) {
+        const passwordHash = await hashPassword(user.password);
+        await query('UPDATE User SET password = ? WHERE userId = ? AND password = ?', [passwordHash, user.userId, user.password]);
+    }
+
+    console.log(`Rehashed ${plaintext.length} of ${users.length} user passwords`);
+};
+
+run()
+    .catch((err) => {
+        console.error('Password migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,38 @@
+// One-time migration: fill Calendar.startDate/endDate from the legacy year, month, dayFrom and dayTo
+// columns. Safe to re-run; only events without a startDate are touched. Events whose legacy columns
+// do not make a real date are listed and left alone. Pass --dry-run to print the plan only.
+const { pool, query, transaction } = require('../data/db');
+const { Calendar } = require('../data/repositories');
+const { legacyDates } = require('../data/calendar');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    const events = await query('SELECT id, name, year, month, dayFrom, dayTo FROM Calendar WHERE startDate IS NULL');
+    const plan = events.map((event) => ({ event, ...legacyDates(event) }));
+    const unreadable = plan.filter((entry) => !entry.startDate);
+
+    unreadable.forEach(({ event }) => {
+        console.log(`Skipping ${event.id} "${event.name}": year ${event.year}, month ${event.month}, day ${event.dayFrom} is not a date`);
+    });
+    const dated = plan.filter((entry) => entry.startDate);
+    if (dryRun) {
+        dated.forEach(({ event, startDate, endDate }) => console.log(`${event.id} "${event.name}": ${startDate}${endDate ? ` to ${endDate}` : ''}`));
+        console.log(`Would date ${dated.length} of ${events.length} events`);
+        return;
+    }
+
+    await transaction(async (runQuery) => {
+        for (const { event, startDate, endDate } of dated) {
+            await Calendar.update(event.id, { startDate, endDate: endDate || undefined }, { runQuery });
+        }
+    });
+    console.log(`Dated ${dated.length} of ${events.length} events`);
+};
+
+run()
+    .catch((err) => {
+        console.error('Calendar date migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
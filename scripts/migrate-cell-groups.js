@@ -0,0 +1,53 @@
+// One-time migration: turn the free-text Person.cellLeader/cellLocation values into CellGroup records.
+// Safe to re-run; people who already belong to a cell are skipped and a cell with the same church
+// and name is reused. Pass --dry-run to print the plan without writing anything.
+const { pool, query, transaction } = require('../data/db');
+const { CellGroup } = require('../data/repositories');
+const { planCellGroups } = require('../data/cellGroups');
+const { today } = require('../utils/dates');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+    const people = await query('SELECT personId, churchId, name, surname, cellLeader, cellLocation FROM Person');
+    const plan = planCellGroups(people);
+
+    if (dryRun) {
+        plan.forEach((cell) => {
+            console.log(`${cell.name} (church ${cell.churchId}, leader ${cell.leaderId || 'unmatched'}): ${cell.memberIds.length} members`);
+        });
+        console.log(`Would create up to ${plan.length} cell groups`);
+        return;
+    }
+
+    const created = await transaction(async (runQuery) => {
+        const members = new Set((await runQuery('SELECT personId FROM CellGroupMember')).map((row) => row.personId));
+        let count = 0;
+
+        for (const cell of plan) {
+            const newMembers = cell.memberIds.filter((personId) => !members.has(personId));
+            if (!newMembers.length) continue;
+
+            const [existing] = await runQuery('SELECT cellGroupId FROM CellGroup WHERE churchId = ? AND name = ?', [cell.churchId, cell.name]);
+            let cellGroupId = existing && existing.cellGroupId;
+            if (!cellGroupId) {
+                ({ insertId: cellGroupId } = await CellGroup.create(cell, { runQuery }));
+                count += 1;
+            }
+            for (const personId of newMembers) {
+                await CellGroup.addMember(cellGroupId, personId, today(), { runQuery });
+                members.add(personId);
+            }
+        }
+        return count;
+    });
+
+    console.log(`Created ${created} of ${plan.length} planned cell groups`);
+};
+
+run()
+    .catch((err) => {
+        console.error('Cell group migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,72 @@
+// One-time migration: move the single Person.regContribution/seedContribution/amount values into the
+// Contribution ledger as opening balances dated --date=YYYY-MM-DD (default today), then refresh the
+// Person totals from the ledger. Safe to re-run; a person's value is skipped once its opening
+// balance exists. Pass --dry-run to print what would be written.
+const { pool, query, transaction } = require('../data/db');
+const { Contribution } = require('../data/repositories');
+const { today } = require('../utils/dates');
+
+// Legacy column -> ledger type; the reference marks the row as that column's opening balance
+const LEGACY_COLUMNS = {
+    regContribution: 'registration',
+    seedContribution: 'seed',
+    amount: 'offering'
+};
+
+const dryRun = process.argv.includes('--dry-run');
+const dateArg = process.argv.find((arg) => arg.startsWith('--date='));
+const date = dateArg ? dateArg.slice('--date='.length) : today();
+
+const referenceFor = (column) => `opening:${column}`;
+
+const run = async () => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('--date must be YYYY-MM-DD');
+
+    const people = await query(
+        `SELECT personId, churchId, ${Object.keys(LEGACY_COLUMNS).join(', ')} FROM Person
+        WHERE churchId IS NOT NULL AND (${Object.keys(LEGACY_COLUMNS).map((column) => `${column} > 0`).join(' OR ')})`
+    );
+    const migrated = new Set((await query(
+        'SELECT personId, reference FROM Contribution WHERE reference IN (?)',
+        [Object.keys(LEGACY_COLUMNS).map(referenceFor)]
+    )).map((row) => `${row.personId}|${row.reference}`));
+
+    const rows = [];
+    people.forEach((person) => {
+        Object.entries(LEGACY_COLUMNS).forEach(([column, type]) => {
+            const amount = Number(person[column]);
+            if (!(amount > 0) || migrated.has(`${person.personId}|${referenceFor(column)}`)) return;
+            rows.push({
+                personId: person.personId,
+                churchId: person.churchId,
+                type,
+                amount,
+                date,
+                paymentMethod: 'other',
+                reference: referenceFor(column),
+                notes: `Opening balance from Person.${column}`
+            });
+        });
+    });
+
+    if (dryRun) {
+        rows.forEach((row) => console.log(`Person ${row.personId}: ${row.type} ${row.amount.toFixed(2)} (${row.reference})`));
+        console.log(`Would record ${rows.length} opening balances`);
+        return;
+    }
+
+    await transaction(async (runQuery) => {
+        for (const row of rows) {
+            await Contribution.create(row, { runQuery });
+        }
+        await Contribution.syncPersonTotals([...new Set(rows.map((row) => row.personId))], { runQuery });
+    });
+    console.log(`Recorded ${rows.length} opening balances`);
+};
+
+run()
+    .catch((err) => {
+        console.error('Contribution migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
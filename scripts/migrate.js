@@ -0,0 +1,49 @@
+// Schema migrations (see data/migrations.js and migrations/):
+//   npm run migrate                          apply every pending migration (--to=005 to stop after 005)
+//   npm run migrate:status                   list migrations and when each was applied
+//   npm run migrate:down                     roll back the last migration (--steps=3 for more)
+//   npm run migrate -- mark --to=010         record 001-010 as applied without running them, for a
+//                                            database whose tables already exist
+const { pool } = require('../data/db');
+const { migrationStatus, migrateUp, migrateDown, markApplied } = require('../data/migrations');
+
+const option = (name) => {
+    const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+};
+const command = process.argv.slice(2).find((value) => !value.startsWith('--')) || 'up';
+const log = (message) => console.log(message);
+
+const COMMANDS = {
+    up: async () => {
+        const applied = await migrateUp({ to: option('to'), log });
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+    },
+    down: async () => {
+        const steps = option('steps') === undefined ? 1 : parseInt(option('steps'));
+        if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive integer');
+        const rolledBack = await migrateDown({ steps, log });
+        console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    },
+    status: async () => {
+        (await migrationStatus()).forEach(({ version, name, appliedAt }) => {
+            console.log(`${version} ${name.padEnd(20)} ${appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending'}`);
+        });
+    },
+    mark: async () => {
+        const marked = await markApplied({ to: option('to') });
+        console.log(`Marked ${marked.length} migration(s) as applied`);
+    }
+};
+
+const run = async () => {
+    if (!COMMANDS[command]) throw new Error(`Unknown command '${command}'; use ${Object.keys(COMMANDS).join(', ')}`);
+    await COMMANDS[command]();
+};
+
+run()
+    .catch((err) => {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
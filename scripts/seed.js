@@ -0,0 +1,153 @@
+// Load sample ministry data into an empty database, after `npm run migrate`: six churches in three
+// regions with members, pastors and users, twelve weeks of service stats, calendar events, and assets
+// with their locations. Every sample user's password is printed at the end. Rows are inserted
+// directly, so none of this appears in the audit log. Refuses to run if any church exists.
+const { pool, query, transaction } = require('../data/db');
+const { hashPassword } = require('../middleware/auth');
+const { toDateString, parseDate, addDays } = require('../utils/dates');
+const { legacyColumns } = require('../data/calendar');
+
+const SAMPLE_PASSWORD = 'Welcome2Church!';
+
+const CHURCHES = [
+    { churchName: 'Soweto Central', location: '12 Vilakazi St, Orlando West', city: 'Johannesburg', province: 'Gauteng', region: 'Central' },
+    { churchName: 'Tembisa', location: '45 Andrew Mapheto Dr', city: 'Ekurhuleni', province: 'Gauteng', region: 'Central' },
+    { churchName: 'Polokwane', location: '8 Thabo Mbeki St', city: 'Polokwane', province: 'Limpopo', region: 'North' },
+    { churchName: 'Mbombela', location: '21 Samora Machel Dr', city: 'Mbombela', province: 'Mpumalanga', region: 'North' },
+    { churchName: 'Umlazi', location: '3 Mangosuthu Hwy, V Section', city: 'Durban', province: 'KwaZulu-Natal', region: 'Coastal' },
+    { churchName: 'Khayelitsha', location: '17 Walter Sisulu Rd', city: 'Cape Town', province: 'Western Cape', region: 'Coastal' }
+];
+
+const FIRST_NAMES = [
+    'Thabo', 'Naledi', 'Sipho', 'Zanele', 'Lerato', 'Bongani', 'Palesa', 'Mandla', 'Nomvula', 'Tshepo',
+    'Ayanda', 'Kagiso', 'Lindiwe', 'Sibusiso', 'Refilwe', 'Themba', 'Busisiwe', 'Karabo', 'Nandi', 'Lwazi'
+];
+const SURNAMES = ['Mokoena', 'Dlamini', 'Nkosi', 'Khumalo', 'Mahlangu', 'Ndlovu', 'Molefe', 'Zulu', 'Mabaso', 'Sithole', 'Baloyi', 'Mthembu'];
+const MINISTRIES = ['Worship', 'Youth', 'Ushering', 'Children', 'Intercession', null];
+const MARITAL_STATUSES = ['Single', 'Married', 'Married', 'Widowed'];
+const PEOPLE_PER_CHURCH = 15;
+const WEEKS_OF_STATS = 12;
+
+const LOCATIONS = [
+    { name: 'Head office', address: '100 Commissioner St, Johannesburg', contact_person: 'Thabo Mokoena', contact_phone: '0110000001' },
+    { name: 'Soweto Central hall', address: '12 Vilakazi St, Orlando West', contact_person: 'Naledi Dlamini', contact_phone: '0110000002' },
+    { name: 'Coastal storeroom', address: '9 Umgeni Rd, Durban', contact_person: 'Sipho Nkosi', contact_phone: '0310000003' }
+];
+
+const ASSETS = [
+    { location_id: 2, name: 'PA system', category: 'Sound', purchase_date: '2022-02-14', purchase_price: 18500, useful_life_years: 5, salvage_value: 1500, serial_number: 'YMH-MG16-0412', condition: 'good', last_maintenance_date: '2025-01-20' },
+    { location_id: 2, name: 'Wireless microphones (4)', category: 'Sound', purchase_date: '2023-06-01', purchase_price: 6400, serial_number: 'SHR-BLX-2231', condition: 'good' },
+    { location_id: 2, name: 'Projector', category: 'Media', purchase_date: '2021-09-10', purchase_price: 9999.99, useful_life_years: 4, serial_number: 'EPS-EB-X49-771', condition: 'fair' },
+    { location_id: 1, name: 'Office laptop', category: 'IT', purchase_date: '2024-03-05', purchase_price: 14200, useful_life_years: 3, salvage_value: 1000, serial_number: 'LNV-T14-5520', condition: 'good' },
+    { location_id: 3, name: 'Plastic chairs (200)', category: 'Furniture', purchase_date: '2020-11-30', purchase_price: 24000, useful_life_years: 8, condition: 'fair' },
+    { location_id: 3, name: 'Gazebo tent', category: 'Outreach', purchase_date: '2023-10-15', purchase_price: 7800, condition: 'good' }
+];
+
+const MAINTENANCE_SCHEDULES = [
+    { category: 'Sound', intervalDays: 90, leadDays: 14, task: 'Clean faders and test every channel' },
+    { category: 'Media', intervalDays: 180, leadDays: 21, task: 'Replace filter and check lamp hours' }
+];
+
+// Stand-in for randomness so every seeded database looks the same
+const spread = (seed, min, range) => min + ((Math.imul(seed, 2654435761) >>> 0) % range);
+
+// The first date on or after date that falls on weekday (0 is Sunday)
+const nextWeekday = (date, weekday) => addDays(date, (weekday - parseDate(date).getUTCDay() + 7) % 7);
+
+// One multi-row INSERT; a column missing from some rows is NULL there
+const columnsOf = (rows) => [...new Set(rows.flatMap((row) => Object.keys(row)))];
+const insertRows = (runQuery, table, rows) => {
+    const columns = columnsOf(rows);
+    return runQuery(
+        `INSERT INTO ${table} (${columns.map((column) => `\`${column}\``).join(', ')}) VALUES ?`,
+        [rows.map((row) => columns.map((column) => (row[column] === undefined ? null : row[column])))]
+    );
+};
+
+const buildPeople = () => CHURCHES.flatMap((church, c) => Array.from({ length: PEOPLE_PER_CHURCH }, (_, p) => {
+    const n = c * PEOPLE_PER_CHURCH + p;
+    return {
+        personId: n + 1,
+        name: FIRST_NAMES[(n * 7) % FIRST_NAMES.length],
+        surname: SURNAMES[(n * 5 + c) % SURNAMES.length],
+        gender: n % 2 ? 'F' : 'M',
+        maritalStatus: MARITAL_STATUSES[n % MARITAL_STATUSES.length],
+        contactNumber: `07${String(21000000 + n * 7331).slice(0, 8)}`,
+        address: `${spread(n, 1, 200)} ${church.city} Rd, ${church.city}`,
+        churchId: c + 1,
+        church: church.churchName,
+        region: church.region,
+        ministry: MINISTRIES[n % MINISTRIES.length],
+        comments: p === 0 ? 'Senior pastor' : null
+    };
+}));
+
+// The last WEEKS_OF_STATS Sundays before today for every church
+const buildStats = () => {
+    const today = new Date();
+    const lastSunday = addDays(toDateString(today), -today.getDay());
+    return CHURCHES.flatMap((church, c) => Array.from({ length: WEEKS_OF_STATS }, (_, w) => {
+        const seed = c * WEEKS_OF_STATS + w + 1;
+        return {
+            churchId: c + 1,
+            date: addDays(lastSunday, -7 * w),
+            adult: spread(seed, 60, 90),
+            car: spread(seed + 3, 10, 25),
+            fk: spread(seed + 5, 15, 30),
+            saved: spread(seed, 0, 5),
+            visitors: spread(seed + 1, 2, 12),
+            aow: spread(seed + 2, 0, 4),
+            ck: spread(seed + 4, 5, 20),
+            offering: spread(seed, 2500, 6000) + 0.5 * (seed % 2)
+        };
+    }));
+};
+
+const buildCalendar = () => {
+    const year = new Date().getFullYear();
+    return [
+        { name: 'Sunday service', startDate: nextWeekday(`${year}-01-01`, 0), startTime: '09:00:00', endTime: '12:00:00', rrule: 'FREQ=WEEKLY;BYDAY=SU', department: 'Worship', description: 'Weekly main service' },
+        { name: 'Easter conference', startDate: `${year}-04-17`, endDate: `${year}-04-20`, startTime: '18:00:00', region: 'Central', department: 'Worship', location: 'Soweto Central hall', capacity: 800, fee: 150 },
+        { name: 'Youth camp', startDate: `${year}-07-03`, endDate: `${year}-07-06`, region: 'Coastal', department: 'Youth', location: 'Umlazi', capacity: 120, fee: 450 },
+        { name: 'Monthly prayer night', startDate: nextWeekday(`${year}-01-25`, 5), startTime: '19:00:00', rrule: 'FREQ=MONTHLY;BYDAY=-1FR', department: 'Intercession' },
+        { name: 'Leadership retreat', startDate: `${year}-09-12`, endDate: `${year}-09-14`, region: 'North', department: 'Leadership', location: 'Polokwane' }
+    ].map((event, index) => ({ id: index + 1, ...event, ...legacyColumns(event) }));
+};
+
+const run = async () => {
+    const [{ churches }] = await query('SELECT COUNT(*) AS churches FROM Church');
+    if (churches > 0) throw new Error('the database already has churches; seed data only goes into an empty database');
+
+    const people = buildPeople();
+    const pastors = CHURCHES.map((church, c) => people[c * PEOPLE_PER_CHURCH]);
+    const password = await hashPassword(SAMPLE_PASSWORD);
+    const users = [
+        { username: 'admin', role: 'admin', personId: null },
+        { username: 'headoffice', role: 'head office', personId: null },
+        { username: 'finance.soweto', role: 'finance', personId: people[1].personId },
+        { username: 'cells.soweto', role: 'cell leader', personId: people[2].personId },
+        ...pastors.map((pastor, c) => ({ username: `pastor.${CHURCHES[c].churchName.toLowerCase().replace(/\W+/g, '')}`, role: 'pastor', personId: pastor.personId }))
+    ].map((user) => ({ ...user, password }));
+
+    await transaction(async (runQuery) => {
+        await insertRows(runQuery, 'Church', CHURCHES.map((church, c) => ({ churchId: c + 1, ...church, pastorId: pastors[c].personId })));
+        await insertRows(runQuery, 'Locations', LOCATIONS.map((location, l) => ({ location_id: l + 1, ...location })));
+        await insertRows(runQuery, 'Person', people);
+        await insertRows(runQuery, 'User', users);
+        await insertRows(runQuery, 'Stats', buildStats());
+        await insertRows(runQuery, 'Calendar', buildCalendar());
+        await insertRows(runQuery, 'Assets', ASSETS);
+        await insertRows(runQuery, 'MaintenanceSchedule', MAINTENANCE_SCHEDULES);
+    });
+
+    console.log(`Seeded ${CHURCHES.length} churches, ${people.length} people, ${users.length} users, `
+        + `${CHURCHES.length * WEEKS_OF_STATS} Stats rows and ${ASSETS.length} assets`);
+    console.log(`Sign in as ${users.map((user) => user.username).join(', ')} with password ${SAMPLE_PASSWORD}`);
+};
+
+run()
+    .catch((err) => {
+        console.error('Seeding failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
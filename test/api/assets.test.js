@@ -0,0 +1,389 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+const { today, addDays } = require('../../utils/dates');
+
+const HALL = { location_id: 2, name: 'Main hall', address: '4 Main Rd, Polokwane', contact_person: 'Thabo', contact_phone: '0821112222' };
+const ANNEX = { ...HALL, location_id: 5, name: 'Annex' };
+const PA_SYSTEM = {
+    asset_id: 15, location_id: 2, name: 'PA system', category: 'Sound', condition: 'good', purchase_date: '2024-01-15',
+    purchase_price: '60000.00', useful_life_years: 5, salvage_value: null, last_maintenance_date: null
+};
+const SOUND_SCHEDULE = { scheduleId: 3, category: 'Sound', intervalDays: 90, leadDays: 14, task: 'Service the amplifiers' };
+const CHECKOUT = { checkoutId: 8, asset_id: 15, personId: 12, borrowerName: 'Ann Lee', dueBack: '2025-03-10', checkedInAt: null, notes: 'For the youth camp' };
+
+// A scheduled asset last serviced `daysAgo` days ago
+const scheduled = (daysAgo) => ({ ...PA_SYSTEM, ...SOUND_SCHEDULE, locationName: 'Main hall', last_maintenance_date: addDays(today(), -daysAgo) });
+
+test('GET /api/Assets lists assets that are not in the recycle bin', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [PA_SYSTEM]);
+    const res = await api.get('/api/Assets?category=Sound', { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    assert.match(db.find('COUNT(*)')[0].sql, /`deletedAt` IS NULL/);
+});
+
+test('GET /api/Assets/export streams CSV', async () => {
+    db.on('FROM Assets', [PA_SYSTEM]);
+    const res = await api.get('/api/Assets/export?format=csv&fields=asset_id,name');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.text.trim().split(/\r?\n/), ['asset_id,name', '15,PA system']);
+});
+
+test('GET /api/Assets/maintenance/due lists assets coming up for a service', async () => {
+    db.on('JOIN MaintenanceSchedule s', [scheduled(85), scheduled(10), scheduled(100)]);
+    const res = await api.get('/api/Assets/maintenance/due');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.count, 1);
+    assert.strictEqual(res.body.data[0].daysUntilDue, 5);
+});
+
+test('GET /api/Assets/maintenance/overdue lists assets past their service date', async () => {
+    db.on('JOIN MaintenanceSchedule s', [scheduled(85), scheduled(100)]);
+    const res = await api.get('/api/Assets/maintenance/overdue?location_id=2');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.data.map((row) => row.status), ['overdue']);
+    assert.deepStrictEqual(db.find('JOIN MaintenanceSchedule s')[0].values, ['2']);
+});
+
+test('GET /api/Assets/checkouts lists assets out on loan, overdue=true only those late', async () => {
+    db.on('FROM AssetCheckout c', [{ ...CHECKOUT, name: 'PA system', locationName: 'Main hall' }]);
+    const res = await api.get('/api/Assets/checkouts?overdue=true');
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.data[0].daysOverdue > 0);
+    assert.deepStrictEqual(db.find('c.dueBack < ?')[0].values, [today()]);
+});
+
+test('GET /api/Assets/depreciation reports book values per category for finance', async () => {
+    db.on('FROM Assets a LEFT JOIN Locations l', [{ ...PA_SYSTEM, locationName: 'Main hall' }]);
+    const res = await api.get('/api/Assets/depreciation?from=2025-01-01&asOf=2025-01-15', { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.totals, { assets: 1, cost: 60000, accumulated: 12000, bookValue: 48000, periodDepreciation: 1000 });
+    assert.strictEqual(res.body.byCategory[0].category, 'Sound');
+
+    assert.strictEqual((await api.get('/api/Assets/depreciation', { role: 'cell leader' })).status, 403);
+});
+
+test('GET /api/Assets/depreciation downloads as CSV and rejects from after asOf', async () => {
+    db.on('FROM Assets a LEFT JOIN Locations l', [PA_SYSTEM]);
+    const csv = await api.get('/api/Assets/depreciation?asOf=2025-01-15&format=csv');
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.text.split(/\r?\n/)[0], /^asset_id,name,category/);
+
+    assert.strictEqual((await api.get('/api/Assets/depreciation?from=2025-02-01&asOf=2025-01-15')).status, 400);
+});
+
+test('GET /api/Assets/:id answers the asset, 404 when missing', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]);
+    assert.strictEqual((await api.get('/api/Assets/15')).body[0].name, 'PA system');
+
+    db.on('FROM Assets WHERE', []);
+    assert.strictEqual((await api.get('/api/Assets/16')).status, 404);
+});
+
+test('POST /api/Assets adds an asset at a known location', async () => {
+    db.on('FROM Locations WHERE', [HALL]);
+    const res = await api.post('/api/Assets', { location_id: 2, name: 'PA system', category: 'Sound' }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.assetId, INSERT_ID);
+    assert.match(res.body.message, /Main hall/);
+});
+
+test('POST /api/Assets rejects a missing or unknown location', async () => {
+    assert.strictEqual((await api.post('/api/Assets', { name: 'PA system' })).status, 400);
+
+    const unknown = await api.post('/api/Assets', { location_id: 99, name: 'PA system' });
+    assert.strictEqual(unknown.status, 422);
+    assert.deepStrictEqual(unknown.body.details, { field: 'location_id' });
+});
+
+test('POST /api/Assets/bulk checks each item\'s location', async () => {
+    db.on('SELECT location_id FROM Locations', (values) => (values[0] === 2 ? [{ location_id: 2 }] : []));
+    const res = await api.post('/api/Assets/bulk', {
+        mode: 'partial',
+        items: [{ location_id: 2, name: 'Keyboard' }, { location_id: 99, name: 'Drum kit' }]
+    });
+    assert.strictEqual(res.status, 207);
+    assert.deepStrictEqual(res.body.summary, { total: 2, created: 1, failed: 1 });
+});
+
+test('PUT /api/Assets/:id records a changed location as a transfer', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('FROM Locations WHERE', [ANNEX]);
+    const res = await api.put('/api/Assets/15', { ...PA_SYSTEM, location_id: 5 }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('INSERT INTO AssetTransfer')[0].values, [15, 2, 5, 1, 'Location changed on the asset']);
+});
+
+test('PUT /api/Assets/:id answers 404 for an unknown asset', async () => {
+    assert.strictEqual((await api.put('/api/Assets/16', PA_SYSTEM)).status, 404);
+});
+
+test('PATCH /api/Assets/:id writes only the fields sent and answers the asset with its new ETag', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]);
+    const res = await api.patch('/api/Assets/15', { condition: 'fair' }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.headers.etag);
+    const [update] = db.find('UPDATE Assets SET');
+    assert.match(update.sql, /^UPDATE Assets SET `condition` = \? WHERE/);
+    assert.deepStrictEqual(update.values, ['fair', 15]);
+    assert.strictEqual(db.find('INSERT INTO AssetTransfer').length, 0);
+
+    assert.strictEqual((await api.patch('/api/Assets/15', { asset_id: 15 })).status, 400);
+});
+
+test('PATCH /api/Assets/:id refuses a field PUT would, such as a negative purchase price', async () => {
+    const res = await api.patch('/api/Assets/15', { purchase_price: -1 }, { role: 'finance' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details.map(({ field }) => field), ['body.purchase_price']);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+});
+
+test('PATCH /api/Assets/:id refuses a stale If-Match, and a location change is still a transfer', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('FROM Locations WHERE', [ANNEX]);
+    const { headers } = await api.get('/api/Assets/15');
+
+    db.on('FROM Assets WHERE', [{ ...PA_SYSTEM, condition: 'poor' }]);
+    const stale = await api.patch('/api/Assets/15', { location_id: 5 }, { headers: { 'If-Match': headers.etag } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.condition, 'poor');
+    assert.strictEqual(db.find('INSERT INTO AssetTransfer').length, 0);
+
+    const moved = await api.patch('/api/Assets/15', { location_id: 5 }, { headers: { 'If-Match': stale.body.details.etag } });
+    assert.strictEqual(moved.status, 200);
+    assert.deepStrictEqual(db.find('INSERT INTO AssetTransfer')[0].values, [15, 2, 5, 1, 'Location changed on the asset']);
+});
+
+test('DELETE /api/Assets/:id moves the asset to the recycle bin, 404 when missing', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]);
+    assert.strictEqual((await api.del('/api/Assets/15', { role: 'finance' })).status, 200);
+    const [trash] = db.find('UPDATE Assets SET `deletedAt`');
+    assert.deepStrictEqual(trash.values.slice(1), [1, [15]]);
+    assert.strictEqual(db.find('DELETE FROM Assets').length, 0);
+
+    db.on('UPDATE Assets SET `deletedAt`', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/Assets/16')).status, 404);
+});
+
+test('GET /api/Assets/:id/maintenance answers the schedule, status and service log', async () => {
+    db.on('FROM Assets WHERE', [{ ...PA_SYSTEM, last_maintenance_date: addDays(today(), -100) }])
+        .on('FROM MaintenanceSchedule WHERE', [SOUND_SCHEDULE])
+        .on('FROM AssetMaintenance', [{ maintenanceId: 4, date: '2025-01-10', cost: '850.00', notes: 'New cables' }]);
+    const res = await api.get('/api/Assets/15/maintenance');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'overdue');
+    assert.strictEqual(res.body.data[0].cost, 850);
+});
+
+test('POST /api/Assets/:id/maintenance logs a service and moves last_maintenance_date forward', async () => {
+    db.on('FROM Assets WHERE', [{ ...PA_SYSTEM, last_maintenance_date: '2025-01-10' }]);
+    const res = await api.post('/api/Assets/15/maintenance', { date: '2025-03-01', cost: 900, condition: 'fair' }, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.maintenanceId, INSERT_ID);
+    const [update] = db.find('UPDATE Assets SET');
+    assert.deepStrictEqual(update.values.slice(0, 2), ['fair', '2025-03-01']);
+});
+
+test('POST /api/Assets/:id/maintenance refuses a future date', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]);
+    assert.strictEqual((await api.post('/api/Assets/15/maintenance', { date: addDays(today(), 1) })).status, 400);
+});
+
+test('GET /api/Assets/:id/checkouts lists the loans and whether the asset is out', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('FROM AssetCheckout WHERE asset_id = ? ORDER BY', [CHECKOUT]);
+    const res = await api.get('/api/Assets/15/checkouts');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.out, true);
+});
+
+test('POST /api/Assets/:id/checkout lends the asset to a member', async () => {
+    const dueBack = addDays(today(), 7);
+    db.on('FROM Person WHERE', [{ personId: 12, name: 'Ann', surname: 'Lee', churchId: 3 }])
+        .on('FROM Assets WHERE', [PA_SYSTEM])
+        .on('WHERE checkoutId = ?', [{ ...CHECKOUT, checkoutId: INSERT_ID, dueBack }]);
+    const res = await api.post('/api/Assets/15/checkout', { personId: 12, dueBack }, { role: 'pastor' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.daysOverdue, 0);
+    assert.deepStrictEqual(db.find('INSERT INTO AssetCheckout')[0].values.slice(0, 3), [15, 12, 'Ann Lee']);
+});
+
+test('POST /api/Assets/:id/checkout refuses an asset that is already out', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('checkedInAt IS NULL', [CHECKOUT]);
+    const res = await api.post('/api/Assets/15/checkout', { borrowerName: 'Visiting choir' });
+    assert.strictEqual(res.status, 409);
+    assert.deepStrictEqual(res.body.details, { checkoutId: 8 });
+});
+
+test('POST /api/Assets/:id/checkin closes the loan and flags a late return', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('checkedInAt IS NULL', [CHECKOUT]).on('WHERE checkoutId = ?', [CHECKOUT]);
+    const res = await api.post('/api/Assets/15/checkin', { condition: 'fair', notes: 'One cable missing' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.late, true);
+    assert.deepStrictEqual(db.find('UPDATE AssetCheckout SET')[0].values, [1, 'fair', 'For the youth camp\nOne cable missing', 8]);
+});
+
+test('POST /api/Assets/:id/checkin refuses an asset that is not out', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]);
+    assert.strictEqual((await api.post('/api/Assets/15/checkin', {})).status, 409);
+});
+
+test('GET /api/Assets/:id/transfers lists the asset\'s moves', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('FROM AssetTransfer t', [{ transferId: 6, fromLocationName: 'Annex', toLocationName: 'Main hall' }]);
+    const res = await api.get('/api/Assets/15/transfers');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].transferId, 6);
+});
+
+test('POST /api/Assets/:id/transfer moves the asset and records it', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('FROM Locations WHERE', [ANNEX]);
+    const res = await api.post('/api/Assets/15/transfer', { location_id: 5, reason: 'Annex services' }, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual([res.body.fromLocationId, res.body.toLocationId], [2, 5]);
+});
+
+test('POST /api/Assets/:id/transfer refuses the same location and an asset on loan', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]).on('FROM Locations WHERE', [ANNEX]);
+    assert.strictEqual((await api.post('/api/Assets/15/transfer', { location_id: 2 })).status, 400);
+
+    db.on('checkedInAt IS NULL', [CHECKOUT]);
+    assert.strictEqual((await api.post('/api/Assets/15/transfer', { location_id: 5 })).status, 409);
+});
+
+test('GET /api/Assets/:id/depreciation answers the value and the year-by-year schedule', async () => {
+    db.on('FROM Assets WHERE', [PA_SYSTEM]);
+    const res = await api.get('/api/Assets/15/depreciation?asOf=2025-01-15', { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.bookValue, 48000);
+    assert.deepStrictEqual(res.body.schedule.map((year) => year.bookValue), [48000, 36000, 24000, 12000, 0]);
+
+    db.on('FROM Assets WHERE', [{ ...PA_SYSTEM, purchase_price: null }]);
+    assert.strictEqual((await api.get('/api/Assets/15/depreciation')).status, 400);
+});
+
+test('GET /api/MaintenanceSchedule lists the schedules', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [SOUND_SCHEDULE]);
+    assert.strictEqual((await api.get('/api/MaintenanceSchedule')).body.data[0].task, 'Service the amplifiers');
+});
+
+test('POST /api/MaintenanceSchedule creates a schedule for a category', async () => {
+    db.on('FROM MaintenanceSchedule WHERE', [{ ...SOUND_SCHEDULE, scheduleId: INSERT_ID }]);
+    const res = await api.post('/api/MaintenanceSchedule', { category: 'Sound', intervalDays: 90, leadDays: 14 }, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.scheduleId, INSERT_ID);
+});
+
+test('GET /api/MaintenanceSchedule/:id answers the schedule with its ETag, 404 when missing', async () => {
+    db.on('FROM MaintenanceSchedule WHERE', [SOUND_SCHEDULE]);
+    const res = await api.get('/api/MaintenanceSchedule/3', { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.task, 'Service the amplifiers');
+    assert.match(res.headers.etag, /^"[^"]+"$/);
+
+    db.on('FROM MaintenanceSchedule WHERE', []);
+    assert.strictEqual((await api.get('/api/MaintenanceSchedule/4')).status, 404);
+});
+
+test('PUT /api/MaintenanceSchedule/:id replaces the schedule, 404 when missing', async () => {
+    db.on('FROM MaintenanceSchedule WHERE', [SOUND_SCHEDULE]);
+    assert.strictEqual((await api.put('/api/MaintenanceSchedule/3', { ...SOUND_SCHEDULE, intervalDays: 60 })).status, 200);
+
+    db.on('UPDATE MaintenanceSchedule SET', { affectedRows: 0 });
+    assert.strictEqual((await api.put('/api/MaintenanceSchedule/4', SOUND_SCHEDULE)).status, 404);
+});
+
+test('PUT /api/MaintenanceSchedule/:id refuses a stale If-Match', async () => {
+    db.on('FROM MaintenanceSchedule WHERE', [SOUND_SCHEDULE]);
+    const { headers } = await api.get('/api/MaintenanceSchedule/3');
+
+    db.on('FROM MaintenanceSchedule WHERE', [{ ...SOUND_SCHEDULE, leadDays: 7 }]);
+    const stale = await api.put('/api/MaintenanceSchedule/3', { ...SOUND_SCHEDULE, intervalDays: 60 }, { headers: { 'If-Match': headers.etag } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.leadDays, 7);
+    assert.strictEqual(db.find('UPDATE MaintenanceSchedule SET').length, 0);
+});
+
+test('DELETE /api/MaintenanceSchedule/:id deletes the schedule, 404 when missing', async () => {
+    assert.strictEqual((await api.del('/api/MaintenanceSchedule/3')).status, 200);
+
+    db.on('DELETE FROM MaintenanceSchedule', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/MaintenanceSchedule/4')).status, 404);
+});
+
+test('GET /api/Locations lists locations', async () => {
+    db.on('COUNT(*) AS total', [{ total: 2 }]).on('LIMIT ? OFFSET ?', [HALL, ANNEX]);
+    const res = await api.get('/api/Locations');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.meta.total, 2);
+});
+
+test('GET /api/Locations/export streams CSV', async () => {
+    db.on('FROM Locations', [HALL]);
+    const res = await api.get('/api/Locations/export?format=csv&fields=location_id,name');
+    assert.deepStrictEqual(res.text.trim().split(/\r?\n/), ['location_id,name', '2,Main hall']);
+});
+
+test('POST /api/Locations adds a location for admins and finance', async () => {
+    const res = await api.post('/api/Locations', HALL, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.result.insertId, INSERT_ID);
+
+    assert.strictEqual((await api.post('/api/Locations', HALL, { role: 'pastor' })).status, 403);
+});
+
+test('PUT /api/Locations/:id replaces the location, 404 when missing', async () => {
+    db.on('FROM Locations WHERE', [HALL]);
+    assert.strictEqual((await api.put('/api/Locations/2', { ...HALL, contact_person: 'Naledi' })).status, 200);
+
+    db.on('UPDATE Locations SET', { affectedRows: 0 });
+    assert.strictEqual((await api.put('/api/Locations/3', HALL)).status, 404);
+});
+
+test('GET /api/Locations/:id answers the location with its ETag, 404 when missing', async () => {
+    db.on('FROM Locations WHERE', [HALL]);
+    const res = await api.get('/api/Locations/2', { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.name, 'Main hall');
+    assert.match(res.headers.etag, /^"[^"]+"$/);
+
+    db.on('FROM Locations WHERE', []);
+    assert.strictEqual((await api.get('/api/Locations/3')).status, 404);
+});
+
+test('PATCH /api/Locations/:id writes only the fields sent and answers the location', async () => {
+    db.on('FROM Locations WHERE', [{ ...HALL, contact_person: 'Naledi' }]);
+    const res = await api.patch('/api/Locations/2', { contact_person: 'Naledi' }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contact_person, 'Naledi');
+    assert.deepStrictEqual(db.find('UPDATE Locations SET').map(({ values }) => values), [['Naledi', 2]]);
+
+    assert.strictEqual((await api.patch('/api/Locations/2', {}, { role: 'finance' })).status, 400);
+    assert.strictEqual((await api.patch('/api/Locations/2', { name: 'Hall' }, { role: 'pastor' })).status, 403);
+
+    db.on('UPDATE Locations SET', { affectedRows: 0 });
+    assert.strictEqual((await api.patch('/api/Locations/3', { name: 'Hall' })).status, 404);
+});
+
+test('PATCH /api/Locations/:id refuses a field PUT would, such as a name that is not text', async () => {
+    const res = await api.patch('/api/Locations/2', { name: { first: 'Main hall' } }, { role: 'finance' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details.map(({ field }) => field), ['body.name']);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+});
+
+test('PUT and PATCH /api/Locations/:id refuse a stale If-Match', async () => {
+    db.on('FROM Locations WHERE', [HALL]);
+    const { headers } = await api.get('/api/Locations/2');
+
+    db.on('FROM Locations WHERE', [{ ...HALL, contact_phone: '0823334444' }]);
+    const stale = await api.put('/api/Locations/2', { ...HALL, contact_person: 'Naledi' }, { headers: { 'If-Match': headers.etag } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.contact_phone, '0823334444');
+    assert.strictEqual((await api.patch('/api/Locations/2', { contact_person: 'Naledi' }, { headers: { 'If-Match': headers.etag } })).status, 409);
+    assert.strictEqual(db.find('UPDATE Locations SET').length, 0);
+});
+
+test('DELETE /api/Locations/:id deletes the location, 404 when missing', async () => {
+    db.on('FROM Locations WHERE', [HALL]);
+    assert.strictEqual((await api.del('/api/Locations/2')).status, 200);
+
+    db.on('DELETE FROM Locations', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/Locations/3')).status, 404);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db } = require('./harness');
+
+const POLOKWANE = { churchId: 3, churchName: 'Polokwane', region: 'North', city: 'Polokwane' };
+const DELETED_AT = '2025-03-01 10:00:00';
+
+// AuditLog rows as stored: changes and snapshot are JSON text
+const entry = ({ snapshot, changes = {}, ...row }) => ({
+    auditId: 70, entity: 'Church', entityId: '3', action: 'update', actorId: 1, actorName: 'admin', ip: '127.0.0.1',
+    requestId: 'req-1', createdAt: '2025-03-01 09:00:00', ...row,
+    changes: JSON.stringify(changes), snapshot: snapshot ? JSON.stringify(snapshot) : null
+});
+
+test('GET /api/Audit lists entries for admins only', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [entry({ changes: { churchName: { from: 'Pietersburg', to: 'Polokwane' } } })]);
+    const res = await api.get('/api/Audit?entity=Church&entityId=3');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.data[0].changes, { churchName: { from: 'Pietersburg', to: 'Polokwane' } });
+
+    assert.strictEqual((await api.get('/api/Audit', { role: 'pastor' })).status, 403);
+});
+
+test('GET /api/Audit/:entity/:id answers a record\'s history with the record as it is now', async () => {
+    db.on('FROM Church WHERE', [POLOKWANE]).on('FROM AuditLog WHERE entity = ?', [entry({ snapshot: POLOKWANE })]);
+    const res = await api.get('/api/Audit/Church/3');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.current, POLOKWANE);
+    assert.deepStrictEqual(db.find('FROM AuditLog WHERE entity = ?')[0].values, ['Church', '3']);
+});
+
+test('GET /api/Audit/:entity/:id answers 404 for a record never seen and 400 for an unaudited entity', async () => {
+    assert.strictEqual((await api.get('/api/Audit/Church/4')).status, 404);
+    assert.strictEqual((await api.get('/api/Audit/FollowUp/5')).status, 400);
+});
+
+test('POST /api/Audit/:auditId/restore writes the version back over the live record', async () => {
+    db.on('FROM AuditLog WHERE auditId', [entry({ snapshot: { ...POLOKWANE, churchName: 'Pietersburg' } })])
+        .on('FROM Church WHERE', [POLOKWANE]);
+    const res = await api.post('/api/Audit/70/restore', {});
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.restoredFrom, 70);
+    const [update] = db.find('UPDATE Church SET');
+    assert.ok(update.values.includes('Pietersburg'));
+    assert.strictEqual(update.values.at(-1), '3');
+});
+
+test('POST /api/Audit/:auditId/restore refuses to recreate a deleted user, whose password is not logged', async () => {
+    db.on('FROM AuditLog WHERE auditId', [entry({ entity: 'User', entityId: '5', action: 'delete', snapshot: { userId: 5, username: 'pastor.john' } })]);
+    assert.strictEqual((await api.post('/api/Audit/70/restore', {})).status, 409);
+
+    db.on('FROM AuditLog WHERE auditId', []);
+    assert.strictEqual((await api.post('/api/Audit/71/restore', {})).status, 404);
+});
+
+test('GET /api/RecycleBin/:entity lists deleted records to the roles that may delete them', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [{ ...POLOKWANE, deletedAt: DELETED_AT, deletedBy: 1 }]);
+    const res = await api.get('/api/RecycleBin/Church');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].deletedBy, 1);
+    assert.match(db.find('COUNT(*)')[0].sql, /`deletedAt` IS NOT NULL/);
+
+    assert.strictEqual((await api.get('/api/RecycleBin/Church', { role: 'pastor' })).status, 403);
+    assert.strictEqual((await api.get('/api/RecycleBin/Person', { role: 'pastor' })).status, 200);
+});
+
+test('POST /api/RecycleBin/:entity/:id/restore brings back a church with the people deleted along with it', async () => {
+    db.on('FROM Church WHERE `churchId` = ? AND 1=1 AND `deletedAt` IS NOT NULL', [{ ...POLOKWANE, deletedAt: DELETED_AT }])
+        .on('SELECT `personId` FROM Person', [{ personId: 12 }, { personId: 13 }]);
+    const res = await api.post('/api/RecycleBin/Church/3/restore', {});
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.restored, { Church: 1, Person: 2, Stats: 0 });
+    assert.deepStrictEqual(db.find('UPDATE Person SET `deletedAt` = NULL')[0].values, [[12, 13]]);
+});
+
+test('POST /api/RecycleBin/:entity/:id/restore refuses a person whose church is still deleted', async () => {
+    db.on('FROM Person WHERE', [{ personId: 12, name: 'Ann', churchId: 3, deletedAt: DELETED_AT }]);
+    const res = await api.post('/api/RecycleBin/Person/12/restore', {}, { role: 'pastor' });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(db.find('UPDATE Person SET').length, 0);
+});
+
+test('DELETE /api/RecycleBin/:entity/:id purges a church only once none of its people are live', async () => {
+    db.on('FROM Church WHERE', [{ ...POLOKWANE, deletedAt: DELETED_AT }])
+        .on('SELECT `personId` FROM Person WHERE `churchId` = ? AND `deletedAt` IS NULL', [{ personId: 12 }]);
+    assert.strictEqual((await api.del('/api/RecycleBin/Church/3')).status, 409);
+    assert.strictEqual(db.find('DELETE FROM').length, 0);
+
+    db.on('SELECT `personId` FROM Person WHERE `churchId` = ? AND `deletedAt` IS NULL', []);
+    const res = await api.del('/api/RecycleBin/Church/3');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.purged, { Church: 1, Person: 0, Stats: 0 });
+});
+
+test('DELETE /api/RecycleBin/:entity/:id is for admins, and answers 404 for a record not in the bin', async () => {
+    assert.strictEqual((await api.del('/api/RecycleBin/Person/12', { role: 'pastor' })).status, 403);
+    assert.strictEqual((await api.del('/api/RecycleBin/Person/12')).status, 404);
+});
@@ -0,0 +1,358 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+
+// A weekly Sunday service, the first on 2 March 2025, with room for 50 and no fee
+const SERVICE = {
+    id: 9, name: 'Sunday service', department: 'Youth', region: 'North', churchId: null, capacity: 50, fee: null,
+    startDate: '2025-03-02', endDate: null, startTime: '09:00:00', endTime: '11:00:00', rrule: 'FREQ=WEEKLY;BYDAY=SU'
+};
+const CAMP = { ...SERVICE, id: 10, name: 'Youth camp', capacity: 1, fee: '150.00', startDate: '2025-04-18', endDate: '2025-04-21', rrule: null };
+const ANN = { personId: 12, name: 'Ann', surname: 'Lee', churchId: 3 };
+const REGISTRATION = {
+    registrationId: 21, calendarId: 10, personId: 12, churchId: 3, status: 'registered', checkInCode: 'c0de',
+    contributionId: null, registeredAt: '2025-03-01 10:00:00', cancelledAt: null, checkedInAt: null
+};
+
+const ICS = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN',
+    'BEGIN:VEVENT', 'UID:easter-2025@example.org', 'SUMMARY:Easter conference',
+    'DTSTART;VALUE=DATE:20250418', 'DTEND;VALUE=DATE:20250422', 'END:VEVENT',
+    'END:VCALENDAR', ''
+].join('\r\n');
+
+// The camp with one registration; counts says how many places are taken
+const givenCamp = ({ registration = REGISTRATION, counts = { registered: 1, waitlisted: 0, cancelled: 0, checkedIn: 0 } } = {}) => db
+    .on('FROM Calendar WHERE', [CAMP])
+    .on('FROM Registration WHERE `registrationId`', [registration])
+    .on('COALESCE(SUM(status', [counts]);
+
+test('GET /api/Calendar lists events in the caller\'s region', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [SERVICE]);
+    const res = await api.get('/api/Calendar', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].name, 'Sunday service');
+});
+
+test('GET /api/Calendar/occurrences expands recurring events and applies exceptions', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]).on('FROM CalendarException', [
+        { calendarId: 9, date: '2025-03-16', movedTo: null },
+        { calendarId: 9, date: '2025-03-23', movedTo: '2025-03-22', startTime: '18:00:00' }
+    ]);
+    const res = await api.get('/api/Calendar/occurrences?from=2025-03-01&to=2025-03-31');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.data.map((occurrence) => occurrence.date), ['2025-03-02', '2025-03-09', '2025-03-22', '2025-03-30']);
+});
+
+test('GET /api/Calendar/occurrences rejects a reversed range', async () => {
+    assert.strictEqual((await api.get('/api/Calendar/occurrences?from=2025-04-01&to=2025-03-01')).status, 400);
+});
+
+test('GET /api/Calendar/feed.ics answers an iCalendar feed', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    const res = await api.get('/api/Calendar/feed.ics?region=North');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/calendar/);
+    assert.match(res.text, /RRULE:FREQ=WEEKLY;BYDAY=SU/);
+});
+
+const LEADER = { userId: 1, username: 'cell.leader', role: 'Cell Leader', personId: 7, churchId: 3, region: 'North' };
+
+// A subscription URL's token, issued to a cell leader
+const feedToken = async () => {
+    const res = await api.post('/api/Calendar/feeds', { region: 'North' }, { role: 'cell leader' });
+    assert.strictEqual(res.status, 201);
+    assert.match(res.body.webcalUrl, /^webcal:/);
+    return encodeURIComponent(new URL(res.body.url).searchParams.get('token'));
+};
+
+test('POST /api/Calendar/feeds issues a subscription URL that works without a login', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]).on('FROM User u', [LEADER]);
+    const feed = await api.get('/feeds/calendar.ics?token=' + await feedToken(), { token: null });
+    assert.strictEqual(feed.status, 200);
+    assert.match(feed.text, /BEGIN:VCALENDAR/);
+    assert.deepStrictEqual(db.find('FROM User u')[0].values, [1]);
+});
+
+test('GET /feeds/calendar.ics refuses a missing or forged token', async () => {
+    assert.strictEqual((await api.get('/feeds/calendar.ics?token=forged', { token: null })).status, 401);
+});
+
+test('GET /feeds/calendar.ics follows the user\'s current account, not the one the URL was issued to', async () => {
+    const token = await feedToken();
+
+    db.on('FROM User u', []);
+    assert.strictEqual((await api.get('/feeds/calendar.ics?token=' + token, { token: null })).status, 401);
+
+    db.on('FROM User u', [{ ...LEADER, role: 'retired' }]);
+    assert.strictEqual((await api.get('/feeds/calendar.ics?token=' + token, { token: null })).status, 403);
+
+    db.on('FROM User u', [{ ...LEADER, churchId: null }]);
+    assert.strictEqual((await api.get('/feeds/calendar.ics?token=' + token, { token: null })).status, 403);
+});
+
+test('POST /api/Calendar/import previews an .ics file without writing', async () => {
+    const res = await api.upload('/api/Calendar/import', { filename: 'conference.ics', content: ICS, contentType: 'text/calendar' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.summary, { total: 1, create: 1 });
+    assert.strictEqual(db.find('INSERT').length, 0);
+});
+
+test('POST /api/Calendar/import writes the events when dryRun is false', async () => {
+    const res = await api.upload('/api/Calendar/import?dryRun=false', { filename: 'conference.ics', content: ICS, contentType: 'text/calendar' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.summary, { total: 1, created: 1 });
+    assert.ok(db.find('INSERT INTO Calendar ')[0].values.includes('easter-2025@example.org'));
+});
+
+test('POST /api/Calendar/import accepts only .ics files', async () => {
+    const res = await api.upload('/api/Calendar/import', { filename: 'conference.csv', content: 'name\nEaster', contentType: 'text/csv' });
+    assert.strictEqual(res.status, 400);
+});
+
+test('GET /api/Calendar/:id answers the event, 404 when missing', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    assert.strictEqual((await api.get('/api/Calendar/9')).body[0].name, 'Sunday service');
+
+    db.on('FROM Calendar WHERE', []);
+    assert.strictEqual((await api.get('/api/Calendar/8')).status, 404);
+});
+
+test('POST /api/Calendar creates an event and keeps the legacy date columns in step', async () => {
+    const res = await api.post('/api/Calendar', { name: 'Sunday service', startDate: '2025-03-02', startTime: '09:00', rrule: 'FREQ=WEEKLY;BYDAY=SU' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.insertId, INSERT_ID);
+    const [insert] = db.find('INSERT INTO Calendar ');
+    assert.ok(['March', 2025, 2, '09:00'].every((value) => insert.values.includes(value)));
+});
+
+test('POST /api/Calendar requires startDate to be the first occurrence of the rrule', async () => {
+    const res = await api.post('/api/Calendar', { name: 'Sunday service', startDate: '2025-03-03', rrule: 'FREQ=WEEKLY;BYDAY=SU' });
+    assert.strictEqual(res.status, 400);
+});
+
+test('PUT /api/Calendar/:id replaces the event with a single UPDATE', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    const res = await api.put('/api/Calendar/9', { name: 'Sunday service', startDate: '2025-03-02' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const [update] = db.find('UPDATE Calendar SET');
+    assert.doesNotMatch(update.sql, /VALUES/);
+    assert.deepStrictEqual(update.values.slice(-2), [9, 'North']);
+});
+
+test('PUT /api/Calendar still takes the id from the body, marked deprecated', async () => {
+    const res = await api.put('/api/Calendar', { id: 9, name: 'Sunday service', startDate: '2025-03-02' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.link, '</api/Calendar/9>; rel="successor-version"');
+
+    db.on('UPDATE Calendar SET', { affectedRows: 0 });
+    assert.strictEqual((await api.put('/api/Calendar/8', { name: 'Gone', startDate: '2025-03-02' })).status, 404);
+});
+
+test('PATCH /api/Calendar/:id writes only the fields that change', async () => {
+    const stored = { ...SERVICE, year: 2025, month: 'March', dayFrom: 2, dayTo: 2, time: '09:00' };
+    db.on('FROM Calendar WHERE', [stored]);
+    const res = await api.patch('/api/Calendar/9', { name: 'Morning service' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const [update] = db.find('UPDATE Calendar SET');
+    assert.match(update.sql, /^UPDATE Calendar SET `name` = \? WHERE/);
+    assert.deepStrictEqual(update.values, ['Morning service', 9, 'North']);
+});
+
+test('PATCH /api/Calendar/:id checks the changed event as a whole', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    assert.strictEqual((await api.patch('/api/Calendar/9', { startDate: '2025-03-03' })).status, 400);
+    assert.strictEqual((await api.patch('/api/Calendar/9', { capacity: 0, startTime: '9am' })).status, 400);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+
+    db.on('FROM Calendar WHERE', []);
+    assert.strictEqual((await api.patch('/api/Calendar/8', { name: 'Gone' })).status, 404);
+});
+
+// Two pastors read the service; the first renames it, then the second saves with the ETag they read
+test('PUT and PATCH /api/Calendar/:id refuse a stale If-Match with the event as it now is', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    const read = await api.get('/api/Calendar/9', { role: 'pastor' });
+    assert.match(read.headers.etag, /^"[\w-]+"$/);
+
+    const renamed = { ...SERVICE, name: 'Morning service' };
+    db.on('FROM Calendar WHERE', [renamed]);
+    const stale = { role: 'pastor', headers: { 'If-Match': read.headers.etag } };
+    const put = await api.put('/api/Calendar/9', { name: 'Sunday service', startDate: '2025-03-02' }, stale);
+    assert.strictEqual(put.status, 409);
+    assert.deepStrictEqual(put.body.details.current, renamed);
+    assert.strictEqual((await api.patch('/api/Calendar/9', { capacity: 60 }, stale)).status, 409);
+    assert.strictEqual(db.find('UPDATE Calendar SET').length, 0);
+
+    const retried = await api.patch('/api/Calendar/9', { capacity: 60 }, { role: 'pastor', headers: { 'If-Match': put.body.details.etag } });
+    assert.strictEqual(retried.status, 200);
+    assert.match(retried.headers.etag, /^"[\w-]+"$/);
+});
+
+test('DELETE /api/Calendar/:id deletes the event, 404 when missing', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    assert.strictEqual((await api.del('/api/Calendar/9')).status, 200);
+
+    db.on('DELETE FROM Calendar', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/Calendar/8')).status, 404);
+});
+
+test('GET /api/Calendar/:id/occurrences lists one event\'s dates', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    const res = await api.get('/api/Calendar/9/occurrences?from=2025-03-01&to=2025-03-15');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.data.map((occurrence) => occurrence.date), ['2025-03-02', '2025-03-09']);
+});
+
+test('PUT /api/Calendar/:id/exceptions/:date moves one occurrence', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    const res = await api.put('/api/Calendar/9/exceptions/2025-03-23', { movedTo: '2025-03-22', startTime: '18:00' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('INSERT INTO CalendarException')[0].values, [9, '2025-03-23', '2025-03-22', '18:00', null]);
+});
+
+test('PUT /api/Calendar/:id/exceptions/:date refuses a date that is not an occurrence', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    assert.strictEqual((await api.put('/api/Calendar/9/exceptions/2025-03-24', {})).status, 400);
+
+    db.on('FROM Calendar WHERE', [CAMP]);
+    assert.strictEqual((await api.put('/api/Calendar/10/exceptions/2025-04-18', {})).status, 400);
+});
+
+test('DELETE /api/Calendar/:id/exceptions/:date restores the occurrence, 404 when there is no exception', async () => {
+    db.on('FROM Calendar WHERE', [SERVICE]);
+    assert.strictEqual((await api.del('/api/Calendar/9/exceptions/2025-03-23')).status, 200);
+
+    db.on('DELETE FROM CalendarException', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/Calendar/9/exceptions/2025-03-30')).status, 404);
+});
+
+test('GET /api/Calendar/:id/registrations numbers the waitlist', async () => {
+    givenCamp({ counts: { registered: 1, waitlisted: 2, cancelled: 0, checkedIn: 0 } }).on('FROM Registration r JOIN Person p', [
+        { ...REGISTRATION, ...ANN },
+        { ...REGISTRATION, registrationId: 22, personId: 13, status: 'waitlisted' },
+        { ...REGISTRATION, registrationId: 23, personId: 14, status: 'waitlisted' }
+    ]).on('SELECT registrationId FROM Registration', [{ registrationId: 22 }, { registrationId: 23 }]);
+    const res = await api.get('/api/Calendar/10/registrations');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.available, 0);
+    assert.deepStrictEqual(res.body.data.map((row) => row.waitlistPosition), [null, 1, 2]);
+});
+
+test('GET /api/Calendar/:id/registrations rejects an unknown status', async () => {
+    assert.strictEqual((await api.get('/api/Calendar/10/registrations?status=maybe')).status, 400);
+});
+
+test('POST /api/Calendar/:id/registrations waitlists people once the event is full', async () => {
+    givenCamp().on('FROM Person WHERE', [ANN]);
+    const res = await api.post('/api/Calendar/10/registrations', { personId: 12 }, { role: 'cell leader' });
+    assert.strictEqual(res.status, 201);
+    const [insert] = db.find('INSERT INTO Registration');
+    assert.ok(insert.values.includes('waitlisted'));
+    assert.ok(db.find('FOR UPDATE').length);
+});
+
+test('POST /api/Calendar/:id/registrations refuses a second registration', async () => {
+    givenCamp().on('FROM Person WHERE', [ANN]).on('FROM Registration WHERE calendarId = ? AND personId', [REGISTRATION]);
+    const res = await api.post('/api/Calendar/10/registrations', { personId: 12 });
+    assert.strictEqual(res.status, 409);
+    assert.deepStrictEqual(res.body.details, { registrationId: 21, status: 'registered' });
+});
+
+test('DELETE /api/Calendar/:id/registrations/:registrationId gives the place to the next on the waitlist', async () => {
+    givenCamp({ counts: { registered: 0, waitlisted: 1, cancelled: 1, checkedIn: 0 } })
+        .on('status = \'waitlisted\' ORDER BY', [{ ...REGISTRATION, registrationId: 22, personId: 13, status: 'waitlisted' }]);
+    const res = await api.del('/api/Calendar/10/registrations/21', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const updates = db.find('UPDATE Registration SET');
+    assert.deepStrictEqual(updates.map((update) => update.values.at(-1)), [21, 22]);
+    assert.strictEqual(updates[1].values[0], 'registered');
+});
+
+test('DELETE /api/Calendar/:id/registrations/:registrationId refuses a checked-in registration', async () => {
+    givenCamp({ registration: { ...REGISTRATION, checkedInAt: '2025-04-18 08:00:00' } });
+    assert.strictEqual((await api.del('/api/Calendar/10/registrations/21')).status, 409);
+});
+
+test('POST /api/Calendar/:id/registrations/:registrationId/payment records the fee as an event contribution', async () => {
+    givenCamp().on('FROM Person WHERE', [ANN]).on('FROM Contribution WHERE', [{ contributionId: INSERT_ID, type: 'event', amount: '150.00' }]);
+    const res = await api.post('/api/Calendar/10/registrations/21/payment', { date: '2025-03-01', paymentMethod: 'cash' }, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    const [insert] = db.find('INSERT INTO Contribution');
+    assert.ok(['event', 150, 'event:10'].every((value) => insert.values.includes(value)));
+    assert.deepStrictEqual(db.find('UPDATE Registration SET')[0].values, [INSERT_ID, 21]);
+});
+
+test('POST /api/Calendar/:id/registrations/:registrationId/payment refuses a free event', async () => {
+    givenCamp().on('FROM Calendar WHERE', [{ ...CAMP, fee: null }]);
+    assert.strictEqual((await api.post('/api/Calendar/10/registrations/21/payment', {})).status, 400);
+});
+
+test('GET /api/Calendar/:id/registrations/:registrationId/qr answers the check-in code as PNG or SVG', async () => {
+    givenCamp();
+    const png = await api.get('/api/Calendar/10/registrations/21/qr');
+    assert.strictEqual(png.status, 200);
+    assert.strictEqual(png.headers['content-type'], 'image/png');
+
+    const svg = await api.get('/api/Calendar/10/registrations/21/qr?format=svg');
+    assert.match(svg.text, /<svg/);
+});
+
+test('GET /api/Calendar/:id/registrations/:registrationId/qr answers 404 for another event\'s registration', async () => {
+    givenCamp({ registration: { ...REGISTRATION, calendarId: 11 } });
+    assert.strictEqual((await api.get('/api/Calendar/10/registrations/21/qr')).status, 404);
+});
+
+test('POST /api/Calendar/:id/checkin checks in a paid registration once', async () => {
+    const paid = { ...REGISTRATION, contributionId: 40 };
+    givenCamp({ registration: paid }).on('WHERE r.checkInCode = ?', [{ ...paid, ...ANN }]);
+    const res = await api.post('/api/Calendar/10/checkin', { code: 'c0de' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.alreadyCheckedIn, false);
+    assert.strictEqual(db.find('UPDATE Registration SET `checkedInAt`').length, 1);
+    assert.match(db.find('WHERE r.checkInCode = ?')[0].sql, /FOR UPDATE OF r$/);
+});
+
+test('POST /api/Calendar/:id/checkin refuses an unpaid fee and an unknown code', async () => {
+    givenCamp().on('WHERE r.checkInCode = ?', [{ ...REGISTRATION, ...ANN }]);
+    const unpaid = await api.post('/api/Calendar/10/checkin', { code: 'c0de' });
+    assert.strictEqual(unpaid.status, 409);
+    assert.strictEqual(unpaid.body.details.fee, 150);
+
+    db.on('WHERE r.checkInCode = ?', []);
+    assert.strictEqual((await api.post('/api/Calendar/10/checkin', { code: 'nope' })).status, 404);
+});
+
+test('GET /api/Calendar/:id/attendance counts check-ins and no-shows', async () => {
+    givenCamp()
+        .on('FROM Registration r JOIN Person p', [{ ...REGISTRATION, checkedInAt: '2025-04-18 08:00:00' }, { ...REGISTRATION, registrationId: 22 }])
+        .on('FROM Registration r LEFT JOIN Church c', [{ churchId: 3, churchName: 'Polokwane', date: '2025-04-18', attended: '1' }]);
+    const res = await api.get('/api/Calendar/10/attendance');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual([res.body.registered, res.body.checkedIn, res.body.noShows], [2, 1, 1]);
+    assert.strictEqual(res.body.byChurch[0].attended, 1);
+});
+
+test('POST /api/Calendar/:id/attendance/stats posts check-ins to Stats, updating rows posted before', async () => {
+    givenCamp().on('FROM Registration r LEFT JOIN Church c', [
+        { churchId: 3, churchName: 'Polokwane', date: '2025-04-18', attended: '40' },
+        { churchId: 4, churchName: 'Tzaneen', date: '2025-04-18', attended: '12' }
+    ]).on('FROM CalendarStats', (values) => (values[1] === 3 ? [{ statsId: 50 }] : []));
+    const res = await api.post('/api/Calendar/10/attendance/stats', {}, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.posted.map((row) => [row.statsId, row.created]), [[50, false], [INSERT_ID, true]]);
+    assert.deepStrictEqual(db.find('INSERT INTO CalendarStats')[0].values, [10, 4, '2025-04-18', INSERT_ID]);
+});
+
+test('POST /api/Calendar/:id/attendance/stats posts a new Stats row when the one posted before has been deleted', async () => {
+    givenCamp().on('FROM Registration r LEFT JOIN Church c', [{ churchId: 3, churchName: 'Polokwane', date: '2025-04-18', attended: '40' }])
+        .on('FROM CalendarStats', [{ statsId: 50 }])
+        .on('UPDATE Stats SET', { affectedRows: 0, changedRows: 0 });
+    const res = await api.post('/api/Calendar/10/attendance/stats', {}, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.posted.map((row) => [row.statsId, row.adult, row.created]), [[INSERT_ID, 40, true]]);
+    assert.deepStrictEqual(db.find('INSERT INTO Stats')[0].values, [40, '2025-04-18', 3]);
+    const [link] = db.find('INSERT INTO CalendarStats');
+    assert.deepStrictEqual(link.values, [10, 3, '2025-04-18', INSERT_ID]);
+    assert.match(link.sql, /ON DUPLICATE KEY UPDATE statsId|ON CONFLICT \(calendarId, churchId, date\) DO UPDATE SET statsId/);
+});
@@ -0,0 +1,206 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+
+const BUILDING = {
+    campaignId: 4, name: 'Building fund', churchId: 3, targetAmount: '200000.00', startDate: '2025-01-01', endDate: '2025-12-31'
+};
+const PLEDGE = { pledgeId: 6, campaignId: 4, personId: 12, churchId: 3, amount: '1000.00', paid: '400.00', pledgeDate: '2025-02-01', dueDate: '2025-06-30' };
+const ANN = { personId: 12, name: 'Ann', surname: 'Lee', churchId: 3 };
+
+test('GET /api/Campaign lists the caller\'s church campaigns and ministry-wide ones', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [BUILDING]);
+    const res = await api.get('/api/Campaign', { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    assert.match(db.find('COUNT(*)')[0].sql, /\(churchId IS NULL OR churchId = \?\)/);
+});
+
+test('POST /api/Campaign creates a campaign in the caller\'s church', async () => {
+    db.on('FROM Campaign WHERE', [{ ...BUILDING, campaignId: INSERT_ID }]);
+    const res = await api.post('/api/Campaign', { name: 'Building fund', targetAmount: 200000, startDate: '2025-01-01' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.campaignId, INSERT_ID);
+    assert.ok(db.find('INSERT INTO Campaign')[0].values.includes(3));
+});
+
+test('POST /api/Campaign rejects an end before the start', async () => {
+    const res = await api.post('/api/Campaign', { name: 'Backwards', startDate: '2025-06-01', endDate: '2025-01-01' });
+    assert.strictEqual(res.status, 400);
+});
+
+test('GET /api/Campaign/:id answers the campaign, 404 when missing', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]);
+    assert.strictEqual((await api.get('/api/Campaign/4')).body.name, 'Building fund');
+
+    db.on('FROM Campaign WHERE', []);
+    assert.strictEqual((await api.get('/api/Campaign/5')).status, 404);
+});
+
+test('PUT /api/Campaign/:id replaces the campaign, 404 outside scope', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]);
+    const res = await api.put('/api/Campaign/4', { ...BUILDING, targetAmount: 250000 }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('UPDATE Campaign SET')[0].values.slice(3, 4), [250000]);
+
+    db.on('FROM Campaign WHERE', []);
+    assert.strictEqual((await api.put('/api/Campaign/5', BUILDING, { role: 'pastor' })).status, 404);
+});
+
+test('PATCH /api/Campaign/:id writes only the fields sent, checked against the stored dates', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]);
+    const res = await api.patch('/api/Campaign/4', { targetAmount: 250000 }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('UPDATE Campaign SET').map(({ values }) => values), [[250000, 4]]);
+
+    assert.strictEqual((await api.patch('/api/Campaign/4', { endDate: '2024-12-31' }, { role: 'pastor' })).status, 400);
+    assert.strictEqual((await api.patch('/api/Campaign/4', { name: 'x' }, { role: 'finance' })).status, 403);
+    db.on('FROM Campaign WHERE', []);
+    assert.strictEqual((await api.patch('/api/Campaign/5', { name: 'x' }, { role: 'pastor' })).status, 404);
+});
+
+test('PATCH /api/Campaign/:id refuses a field PUT would, such as a target that is not an amount', async () => {
+    const res = await api.patch('/api/Campaign/4', { targetAmount: 'lots' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details.map(({ field }) => field), ['body.targetAmount']);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+});
+
+test('PUT and PATCH /api/Campaign/:id refuse a stale If-Match', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]);
+    const read = await api.get('/api/Campaign/4', { role: 'pastor' });
+    assert.match(read.headers.etag, /^"[\w-]+"$/);
+
+    db.on('FROM Campaign WHERE', [{ ...BUILDING, targetAmount: '220000.00' }]);
+    const headers = { 'If-Match': read.headers.etag };
+    assert.strictEqual((await api.put('/api/Campaign/4', { ...BUILDING, name: 'Roof' }, { role: 'pastor', headers })).status, 409);
+    const stale = await api.patch('/api/Campaign/4', { name: 'Roof' }, { role: 'pastor', headers });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.targetAmount, '220000.00');
+    assert.strictEqual(db.find('UPDATE Campaign SET').length, 0);
+});
+
+test('DELETE /api/Campaign/:id refuses a campaign that still has pledges', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]);
+    assert.strictEqual((await api.del('/api/Campaign/4')).status, 200);
+
+    db.on('DELETE FROM Campaign', Object.assign(new Error('Cannot delete or update a parent row'), { code: 'ER_ROW_IS_REFERENCED_2' }));
+    assert.strictEqual((await api.del('/api/Campaign/4')).status, 422);
+});
+
+test('GET /api/Campaign/:id/progress totals pledges and payments per church', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]).on('FROM Pledge pl LEFT JOIN Church c', [
+        { churchId: 3, churchName: 'Polokwane', region: 'North', pledges: 2, pledged: '60000.00', raised: '50000.00' }
+    ]);
+    const res = await api.get('/api/Campaign/4/progress');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.percentRaised, 0.25);
+    assert.strictEqual(res.body.outstanding, 10000);
+});
+
+test('GET /api/Campaign/:id/progress answers 404 for an unknown campaign', async () => {
+    assert.strictEqual((await api.get('/api/Campaign/5/progress')).status, 404);
+});
+
+test('GET /api/Pledge lists pledges for finance, not cell leaders', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [PLEDGE]);
+    assert.strictEqual((await api.get('/api/Pledge?campaignId=4', { role: 'finance' })).status, 200);
+    assert.strictEqual((await api.get('/api/Pledge', { role: 'cell leader' })).status, 403);
+});
+
+test('POST /api/Pledge records a pledge due when the campaign ends', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]).on('FROM Person WHERE', [ANN]).on('FROM Pledge WHERE', [PLEDGE]);
+    const res = await api.post('/api/Pledge', { campaignId: 4, personId: 12, amount: 1000, pledgeDate: '2025-02-01' }, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.balance, 600);
+    assert.deepStrictEqual(db.find('INSERT INTO Pledge')[0].values, [4, 12, 3, 1000, '2025-02-01', '2025-12-31']);
+});
+
+test('POST /api/Pledge refuses a person from another church', async () => {
+    db.on('FROM Campaign WHERE', [BUILDING]).on('FROM Person WHERE', [{ ...ANN, churchId: 4 }]);
+    const res = await api.post('/api/Pledge', { campaignId: 4, personId: 12, amount: 1000 });
+    assert.strictEqual(res.status, 400);
+});
+
+test('GET /api/Pledge/overdue lists pledges past their due date', async () => {
+    db.on('FROM Pledge pl JOIN Person p', [{ ...PLEDGE, campaignName: 'Building fund', name: 'Ann', surname: 'Lee', dueDate: '2025-01-31' }]);
+    const res = await api.get('/api/Pledge/overdue?campaignId=4', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.count, 1);
+    assert.strictEqual(res.body.balance, 600);
+});
+
+test('GET /api/Pledge/:id answers the pledge with its payments, 404 when missing', async () => {
+    db.on('FROM Pledge WHERE', [PLEDGE]).on('FROM Contribution WHERE pledgeId', [{ contributionId: 31, amount: '400.00', date: '2025-03-02' }]);
+    const res = await api.get('/api/Pledge/6');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.payments, [{ contributionId: 31, amount: 400, date: '2025-03-02' }]);
+
+    db.on('FROM Pledge WHERE', []);
+    assert.strictEqual((await api.get('/api/Pledge/7')).status, 404);
+});
+
+test('PUT /api/Pledge/:id changes the amount but not below what was paid', async () => {
+    db.on('FROM Pledge WHERE', [PLEDGE]);
+    assert.strictEqual((await api.put('/api/Pledge/6', { amount: 1500 })).status, 200);
+
+    const below = await api.put('/api/Pledge/6', { amount: 300 });
+    assert.strictEqual(below.status, 400);
+    assert.deepStrictEqual(below.body.details, { paid: 400 });
+});
+
+test('PATCH /api/Pledge/:id writes only the fields sent, still not below what was paid', async () => {
+    db.on('FROM Pledge WHERE', [PLEDGE]);
+    const res = await api.patch('/api/Pledge/6', { dueDate: '2025-09-30' }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('UPDATE Pledge SET').map(({ values }) => values), [['2025-09-30', 6]]);
+
+    const below = await api.patch('/api/Pledge/6', { amount: 300 }, { role: 'finance' });
+    assert.strictEqual(below.status, 400);
+    assert.deepStrictEqual(below.body.details, { paid: 400 });
+    assert.strictEqual((await api.patch('/api/Pledge/6', { dueDate: '2025-01-01' }, { role: 'finance' })).status, 400);
+});
+
+test('PATCH /api/Pledge/:id refuses a field PUT would, such as a due date that is not a date', async () => {
+    const res = await api.patch('/api/Pledge/6', { dueDate: 'next winter' }, { role: 'finance' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details.map(({ field }) => field), ['body.dueDate']);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+});
+
+// The ETag is the stored pledge's, so it matches the row locked on write however the answer is dressed up
+test('PUT and PATCH /api/Pledge/:id take the ETag from GET and refuse it once a payment moved the pledge', async () => {
+    db.on('FROM Pledge WHERE', [PLEDGE]);
+    const read = await api.get('/api/Pledge/6');
+    const headers = { 'If-Match': read.headers.etag };
+    const patched = await api.patch('/api/Pledge/6', { dueDate: '2025-09-30' }, { role: 'finance', headers });
+    assert.strictEqual(patched.status, 200);
+    assert.strictEqual(patched.headers.etag, read.headers.etag);
+
+    db.on('FROM Pledge WHERE', [{ ...PLEDGE, paid: '600.00' }]);
+    const stale = await api.put('/api/Pledge/6', { amount: 1500 }, { role: 'finance', headers });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.paid, '600.00');
+    assert.strictEqual((await api.patch('/api/Pledge/6', { amount: 1500 }, { role: 'finance', headers })).status, 409);
+    assert.strictEqual(db.find('UPDATE Pledge SET').length, 1);
+});
+
+test('DELETE /api/Pledge/:id refuses a pledge with payments', async () => {
+    db.on('FROM Pledge WHERE', [{ ...PLEDGE, paid: '0.00' }]);
+    assert.strictEqual((await api.del('/api/Pledge/6')).status, 200);
+
+    db.on('FROM Pledge WHERE', [PLEDGE]);
+    assert.strictEqual((await api.del('/api/Pledge/6')).status, 409);
+});
+
+test('POST /api/Pledge/:id/payments records a pledge payment in the ledger', async () => {
+    db.on('FROM Pledge WHERE', [PLEDGE]).on('FROM Person WHERE', [ANN]);
+    const res = await api.post('/api/Pledge/6/payments', { amount: 200, date: '2025-03-09', paymentMethod: 'cash' }, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    const [insert] = db.find('INSERT INTO Contribution');
+    assert.deepStrictEqual(insert.values.slice(0, 4), [12, 3, 'pledge', 6]);
+    assert.deepStrictEqual(db.find('UPDATE Pledge pl SET paid')[0].values, [[6]]);
+});
+
+test('POST /api/Pledge/:id/payments validates the amount', async () => {
+    assert.strictEqual((await api.post('/api/Pledge/6/payments', { amount: -5 })).status, 400);
+});
@@ -0,0 +1,175 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+
+const CELL = { cellGroupId: 2, name: 'Seshego cell', churchId: 3, leaderId: 7, hostLocation: 'Seshego', meetingDay: 'Wednesday' };
+const LEADER = { personId: 7, name: 'Lindiwe', surname: 'Zulu', churchId: 3 };
+const MEMBERS = [12, 13, 14].map((personId) => ({ personId, name: `Member ${personId}`, surname: 'Lee' }));
+
+// A cell in church 3 led by person 7 (the harness's cell leader), with members 12 to 14
+const givenCell = () => db
+    .on('FROM CellGroup WHERE', [CELL])
+    .on('FROM Person WHERE', (values) => [{ ...LEADER, personId: values[0] }])
+    .on('FROM CellGroupMember m JOIN Person p', MEMBERS);
+
+test('GET /api/CellGroup lists the cells in scope', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [CELL]);
+    const res = await api.get('/api/CellGroup', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].name, 'Seshego cell');
+});
+
+test('GET /api/CellGroup/:id answers the cell with its leader and members, 404 outside scope', async () => {
+    givenCell();
+    const res = await api.get('/api/CellGroup/2');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.memberCount, 3);
+    assert.strictEqual(res.body.leader.name, 'Lindiwe');
+
+    db.on('FROM CellGroup WHERE', []);
+    assert.strictEqual((await api.get('/api/CellGroup/3')).status, 404);
+});
+
+test('POST /api/CellGroup creates a cell with a leader from the same church', async () => {
+    givenCell();
+    const res = await api.post('/api/CellGroup', { name: 'Seshego cell', leaderId: 7, hostLocation: 'Seshego' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 201);
+    assert.ok(db.find('INSERT INTO CellGroup ')[0].values.includes(3));
+});
+
+test('POST /api/CellGroup rejects a leader from another church and a missing name', async () => {
+    db.on('FROM Person WHERE', [{ ...LEADER, churchId: 4 }]);
+    assert.strictEqual((await api.post('/api/CellGroup', { name: 'Cell', leaderId: 7 }, { role: 'pastor' })).status, 400);
+    assert.strictEqual((await api.post('/api/CellGroup', { leaderId: 7 }, { role: 'pastor' })).status, 400);
+});
+
+test('PUT /api/CellGroup/:id updates the cell and its members\' cell details', async () => {
+    givenCell();
+    const res = await api.put('/api/CellGroup/2', { name: 'Seshego north', leaderId: 7, hostLocation: 'Seshego Zone 2' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const [sync] = db.find('UPDATE Person SET cellLeader');
+    assert.deepStrictEqual(sync.values, ['Lindiwe Zulu', 'Seshego', [12, 13, 14]]);
+});
+
+test('PUT /api/CellGroup/:id answers 404 for a cell outside scope', async () => {
+    assert.strictEqual((await api.put('/api/CellGroup/2', { name: 'Seshego' }, { role: 'pastor' })).status, 404);
+});
+
+test('PATCH /api/CellGroup/:id writes only the fields sent and keeps members\' cell details in step', async () => {
+    givenCell();
+    const res = await api.patch('/api/CellGroup/2', { hostLocation: 'Seshego Zone 2' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('UPDATE CellGroup SET').map(({ values }) => values), [['Seshego Zone 2', 2]]);
+    assert.ok(db.find('UPDATE Person SET cellLeader').length);
+
+    assert.strictEqual((await api.patch('/api/CellGroup/2', {}, { role: 'pastor' })).status, 400);
+    assert.strictEqual((await api.patch('/api/CellGroup/2', { name: 'Cell' }, { role: 'cell leader' })).status, 403);
+});
+
+test('PATCH /api/CellGroup/:id checks a new leader against the cell\'s church, 404 outside scope', async () => {
+    givenCell().on('FROM Person WHERE', [{ ...LEADER, personId: 8, churchId: 4 }]);
+    assert.strictEqual((await api.patch('/api/CellGroup/2', { leaderId: 8 }, { role: 'pastor' })).status, 400);
+    assert.strictEqual(db.find('UPDATE CellGroup SET').length, 0);
+
+    db.on('FROM CellGroup WHERE', []);
+    assert.strictEqual((await api.patch('/api/CellGroup/3', { name: 'Cell' }, { role: 'pastor' })).status, 404);
+});
+
+test('PATCH /api/CellGroup/:id refuses a field PUT would, such as an unknown meeting day', async () => {
+    const res = await api.patch('/api/CellGroup/2', { meetingDay: 'Funday' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details.map(({ field }) => field), ['body.meetingDay']);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+});
+
+test('PATCH /api/CellGroup/:id refuses a stale If-Match; the ETag follows the cell, not its members', async () => {
+    givenCell();
+    const read = await api.get('/api/CellGroup/2', { role: 'pastor' });
+    assert.match(read.headers.etag, /^"[\w-]+"$/);
+
+    db.on('FROM CellGroupMember m JOIN Person p', MEMBERS.slice(1));
+    const headers = { 'If-Match': read.headers.etag };
+    assert.strictEqual((await api.patch('/api/CellGroup/2', { meetingDay: 'Thursday' }, { role: 'pastor', headers })).status, 200);
+
+    db.on('FROM CellGroup WHERE', [{ ...CELL, name: 'Seshego north' }]);
+    const stale = await api.put('/api/CellGroup/2', { ...CELL, meetingDay: 'Friday' }, { role: 'pastor', headers });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.name, 'Seshego north');
+    assert.strictEqual(db.find('UPDATE CellGroup SET').length, 1);
+});
+
+test('DELETE /api/CellGroup/:id releases the members and deletes the cell', async () => {
+    givenCell();
+    const res = await api.del('/api/CellGroup/2', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('UPDATE Person SET cellLeader')[0].values, [null, null, [12, 13, 14]]);
+    assert.deepStrictEqual(db.find('DELETE FROM CellGroup ')[0].values, [2]);
+});
+
+test('DELETE /api/CellGroup/:id is for pastors and admins', async () => {
+    assert.strictEqual((await api.del('/api/CellGroup/2', { role: 'cell leader' })).status, 403);
+});
+
+test('GET /api/CellGroup/:id/members lists the members', async () => {
+    givenCell();
+    const res = await api.get('/api/CellGroup/2/members');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.map((member) => member.personId), [12, 13, 14]);
+});
+
+test('POST /api/CellGroup/:id/members adds people, refusing members of another cell unless moved', async () => {
+    givenCell().on('FROM CellGroupMember WHERE personId IN', [{ cellGroupId: 9, personId: 15 }]);
+    const conflict = await api.post('/api/CellGroup/2/members', { personIds: [15] }, { role: 'cell leader' });
+    assert.strictEqual(conflict.status, 409);
+
+    const moved = await api.post('/api/CellGroup/2/members', { personIds: [15], move: true }, { role: 'cell leader' });
+    assert.strictEqual(moved.status, 200);
+    assert.deepStrictEqual(db.find('DELETE FROM CellGroupMember')[0].values, [9, 15]);
+    assert.deepStrictEqual(db.find('INSERT INTO CellGroupMember')[0].values.slice(0, 2), [2, 15]);
+});
+
+test('POST /api/CellGroup/:id/members requires a list of person ids', async () => {
+    assert.strictEqual((await api.post('/api/CellGroup/2/members', { personIds: 'all' })).status, 400);
+});
+
+test('DELETE /api/CellGroup/:id/members/:personId removes a member, 404 for a non-member', async () => {
+    givenCell();
+    assert.strictEqual((await api.del('/api/CellGroup/2/members/12', { role: 'cell leader' })).status, 200);
+
+    db.on('DELETE FROM CellGroupMember', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/CellGroup/2/members/99', { role: 'cell leader' })).status, 404);
+});
+
+test('GET /api/CellGroup/:id/meetings lists meetings with who attended', async () => {
+    givenCell()
+        .on('FROM CellMeeting mt', [{ meetingId: 4, meetingDate: '2025-03-05', visitors: 2, notes: null, present: 2 }])
+        .on('FROM CellAttendance WHERE meetingId IN', [{ meetingId: 4, personId: 12 }, { meetingId: 4, personId: 13 }]);
+    const res = await api.get('/api/CellGroup/2/meetings?from=2025-03-01&to=2025-03-31');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.data[0], { meetingId: 4, meetingDate: '2025-03-05', visitors: 2, notes: null, present: 2, attendance: 4, attendees: [12, 13] });
+});
+
+test('POST /api/CellGroup/:id/meetings records attendance for members only', async () => {
+    givenCell();
+    const res = await api.post('/api/CellGroup/2/meetings', { meetingDate: '2025-03-05', present: [12, 13], visitors: 1 }, { role: 'cell leader' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.attendance, 3);
+    assert.deepStrictEqual(db.find('INSERT INTO CellAttendance')[0].values, [[[INSERT_ID, 12], [INSERT_ID, 13]]]);
+
+    const stranger = await api.post('/api/CellGroup/2/meetings', { meetingDate: '2025-03-05', present: [99] }, { role: 'cell leader' });
+    assert.strictEqual(stranger.status, 400);
+});
+
+test('POST /api/CellGroup/:id/multiply moves members into a new cell', async () => {
+    givenCell();
+    const res = await api.post('/api/CellGroup/2/multiply', { name: 'Seshego east', leaderId: 13, memberIds: [14] }, { role: 'pastor' });
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual(db.find('UPDATE CellGroupMember SET cellGroupId')[0].values, [INSERT_ID, 2, [14, 13]]);
+});
+
+test('POST /api/CellGroup/:id/multiply must leave members in both cells', async () => {
+    givenCell();
+    const res = await api.post('/api/CellGroup/2/multiply', { name: 'Everyone', leaderId: 12, memberIds: [13, 14] }, { role: 'pastor' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(db.find('INSERT INTO CellGroup ').length, 0);
+});
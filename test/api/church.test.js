@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db } = require('./harness');
+
+const SOWETO = { churchId: 1, churchName: 'Soweto Central', location: '12 Vilakazi St', region: 'Central' };
+
+test('every /api route needs a valid bearer token', async () => {
+    const missing = await api.get('/api/Church', { token: null });
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.body.code, 'UNAUTHORIZED');
+
+    const forged = await api.get('/api/Church', { token: 'not-a-jwt' });
+    assert.strictEqual(forged.status, 401);
+});
+
+test('CORS preflight requests are answered without a token', async () => {
+    const res = await api.options('/api/Person/12', {
+        token: null,
+        headers: { Origin: 'https://app.example.org', 'Access-Control-Request-Method': 'PUT' }
+    });
+    assert.strictEqual(res.status, 204);
+    assert.match(res.headers['access-control-allow-methods'], /PUT/);
+});
+
+test('unknown routes answer 404 in the error envelope with the request id', async () => {
+    const res = await api.get('/api/Nothing', { headers: { 'X-Request-Id': 'trace-1' } });
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(res.body, { code: 'NOT_FOUND', message: 'Cannot GET /api/Nothing', details: null, requestId: 'trace-1' });
+});
+
+test('a database error is a 500 that does not leak its message', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    db.on('FROM Church', new Error('connect ECONNREFUSED'));
+    const res = await api.get('/api/Church/1');
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(res.body.message, 'Internal server error');
+});
+
+test('GET /api/Church pages through the churches in scope', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [SOWETO]);
+    const res = await api.get('/api/Church?region=Central&pageSize=10');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.meta, { total: 1, page: 1, pageSize: 10, pageCount: 1 });
+    assert.strictEqual(res.body.data[0].churchName, 'Soweto Central');
+    assert.deepStrictEqual(db.find('LIMIT ? OFFSET ?')[0].values, ['Central', 10, 0]);
+});
+
+test('GET /api/Church limits a regional overseer to their region', async () => {
+    await api.get('/api/Church', { role: 'regional overseer' });
+    const [count] = db.find('COUNT(*)');
+    assert.match(count.sql, /region = \?/);
+    assert.deepStrictEqual(count.values, ['North']);
+});
+
+test('GET /api/Church rejects an unknown sort column', async () => {
+    const res = await api.get('/api/Church?sort=password');
+    assert.strictEqual(res.status, 400);
+});
+
+test('GET /api/Church/export streams CSV', async () => {
+    db.on('FROM Church', [SOWETO]);
+    const res = await api.get('/api/Church/export?format=csv');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+    assert.match(res.text, /Soweto Central/);
+});
+
+// Under npm run test:postgres every statement goes through the driver's translation on its way to pg
+const postgresOnly = { skip: process.env.DB_CLIENT !== 'postgres' && 'runs under npm run test:postgres' };
+
+test('GET /api/Church reaches PostgreSQL with numbered placeholders and quoted names', postgresOnly, async () => {
+    await api.get('/api/Church?region=Central&pageSize=10&sort=churchName');
+    const [page] = db.find('LIMIT ? OFFSET ?');
+    assert.strictEqual(page.postgres.text, 'SELECT "churchId", "churchName", "location", "branch", "province", "city", "region", '
+        + '"pastorId" FROM "Church" WHERE "deletedAt" IS NULL AND 1=1 AND "region" = $1 ORDER BY "churchName" ASC, "churchId" ASC '
+        + 'LIMIT $2 OFFSET $3');
+    assert.deepStrictEqual(page.postgres.values, ['Central', 10, 0]);
+});
+
+test('POST /api/Church reads the new id back through RETURNING on PostgreSQL', postgresOnly, async () => {
+    const res = await api.post('/api/Church', { churchName: 'Tembisa', location: 'x' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.result.insertId, 101);
+    assert.strictEqual(db.find('INSERT INTO Church')[0].postgres.text, 'INSERT INTO "Church" ("churchName", "location") VALUES ($1, $2)');
+});
+
+test('GET /api/Church/export reads the rows through a cursor on PostgreSQL', postgresOnly, async () => {
+    db.on('FROM Church', [SOWETO, { ...SOWETO, churchId: 2, churchName: 'Soweto North' }]);
+    const res = await api.get('/api/Church/export?format=csv');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.text, /Soweto Central[\s\S]*Soweto North/);
+    assert.match(db.find('FROM Church')[0].postgres.text, /FROM "Church" WHERE "deletedAt" IS NULL/);
+});
+
+test('GET /api/Church/export rejects an unknown format', async () => {
+    const res = await api.get('/api/Church/export?format=doc');
+    assert.strictEqual(res.status, 400);
+});
+
+test('GET /api/Church/:churchId answers the church, 404 when missing and 400 for a bad id', async () => {
+    db.on('FROM Church WHERE', [SOWETO]);
+    const found = await api.get('/api/Church/1');
+    assert.strictEqual(found.status, 200);
+    assert.deepStrictEqual(found.body, [SOWETO]);
+
+    db.on('FROM Church WHERE', []);
+    assert.strictEqual((await api.get('/api/Church/9')).status, 404);
+    assert.strictEqual((await api.get('/api/Church/abc')).status, 400);
+});
+
+test('POST /api/Church creates a church as admin only', async () => {
+    const created = await api.post('/api/Church', { churchName: 'Tembisa', location: '45 Andrew Mapheto Dr' });
+    assert.strictEqual(created.status, 201);
+    assert.match(db.find('INSERT INTO Church')[0].sql, /\(`churchName`, `location`\)/);
+
+    const pastor = await api.post('/api/Church', { churchName: 'Tembisa', location: 'x' }, { role: 'pastor' });
+    assert.strictEqual(pastor.status, 403);
+});
+
+test('POST /api/Church validates the body against the schema', async () => {
+    const res = await api.post('/api/Church', { location: 'No name' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(db.find('INSERT').length, 0);
+});
+
+test('PUT /api/Church/:id replaces the church named in the path', async () => {
+    const res = await api.put('/api/Church/1', { ...SOWETO, churchName: 'Soweto' });
+    assert.strictEqual(res.status, 200);
+    const [update] = db.find('UPDATE Church SET');
+    assert.strictEqual(update.values[0], 'Soweto');
+    assert.strictEqual(update.values[update.values.length - 1], 1);
+
+    const mismatch = await api.put('/api/Church/2', SOWETO);
+    assert.strictEqual(mismatch.status, 400);
+    assert.deepStrictEqual(mismatch.body.details, { churchId: 1, id: '2' });
+});
+
+test('PUT /api/Church replaces the church named in the body, marked deprecated', async () => {
+    const res = await api.put('/api/Church', { ...SOWETO, churchName: 'Soweto' });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.deprecation, /^@\d+$/);
+    assert.strictEqual(res.headers.link, '</api/Church/1>; rel="successor-version"');
+    const [update] = db.find('UPDATE Church SET');
+    assert.strictEqual(update.values[update.values.length - 1], 1);
+
+    assert.strictEqual((await api.put('/api/Church', { churchName: 'Soweto' })).status, 400);
+});
+
+test('PATCH /api/Church/:id writes only the fields sent and answers the church', async () => {
+    db.on('FROM Church WHERE', [{ ...SOWETO, location: '1 Vilakazi St' }]);
+    const res = await api.patch('/api/Church/1', { location: '1 Vilakazi St' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.location, '1 Vilakazi St');
+    assert.deepStrictEqual(db.find('UPDATE Church SET').map(({ values }) => values), [['1 Vilakazi St', 1]]);
+
+    assert.strictEqual((await api.patch('/api/Church/1', {})).status, 400);
+    assert.strictEqual((await api.patch('/api/Church/1', { pastorId: 'Rev. Dube' })).status, 400);
+    assert.strictEqual((await api.patch('/api/Church/1', { location: 'x' }, { role: 'pastor' })).status, 403);
+
+    db.on('UPDATE Church SET', { affectedRows: 0 });
+    assert.strictEqual((await api.patch('/api/Church/9', { location: 'x' })).status, 404);
+});
+
+test('DELETE /api/Church/:id moves the church, its people and stats to the recycle bin', async () => {
+    db.on('SELECT `personId` FROM Person', [{ personId: 4 }, { personId: 5 }]);
+    const res = await api.del('/api/Church/1');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.deleted, { Church: 1, Person: 2, Stats: 0 });
+    assert.strictEqual(db.find(/^DELETE/).length, 0);
+
+    db.on('UPDATE Church SET `deletedAt`', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/Church/9')).status, 404);
+});
@@ -0,0 +1,190 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+
+const TITHE = { contributionId: 30, personId: 12, churchId: 3, type: 'tithe', amount: '500.00', date: '2025-03-02', paymentMethod: 'eft' };
+const ANN = { personId: 12, name: 'Ann', surname: 'Lee', churchId: 3, address: '4 Main Rd, Polokwane' };
+
+// Contribution.giverTotals rows for Ann in church 3
+const giverTotals = [
+    { ...ANN, churchName: 'Polokwane', city: 'Polokwane', province: 'Limpopo', type: 'tithe', gifts: 12, amount: '6000.00' },
+    { ...ANN, churchName: 'Polokwane', city: 'Polokwane', province: 'Limpopo', type: 'seed', gifts: 1, amount: '250.50' }
+];
+
+test('GET /api/Contribution lists gifts for finance users only', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [TITHE]);
+    const res = await api.get('/api/Contribution?type=tithe', { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].contributionId, 30);
+
+    assert.strictEqual((await api.get('/api/Contribution', { role: 'cell leader' })).status, 403);
+});
+
+test('GET /api/Contribution/export streams CSV', async () => {
+    db.on('FROM Contribution', [TITHE]);
+    const res = await api.get('/api/Contribution/export?format=csv&fields=contributionId,amount');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.text.trim().split(/\r?\n/), ['contributionId,amount', '30,500.00']);
+});
+
+test('GET /api/Contribution/reconciliation compares Stats.offering with the ledger', async () => {
+    db.on('FROM Stats s LEFT JOIN Church c', [{ date: '2025-03-02', churchId: 3, churchName: 'Polokwane', offering: '4250.50' }])
+        .on('FROM Contribution ct LEFT JOIN Church c', [{ churchId: 3, churchName: 'Polokwane', date: '2025-03-02', gifts: 4, amount: '4000.00' }]);
+    const res = await api.get('/api/Contribution/reconciliation?from=2025-03-01&to=2025-03-31');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.totals, { counted: 4250.5, recorded: 4000, unrecorded: 250.5 });
+    assert.strictEqual(res.body.data[0].matched, false);
+});
+
+test('GET /api/Contribution/reconciliation rejects a reversed range', async () => {
+    assert.strictEqual((await api.get('/api/Contribution/reconciliation?from=2025-04-01&to=2025-03-01')).status, 400);
+});
+
+test('GET /api/Contribution/certificates streams a PDF of every giver\'s certificate', async () => {
+    db.on('FROM Contribution ct JOIN Person p', giverTotals);
+    const res = await api.get('/api/Contribution/certificates?year=2024&churchId=3');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-type'], 'application/pdf');
+    assert.match(res.headers['content-disposition'], /giving-certificates-2024\.pdf/);
+    assert.strictEqual(res.raw.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('GET /api/Contribution/certificates answers 404 for a year without gifts', async () => {
+    assert.strictEqual((await api.get('/api/Contribution/certificates?year=2024')).status, 404);
+});
+
+test('GET /api/Contribution/:id answers the gift, 404 outside scope', async () => {
+    db.on('FROM Contribution WHERE', [TITHE]);
+    assert.deepStrictEqual((await api.get('/api/Contribution/30', { role: 'pastor' })).body, TITHE);
+
+    db.on('FROM Contribution WHERE', []);
+    assert.strictEqual((await api.get('/api/Contribution/31')).status, 404);
+});
+
+test('POST /api/Contribution records a gift and refreshes the giver\'s totals', async () => {
+    db.on('FROM Person WHERE', [ANN]).on('FROM Contribution WHERE', [{ ...TITHE, contributionId: INSERT_ID }]);
+    const res = await api.post('/api/Contribution', { personId: 12, type: 'tithe', amount: 500, date: '2025-03-02', paymentMethod: 'eft' }, { role: 'finance' });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.contributionId, INSERT_ID);
+    assert.deepStrictEqual(db.find('UPDATE Person p SET')[0].values, [[12]]);
+});
+
+test('POST /api/Contribution logs the giver\'s new totals under the client\'s address', async () => {
+    db.on('FROM Person WHERE', [ANN])
+        .on('FROM Person WHERE `personId` IN', [ANN], [{ ...ANN, amount: '500.00' }])
+        .on('FROM Contribution WHERE', [{ ...TITHE, contributionId: INSERT_ID }])
+        .on('UPDATE Person p SET', { affectedRows: 1 });
+    const res = await api.post('/api/Contribution', { personId: 12, type: 'tithe', amount: 500, date: '2025-03-02', paymentMethod: 'eft' }, {
+        role: 'finance',
+        headers: { 'X-Forwarded-For': '203.0.113.9' }
+    });
+    assert.strictEqual(res.status, 201);
+    const entry = db.find('INSERT INTO AuditLog').find(({ values }) => values[0] === 'Person');
+    assert.deepStrictEqual(entry.values.slice(0, 3), ['Person', '12', 'update']);
+    assert.strictEqual(entry.values[5], '203.0.113.9');
+    assert.deepStrictEqual(JSON.parse(entry.values[7]).amount.to, '500.00');
+});
+
+test('POST /api/Contribution validates type and amount', async () => {
+    assert.strictEqual((await api.post('/api/Contribution', { type: 'gift', amount: 50, churchId: 3 })).status, 400);
+    assert.strictEqual((await api.post('/api/Contribution', { type: 'tithe', amount: 'fifty', churchId: 3 })).status, 400);
+});
+
+test('POST /api/Contribution refuses a pledge payment above the balance', async () => {
+    db.on('FROM Pledge WHERE', [{ pledgeId: 6, personId: 12, churchId: 3, amount: '1000.00', paid: '900.00' }]);
+    const res = await api.post('/api/Contribution', { pledgeId: 6, amount: 200, type: 'pledge' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details, { balance: 100 });
+});
+
+test('PUT /api/Contribution/:id replaces the gift, 404 outside scope', async () => {
+    db.on('FROM Contribution WHERE', [TITHE]).on('FROM Person WHERE', [ANN]);
+    const res = await api.put('/api/Contribution/30', { ...TITHE, amount: 550 }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(db.find('UPDATE Contribution SET')[0].values.at(-1), 30);
+
+    db.on('FROM Contribution WHERE', []);
+    assert.strictEqual((await api.put('/api/Contribution/31', { ...TITHE, amount: 550 }, { role: 'finance' })).status, 404);
+});
+
+test('PATCH /api/Contribution/:id writes only the fields sent and refreshes the giver\'s totals', async () => {
+    db.on('FROM Contribution WHERE', [TITHE]).on('FROM Person WHERE', [ANN]).on('UPDATE Person p SET', { affectedRows: 1 });
+    const res = await api.patch('/api/Contribution/30', { amount: 550 }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('UPDATE Contribution SET').map(({ values }) => values), [[550, 30]]);
+    assert.deepStrictEqual(db.find('UPDATE Person p SET')[0].values, [[12]]);
+
+    assert.strictEqual((await api.patch('/api/Contribution/30', { amount: 550 }, { role: 'pastor' })).status, 403);
+    db.on('FROM Contribution WHERE', []);
+    assert.strictEqual((await api.patch('/api/Contribution/31', { amount: 550 }, { role: 'finance' })).status, 404);
+});
+
+test('PATCH /api/Contribution/:id checks a pledge payment against the pledge\'s balance', async () => {
+    db.on('FROM Contribution WHERE', [{ ...TITHE, type: 'pledge', pledgeId: 6 }])
+        .on('FROM Pledge WHERE', [{ pledgeId: 6, personId: 12, churchId: 3, amount: '1000.00', paid: '900.00' }]);
+    const res = await api.patch('/api/Contribution/30', { amount: 700 }, { role: 'finance' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details, { balance: 600 });
+});
+
+test('PATCH /api/Contribution/:id refuses a field PUT would, and leaves an unsent payment method alone', async () => {
+    const res = await api.patch('/api/Contribution/30', { amount: 'fifty' }, { role: 'finance' });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body.details.map(({ field }) => field), ['body.amount']);
+    assert.strictEqual(db.find('UPDATE Contribution SET').length, 0);
+
+    db.on('FROM Contribution WHERE', [{ ...TITHE, paymentMethod: 'card' }]).on('FROM Person WHERE', [ANN]).on('UPDATE Person p SET', { affectedRows: 1 });
+    await api.patch('/api/Contribution/30', { notes: 'Corrected slip' }, { role: 'finance' });
+    assert.deepStrictEqual(db.find('UPDATE Contribution SET')[0].values, ['Corrected slip', 30]);
+});
+
+test('PUT and PATCH /api/Contribution/:id refuse a stale If-Match and leave the totals alone', async () => {
+    db.on('FROM Contribution WHERE', [TITHE]).on('FROM Person WHERE', [ANN]);
+    const read = await api.get('/api/Contribution/30', { role: 'finance' });
+    assert.match(read.headers.etag, /^"[\w-]+"$/);
+
+    db.on('FROM Contribution WHERE', [{ ...TITHE, amount: '520.00' }]);
+    const headers = { 'If-Match': read.headers.etag };
+    const stale = await api.put('/api/Contribution/30', { ...TITHE, amount: 550 }, { role: 'finance', headers });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.amount, '520.00');
+    assert.strictEqual((await api.patch('/api/Contribution/30', { amount: 550 }, { role: 'finance', headers })).status, 409);
+    assert.strictEqual(db.find('UPDATE Contribution SET').length, 0);
+    assert.strictEqual(db.find('UPDATE Person p SET').length, 0);
+});
+
+test('DELETE /api/Contribution/:id deletes the gift and refreshes totals, 404 outside scope', async () => {
+    db.on('FROM Contribution WHERE', [TITHE]);
+    assert.strictEqual((await api.del('/api/Contribution/30', { role: 'finance' })).status, 200);
+    assert.deepStrictEqual(db.find('DELETE FROM Contribution')[0].values, [30]);
+
+    db.on('FROM Contribution WHERE', []);
+    assert.strictEqual((await api.del('/api/Contribution/31')).status, 404);
+});
+
+test('GET /api/Person/:id/statement totals one person\'s giving', async () => {
+    db.on('FROM Person WHERE', [ANN]).on('FROM Contribution WHERE personId', [
+        { contributionId: 30, type: 'tithe', amount: '500.00', date: '2025-03-02' },
+        { contributionId: 31, type: 'tithe', amount: '0.10', date: '2025-03-09' }
+    ]);
+    const res = await api.get('/api/Person/12/statement?from=2025-01-01&to=2025-03-31', { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.total, 500.1);
+    assert.strictEqual(res.body.totals.tithe, 500.1);
+});
+
+test('GET /api/Person/:id/statement answers 404 for a person outside scope', async () => {
+    assert.strictEqual((await api.get('/api/Person/12/statement', { role: 'finance' })).status, 404);
+});
+
+test('GET /api/Person/:id/certificate streams the person\'s certificate for the year', async () => {
+    db.on('FROM Contribution ct JOIN Person p', giverTotals);
+    const res = await api.get('/api/Person/12/certificate?year=2024', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-disposition'], /giving-certificate-12-2024\.pdf/);
+    assert.deepStrictEqual(db.find('ct.personId IN (?)')[0].values.slice(3), [3, [12]]);
+});
+
+test('GET /api/Person/:id/certificate answers 404 when the person gave nothing that year', async () => {
+    assert.strictEqual((await api.get('/api/Person/12/certificate?year=2024')).status, 404);
+});
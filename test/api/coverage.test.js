@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { app } = require('./harness');
+
+// Every route registered on the app has at least one request in these files. A request is found by
+// its literal path, e.g. api.get('/api/Person/12?fields=name'); template paths are not counted.
+const REQUEST = /\bapi\.(get|post|put|patch|del|options|upload)\(\s*'(\/[^'?]*)/g;
+const METHODS = { del: 'delete', upload: 'post' };
+
+const requestsIn = (file) => [...fs.readFileSync(file, 'utf8').matchAll(REQUEST)]
+    .map(([, method, url]) => ({ method: METHODS[method] || method, url }));
+
+// '/api/Person/:id' as a pattern
+const routePattern = (route) => {
+    const source = route
+        .split('/')
+        .map((segment) => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.+?^$()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')))
+        .join('/');
+    return new RegExp(`^${source}/?$`, 'i');
+};
+
+test('every route is exercised by the API tests', () => {
+    const requests = fs.readdirSync(__dirname)
+        .filter((file) => file.endsWith('.test.js'))
+        .flatMap((file) => requestsIn(path.join(__dirname, file)));
+
+    const routes = app._router.stack
+        .filter((layer) => layer.route)
+        .flatMap(({ route }) => Object.keys(route.methods).map((method) => ({ method, path: route.path })));
+    assert.ok(routes.length > 100);
+
+    const untested = routes.filter(({ method, path: route }) => {
+        const pattern = routePattern(route);
+        return !requests.some((request) => request.method === method && pattern.test(request.url));
+    });
+    assert.deepStrictEqual(untested.map(({ method, path: route }) => `${method.toUpperCase()} ${route}`), []);
+});
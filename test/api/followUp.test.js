@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+
+const FOLLOW_UP = {
+    followUpId: 5, personId: 12, churchId: 3, source: 'saved', serviceDate: '2025-03-02', stage: 'new believer',
+    dueDate: '2025-03-04', leaderId: 7
+};
+const LEADER = { personId: 8, name: 'Thabo', surname: 'Mokoena', churchId: 3, cellLocation: 'Seshego' };
+
+test('GET /api/FollowUp lists follow-ups in scope', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [FOLLOW_UP]);
+    const res = await api.get('/api/FollowUp?stage=new%20believer', { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].followUpId, 5);
+    assert.deepStrictEqual(db.find('COUNT(*)')[0].values, [3, 'new believer']);
+});
+
+test('GET /api/FollowUp rejects a filter on an unknown column', async () => {
+    assert.strictEqual((await api.get('/api/FollowUp?password=x')).status, 400);
+});
+
+test('GET /api/FollowUp/overdue groups overdue follow-ups by leader; a cell leader sees only their own', async () => {
+    db.on('FROM FollowUp f JOIN Person p', [{ ...FOLLOW_UP, name: 'Ann', surname: 'Lee', leaderName: 'Lindiwe', leaderSurname: 'Zulu' }]);
+    const res = await api.get('/api/FollowUp/overdue?leaderId=9', { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.leaders[0].count, 1);
+    assert.deepStrictEqual(res.body.leaders[0].leader, { personId: 7, name: 'Lindiwe', surname: 'Zulu' });
+    assert.strictEqual(db.find('f.leaderId = ?')[0].values.at(-1), 7);
+});
+
+test('GET /api/FollowUp/reconciliation compares Stats counts with named follow-ups', async () => {
+    db.on('FROM Stats s LEFT JOIN Church c', [{ date: '2025-03-02', churchId: 3, churchName: 'Polokwane', saved: 3, visitors: 2 }])
+        .on('FROM FollowUp f LEFT JOIN Church c', [{ churchId: 3, churchName: 'Polokwane', serviceDate: '2025-03-02', source: 'saved', people: 1 }]);
+    const res = await api.get('/api/FollowUp/reconciliation?from=2025-03-01&to=2025-03-31&mismatchesOnly=true');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.totals.unrecorded, { saved: 2, visitors: 2 });
+    assert.strictEqual(res.body.data.length, 1);
+});
+
+test('GET /api/FollowUp/reconciliation rejects a reversed range', async () => {
+    assert.strictEqual((await api.get('/api/FollowUp/reconciliation?from=2025-04-01&to=2025-03-01')).status, 400);
+});
+
+test('GET /api/FollowUp/:id answers the follow-up with its history, 404 when missing', async () => {
+    db.on('FROM FollowUp WHERE', [FOLLOW_UP]).on('FROM FollowUpStage', [{ stage: 'new believer', changedBy: 1 }]);
+    const res = await api.get('/api/FollowUp/5');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.history.length, 1);
+
+    db.on('FROM FollowUp WHERE', []);
+    assert.strictEqual((await api.get('/api/FollowUp/6')).status, 404);
+});
+
+test('POST /api/FollowUp registers a new convert and opens their follow-up', async () => {
+    const res = await api.post('/api/FollowUp', { name: 'Karabo', surname: 'Molefe', source: 'saved', serviceDate: '2025-03-02' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 201);
+    assert.deepStrictEqual(res.body, { followUpId: INSERT_ID, personId: INSERT_ID });
+    assert.strictEqual(db.find('INSERT INTO FollowUpStage')[0].values[1], 'new believer');
+});
+
+test('POST /api/FollowUp rejects an unknown source and a leader from another church', async () => {
+    const source = await api.post('/api/FollowUp', { name: 'Karabo', surname: 'Molefe', source: 'walk-in' });
+    assert.strictEqual(source.status, 400);
+
+    db.on('FROM Person WHERE', [{ ...LEADER, churchId: 4 }]);
+    const leader = await api.post('/api/FollowUp', { name: 'Karabo', surname: 'Molefe', source: 'visitor', leaderId: 8 }, { role: 'pastor' });
+    assert.strictEqual(leader.status, 400);
+    assert.strictEqual(db.find('INSERT INTO FollowUp ').length, 0);
+});
+
+test('PUT /api/FollowUp/:id/stage moves the follow-up along the pipeline', async () => {
+    db.on('FROM FollowUp WHERE', [FOLLOW_UP]);
+    const res = await api.put('/api/FollowUp/5/stage', { stage: 'contacted', notes: 'Called on Monday' }, { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('INSERT INTO FollowUpStage')[0].values, [5, 'contacted', 1, 'Called on Monday']);
+});
+
+test('PUT /api/FollowUp/:id/stage refuses an unknown stage and another leader\'s follow-up', async () => {
+    assert.strictEqual((await api.put('/api/FollowUp/5/stage', { stage: 'graduated' })).status, 400);
+
+    db.on('FROM FollowUp WHERE', [{ ...FOLLOW_UP, leaderId: 9 }]);
+    assert.strictEqual((await api.put('/api/FollowUp/5/stage', { stage: 'contacted' }, { role: 'cell leader' })).status, 403);
+});
+
+test('PUT /api/FollowUp/:id/stage and /leader refuse an ETag read before someone else moved the follow-up', async () => {
+    db.on('FROM FollowUp WHERE', [FOLLOW_UP]).on('FROM Person WHERE', [LEADER]);
+    const read = await api.get('/api/FollowUp/5', { role: 'pastor' });
+    assert.match(read.headers.etag, /^"[\w-]+"$/);
+
+    db.on('FROM FollowUp WHERE', [{ ...FOLLOW_UP, stage: 'contacted' }]);
+    const headers = { 'If-Match': read.headers.etag };
+    const stale = await api.put('/api/FollowUp/5/stage', { stage: 'attended cell' }, { role: 'pastor', headers });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.details.current.stage, 'contacted');
+    assert.strictEqual((await api.put('/api/FollowUp/5/leader', { leaderId: 8 }, { role: 'pastor', headers })).status, 409);
+    assert.strictEqual(db.find('UPDATE FollowUp SET').length, 0);
+    assert.strictEqual(db.find('INSERT INTO FollowUpStage').length, 0);
+});
+
+test('PUT /api/FollowUp/:id/leader assigns a leader and updates the person\'s cell', async () => {
+    db.on('FROM FollowUp WHERE', [FOLLOW_UP]).on('FROM Person WHERE', [LEADER]);
+    const res = await api.put('/api/FollowUp/5/leader', { leaderId: 8 }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const [person] = db.find('UPDATE Person SET');
+    assert.deepStrictEqual(person.values.slice(0, 3), ['Thabo Mokoena', 'Seshego', 12]);
+});
+
+test('PUT /api/FollowUp/:id/leader answers 404 for a follow-up outside scope', async () => {
+    assert.strictEqual((await api.put('/api/FollowUp/5/leader', { leaderId: 8 }, { role: 'pastor' })).status, 404);
+});
+
+test('DELETE /api/FollowUp/:id deletes within scope, 404 otherwise', async () => {
+    const res = await api.del('/api/FollowUp/5', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('DELETE FROM FollowUp')[0].values, [5, 3]);
+
+    db.on('DELETE FROM FollowUp', { affectedRows: 0 });
+    assert.strictEqual((await api.del('/api/FollowUp/6')).status, 404);
+});
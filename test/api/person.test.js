@@ -0,0 +1,207 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+
+const ANN = { personId: 12, name: 'Ann', surname: 'Lee', churchId: 3, contactNumber: '0821234567' };
+
+test('GET /api/Person lists people in the caller\'s church only', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [ANN]);
+    const res = await api.get('/api/Person?surname[like]=Le', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].name, 'Ann');
+    const [count] = db.find('COUNT(*)');
+    assert.match(count.sql, /churchId = \?/);
+    assert.ok(count.values.includes(3));
+});
+
+test('GET /api/Person rejects an invalid page', async () => {
+    assert.strictEqual((await api.get('/api/Person?page=0')).status, 400);
+});
+
+test('GET /api/Person/export streams an xlsx workbook', async () => {
+    db.on('FROM Person', [ANN]);
+    const res = await api.get('/api/Person/export?format=xlsx');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-type'], /spreadsheetml/);
+    assert.strictEqual(res.raw.subarray(0, 2).toString(), 'PK');
+});
+
+test('GET /api/Person/:id answers the person, 404 outside scope and 400 for a bad id', async () => {
+    db.on('FROM Person WHERE', [ANN]);
+    const found = await api.get('/api/Person/12', { role: 'cell leader' });
+    assert.strictEqual(found.status, 200);
+    assert.deepStrictEqual(found.body, [ANN]);
+
+    db.on('FROM Person WHERE', []);
+    assert.strictEqual((await api.get('/api/Person/13')).status, 404);
+    assert.strictEqual((await api.get('/api/Person/abc')).status, 400);
+});
+
+test('POST /api/Person creates the person in the caller\'s church', async () => {
+    const res = await api.post('/api/Person', { name: 'Sipho', surname: 'Nkosi' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.insertId, INSERT_ID);
+    const [insert] = db.find('INSERT INTO Person');
+    assert.deepStrictEqual(insert.values, ['Sipho', 'Nkosi', 3]);
+});
+
+test('POST /api/Person refuses another church and a finance user', async () => {
+    const other = await api.post('/api/Person', { name: 'Sipho', surname: 'Nkosi', churchId: 4 }, { role: 'pastor' });
+    assert.strictEqual(other.status, 403);
+    const finance = await api.post('/api/Person', { name: 'Sipho', surname: 'Nkosi' }, { role: 'finance' });
+    assert.strictEqual(finance.status, 403);
+    assert.strictEqual(db.find('INSERT').length, 0);
+});
+
+test('POST /api/Person/bulk reports each item and commits a partial batch', async () => {
+    const res = await api.post('/api/Person/bulk', {
+        mode: 'partial',
+        items: [{ name: 'Thabo', surname: 'Mokoena', churchId: 3 }, { name: 'No surname', churchId: 3 }]
+    });
+    assert.strictEqual(res.status, 207);
+    assert.deepStrictEqual(res.body.summary, { total: 2, created: 1, failed: 1 });
+    assert.match(res.body.results[1].reason, /surname/);
+});
+
+test('POST /api/Person/bulk rejects an empty batch', async () => {
+    const res = await api.post('/api/Person/bulk', { items: [] });
+    assert.strictEqual(res.status, 400);
+});
+
+test('POST /api/Person/import previews a CSV and imports it when dryRun=false', async () => {
+    const content = 'First Name,Surname,Phone\nNaledi,Dlamini,0821112222\nAnn,Lee,0821234567\n';
+    db.on('SELECT churchId FROM Church', [{ churchId: 3 }]).on('SELECT personId, name', [ANN]);
+
+    const preview = await api.upload('/api/Person/import', { filename: 'members.csv', content, contentType: 'text/csv' }, { role: 'pastor' });
+    assert.strictEqual(preview.status, 200);
+    assert.deepStrictEqual(preview.body.summary, { total: 2, valid: 1, duplicate: 1 });
+    assert.strictEqual(db.find('INSERT INTO Person').length, 0);
+
+    const imported = await api.upload('/api/Person/import?dryRun=false', { filename: 'members.csv', content, contentType: 'text/csv' }, { role: 'pastor' });
+    assert.deepStrictEqual(imported.body.summary, { total: 2, created: 1, duplicate: 1 });
+    assert.deepStrictEqual(db.find('INSERT INTO Person')[0].values, ['0821112222', 'Naledi', 'Dlamini', 3]);
+});
+
+test('POST /api/Person/import matches phone numbers by their digits, among people in the caller\'s scope only', async () => {
+    const content = 'Name,Surname,Phone\nAnnie,Lee-Smith,+27 (082) 123-4567\n';
+    db.on('SELECT churchId FROM Church', [{ churchId: 3 }]).on('SELECT personId, name', [ANN]);
+
+    const res = await api.upload('/api/Person/import', { filename: 'members.csv', content, contentType: 'text/csv' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const [lookup] = db.find('SELECT personId, name');
+    assert.match(lookup.sql, /REGEXP_REPLACE\(contactNumber, '\[\^0-9\]', ''/);
+    assert.match(lookup.sql, /churchId = \?/);
+    assert.ok(lookup.values.flat().includes('270821234567'));
+    assert.ok(lookup.values.flat().includes(3));
+});
+
+test('POST /api/Person/import maps no column to an Object member such as constructor or toString', async () => {
+    const content = 'Name,Surname,constructor,toString\nNaledi,Dlamini,x,y\n';
+    db.on('SELECT churchId FROM Church', [{ churchId: 3 }]);
+    const file = { filename: 'members.csv', content, contentType: 'text/csv' };
+
+    const res = await api.upload('/api/Person/import', { ...file, fields: { mapping: '{"toString": "constructor"}' } }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.columns, { Name: 'name', Surname: 'surname' });
+    assert.deepStrictEqual(res.body.unmappedColumns, ['constructor', 'toString']);
+    assert.deepStrictEqual(res.body.rows[0].data, { name: 'Naledi', surname: 'Dlamini', churchId: 3 });
+});
+
+test('POST /api/Person/import rejects a mapping that is not an object of field names', async () => {
+    const file = { filename: 'members.csv', content: 'First,Last\nNaledi,Dlamini\n', contentType: 'text/csv' };
+    for (const mapping of ['null', '[]', '{"First": 1}', '{not json']) {
+        const res = await api.upload('/api/Person/import', { ...file, fields: { mapping } });
+        assert.strictEqual(res.status, 400, mapping);
+    }
+    const mapped = await api.upload('/api/Person/import', { ...file, fields: { mapping: '{"First": "name", "Last": "surname"}' } });
+    assert.strictEqual(mapped.status, 200);
+    assert.strictEqual(mapped.body.rows[0].data.name, 'Naledi');
+});
+
+test('POST /api/Person/import rejects a file with no data rows', async () => {
+    const res = await api.upload('/api/Person/import', { filename: 'empty.csv', content: 'name,surname\n', contentType: 'text/csv' });
+    assert.strictEqual(res.status, 400);
+});
+
+test('PUT /api/Person/:id replaces the person named in the path', async () => {
+    const res = await api.put('/api/Person/12', { ...ANN, name: 'Anne' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('UPDATE Person SET')[0].values.slice(-2), [12, 3]);
+    assert.strictEqual(res.headers.deprecation, undefined);
+});
+
+test('PUT /api/Person/:id refuses a body naming another person, and answers 404 for one outside the church', async () => {
+    const mismatch = await api.put('/api/Person/13', ANN, { role: 'pastor' });
+    assert.strictEqual(mismatch.status, 400);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+
+    db.on('UPDATE Person SET', { affectedRows: 0 });
+    assert.strictEqual((await api.put('/api/Person/99', { ...ANN, personId: 99 }, { role: 'pastor' })).status, 404);
+});
+
+test('PUT /api/Person still takes the id from the body, marked deprecated', async () => {
+    const res = await api.put('/api/Person', { ...ANN, name: 'Anne' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.deprecation, /^@\d+$/);
+    assert.strictEqual(res.headers.link, '</api/Person/12>; rel="successor-version"');
+    assert.deepStrictEqual(db.find('UPDATE Person SET')[0].values.slice(-2), [12, 3]);
+});
+
+test('PATCH /api/Person/:id writes only the fields sent', async () => {
+    db.on('FROM Person WHERE', [{ ...ANN, contactNumber: '0829999999' }]);
+    const res = await api.patch('/api/Person/12', { contactNumber: '0829999999' }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.contactNumber, '0829999999');
+    const [update] = db.find('UPDATE Person SET');
+    assert.match(update.sql, /^UPDATE Person SET `contactNumber` = \? WHERE/);
+    assert.deepStrictEqual(update.values, ['0829999999', 12, 3]);
+});
+
+test('PATCH /api/Person/:id needs a field to change and a person in scope', async () => {
+    assert.strictEqual((await api.patch('/api/Person/12', { personId: 12 }, { role: 'pastor' })).status, 400);
+    assert.strictEqual((await api.patch('/api/Person/12', { churchId: 4 }, { role: 'pastor' })).status, 403);
+    assert.strictEqual((await api.patch('/api/Person/12', { contactNumber: 'call me' }, { role: 'pastor' })).status, 400);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+
+    db.on('UPDATE Person SET', { affectedRows: 0 });
+    assert.strictEqual((await api.patch('/api/Person/99', { name: 'Anne' }, { role: 'pastor' })).status, 404);
+});
+
+// Two secretaries read Ann; the first saves a new number, then the second saves with the ETag they read
+test('PATCH /api/Person/:id with a stale If-Match answers 409 with the person as they now are', async () => {
+    db.on('FROM Person WHERE', [ANN]);
+    const read = await api.get('/api/Person/12', { role: 'pastor' });
+    assert.match(read.headers.etag, /^"[\w-]+"$/);
+
+    const first = await api.patch('/api/Person/12', { contactNumber: '0829999999' }, { role: 'pastor', headers: { 'If-Match': read.headers.etag } });
+    assert.strictEqual(first.status, 200);
+    assert.match(db.find('FOR UPDATE')[0].sql, /FROM Person WHERE `personId` = \? AND churchId = \?/);
+    assert.strictEqual(db.find('UPDATE Person SET').length, 1);
+
+    const saved = { ...ANN, contactNumber: '0829999999' };
+    db.on('FROM Person WHERE', [saved]);
+    const second = await api.patch('/api/Person/12', { surname: 'Lee-Smith' }, { role: 'pastor', headers: { 'If-Match': read.headers.etag } });
+    assert.strictEqual(second.status, 409);
+    assert.deepStrictEqual(second.body.details.current, saved);
+    assert.notStrictEqual(second.body.details.etag, read.headers.etag);
+    assert.strictEqual(db.find('UPDATE Person SET').length, 1);
+});
+
+test('PUT /api/Person/:id honours If-Match too, and writes as before without it', async () => {
+    db.on('FROM Person WHERE', [{ ...ANN, name: 'Annie' }]);
+    const stale = await api.put('/api/Person/12', ANN, { role: 'pastor', headers: { 'If-Match': '"outdated"' } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(db.find('UPDATE Person SET').length, 0);
+
+    assert.strictEqual((await api.put('/api/Person/12', ANN, { role: 'pastor', headers: { 'If-Match': '*' } })).status, 200);
+    assert.strictEqual((await api.put('/api/Person/12', ANN, { role: 'pastor' })).status, 200);
+    assert.strictEqual(db.find('FOR UPDATE').length, 2);
+    assert.strictEqual(db.find('UPDATE Person SET').length, 2);
+});
+
+test('DELETE /api/Person/:id moves the person to the recycle bin', async () => {
+    const res = await api.del('/api/Person/12', { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const [trash] = db.find('UPDATE Person SET `deletedAt`');
+    assert.deepStrictEqual(trash.values.slice(2), [[12], 3]);
+});
@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { api, db, INSERT_ID } = require('./harness');
+
+const SUNDAY = { statsId: 40, churchId: 3, date: '2025-03-02', adult: 120, car: 20, fk: 18, saved: 2, visitors: 6, aow: 1, ck: 9, offering: 4250.5 };
+
+// One row of Stats.dailyTotals grouped by church
+const daily = (date, churchId, churchName, adult) => ({
+    date, churchId, churchName, region: 'North', province: 'Limpopo', services: 1,
+    adult, car: 0, fk: 0, saved: 0, offering: '0.00', visitors: 0, aow: 0, ck: 0
+});
+
+test('GET /api/Stats filters by region through the Church table', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [SUNDAY]);
+    const res = await api.get('/api/Stats?region=North&date[gte]=2025-01-01');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].statsId, 40);
+    assert.match(db.find('COUNT(*)')[0].sql, /churchId IN \(SELECT churchId FROM Church WHERE region = \?\)/);
+});
+
+test('GET /api/Stats rejects an unknown filter operator', async () => {
+    assert.strictEqual((await api.get('/api/Stats?adult[near]=5')).status, 400);
+});
+
+test('GET /api/Stats/export streams CSV', async () => {
+    db.on('FROM Stats', [SUNDAY]);
+    const res = await api.get('/api/Stats/export?format=csv&fields=date,adult');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.text.split(/\r?\n/)[0], 'date,adult');
+});
+
+test('GET /api/Stats/analytics/totals sums services per period with growth', async () => {
+    db.on('FROM Stats s LEFT JOIN Church c', [daily('2025-02-02', 3, 'Polokwane', 100), daily('2025-03-02', 3, 'Polokwane', 150)]);
+    const res = await api.get('/api/Stats/analytics/totals?period=month&from=2025-02-01&to=2025-03-31');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.data.map((row) => [row.period, row.totals.adult, row.growth.adult]), [
+        ['2025-02', 100, null],
+        ['2025-03', 150, 0.5]
+    ]);
+});
+
+test('GET /api/Stats/analytics/totals rejects a reversed range and an unknown period', async () => {
+    assert.strictEqual((await api.get('/api/Stats/analytics/totals?from=2025-03-01&to=2025-01-01')).status, 400);
+    assert.strictEqual((await api.get('/api/Stats/analytics/totals?period=fortnight')).status, 400);
+});
+
+test('GET /api/Stats/analytics/rankings ranks churches on the window', async () => {
+    db.on('FROM Stats s LEFT JOIN Church c', [daily('2025-03-02', 3, 'Polokwane', 90), daily('2025-03-02', 4, 'Mbombela', 140)]);
+    const res = await api.get('/api/Stats/analytics/rankings?from=2025-03-01&to=2025-03-31&limit=1');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body.top.map((entry) => [entry.rank, entry.churchName]), [[1, 'Mbombela']]);
+});
+
+test('GET /api/Stats/analytics/rankings rejects an unknown metric', async () => {
+    assert.strictEqual((await api.get('/api/Stats/analytics/rankings?metric=tithes')).status, 400);
+});
+
+test('GET /api/Stats/:id answers the row, 404 when missing and 400 for a bad id', async () => {
+    db.on('FROM Stats WHERE', [SUNDAY]);
+    assert.deepStrictEqual((await api.get('/api/Stats/40')).body, [SUNDAY]);
+
+    db.on('FROM Stats WHERE', []);
+    assert.strictEqual((await api.get('/api/Stats/41')).status, 404);
+    assert.strictEqual((await api.get('/api/Stats/x')).status, 400);
+});
+
+test('POST /api/Stats records a service for the caller\'s church', async () => {
+    const res = await api.post('/api/Stats', { date: '2025-03-09', adult: 110, offering: 3900 }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.insertId, INSERT_ID);
+    assert.ok(db.find('INSERT INTO Stats')[0].values.includes(3));
+});
+
+test('POST /api/Stats validates the body and refuses a cell leader', async () => {
+    assert.strictEqual((await api.post('/api/Stats', { date: 'last Sunday', churchId: 3 })).status, 400);
+    assert.strictEqual((await api.post('/api/Stats', { date: '2025-03-09' }, { role: 'cell leader' })).status, 403);
+});
+
+test('POST /api/Stats/bulk rolls an atomic batch back when one item fails', async () => {
+    const res = await api.post('/api/Stats/bulk', {
+        items: [{ churchId: 3, date: '2025-03-09', adult: 100 }, { churchId: 4, adult: 80 }]
+    }, { role: 'pastor' });
+    assert.strictEqual(res.status, 422);
+    assert.strictEqual(res.body.committed, false);
+    assert.deepStrictEqual(res.body.results.map((result) => result.status), ['rolled_back', 'failed']);
+    assert.ok(db.find('ROLLBACK').length);
+});
+
+test('POST /api/Stats/bulk stops an atomic batch at the first failure', async () => {
+    const res = await api.post('/api/Stats/bulk', {
+        items: [{ churchId: 3, date: '2025-03-09', adult: 100 }, { churchId: 4, adult: 80 }, { churchId: 3, date: '2025-03-16', adult: 90 }]
+    }, { role: 'pastor' });
+    assert.strictEqual(res.status, 422);
+    assert.deepStrictEqual(res.body.results.map((result) => result.status), ['rolled_back', 'failed', 'not_run']);
+    assert.deepStrictEqual(res.body.summary, { total: 3, rolled_back: 1, failed: 1, not_run: 1 });
+    assert.strictEqual(db.find('INSERT INTO Stats').length, 1);
+});
+
+test('POST /api/Stats/bulk checks each item against the Stats schema before writing it', async () => {
+    const items = [{ churchId: 3, date: '2025-03-09', adult: 100 }, { churchId: 3, date: '2025-03-16', adult: 'abc' }];
+    const partial = await api.post('/api/Stats/bulk', { mode: 'partial', items }, { role: 'pastor' });
+    assert.strictEqual(partial.status, 207);
+    assert.deepStrictEqual(partial.body.results[1], {
+        index: 1, status: 'failed', reason: 'Validation failed', errors: [{ field: 'adult', message: 'must be integer' }]
+    });
+    assert.strictEqual(db.find('INSERT INTO Stats').length, 1);
+
+    db.reset();
+    const atomic = await api.post('/api/Stats/bulk', { items }, { role: 'pastor' });
+    assert.strictEqual(atomic.status, 422);
+    assert.deepStrictEqual(atomic.body.results.map((result) => result.status), ['rolled_back', 'failed']);
+    assert.ok(db.find('ROLLBACK').length);
+});
+
+test('POST /api/Stats/bulk rejects an unknown mode', async () => {
+    assert.strictEqual((await api.post('/api/Stats/bulk', { mode: 'best-effort', items: [{}] })).status, 400);
+});
+
+test('PUT /api/Stats/:id replaces the row named in the path', async () => {
+    const res = await api.put('/api/Stats/40', { ...SUNDAY, adult: 125 }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    const [update] = db.find('UPDATE Stats SET');
+    assert.match(update.sql, /WHERE `statsId` = \? AND churchId = \?/);
+    assert.deepStrictEqual(update.values.slice(-2), [40, 3]);
+
+    assert.strictEqual((await api.put('/api/Stats/41', SUNDAY, { role: 'pastor' })).status, 400);
+});
+
+test('PUT /api/Stats replaces the row named in the body, marked deprecated', async () => {
+    const res = await api.put('/api/Stats', { ...SUNDAY, adult: 125 }, { role: 'pastor' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.link, '</api/Stats/40>; rel="successor-version"');
+    assert.deepStrictEqual(db.find('UPDATE Stats SET')[0].values.slice(-2), [40, 3]);
+});
+
+test('PATCH /api/Stats/:id writes only the fields sent, 404 when the row is not in scope', async () => {
+    db.on('FROM Stats WHERE', [{ ...SUNDAY, offering: 4300 }]);
+    const res = await api.patch('/api/Stats/40', { offering: 4300 }, { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.offering, 4300);
+    assert.deepStrictEqual(db.find('UPDATE Stats SET').map(({ values }) => values), [[4300, 40, 3]]);
+
+    db.on('UPDATE Stats SET', { affectedRows: 0 });
+    assert.strictEqual((await api.patch('/api/Stats/41', { offering: 4300 }, { role: 'finance' })).status, 404);
+});
+
+test('PATCH /api/Stats/:id checks the fields sent against the Stats schema and fills in no defaults', async () => {
+    const res = await api.patch('/api/Stats/40', { adult: 'abc', churchId: 3 }, { role: 'finance' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(res.body.details.map(({ field }) => field), ['body.adult']);
+    assert.strictEqual((await api.patch('/api/Stats/40', { offering: -5 }, { role: 'finance' })).status, 400);
+    assert.strictEqual(db.find('UPDATE Stats SET').length, 0);
+
+    db.on('FROM Stats WHERE', [SUNDAY]);
+    await api.patch('/api/Stats/40', { adult: '125' }, { role: 'finance' });
+    assert.deepStrictEqual(db.find('UPDATE Stats SET')[0].values, [125, 40, 3]);
+});
+
+test('DELETE /api/Stats/:id moves the row to the recycle bin', async () => {
+    const res = await api.del('/api/Stats/40', { role: 'finance' });
+    assert.strictEqual(res.status, 200);
+    const [trash] = db.find('UPDATE Stats SET `deletedAt`');
+    assert.deepStrictEqual(trash.values.slice(2), [[40], 3]);
+});
+
+// The old route ran `delete * from Stats`; rows now only leave the table one id at a time from the recycle bin
+test('a Stats row is only ever deleted by its id', async () => {
+    db.on('FROM Stats WHERE `statsId` = ?', [{ ...SUNDAY, deletedAt: '2025-03-10 09:00:00', deletedBy: 1 }]);
+    const res = await api.del('/api/RecycleBin/Stats/40');
+    assert.strictEqual(res.status, 200);
+    const deletes = db.find(/^DELETE/i);
+    assert.deepStrictEqual(deletes.map(({ sql, values }) => [sql, values]), [
+        ['DELETE FROM Stats WHERE `statsId` IN (?) AND `deletedAt` IS NOT NULL', [[40]]]
+    ]);
+});
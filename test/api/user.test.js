@@ -0,0 +1,223 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { api, db, INSERT_ID } = require('./harness');
+const { hashPassword } = require('../../middleware/auth');
+
+const PASSWORD = 'Welcome2Church!';
+const PASTOR = { userId: 5, username: 'pastor.john', role: 'Pastor', personId: 7, churchId: 3, region: 'North' };
+
+let passwordHash;
+before(async () => {
+    passwordHash = await hashPassword(PASSWORD);
+});
+
+const refreshTokenFor = (userId) => jwt.sign({ sub: String(userId), type: 'refresh' }, process.env.JWT_SECRET);
+
+test('GET /api/User lists users for admins only', async () => {
+    db.on('COUNT(*) AS total', [{ total: 1 }]).on('LIMIT ? OFFSET ?', [{ userId: 5, username: 'pastor.john', role: 'pastor', personId: 7 }]);
+    const res = await api.get('/api/User');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data[0].password, undefined);
+    assert.doesNotMatch(db.find('LIMIT ? OFFSET ?')[0].sql, /password/);
+
+    assert.strictEqual((await api.get('/api/User', { role: 'pastor' })).status, 403);
+});
+
+test('GET /api/User/:id answers the user without the password, 404 when missing', async () => {
+    db.on('FROM User WHERE', [{ userId: 5, username: 'pastor.john', role: 'pastor', password: passwordHash, personId: 7 }]);
+    const res = await api.get('/api/User/5');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, [{ userId: 5, username: 'pastor.john', role: 'pastor', personId: 7 }]);
+    assert.doesNotMatch(res.text, /\$2[aby]\$/);
+
+    db.on('FROM User WHERE', []);
+    assert.strictEqual((await api.get('/api/User/6')).status, 404);
+});
+
+test('POST /api/User stores a bcrypt hash, never the password', async () => {
+    const res = await api.post('/api/User', { username: 'finance.tembisa', role: 'finance', password: PASSWORD });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.insertId, INSERT_ID);
+    const [insert] = db.find('INSERT INTO User');
+    assert.match(insert.values[2], /^\$2[aby]\$/);
+    assert.ok(!insert.values.includes(PASSWORD));
+});
+
+test('POST /api/User rejects a short password', async () => {
+    const res = await api.post('/api/User', { username: 'finance.tembisa', role: 'finance', password: 'short' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(db.find('INSERT').length, 0);
+});
+
+test('GET /api/User refuses filter values that are not plain values', async () => {
+    for (const filter of ['username[eq][password]=x', 'username[0][password]=x', 'username[in][0][password]=x', 'username[gt][]=a']) {
+        const res = await api.get(`/api/User?${filter}`);
+        assert.strictEqual(res.status, 400, filter);
+    }
+    assert.strictEqual(db.find('FROM User').length, 0);
+
+    assert.strictEqual((await api.get('/api/User?username[in]=pastor.john,admin')).status, 200);
+    assert.deepStrictEqual(db.find('COUNT(*)')[0].values, [['pastor.john', 'admin']]);
+});
+
+test('POST /Login/ issues tokens carrying the user\'s church and region', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    db.on('FROM User u LEFT JOIN Person p', [{ ...PASTOR, password: passwordHash }]);
+    const res = await api.post('/Login/', { username: 'pastor.john', password: PASSWORD }, { token: null });
+    assert.strictEqual(res.status, 200);
+    const claims = jwt.decode(res.body.accessToken);
+    assert.deepStrictEqual([claims.role, claims.churchId, claims.region], ['pastor', 3, 'North']);
+    assert.strictEqual((await api.get('/api/Person/12', { token: res.body.accessToken })).status, 404);
+    assert.strictEqual(log.mock.callCount(), 0);
+});
+
+test('POST /Login/ refuses a wrong password and upgrades a legacy plaintext one', async () => {
+    db.on('FROM User u LEFT JOIN Person p', [{ ...PASTOR, password: PASSWORD }]);
+    const wrong = await api.post('/Login/', { username: 'pastor.john', password: 'guess' }, { token: null });
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(db.find('UPDATE User SET password').length, 0);
+
+    const legacy = await api.post('/Login/', { username: 'pastor.john', password: PASSWORD }, { token: null });
+    assert.strictEqual(legacy.status, 200);
+    assert.match(db.find('UPDATE User SET password')[0].values[0], /^\$2[aby]\$/);
+    assert.strictEqual(db.find('tokenVersion + 1').length, 0);
+});
+
+test('POST /Login/ answers 500 when upgrading a legacy password fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    db.on('FROM User u LEFT JOIN Person p', [{ ...PASTOR, password: PASSWORD }])
+        .on('UPDATE User SET password', new Error('connect ECONNREFUSED'));
+    const res = await api.post('/Login/', { username: 'pastor.john', password: PASSWORD }, { token: null });
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(res.body.accessToken, undefined);
+});
+
+test('POST /Login/refresh re-reads the user before issuing new tokens', async () => {
+    db.on('FROM User u LEFT JOIN Person p', [{ ...PASTOR, role: 'finance' }]);
+    const res = await api.post('/Login/refresh', { refreshToken: refreshTokenFor(5) }, { token: null });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(jwt.decode(res.body.accessToken).role, 'finance');
+
+    db.on('FROM User u LEFT JOIN Person p', []);
+    assert.strictEqual((await api.post('/Login/refresh', { refreshToken: refreshTokenFor(5) }, { token: null })).status, 401);
+});
+
+test('POST /Login/refresh refuses a refresh token issued before the password changed', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    db.on('FROM User u LEFT JOIN Person p', [{ ...PASTOR, password: passwordHash, tokenVersion: 0 }]);
+    const { refreshToken } = (await api.post('/Login/', { username: 'pastor.john', password: PASSWORD }, { token: null })).body;
+
+    db.on('FROM User WHERE', [{ ...PASTOR, password: passwordHash }]);
+    const changed = await api.put('/api/User/password', { currentPassword: PASSWORD, newPassword: 'Another2Church!' }, { role: 'pastor' });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual(db.find('SET tokenVersion = tokenVersion + 1').length, 1);
+
+    db.on('FROM User u LEFT JOIN Person p', [{ ...PASTOR, tokenVersion: 1 }]);
+    const stale = await api.post('/Login/refresh', { refreshToken }, { token: null });
+    assert.strictEqual(stale.status, 401);
+    assert.match(stale.body.message, /password change/);
+
+    db.on('FROM User u LEFT JOIN Person p', [{ ...PASTOR, password: passwordHash, tokenVersion: 1 }]);
+    const fresh = (await api.post('/Login/', { username: 'pastor.john', password: PASSWORD }, { token: null })).body;
+    assert.strictEqual((await api.post('/Login/refresh', { refreshToken: fresh.refreshToken }, { token: null })).status, 200);
+});
+
+test('POST /Login/refresh refuses an access token', async () => {
+    const res = await api.post('/Login/refresh', { refreshToken: jwt.sign({ sub: '5', type: 'access' }, process.env.JWT_SECRET) }, { token: null });
+    assert.strictEqual(res.status, 401);
+});
+
+test('PUT /api/User/password changes the caller\'s own password after checking the current one', async () => {
+    db.on('FROM User WHERE', [{ ...PASTOR, password: passwordHash }]);
+    const res = await api.put('/api/User/password', { currentPassword: PASSWORD, newPassword: 'Another2Church!' }, { role: 'cell leader' });
+    assert.strictEqual(res.status, 200);
+    const [update] = db.find('UPDATE User SET password');
+    assert.strictEqual(update.values[1], 1);
+
+    const wrong = await api.put('/api/User/password', { currentPassword: 'guess', newPassword: 'Another2Church!' });
+    assert.strictEqual(wrong.status, 401);
+});
+
+test('PUT /api/User/password rejects a short new password', async () => {
+    assert.strictEqual((await api.put('/api/User/password', { currentPassword: PASSWORD, newPassword: 'short' })).status, 400);
+});
+
+test('POST /api/User/:id/reset-password sets a temporary password, 404 for an unknown user', async () => {
+    const res = await api.post('/api/User/5/reset-password', {});
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.temporaryPassword.length, 12);
+    assert.deepStrictEqual(db.find('tokenVersion + 1')[0].values, [5]);
+
+    db.on('UPDATE User SET password', { affectedRows: 0 });
+    assert.strictEqual((await api.post('/api/User/6/reset-password', {})).status, 404);
+});
+
+test('PUT /api/User/:id updates the user, keeping the password unless one is given', async () => {
+    const res = await api.put('/api/User/5', { username: 'pastor.john', role: 'pastor', personId: 7 });
+    assert.strictEqual(res.status, 200);
+    const [update] = db.find('UPDATE User SET');
+    assert.doesNotMatch(update.sql, /password/);
+    assert.strictEqual(update.values.at(-1), 5);
+    assert.strictEqual(db.find('tokenVersion + 1').length, 0);
+});
+
+test('PUT /api/User still takes the id from the body, marked deprecated, and 404s an unknown user', async () => {
+    const res = await api.put('/api/User', { userId: 5, username: 'pastor.john', role: 'pastor', personId: 7 });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.link, '</api/User/5>; rel="successor-version"');
+    assert.strictEqual(db.find('UPDATE User SET')[0].values.at(-1), 5);
+
+    db.on('UPDATE User SET', { affectedRows: 0 });
+    assert.strictEqual((await api.put('/api/User/6', { username: 'nobody', role: 'pastor' })).status, 404);
+});
+
+test('PATCH /api/User/:id writes only the fields sent and hashes a new password', async () => {
+    db.on('FROM User WHERE', [{ ...PASTOR, role: 'finance' }]);
+    const res = await api.patch('/api/User/5', { role: 'finance', password: 'Another2Church!' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.role, 'finance');
+    const [update] = db.find('UPDATE User SET');
+    assert.match(update.sql, /SET `role` = \?, `password` = \? WHERE/);
+    assert.notStrictEqual(update.values[1], 'Another2Church!');
+    assert.strictEqual(update.values.at(-1), 5);
+    assert.deepStrictEqual(db.find('tokenVersion + 1')[0].values, [5]);
+});
+
+test('PATCH /api/User/:id rejects a short password, an empty change and a body naming another user', async () => {
+    assert.strictEqual((await api.patch('/api/User/5', { password: 'short' })).status, 400);
+    assert.strictEqual((await api.patch('/api/User/5', { userId: 5 })).status, 400);
+    assert.strictEqual((await api.patch('/api/User/5', { userId: 6, role: 'finance' })).status, 400);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+});
+
+test('PATCH /api/User/:id refuses a role outside the list and a wrongly typed person', async () => {
+    const role = await api.patch('/api/User/5', { role: 'superuser' });
+    assert.strictEqual(role.status, 400);
+    assert.deepStrictEqual(role.body.details.map(({ field }) => field), ['body.role']);
+    assert.strictEqual((await api.patch('/api/User/5', { personId: 'seven' })).status, 400);
+    assert.strictEqual(db.find('UPDATE').length, 0);
+});
+
+test('a new password changes the user\'s ETag, so an edit read before it is refused', async () => {
+    const stored = { userId: 5, username: 'pastor.john', role: 'pastor', password: passwordHash, personId: 7 };
+    db.on('FROM User WHERE', [stored]);
+    const read = await api.get('/api/User/5');
+
+    db.on('FROM User WHERE', [{ ...stored, password: await hashPassword('Another2Church!') }]);
+    assert.notStrictEqual((await api.get('/api/User/5')).headers.etag, read.headers.etag);
+    const stale = await api.patch('/api/User/5', { role: 'finance' }, { headers: { 'If-Match': read.headers.etag } });
+    assert.strictEqual(stale.status, 409);
+    assert.deepStrictEqual(stale.body.details.current, { userId: 5, username: 'pastor.john', role: 'pastor', personId: 7 });
+    assert.strictEqual(db.find('UPDATE User SET').length, 0);
+
+    const retried = await api.patch('/api/User/5', { role: 'finance' }, { headers: { 'If-Match': stale.body.details.etag } });
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.body.password, undefined);
+});
+
+test('DELETE /api/User/:id deletes the user', async () => {
+    const res = await api.del('/api/User/5');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(db.find('DELETE FROM User')[0].values, [5]);
+});
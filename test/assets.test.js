@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./database');
+const { depreciation, maintenanceStatus, depreciationReport, assetDepreciation } = require('../data/assets');
+
+const PA_SYSTEM = {
+    asset_id: 7, name: 'PA system', category: 'Sound', location_id: 2, locationName: 'Main hall',
+    purchase_date: '2023-03-15', purchase_price: '12000.00', useful_life_years: '4.0', salvage_value: '1200.00'
+};
+
+test('straight-line depreciation counts whole months and stops at the salvage value', () => {
+    const year = depreciation(PA_SYSTEM, '2024-03-15');
+    assert.strictEqual(year.monthsDepreciated, 12);
+    assert.strictEqual(year.accumulated, 2700);
+    assert.strictEqual(year.bookValue, 9300);
+    assert.strictEqual(depreciation(PA_SYSTEM, '2024-03-14').monthsDepreciated, 11);
+
+    const later = depreciation(PA_SYSTEM, '2030-01-01');
+    assert.strictEqual(later.bookValue, 1200);
+    assert.strictEqual(later.fullyDepreciated, true);
+    assert.strictEqual(depreciation(PA_SYSTEM, '2023-01-01').accumulated, 0);
+    assert.strictEqual(depreciation({ purchase_date: '2024-01-01', purchase_price: '100' }, '2025-01-01').usefulLifeYears, 5);
+});
+
+test('maintenance falls due after the interval and is overdue once the date has passed', () => {
+    const schedule = { intervalDays: 90, leadDays: 14 };
+    assert.deepStrictEqual(
+        maintenanceStatus({ last_maintenance_date: '2025-01-01' }, schedule, '2025-03-25'),
+        { lastDone: '2025-01-01', nextDue: '2025-04-01', status: 'due', daysUntilDue: 7 }
+    );
+    assert.strictEqual(maintenanceStatus({ last_maintenance_date: '2025-01-01' }, schedule, '2025-03-01').status, 'ok');
+    assert.strictEqual(maintenanceStatus({ purchase_date: '2024-06-01' }, schedule, '2025-03-01').status, 'overdue');
+    assert.strictEqual(maintenanceStatus({}, schedule, '2025-03-01').status, 'due');
+});
+
+test('the depreciation report charges the period and totals per category to the cent', async () => {
+    db.on('FROM Assets a LEFT JOIN Locations', [
+        PA_SYSTEM,
+        { asset_id: 8, name: 'Projector', category: 'Sound', purchase_date: '2024-07-01', purchase_price: '999.99', useful_life_years: '3' },
+        { asset_id: 9, name: 'Chairs', category: null, purchase_date: '2020-01-01', purchase_price: '500.00', useful_life_years: '2' }
+    ]);
+    const report = await depreciationReport({ asOf: '2024-12-31', from: '2024-01-01' });
+
+    assert.deepStrictEqual(report.data.map((row) => row.periodDepreciation), [2700, 138.89, 0]);
+    assert.deepStrictEqual(report.totals, {
+        assets: 3, cost: 13499.99, accumulated: 5363.89, bookValue: 8136.1, periodDepreciation: 2838.89
+    });
+    assert.deepStrictEqual(report.byCategory.map((row) => [row.category, row.assets, row.bookValue]), [['Sound', 2, 8136.1], [null, 1, 0]]);
+});
+
+test('the yearly schedule ends on the salvage value with a part year last', async () => {
+    db.on('FROM Assets WHERE', [{ ...PA_SYSTEM, useful_life_years: '2.5' }]);
+    const { schedule } = await assetDepreciation(7, { asOf: '2024-01-01' });
+
+    assert.deepStrictEqual(schedule.map((year) => year.endsOn), ['2024-03-15', '2025-03-15', '2025-09-15']);
+    assert.deepStrictEqual(schedule.map((year) => year.depreciation), [4320, 4320, 2160]);
+    assert.strictEqual(schedule[2].bookValue, 1200);
+});
@@ -0,0 +1,65 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const pool = require('../data/config');
+const { Person, User } = require('../data/repositories');
+const { diffRows } = require('../data/repositories/auditLog');
+const { auditContext } = require('../middleware/audit');
+
+// Answer SELECTs from the queue of rows, in order, and record every statement
+let selects = [];
+let statements = [];
+pool.query = (sql, values, callback) => {
+    statements.push({ sql, values });
+    callback(null, /^\s*SELECT/i.test(sql) ? selects.shift() || [] : { affectedRows: 1, insertId: 12 });
+};
+pool.getConnection = (callback) => callback(null, { query: (...args) => pool.query(...args), release: () => {} });
+
+beforeEach(() => {
+    selects = [];
+    statements = [];
+});
+
+const audited = () => statements.filter(({ sql }) => sql.startsWith('INSERT INTO AuditLog'));
+
+// Run work as if inside a request by this user
+const asUser = (user, work) => new Promise((resolve, reject) => {
+    auditContext({ user, ip: '10.0.0.5', id: 'req-1' }, {}, () => work().then(resolve, reject));
+});
+
+test('diffRows lists changed columns only, with dates as text and hidden values masked', () => {
+    const before = { userId: 1, username: 'ann', password: 'old-hash', dob: new Date(1990, 4, 2) };
+    const after = { userId: 1, username: 'ann.lee', password: 'new-hash', dob: new Date(1990, 4, 2) };
+    assert.deepStrictEqual(diffRows(before, after, ['password']), {
+        username: { from: 'ann', to: 'ann.lee' },
+        password: { from: '[hidden]', to: '[hidden]' }
+    });
+    assert.deepStrictEqual(diffRows(null, { id: 3, at: new Date(2025, 0, 5, 9, 30) }), {
+        id: { from: null, to: 3 },
+        at: { from: null, to: '2025-01-05 09:30:00' }
+    });
+});
+
+test('an update is logged with its actor, source IP and the changed columns', async () => {
+    selects = [[{ personId: 12, name: 'Ann', surname: 'Lee' }], [{ personId: 12, name: 'Anne', surname: 'Lee' }]];
+    await asUser({ userId: 4, username: 'pastor.john' }, () => Person.update(12, { name: 'Anne' }));
+
+    const [{ values }] = audited();
+    assert.deepStrictEqual(values.slice(0, 7), ['Person', '12', 'update', 4, 'pastor.john', '10.0.0.5', 'req-1']);
+    assert.deepStrictEqual(JSON.parse(values[7]), { name: { from: 'Ann', to: 'Anne' } });
+    assert.strictEqual(JSON.parse(values[8]).surname, 'Lee');
+    assert.deepStrictEqual(statements.map(({ sql }) => sql.split(' ')[0]), ['START', 'SELECT', 'UPDATE', 'SELECT', 'INSERT', 'COMMIT']);
+});
+
+test('a write that changes nothing is not logged, and a user snapshot leaves out the password', async () => {
+    const row = { userId: 7, username: 'ann', role: 'pastor' };
+    selects = [[row], [row]];
+    await Person.update(7, { name: 'Ann' });
+    assert.strictEqual(audited().length, 0);
+
+    selects = [[{ ...row, password: 'x' }]];
+    await User.remove(7);
+    const [{ values }] = audited();
+    assert.strictEqual(values[2], 'delete');
+    assert.strictEqual(values[3], null, 'no actor outside a request');
+    assert.ok(!('password' in JSON.parse(values[8])));
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseRRule, normalizeRRule, expandOccurrences, isOccurrence } = require('../utils/recurrence');
+const { buildCalendar, parseCalendar } = require('../utils/ics');
+const { legacyDates } = require('../data/calendar');
+
+const dates = (event, range) => expandOccurrences(event, range).map((occurrence) => occurrence.date);
+
+test('weekly and monthly rules expand to the right dates', () => {
+    assert.deepStrictEqual(
+        dates({ startDate: '2025-01-05', rrule: 'FREQ=WEEKLY;BYDAY=SU' }, { from: '2025-03-01', to: '2025-03-31' }),
+        ['2025-03-02', '2025-03-09', '2025-03-16', '2025-03-23', '2025-03-30']
+    );
+    assert.deepStrictEqual(
+        dates({ startDate: '2025-01-03', rrule: 'FREQ=MONTHLY;BYDAY=1FR' }, { from: '2025-01-01', to: '2025-04-30' }),
+        ['2025-01-03', '2025-02-07', '2025-03-07', '2025-04-04']
+    );
+    assert.deepStrictEqual(
+        dates({ startDate: '2025-01-26', rrule: 'FREQ=MONTHLY;BYDAY=-1SU;COUNT=3' }, { from: '2025-01-01', to: '2025-12-31' }),
+        ['2025-01-26', '2025-02-23', '2025-03-30']
+    );
+    // Months without a 31st are skipped rather than moved
+    assert.deepStrictEqual(
+        dates({ startDate: '2025-01-31', rrule: 'FREQ=MONTHLY' }, { from: '2025-01-01', to: '2025-05-31' }),
+        ['2025-01-31', '2025-03-31', '2025-05-31']
+    );
+});
+
+test('COUNT is counted from the first occurrence, not from the window', () => {
+    assert.deepStrictEqual(
+        dates({ startDate: '2025-01-06', rrule: 'FREQ=WEEKLY;COUNT=4' }, { from: '2025-01-20', to: '2025-12-31' }),
+        ['2025-01-20', '2025-01-27']
+    );
+    assert.deepStrictEqual(
+        dates({ startDate: '2025-01-06', rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20250205' }, { from: '2025-01-01', to: '2025-12-31' }),
+        ['2025-01-06', '2025-01-08', '2025-01-20', '2025-01-22', '2025-02-03', '2025-02-05']
+    );
+});
+
+test('exceptions cancel or move single occurrences', () => {
+    const occurrences = expandOccurrences(
+        { startDate: '2025-01-05', startTime: '09:00:00', endTime: '11:00:00', rrule: 'FREQ=WEEKLY' },
+        {
+            from: '2025-01-01',
+            to: '2025-01-31',
+            exceptions: [{ date: '2025-01-12' }, { date: '2025-02-02', movedTo: '2025-01-31', startTime: '18:00:00' }]
+        }
+    );
+    assert.deepStrictEqual(occurrences.map((occurrence) => occurrence.date), ['2025-01-05', '2025-01-19', '2025-01-26', '2025-01-31']);
+    assert.deepStrictEqual(occurrences[3], {
+        date: '2025-01-31', endDate: '2025-01-31', startTime: '18:00:00', endTime: '20:00:00', originalDate: '2025-02-02', moved: true
+    });
+});
+
+test('multi-day events overlapping the window are included', () => {
+    assert.deepStrictEqual(dates({ startDate: '2024-12-30', endDate: '2025-01-02' }, { from: '2025-01-01', to: '2025-01-31' }), ['2024-12-30']);
+});
+
+test('rules are validated and stored in one form', () => {
+    assert.strictEqual(normalizeRRule('rrule:freq=monthly;interval=1;byday=1fr'), 'FREQ=MONTHLY;BYDAY=1FR');
+    assert.throws(() => parseRRule('FREQ=HOURLY'), { status: 400 });
+    assert.throws(() => parseRRule('FREQ=WEEKLY;BYDAY=1MO'), { status: 400 });
+    assert.throws(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20250101'), { status: 400 });
+    assert.strictEqual(isOccurrence({ startDate: '2025-01-03', rrule: 'FREQ=MONTHLY;BYDAY=1FR' }, '2025-02-07'), true);
+    assert.strictEqual(isOccurrence({ startDate: '2025-01-03', rrule: 'FREQ=MONTHLY;BYDAY=1FR' }, '2025-02-14'), false);
+});
+
+test('feeds read back the same events, exceptions included', () => {
+    const event = {
+        uid: 'calendar-1@bbm-api',
+        name: 'Sunday service, main hall',
+        location: 'Hall; upstairs',
+        department: 'Youth',
+        description: 'Bring a friend.\nDoors open at 08:30, all welcome — '.repeat(3),
+        startDate: '2025-01-05',
+        endDate: null,
+        startTime: '09:00:00',
+        endTime: '11:00:00',
+        rrule: 'FREQ=WEEKLY;BYDAY=SU',
+        exceptions: [
+            { date: '2025-01-12', movedTo: null, startTime: null },
+            { date: '2025-01-19', movedTo: '2025-01-18', startTime: '18:00:00' }
+        ]
+    };
+    const text = buildCalendar({ name: 'BBM', events: [event, { uid: 'calendar-2@bbm-api', name: 'Camp', startDate: '2025-03-01', endDate: '2025-03-03' }] });
+
+    assert.ok(text.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+    const [service, camp] = parseCalendar(text);
+    assert.deepStrictEqual(service, { ...event, description: event.description.trim(), endDate: '2025-01-05', errors: [] });
+    assert.strictEqual(camp.startDate, '2025-03-01');
+    assert.strictEqual(camp.endDate, '2025-03-03');
+    assert.strictEqual(camp.startTime, null);
+});
+
+test('legacy month, year and days become dates', () => {
+    assert.deepStrictEqual(legacyDates({ year: 2025, month: 'March', dayFrom: 3, dayTo: 5 }), { startDate: '2025-03-03', endDate: '2025-03-05' });
+    assert.deepStrictEqual(legacyDates({ year: '2025', month: '4', dayFrom: '7' }), { startDate: '2025-04-07', endDate: null });
+    assert.deepStrictEqual(legacyDates({ year: 2025, month: 'Feb', dayFrom: 30 }), {});
+    assert.deepStrictEqual(legacyDates({ year: null, month: 'March', dayFrom: 3 }), {});
+});
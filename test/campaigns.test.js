@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./database');
+const { campaignScope, campaignProgress } = require('../data/campaigns');
+
+test('church users see their own and ministry-wide campaigns', () => {
+    assert.deepStrictEqual(campaignScope({ level: 'church', churchId: 3 }), { sql: '(churchId IS NULL OR churchId = ?)', values: [3] });
+    assert.deepStrictEqual(campaignScope({ level: 'all' }), { sql: '1=1', values: [] });
+});
+
+test('progress adds up per branch to the cent against the target', async () => {
+    db.on('FROM Campaign WHERE', [{ campaignId: 1, name: 'Building fund', churchId: null, targetAmount: '1000.00' }])
+        .on('FROM Pledge pl', [
+            { churchId: 3, churchName: 'Central', pledges: 2, pledged: '600.10', raised: '450.20' },
+            { churchId: 4, churchName: 'East', pledges: 1, pledged: '100.00', raised: '0.10' }
+        ]);
+    const progress = await campaignProgress(1, { scope: { level: 'all' } });
+
+    assert.strictEqual(progress.pledges, 3);
+    assert.strictEqual(progress.pledged, 700.1);
+    assert.strictEqual(progress.raised, 450.3);
+    assert.strictEqual(progress.outstanding, 249.8);
+    assert.strictEqual(progress.remaining, 549.7);
+    assert.strictEqual(progress.percentRaised, 0.4503);
+    assert.deepStrictEqual(progress.byChurch.map((church) => church.outstanding), [149.9, 99.9]);
+});
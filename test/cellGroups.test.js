@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { planCellGroups } = require('../data/cellGroups');
+
+const person = (personId, churchId, name, surname, cellLeader, cellLocation) => ({
+    personId, churchId, name, surname, cellLeader, cellLocation
+});
+
+test('people sharing a church, leader and location form one cell, ignoring case and spacing', () => {
+    const plan = planCellGroups([
+        person(1, 1, 'Thabo', 'Mokoena', null, null),
+        person(2, 1, 'Lerato', 'Dube', 'Thabo Mokoena', 'Soweto'),
+        person(3, 1, 'Sipho', 'Nkosi', ' thabo  mokoena', 'soweto '),
+        person(4, 2, 'Anna', 'Smit', 'Thabo Mokoena', 'Soweto')
+    ]);
+
+    assert.strictEqual(plan.length, 2);
+    assert.deepStrictEqual(plan[0], { name: 'Thabo Mokoena - Soweto', churchId: 1, leaderId: 1, hostLocation: 'Soweto', memberIds: [2, 3] });
+    // The leader lives in church 1, so church 2's cell has no one to match
+    assert.strictEqual(plan[1].churchId, 2);
+    assert.strictEqual(plan[1].leaderId, null);
+});
+
+test('an ambiguous leader name is left unmatched and people without cell details are skipped', () => {
+    const plan = planCellGroups([
+        person(1, 1, 'John', 'Khumalo', null, null),
+        person(2, 1, 'John', 'Khumalo', null, null),
+        person(3, 1, 'Mary', 'Zulu', 'John Khumalo', ''),
+        person(4, 1, 'Peter', 'Botha', '', '')
+    ]);
+
+    assert.deepStrictEqual(plan, [{ name: 'John Khumalo', churchId: 1, leaderId: null, hostLocation: null, memberIds: [3] }]);
+});
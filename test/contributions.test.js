@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./database');
+const { reconcileOfferings, annualSummaries } = require('../data/contributions');
+
+const ALL = { level: 'all' };
+
+test('offerings reconcile to the cent against DECIMAL strings', async () => {
+    db.on('FROM Stats s', [
+        { date: '2024-03-03', churchId: 1, churchName: 'Central', services: 1, offering: '100.30' },
+        { date: '2024-03-10', churchId: 1, churchName: 'Central', services: 1, offering: '50.00' }
+    ]).on('FROM Contribution ct', [
+        { date: '2024-03-03', churchId: 1, churchName: 'Central', gifts: 2, amount: '100.30' },
+        { date: '2024-03-10', churchId: 1, churchName: 'Central', gifts: 1, amount: '60.10' },
+        { date: '2024-03-17', churchId: 1, churchName: 'Central', gifts: 1, amount: '5.00' }
+    ]);
+    const result = await reconcileOfferings({ from: '2024-03-01', to: '2024-03-31', filters: {}, scope: ALL });
+
+    assert.deepStrictEqual(result.data.map((service) => [service.date, service.unrecorded, service.matched]), [
+        ['2024-03-03', 0, true],
+        ['2024-03-10', -10.1, false],
+        ['2024-03-17', -5, false]
+    ]);
+    assert.deepStrictEqual(result.totals, { counted: 150.3, recorded: 165.4, unrecorded: -15.1 });
+
+    const mismatches = await reconcileOfferings({ from: '2024-03-01', to: '2024-03-31', filters: {}, scope: ALL, mismatchesOnly: true });
+    assert.strictEqual(mismatches.data.length, 2);
+});
+
+test('annual summaries are per giver and receiving church with totals per type', async () => {
+    const row = (personId, churchId, type, gifts, amount) => ({
+        personId, name: `P${personId}`, surname: 'S', churchId, churchName: `C${churchId}`, type, gifts, amount
+    });
+    db.on('FROM Contribution ct', [
+        row(1, 1, 'tithe', 12, '1200.10'),
+        row(1, 1, 'seed', 1, '0.20'),
+        row(1, 2, 'offering', 1, '10.00'),
+        row(2, 1, 'tithe', 2, '40.00')
+    ]);
+    const summaries = await annualSummaries({ year: 2024, scope: ALL });
+
+    assert.strictEqual(summaries.length, 3);
+    assert.strictEqual(summaries[0].total, 1200.3);
+    assert.strictEqual(summaries[0].gifts, 13);
+    assert.deepStrictEqual(summaries[0].totals, { tithe: 1200.1, seed: 0.2, registration: 0, offering: 0, pledge: 0 });
+    assert.deepStrictEqual([summaries[1].person.personId, summaries[1].church.churchId], [1, 2]);
+    assert.strictEqual(summaries[0].from, '2024-01-01');
+});
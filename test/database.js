@@ -0,0 +1,185 @@
+/**
+ * An in-memory stand-in for the database behind data/config, shared by the unit tests and the API
+ * harness. Require it before the modules under test:
+ *
+ *   const { db } = require('./database');
+ *
+ *   db.on('FROM Person WHERE', [{ personId: 12, name: 'Ann' }]);
+ *
+ * The stand-in answers each statement from the most recently registered rule whose pattern matches
+ * its SQL; without one, a SELECT returns no rows (a bare COUNT(*) counts 0) and anything else
+ * reports one affected row. Every statement is recorded in db.statements, whitespace collapsed, and
+ * the rules and statements are reset before each test.
+ *
+ * Under DB_CLIENT=postgres the statements still go through the real driver: the stand-in sits in
+ * place of pg.Pool, answers each translated statement with what the rules gave its MySQL form, and
+ * records the translation on the statement as postgres: { text, values }.
+ */
+const { Readable } = require('stream');
+const { beforeEach } = require('node:test');
+const pg = require('pg');
+const { toPostgres } = require('../data/drivers/postgres');
+
+const POSTGRES = process.env.DB_CLIENT === 'postgres';
+
+// Answers the rules gave, waiting for the driver to send the translated statement
+const pending = new Map();
+const keyOf = (text, values) => JSON.stringify([text, values]);
+
+// The identity column reported for every table, so an INSERT's RETURNING reads back its insertId
+const IDENTITY = 'insertId';
+
+// A connection of the pg stand-in; exports read through a cursor, so each connection holds one
+class PgClient {
+    async query(text, values = []) {
+        if (text.includes('FROM pg_attribute')) return { command: 'SELECT', rowCount: 1, rows: [{ attname: IDENTITY }] };
+        const fetch = text.match(/^FETCH (\d+) FROM export_rows$/);
+        if (fetch) {
+            const rows = this.cursor.splice(0, Number(fetch[1]));
+            return { command: 'FETCH', rowCount: rows.length, rows };
+        }
+
+        const declared = text.match(/^DECLARE export_rows NO SCROLL CURSOR FOR ([\s\S]*)$/);
+        const statement = (declared ? declared[1] : text).replace(` RETURNING "${IDENTITY}"`, '');
+        const command = statement.trim().split(/\s/)[0].toUpperCase();
+        const key = keyOf(statement, values);
+        // Statements only the driver sends (BEGIN and ROLLBACK around a cursor, setval) succeed quietly
+        if (!pending.has(key)) return { command, rowCount: 0, rows: [] };
+        const result = pending.get(key).shift();
+        if (!pending.get(key).length) pending.delete(key);
+
+        if (result instanceof Error) throw result;
+        if (declared) {
+            this.cursor = result;
+            return { command: 'DECLARE', rowCount: 0, rows: [] };
+        }
+        return Array.isArray(result)
+            ? { command: 'SELECT', rowCount: result.length, rows: result }
+            : { command, rowCount: result.affectedRows, rows: [{ [IDENTITY]: result.insertId }] };
+    }
+
+    release() {}
+}
+
+if (POSTGRES) {
+    pg.Pool = class {
+        query(text, values) {
+            return new PgClient().query(text, values);
+        }
+
+        connect() {
+            return Promise.resolve(new PgClient());
+        }
+
+        end() {
+            return Promise.resolve();
+        }
+    };
+}
+
+const pool = require('../data/config');
+
+const INSERT_ID = 101;
+
+const db = {
+    rules: [],
+    statements: [],
+
+    /**
+     * Answer statements matching pattern (a RegExp, or a string the SQL must contain) with answer:
+     * rows for a SELECT, a result object ({ affectedRows, insertId }) for a write, an Error to fail
+     * the query, or a function of (values, sql) returning any of those. Given several answers, each
+     * match takes the next one and the last repeats, e.g. a row before an update and after it.
+     */
+    on(pattern, ...answers) {
+        this.rules.unshift({ pattern, answers });
+        return this;
+    },
+
+    // Statements whose SQL matches pattern, as { sql, values }
+    find(pattern) {
+        return this.statements.filter(({ sql }) => matches(pattern, sql));
+    },
+
+    reset() {
+        this.rules = [];
+        this.statements = [];
+        pending.clear();
+    }
+};
+
+const matches = (pattern, sql) => (pattern instanceof RegExp ? pattern.test(sql) : sql.includes(pattern));
+
+const defaultAnswer = (sql) => {
+    // A bare count (the list routes' total) still returns its one row
+    const count = sql.match(/^SELECT COUNT\(\*\) AS (\w+) FROM/i);
+    if (count) return [{ [count[1]]: 0 }];
+    if (/^\s*(SELECT|WITH)\b/i.test(sql)) return [];
+    if (/^\s*INSERT\b/i.test(sql)) return { affectedRows: 1, changedRows: 0, insertId: INSERT_ID };
+    return { affectedRows: 1, changedRows: 1, insertId: 0 };
+};
+
+const answer = (sql, values) => {
+    const rule = db.rules.find(({ pattern }) => matches(pattern, sql));
+    if (!rule) return defaultAnswer(sql);
+    const next = rule.answers.length > 1 ? rule.answers.shift() : rule.answers[0];
+    return typeof next === 'function' ? next(values, sql) : next;
+};
+
+const run = (sql, values = []) => {
+    db.statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), values });
+    // Copies, so a handler that changes a row cannot change the rule's answer for the next match
+    const result = answer(db.statements[db.statements.length - 1].sql, values);
+    if (Array.isArray(result)) return result.map((row) => ({ ...row }));
+    return result instanceof Error ? result : { ...result };
+};
+
+// Answer the statement as written and queue that answer for the pg stand-in, keyed by the translation
+const send = (sql, values = []) => {
+    const result = run(sql, values);
+    const { text, values: params } = toPostgres(sql, values);
+    db.statements[db.statements.length - 1].postgres = { text: text.replace(/\s+/g, ' ').trim(), values: params };
+    const key = keyOf(text, params);
+    pending.set(key, [...(pending.get(key) || []), result]);
+};
+
+if (POSTGRES) {
+    const { query, getConnection } = pool;
+    pool.query = (sql, values, callback) => {
+        if (typeof values === 'function') return pool.query(sql, [], values);
+        send(sql, values);
+        return query(sql, values, callback);
+    };
+    pool.getConnection = (callback) => getConnection((err, connection) => {
+        if (err) return callback(err);
+        const sending = {
+            ...connection,
+            query: (sql, values, done) => {
+                if (typeof values === 'function') return sending.query(sql, [], values);
+                send(sql, values);
+                return connection.query(sql, values, done);
+            }
+        };
+        callback(null, sending);
+    });
+} else {
+    pool.query = (sql, values, callback) => {
+        if (typeof values === 'function') return pool.query(sql, [], values);
+        const result = run(sql, values);
+        // Without a callback the exports stream the rows: pool.query(sql, values).stream()
+        if (!callback) return { stream: () => (result instanceof Error ? Readable.from([]).destroy(result) : Readable.from(result)) };
+        process.nextTick(() => (result instanceof Error ? callback(result) : callback(null, result)));
+    };
+
+    pool.getConnection = (callback) => process.nextTick(callback, null, {
+        query: (...args) => pool.query(...args),
+        release: () => {}
+    });
+}
+
+beforeEach(() => db.reset());
+
+module.exports = {
+    db,
+    INSERT_ID
+};
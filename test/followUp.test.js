@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db, INSERT_ID } = require('./database');
+const { STAGES, dueDateFor, createFollowUp, moveStage, overdueByLeader } = require('../data/followUp');
+const { today, addDays } = require('../utils/dates');
+
+const ADMIN = { userId: 1, role: 'admin', personId: 7 };
+const PASTOR = { userId: 2, role: 'pastor', personId: 8 };
+const LEADER = { userId: 3, role: 'cell leader', personId: 9 };
+const CHURCH = { level: 'church', churchId: 3, region: 'North' };
+
+const FOLLOW_UP = {
+    followUpId: 5, personId: 12, churchId: 3, source: 'saved', serviceDate: '2025-03-02', stage: 'new believer',
+    dueDate: '2025-03-04', leaderId: 9
+};
+
+// The columns and values of the first statement matching pattern, e.g. an INSERT's or UPDATE's
+const written = (pattern) => {
+    const { sql, values } = db.find(pattern)[0];
+    const columns = sql.includes(' SET ')
+        ? sql.split(' SET ')[1].split(' WHERE ')[0].split(', ').map((assignment) => assignment.split(' = ')[0])
+        : sql.match(/\(([^)]*)\)/)[1].split(', ');
+    return Object.fromEntries(columns.map((column, index) => [column.replace(/`/g, ''), values[index]]));
+};
+
+test('each stage but the last falls due a fixed number of days after it starts', () => {
+    assert.deepStrictEqual(STAGES.map((stage) => dueDateFor(stage, '2025-03-02')), [
+        '2025-03-04', '2025-03-16', '2025-05-01', '2025-04-01', null
+    ]);
+    assert.strictEqual(dueDateFor('new believer'), addDays(today(), 2));
+});
+
+test('a new convert starts at the first stage, due two days from today, with the recording leader', async () => {
+    db.on('FROM Person WHERE', [{ personId: 9, name: 'Thabo', surname: 'Mokoena', churchId: 3, cellLocation: 'Seshego' }]);
+    const result = await createFollowUp({ name: 'Karabo', surname: 'Molefe', source: 'saved', churchId: 3 }, { scope: CHURCH, user: LEADER });
+
+    assert.deepStrictEqual(result, { followUpId: INSERT_ID, personId: INSERT_ID });
+    assert.deepStrictEqual(written('INSERT INTO Person'), {
+        name: 'Karabo', surname: 'Molefe', cellLeader: 'Thabo Mokoena', cellLocation: 'Seshego', churchId: 3
+    });
+    const followUp = written('INSERT INTO FollowUp (');
+    assert.strictEqual(followUp.stage, 'new believer');
+    assert.strictEqual(followUp.serviceDate, today());
+    assert.strictEqual(followUp.dueDate, addDays(today(), 2));
+    assert.strictEqual(followUp.leaderId, 9);
+});
+
+test('someone already on the register is only followed up from their own church', async () => {
+    await assert.rejects(
+        () => createFollowUp({ personId: 12, source: 'visitor' }, { scope: CHURCH, user: PASTOR }),
+        { status: 404, message: 'Person not found' }
+    );
+    const [lookup] = db.find('FROM Person WHERE');
+    assert.match(lookup.sql, /churchId = \?/);
+    assert.deepStrictEqual(lookup.values, [12, 3]);
+    assert.strictEqual(db.find('INSERT').length, 0);
+});
+
+test('moving a stage restarts the due date, and the last stage has none', async () => {
+    db.on('FROM FollowUp WHERE', [FOLLOW_UP]);
+    await moveStage(5, { stage: 'contacted' }, { scope: CHURCH, user: LEADER });
+    assert.strictEqual(written('UPDATE FollowUp SET').dueDate, addDays(today(), 14));
+
+    db.reset();
+    db.on('FROM FollowUp WHERE', [FOLLOW_UP]);
+    await moveStage(5, { stage: 'membership class' }, { scope: CHURCH, user: ADMIN });
+    assert.strictEqual(written('UPDATE FollowUp SET').dueDate, null);
+});
+
+test('a cell leader cannot move another leader\'s follow-up or one outside their church', async () => {
+    db.on('FROM FollowUp WHERE', [{ ...FOLLOW_UP, leaderId: 4 }]);
+    await assert.rejects(() => moveStage(5, { stage: 'contacted' }, { scope: CHURCH, user: LEADER }), { status: 403 });
+
+    db.on('FROM FollowUp WHERE', []);
+    await assert.rejects(() => moveStage(6, { stage: 'contacted' }, { scope: CHURCH, user: LEADER }), { status: 404 });
+    assert.deepStrictEqual(db.find('FROM FollowUp WHERE').at(-1).values, [6, 3]);
+    assert.strictEqual(db.find('UPDATE FollowUp SET').length, 0);
+});
+
+test('overdue follow-ups are those due before today, grouped per leader with the busiest first', async () => {
+    const overdue = (followUpId, leaderId, daysAgo) => ({
+        ...FOLLOW_UP, followUpId, leaderId, dueDate: addDays(today(), -daysAgo),
+        leaderName: leaderId && 'Thabo', leaderSurname: leaderId && 'Mokoena'
+    });
+    db.on('FROM FollowUp f JOIN Person p', [overdue(1, null, 1), overdue(2, 9, 5), overdue(3, 9, 2)]);
+    const { asOf, leaders } = await overdueByLeader({ scope: CHURCH, user: PASTOR });
+
+    assert.strictEqual(asOf, today());
+    assert.deepStrictEqual(leaders.map(({ leader, count }) => [leader && leader.personId, count]), [[9, 2], [null, 1]]);
+    assert.deepStrictEqual(leaders[0].followUps.map((followUp) => followUp.daysOverdue), [5, 2]);
+    assert.strictEqual(leaders[0].followUps[0].leaderName, undefined);
+
+    const [{ sql, values }] = db.find('FROM FollowUp f JOIN Person p');
+    assert.match(sql, /WHERE f.dueDate < \? AND f.churchId = \?/);
+    assert.deepStrictEqual(values, [today(), 3]);
+});
+
+test('a cell leader\'s overdue list is always their own, and a regional one covers the region\'s churches', async () => {
+    await overdueByLeader({ leaderId: 4, scope: CHURCH, user: LEADER });
+    assert.deepStrictEqual(db.find('f.leaderId = ?')[0].values, [today(), 3, 9]);
+
+    await overdueByLeader({ leaderId: 4, scope: { level: 'region', region: 'North' }, user: PASTOR });
+    const { sql, values } = db.find('f.leaderId = ?')[1];
+    assert.match(sql, /f.churchId IN \(SELECT churchId FROM Church WHERE region = \?\)/);
+    assert.deepStrictEqual(values, [today(), 'North', 4]);
+});
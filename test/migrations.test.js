@@ -0,0 +1,79 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pool = require('../data/config');
+const { MIGRATIONS_DIRS, splitStatements, loadMigrations, migrateUp, migrateDown, markApplied } = require('../data/migrations');
+
+// Record every statement; SELECTs on SchemaMigrations answer with the applied versions
+let applied = [];
+let statements = [];
+pool.query = (sql, values, callback) => {
+    statements.push(sql);
+    callback(null, /FROM SchemaMigrations/.test(sql) ? applied.map((version) => ({ version, appliedAt: new Date() })) : { affectedRows: 1 });
+};
+
+beforeEach(() => {
+    applied = [];
+    statements = [];
+});
+
+// A throwaway migrations directory
+const fixture = (files) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    Object.entries(files).forEach(([file, text]) => fs.writeFileSync(path.join(dir, file), text));
+    return dir;
+};
+const migration = (table) => `-- ${table}\n\n-- migrate:up\nCREATE TABLE ${table} (id INT);\n\n-- migrate:down\nDROP TABLE ${table};\n`;
+
+test('every migration has up and down statements and the versions run 001 onwards without gaps', () => {
+    const migrations = loadMigrations();
+    migrations.forEach(({ version, file, up, down }, index) => {
+        assert.strictEqual(version, String(index + 1).padStart(3, '0'), file);
+        assert.ok(up.length && down.length, `${file} is missing a section`);
+        [...up, ...down].forEach((statement) => assert.ok(!/;\s*$/.test(statement) && !/^--/m.test(statement), `${file}: ${statement}`));
+    });
+    const baseline = migrations[0].up.join('\n');
+    ['REFERENCES Church (churchId)', 'REFERENCES Locations (location_id)', 'REFERENCES Person (personId)']
+        .forEach((reference) => assert.ok(baseline.includes(reference), reference));
+});
+
+test('the PostgreSQL migrations match the MySQL ones version for version', () => {
+    const [mysql, postgres] = [MIGRATIONS_DIRS.mysql, MIGRATIONS_DIRS.postgres].map((dir) => loadMigrations(dir));
+    assert.deepStrictEqual(postgres.map(({ file }) => file), mysql.map(({ file }) => file));
+    postgres.forEach(({ file, up, down }) => {
+        assert.ok(up.length && down.length, `postgres/${file} is missing a section`);
+        [...up, ...down].forEach((statement) => assert.ok(!/AUTO_INCREMENT|DATETIME|\bKEY idx_|\bAFTER\b/.test(statement), `postgres/${file}: ${statement}`));
+    });
+});
+
+test('semicolons in comments do not split statements', () => {
+    assert.deepStrictEqual(
+        splitStatements('-- rrule such as FREQ=WEEKLY;BYDAY=SU\nALTER TABLE Calendar\n    ADD COLUMN rrule VARCHAR(255) NULL;\n\nDROP TABLE X;\n'),
+        ['ALTER TABLE Calendar\n    ADD COLUMN rrule VARCHAR(255) NULL', 'DROP TABLE X']
+    );
+});
+
+test('pending migrations run in order up to --to and are recorded', async () => {
+    const dir = fixture({ '001_a.sql': migration('A'), '002_b.sql': migration('B'), '003_c.sql': migration('C') });
+    applied = ['001'];
+    const ran = await migrateUp({ dir, to: '002' });
+
+    assert.deepStrictEqual(ran.map(({ version }) => version), ['002']);
+    const writes = statements.filter((sql) => !/^(CREATE TABLE IF NOT EXISTS|SELECT)/.test(sql));
+    assert.deepStrictEqual(writes, ['CREATE TABLE B (id INT)', 'INSERT INTO SchemaMigrations (version, name) VALUES (?, ?)']);
+});
+
+test('down rolls back the newest applied migration and mark records without running', async () => {
+    const dir = fixture({ '001_a.sql': migration('A'), '002_b.sql': migration('B') });
+    applied = ['001', '002'];
+    await migrateDown({ dir });
+    assert.ok(statements.includes('DROP TABLE B') && !statements.includes('DROP TABLE A'));
+
+    statements = [];
+    applied = [];
+    const marked = await markApplied({ dir, to: '002' });
+    assert.strictEqual(marked.length, 2);
+    assert.ok(!statements.some((sql) => sql.startsWith('CREATE TABLE A')));
+});
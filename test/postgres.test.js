@@ -0,0 +1,139 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const pg = require('pg');
+const { toPostgres, upsertClause, createPool } = require('../data/drivers/postgres');
+const { toHttpError } = require('../middleware/errors');
+
+// A pg.Pool that records every statement; respond decides each result
+let statements = [];
+let respond = () => ({ command: 'SELECT', rows: [], rowCount: 0 });
+const client = {
+    query: async (text, values = []) => {
+        statements.push({ text, values });
+        return respond(text, values);
+    },
+    release: () => statements.push({ text: 'RELEASE' })
+};
+pg.Pool = class {
+    query(...args) {
+        return client.query(...args);
+    }
+
+    connect() {
+        return Promise.resolve(client);
+    }
+};
+
+const asPromise = (call) => new Promise((resolve, reject) => call((err, result) => (err ? reject(err) : resolve(result))));
+
+beforeEach(() => {
+    statements = [];
+    respond = () => ({ command: 'SELECT', rows: [], rowCount: 0 });
+});
+
+test('placeholders are numbered, with lists and row sets expanded as the mysql driver does', () => {
+    assert.deepStrictEqual(
+        toPostgres('SELECT * FROM Person WHERE churchId IN (?) AND name = ? LIMIT ?', [[1, 2, 3], 'Ann', 10]),
+        { text: 'SELECT * FROM "Person" WHERE "churchId" IN ($1, $2, $3) AND name = $4 LIMIT $5', values: [1, 2, 3, 'Ann', 10] }
+    );
+    assert.deepStrictEqual(
+        toPostgres('INSERT INTO Stats (`churchId`, `date`) VALUES ?', [[[1, '2025-01-05'], [2, '2025-01-05']]]),
+        { text: 'INSERT INTO "Stats" ("churchId", "date") VALUES ($1, $2), ($3, $4)', values: [1, '2025-01-05', 2, '2025-01-05'] }
+    );
+    assert.strictEqual(toPostgres('SELECT 1 FROM Stats WHERE statsId IN (?)', [[]]).text, 'SELECT 1 FROM "Stats" WHERE "statsId" IN (NULL)');
+});
+
+test('mixed-case names and backticks are quoted; keywords, lower-case names and string literals are not', () => {
+    const { text } = toPostgres("SELECT a.`condition`, c.churchName AS churchName, COUNT(*) AS total FROM Assets a JOIN Church c "
+        + "ON c.region = 'North Coast?' WHERE a.name LIKE ? AND a.deletedAt IS NULL", ['%PA%']);
+    assert.strictEqual(text, 'SELECT a."condition", c."churchName" AS "churchName", COUNT(*) AS total FROM "Assets" a JOIN "Church" c '
+        + "ON c.region = 'North Coast?' WHERE a.name ILIKE $1 AND a.\"deletedAt\" IS NULL");
+    assert.strictEqual(
+        toPostgres(`INSERT INTO CalendarException (calendarId, date) VALUES (?, ?) ${upsertClause(['calendarId', 'date'], ['movedTo'])}`, [1, '2025-01-05']).text,
+        'INSERT INTO "CalendarException" ("calendarId", date) VALUES ($1, $2) ON CONFLICT ("calendarId", date) DO UPDATE SET "movedTo" = EXCLUDED."movedTo"'
+    );
+});
+
+test('an INSERT reads insertId back from the identity column, which is looked up once per table', async () => {
+    respond = (text) => {
+        if (text.includes('pg_attribute')) return { command: 'SELECT', rows: [{ attname: 'personId' }] };
+        return { command: 'INSERT', rowCount: 1, rows: [{ personId: 41 }] };
+    };
+    const pool = createPool({});
+    const first = await asPromise((done) => pool.query('INSERT INTO Person (name, surname) VALUES (?, ?)', ['Ann', 'Lee'], done));
+    const second = await asPromise((done) => pool.query('INSERT INTO Person (name, surname) VALUES (?, ?)', ['Sipho', 'Nkosi'], done));
+
+    assert.deepStrictEqual(first, { affectedRows: 1, changedRows: 1, insertId: 41 });
+    assert.strictEqual(second.insertId, 41);
+    assert.strictEqual(statements.filter(({ text }) => text.includes('pg_attribute')).length, 1);
+    assert.strictEqual(statements[1].text, 'INSERT INTO "Person" (name, surname) VALUES ($1, $2) RETURNING "personId"');
+});
+
+test('an explicit id moves the identity past it, as AUTO_INCREMENT does', async () => {
+    respond = (text) => {
+        if (text.includes('pg_attribute')) return { command: 'SELECT', rows: [{ attname: 'churchId' }] };
+        if (text.startsWith('INSERT')) return { command: 'INSERT', rowCount: 1, rows: [{ churchId: 9 }] };
+        return { command: 'SELECT', rows: [] };
+    };
+    const pool = createPool({});
+    await asPromise((done) => pool.query('INSERT INTO Church (`churchId`, `churchName`) VALUES ?', [[[9, 'Tembisa']]], done));
+
+    const advance = statements[statements.length - 1];
+    assert.match(advance.text, /^SELECT setval\(pg_get_serial_sequence\(\$1, \$2\), GREATEST\(MAX\("churchId"\)/);
+    assert.deepStrictEqual(advance.values, ['"Church"', 'churchId']);
+});
+
+test('tables without an identity column report insertId 0, and UPDATE reports affectedRows', async () => {
+    respond = (text) => {
+        if (text.includes('pg_attribute')) return { command: 'SELECT', rows: [] };
+        return { command: text.split(' ')[0], rowCount: 2, rows: [] };
+    };
+    const pool = createPool({});
+    const conn = await asPromise((done) => pool.getConnection(done));
+    const inserted = await asPromise((done) => conn.query('INSERT INTO CellAttendance (meetingId, personId) VALUES ?', [[[1, 2], [1, 3]]], done));
+    const updated = await asPromise((done) => conn.query('UPDATE Person SET deletedAt = NULL WHERE personId IN (?)', [[2, 3]], done));
+    conn.release();
+
+    assert.strictEqual(inserted.insertId, 0);
+    assert.ok(!statements[1].text.includes('RETURNING'));
+    assert.strictEqual(updated.affectedRows, 2);
+    assert.strictEqual(statements[statements.length - 1].text, 'RELEASE');
+});
+
+test('query(...).stream() reads through a cursor in batches and releases its connection', async () => {
+    const rows = [{ personId: 1 }, { personId: 2 }, { personId: 3 }];
+    respond = (text) => (text.startsWith('FETCH') ? { command: 'FETCH', rows: rows.splice(0, 2) } : { command: text.split(' ')[0], rows: [] });
+    const pool = createPool({});
+    const streamed = [];
+    for await (const row of pool.query('SELECT personId FROM Person WHERE churchId = ?', [4]).stream({ highWaterMark: 2 })) {
+        streamed.push(row.personId);
+    }
+
+    assert.deepStrictEqual(streamed, [1, 2, 3]);
+    assert.deepStrictEqual(statements.map(({ text }) => text), [
+        'BEGIN',
+        'DECLARE export_rows NO SCROLL CURSOR FOR SELECT "personId" FROM "Person" WHERE "churchId" = $1',
+        'FETCH 2 FROM export_rows',
+        'FETCH 2 FROM export_rows',
+        'ROLLBACK',
+        'RELEASE'
+    ]);
+});
+
+test('PostgreSQL constraint errors answer like their MySQL counterparts', () => {
+    const pgError = (code, fields) => Object.assign(new Error('violates constraint'), { code, ...fields });
+
+    const duplicate = toHttpError(pgError('23505', { constraint: 'uq_user_username', detail: 'Key (username)=(ann) already exists.' }));
+    assert.deepStrictEqual([duplicate.status, duplicate.details], [409, { constraint: 'uq_user_username' }]);
+
+    const missing = toHttpError(pgError('23503', {
+        constraint: 'fk_person_church',
+        detail: 'Key ("churchId")=(99) is not present in table "Church".'
+    }));
+    assert.deepStrictEqual([missing.status, missing.message, missing.details], [422, 'A referenced record does not exist', { field: 'churchId', references: 'Church' }]);
+
+    const referenced = toHttpError(pgError('23503', { constraint: 'fk_stats_church', detail: 'Key ("churchId")=(4) is still referenced from table "Stats".' }));
+    assert.deepStrictEqual([referenced.status, referenced.message], [422, 'The record is still referenced by other records']);
+
+    assert.strictEqual(toHttpError(pgError('22P02', {})).status, 400);
+});
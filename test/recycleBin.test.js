@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./database');
+const { Person, CellGroup, Registration, User } = require('../data/repositories');
+const { buildWhere } = require('../data/listQuery');
+const { deleteRecord, restoreRecord, purgeRecord } = require('../data/recycleBin');
+
+test('deleting a church moves its people and stats to the recycle bin with the same deletedAt', async () => {
+    db.on('SELECT `personId` FROM Person WHERE `churchId` = ?', [{ personId: 4 }, { personId: 5 }])
+        .on('SELECT `statsId` FROM Stats WHERE `churchId` = ?', [{ statsId: 9 }]);
+    const result = await deleteRecord('Church', 3, { user: { userId: 1 } });
+
+    assert.deepStrictEqual(result.deleted, { Church: 1, Person: 2, Stats: 1 });
+    const [church, people, stats] = db.find(/^UPDATE \w+ SET `deletedAt`/);
+    assert.deepStrictEqual(people.values.slice(2, 3), [[4, 5]]);
+    assert.deepStrictEqual(stats.values.slice(2, 3), [[9]]);
+    [people, stats].forEach(({ values }) => {
+        assert.strictEqual(values[0], church.values[0]);
+        assert.strictEqual(values[1], 1);
+    });
+    assert.ok(db.find(/^DELETE/).length === 0, 'nothing is deleted for good');
+});
+
+test('a person deleted with their church is only restored through the church', async () => {
+    db.on('FROM Person WHERE `personId` = ? AND 1=1 AND `deletedAt` IS NOT NULL', [{ personId: 4, churchId: 3, deletedAt: new Date() }]);
+    await assert.rejects(() => restoreRecord('Person', 4), { status: 409, message: 'Church 3 is deleted; restore it first' });
+    assert.strictEqual(db.find(/^UPDATE/).length, 0);
+});
+
+test('restoring a church brings back only the rows deleted along with it', async () => {
+    const deletedAt = new Date(2025, 2, 1, 10, 0, 0);
+    db.on('FROM Church WHERE `churchId` = ? AND 1=1 AND `deletedAt` IS NOT NULL', [{ churchId: 3, deletedAt }])
+        .on('SELECT `personId` FROM Person WHERE `churchId` = ? AND `deletedAt` = ?', [{ personId: 4 }]);
+    const result = await restoreRecord('Church', 3);
+
+    assert.deepStrictEqual(result.restored, { Church: 1, Person: 1, Stats: 0 });
+    assert.strictEqual(db.find(/SELECT `personId` FROM Person/)[0].values[1], deletedAt);
+    assert.deepStrictEqual(db.find(/^UPDATE Person SET `deletedAt` = NULL/)[0].values, [[4]]);
+});
+
+test('a church is not purged while any of its people is live', async () => {
+    db.on('FROM Church WHERE `churchId` = ? AND 1=1 AND `deletedAt` IS NOT NULL', [{ churchId: 3, deletedAt: new Date() }])
+        .on('SELECT `personId` FROM Person WHERE `churchId` = ? AND `deletedAt` IS NULL', [{ personId: 7 }]);
+    await assert.rejects(() => purgeRecord('Church', 3), { status: 409 });
+    assert.strictEqual(db.find(/^DELETE/).length, 0);
+    assert.ok(db.find(/^ROLLBACK/).length);
+});
+
+test('people and churches in the recycle bin drop out of joined lists and a user\'s scope', async () => {
+    await CellGroup.members(1);
+    await Registration.forEvent(1, { scope: { sql: '1=1', values: [] } });
+    await User.findWithScope(1);
+
+    assert.match(db.find('FROM CellGroupMember m')[0].sql, /JOIN Person p ON p.personId = m.personId AND p.deletedAt IS NULL/);
+    assert.match(db.find('FROM Registration r')[0].sql, /JOIN Person p ON p.personId = r.personId AND p.deletedAt IS NULL/);
+    const [scope] = db.find('FROM User u');
+    assert.match(scope.sql, /LEFT JOIN Person p ON p.personId = u.personId AND p.deletedAt IS NULL/);
+    assert.match(scope.sql, /LEFT JOIN Church c ON c.churchId = p.churchId AND c.deletedAt IS NULL/);
+});
+
+test('lists leave out deleted rows, and the recycle bin lists only those', () => {
+    const req = { query: { churchId: '3' } };
+    assert.strictEqual(buildWhere(Person.entity, req).sql, 'WHERE `deletedAt` IS NULL AND `churchId` = ?');
+    assert.strictEqual(buildWhere({ ...Person.entity, deleted: true }, req).sql, 'WHERE `deletedAt` IS NOT NULL AND `churchId` = ?');
+});
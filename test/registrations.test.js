@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('./database');
+const { listRegistrations, eventAttendance } = require('../data/registrations');
+
+const EVENT = [{ id: 1, name: 'Youth camp', capacity: 3, fee: '150.00' }];
+const REGISTRATIONS = [
+    { registrationId: 1, status: 'registered', contributionId: 70, checkedInAt: '2025-03-01 08:00:00' },
+    { registrationId: 2, status: 'cancelled', contributionId: null },
+    { registrationId: 3, status: 'registered', contributionId: null },
+    { registrationId: 4, status: 'waitlisted', contributionId: null },
+    { registrationId: 5, status: 'waitlisted', contributionId: null }
+];
+
+test('waitlisted registrations are numbered in sign-up order', async () => {
+    db.on('FROM Registration r JOIN Person', REGISTRATIONS)
+        .on('SELECT registrationId FROM Registration', [{ registrationId: 4 }, { registrationId: 5 }])
+        .on('COUNT(checkedInAt)', [{ registered: '2', waitlisted: '2', cancelled: '1', checkedIn: 1 }])
+        .on('FROM Calendar WHERE', EVENT);
+    const list = await listRegistrations(1, { scope: { level: 'all' } });
+
+    assert.deepStrictEqual(list.event, { id: 1, name: 'Youth camp', capacity: 3, fee: 150 });
+    assert.strictEqual(list.available, 1);
+    assert.deepStrictEqual(list.data.map((row) => row.waitlistPosition), [null, null, null, 1, 2]);
+    assert.deepStrictEqual(list.data.map((row) => row.paid), [true, false, false, false, false]);
+});
+
+test('a church sees its waitlisted people at their places in the whole event\'s waitlist', async () => {
+    db.on('FROM Registration r JOIN Person', [
+        { registrationId: 4, churchId: 3, status: 'waitlisted', contributionId: null },
+        { registrationId: 9, churchId: 3, status: 'waitlisted', contributionId: null }
+    ])
+        .on('SELECT registrationId FROM Registration', [{ registrationId: 4 }, { registrationId: 5 }, { registrationId: 9 }])
+        .on('COUNT(checkedInAt)', [{ registered: '3', waitlisted: '3', cancelled: '0', checkedIn: 0 }])
+        .on('FROM Calendar WHERE', EVENT);
+    const list = await listRegistrations(1, { scope: { level: 'church', churchId: 3 } });
+
+    assert.deepStrictEqual(list.data.map((row) => row.waitlistPosition), [1, 3]);
+    assert.deepStrictEqual(db.find('SELECT registrationId FROM Registration')[0].values, [1]);
+});
+
+test('attendance counts no-shows among registered people only', async () => {
+    db.on('FROM Registration r JOIN Person', REGISTRATIONS)
+        .on('DATE(r.checkedInAt)', [{ churchId: 3, churchName: 'Central', date: '2025-03-01', attended: '1' }])
+        .on('FROM Calendar WHERE', EVENT);
+    const attendance = await eventAttendance(1, { scope: { level: 'all' } });
+
+    assert.strictEqual(attendance.registered, 2);
+    assert.strictEqual(attendance.waitlisted, 2);
+    assert.strictEqual(attendance.checkedIn, 1);
+    assert.strictEqual(attendance.noShows, 1);
+    assert.deepStrictEqual(attendance.byChurch, [{ churchId: 3, churchName: 'Central', date: '2025-03-01', attended: 1 }]);
+});
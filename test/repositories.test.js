@@ -0,0 +1,96 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mysql = require('mysql');
+const pool = require('../data/config');
+const { Person, Stats, User, Calendar, Assets } = require('../data/repositories');
+const { churchScopeClause } = require('../middleware/scope');
+
+// Record every statement instead of talking to MySQL
+let statements = [];
+pool.query = (sql, values, callback) => {
+    statements.push({ sql, values });
+    callback(null, /^\s*SELECT/i.test(sql) ? [] : { affectedRows: 1, insertId: 1 });
+};
+// Audited writes run in a transaction; its connection records into the same list
+pool.getConnection = (callback) => callback(null, { query: (...args) => pool.query(...args), release: () => {} });
+
+// The statement that wrote the row, skipping the transaction and audit reads around it
+const written = (verb) => statements.find(({ sql }) => sql.startsWith(verb));
+
+beforeEach(() => {
+    statements = [];
+});
+
+const PAYLOADS = [
+    "'; DROP TABLE Person; --",
+    "1' OR '1'='1",
+    '1 OR 1=1',
+    "Robert'); DELETE FROM Stats WHERE ('1'='1",
+    '\\\'; SELECT SLEEP(5); --'
+];
+
+// No statement's SQL text may contain the payload; the driver receives it as a value and escapes it
+const assertLiteral = (payload) => {
+    statements.forEach(({ sql }) => assert.ok(!sql.includes(payload), `payload leaked into SQL: ${sql}`));
+    const bound = statements.filter(({ values }) => values.includes(payload));
+    assert.ok(bound.length, 'payload was not passed as a bound value');
+    const escaped = mysql.escape(payload);
+    bound.forEach(({ sql, values }) => {
+        assert.ok(mysql.format(sql, values).includes(escaped), 'payload is not sent as a quoted string literal');
+    });
+};
+
+PAYLOADS.forEach((payload) => {
+    test(`create stores ${JSON.stringify(payload)} as literal text`, async () => {
+        await Person.create({ name: payload, surname: payload, churchId: 1 });
+        assertLiteral(payload);
+    });
+
+    test(`replace binds ${JSON.stringify(payload)} in SET and WHERE`, async () => {
+        await Calendar.replace(payload, { name: payload, region: 'North' });
+        assertLiteral(payload);
+        const { values } = written('UPDATE');
+        assert.strictEqual(values[values.length - 1], payload);
+    });
+
+    test(`update binds ${JSON.stringify(payload)}`, async () => {
+        await Assets.update(1, { description: payload });
+        assertLiteral(payload);
+    });
+
+    test(`findById and remove bind ${JSON.stringify(payload)} as the id`, async () => {
+        await Stats.findById(payload, { scope: churchScopeClause({ level: 'church', churchId: 3 }) });
+        assertLiteral(payload);
+        statements = [];
+        await User.remove(payload);
+        assertLiteral(payload);
+    });
+});
+
+test('unknown columns in the payload are ignored rather than interpolated', async () => {
+    await Person.create({ name: 'Ann', surname: 'Lee', 'name`) VALUES (1); DROP TABLE Person; --': 'x' });
+    assert.strictEqual(written('INSERT').sql, 'INSERT INTO Person (`name`, `surname`) VALUES (?, ?)');
+    assert.deepStrictEqual(written('INSERT').values, ['Ann', 'Lee']);
+});
+
+test('findOneBy rejects columns outside the entity', async () => {
+    await assert.rejects(() => User.findOneBy('username = username OR 1', 'x'), /Unknown column/);
+    assert.strictEqual(statements.length, 0);
+});
+
+test('User helpers never select the password unless asked', async () => {
+    await User.findById(1);
+    assert.ok(!statements[0].sql.includes('`password`'));
+    await User.findById(1, { withHidden: true });
+    assert.ok(statements[1].sql.includes('`password`'));
+});
+
+test('Person giving totals come from the ledger and are never written directly', async () => {
+    await Person.create({ name: 'Ann', surname: 'Lee', amount: 500, regContribution: 50 });
+    assert.strictEqual(written('INSERT').sql, 'INSERT INTO Person (`name`, `surname`) VALUES (?, ?)');
+    await Person.replace(1, { name: 'Ann', surname: 'Lee', seedContribution: 20 });
+    assert.ok(!written('UPDATE').sql.includes('Contribution`'), written('UPDATE').sql);
+    statements = [];
+    await Person.findById(1);
+    assert.ok(statements[0].sql.includes('`amount`'));
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { periodStart, periodLabel, lastYearStart, bucketRows } = require('../data/statsAnalytics');
+
+test('periods start on the ISO Monday, the 1st of the month and 1 January', () => {
+    assert.strictEqual(periodStart('2024-02-15', 'week'), '2024-02-12');
+    assert.strictEqual(periodStart('2024-02-12', 'week'), '2024-02-12');
+    assert.strictEqual(periodStart('2024-02-18', 'week'), '2024-02-12');
+    assert.strictEqual(periodStart('2024-02-15', 'month'), '2024-02-01');
+    assert.strictEqual(periodStart('2024-02-15', 'year'), '2024-01-01');
+});
+
+test('weeks are labelled with their ISO year and number', () => {
+    assert.strictEqual(periodLabel('2024-02-12', 'week'), '2024-W07');
+    assert.strictEqual(periodLabel('2024-12-30', 'week'), '2025-W01');
+    assert.strictEqual(periodLabel('2021-01-04', 'week'), '2021-W01');
+    assert.strictEqual(periodLabel('2024-03-01', 'month'), '2024-03');
+});
+
+test('last year keeps weeks on the same ISO week number', () => {
+    assert.strictEqual(lastYearStart('2024-02-12', 'week'), '2023-02-13');
+    assert.strictEqual(periodLabel(lastYearStart('2024-02-12', 'week'), 'week'), '2023-W07');
+    assert.strictEqual(lastYearStart('2024-03-01', 'month'), '2023-03-01');
+    assert.strictEqual(lastYearStart('2024-01-01', 'year'), '2023-01-01');
+});
+
+test('daily rows are summed per group and period, with MySQL DECIMAL strings as numbers', () => {
+    const row = (date, churchId, adult, offering) => ({
+        date, churchId, region: 'North', services: 1, adult: String(adult), car: 0, fk: 0, saved: 0,
+        offering: String(offering), visitors: 0, aow: 0, ck: 0
+    });
+    const buckets = bucketRows([
+        row('2024-03-03', 1, 100, 10.1),
+        row('2024-03-10', 1, 50, 0.2),
+        row('2024-03-10', 2, 70, 5),
+        row('2024-04-07', 1, 80, 1)
+    ], { period: 'month', groupBy: 'region' });
+
+    assert.deepStrictEqual([...buckets.keys()], ['North|2024-03-01', 'North|2024-04-01']);
+    const march = buckets.get('North|2024-03-01');
+    assert.strictEqual(march.services, 3);
+    assert.strictEqual(march.totals.adult, 220);
+    assert.strictEqual(march.totals.offering, 15.3);
+    assert.deepStrictEqual(march.group, { region: 'North' });
+});
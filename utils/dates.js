@@ -0,0 +1,29 @@
+// Calendar dates are handled as 'YYYY-MM-DD' strings and calculated in UTC, so no time zone shifts a day
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// MySQL DATE columns arrive as local-midnight Date objects; everything else works on YYYY-MM-DD
+const toDateString = (value) => (value instanceof Date
+    ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+    : String(value).slice(0, 10));
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const today = () => toDateString(new Date());
+const addDays = (date, days) => formatDate(new Date(parseDate(date).getTime() + days * DAY_MS));
+
+// Whole days from one date to another (negative when to is earlier)
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+
+module.exports = {
+    DAY_MS,
+    pad,
+    toDateString,
+    parseDate,
+    formatDate,
+    today,
+    addDays,
+    daysBetween
+};
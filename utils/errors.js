@@ -0,0 +1,46 @@
+// Default error code for each status; responses carry the code so clients need not parse messages
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    422: 'UNPROCESSABLE_ENTITY',
+    500: 'INTERNAL_ERROR'
+};
+
+/**
+ * An error that maps straight onto an HTTP response. Throw it (or pass it to next()) from any
+ * route or middleware and the error middleware answers with
+ * { code, message, details, requestId } and the given status.
+ */
+class HttpError extends Error {
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || STATUS_CODES[status] || 'ERROR';
+        this.details = details;
+    }
+}
+
+const badRequest = (message, details) => new HttpError(400, message, { details });
+const unauthorized = (message) => new HttpError(401, message);
+const forbidden = (message) => new HttpError(403, message);
+const notFound = (message) => new HttpError(404, message);
+const conflict = (message, details) => new HttpError(409, message, { details });
+const payloadTooLarge = (message) => new HttpError(413, message);
+const unprocessable = (message, details) => new HttpError(422, message, { details });
+
+module.exports = {
+    STATUS_CODES,
+    HttpError,
+    badRequest,
+    unauthorized,
+    forbidden,
+    notFound,
+    conflict,
+    payloadTooLarge,
+    unprocessable
+};
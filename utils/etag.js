@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// A strong ETag for a record as the find helpers return it; a change to any returned column changes it
+const etagOf = (row) => `"${crypto.createHash('sha1').update(JSON.stringify(row)).digest('base64url')}"`;
+
+// Whether an If-Match header ('"abc"', '"abc", "def"' or '*') names the record's current ETag.
+// If-Match uses the strong comparison, so weak tags (W/"abc") never match.
+const matchesEtag = (header, row) => String(header).split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => tag === '*' || tag === etagOf(row));
+
+module.exports = {
+    etagOf,
+    matchesEtag
+};
@@ -0,0 +1,95 @@
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pdf: 'application/pdf'
+};
+
+const displayValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value);
+};
+
+const writeCsv = (res, { rows, columns }) => pipeline(
+    Readable.from(rows),
+    stringify({ header: true, columns, cast: { date: displayValue } }),
+    res
+);
+
+const writeXlsx = async (res, { rows, columns, title }) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+    const sheet = workbook.addWorksheet(title.slice(0, 31));
+    sheet.columns = columns.map((column) => ({ header: column, key: column }));
+
+    for await (const row of rows) {
+        sheet.addRow(row).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+};
+
+// A plain landscape table: title, header row, then one line per record, breaking pages as needed
+const writePdf = async (res, { rows, columns, title }) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    const finished = new Promise((resolve, reject) => {
+        res.on('finish', resolve);
+        res.on('error', reject);
+    });
+    doc.pipe(res);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columnWidth = width / columns.length;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    const drawRow = (values, font) => {
+        doc.font(font).fontSize(7);
+        const height = Math.max(...values.map((value) => doc.heightOfString(value, { width: columnWidth - 4 }))) + 4;
+        if (doc.y + height > bottom) doc.addPage();
+        const y = doc.y;
+        values.forEach((value, index) => {
+            doc.text(value, left + index * columnWidth, y, { width: columnWidth - 4 });
+        });
+        doc.x = left;
+        doc.y = y + height;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title);
+    doc.fontSize(8).font('Helvetica').text(`Exported ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`);
+    doc.moveDown();
+    drawRow(columns, 'Helvetica-Bold');
+
+    for await (const row of rows) {
+        drawRow(columns.map((column) => displayValue(row[column])), 'Helvetica');
+    }
+
+    doc.end();
+    await finished;
+};
+
+const WRITERS = { csv: writeCsv, xlsx: writeXlsx, pdf: writePdf };
+
+/**
+ * Stream rows (any async iterable of objects) to the response as a CSV, XLSX or PDF download.
+ * Rows are written as they arrive, so large tables never have to be held in memory.
+ */
+const streamExport = (res, format, { rows, columns, title }) => {
+    const filename = `${title}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return WRITERS[format](res, { rows, columns, title });
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    streamExport
+};
@@ -0,0 +1,85 @@
+const PDFDocument = require('pdfkit');
+
+const TYPE_LABELS = {
+    tithe: 'Tithes',
+    seed: 'Seed offerings',
+    registration: 'Registration',
+    offering: 'Offerings',
+    pledge: 'Pledge payments'
+};
+
+const formatAmount = (amount) => Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// One certificate page: issuing church, giver, the year's totals per type and the grand total
+const drawCertificate = (doc, summary, issued) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const { church, person } = summary;
+
+    doc.font('Helvetica-Bold').fontSize(18).text(church.churchName || `Church ${church.churchId}`, { align: 'center' });
+    const place = [church.city, church.province].filter(Boolean).join(', ');
+    if (place) doc.font('Helvetica').fontSize(10).text(place, { align: 'center' });
+    doc.moveDown(1.5);
+
+    doc.font('Helvetica-Bold').fontSize(14).text(`Certificate of giving ${summary.year}`, { align: 'center' });
+    doc.font('Helvetica').fontSize(10).text(`${summary.from} to ${summary.to}`, { align: 'center' });
+    doc.moveDown(2);
+
+    doc.fontSize(11).text('This certifies that contributions were received from:');
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text([person.name, person.surname].filter(Boolean).join(' '));
+    doc.font('Helvetica');
+    if (person.address) doc.text(person.address);
+    doc.moveDown(1.5);
+
+    const amountX = left + width * 0.6;
+    const amountWidth = width * 0.4;
+    const row = (label, amount, font = 'Helvetica') => {
+        const y = doc.y;
+        doc.font(font).text(label, left, y, { width: width * 0.6 });
+        doc.text(amount, amountX, y, { width: amountWidth, align: 'right' });
+        doc.x = left;
+        doc.moveDown(0.3);
+    };
+
+    row('Type', 'Amount', 'Helvetica-Bold');
+    Object.entries(summary.totals)
+        .filter(([, amount]) => amount)
+        .forEach(([type, amount]) => row(TYPE_LABELS[type] || type, formatAmount(amount)));
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.moveDown(0.3);
+    row(`Total (${summary.gifts} gifts)`, formatAmount(summary.total), 'Helvetica-Bold');
+
+    doc.moveDown(3);
+    doc.font('Helvetica').fontSize(9).text(`Issued ${issued}. No goods or services were provided in return for these contributions.`);
+};
+
+/**
+ * Stream giving certificates to the response as one PDF, a page per summary
+ * (see annualSummaries in data/contributions.js).
+ */
+const streamGivingCertificates = async (res, summaries, { filename }) => {
+    res.status(200);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const doc = new PDFDocument({ size: 'A4', margin: 60 });
+    const finished = new Promise((resolve, reject) => {
+        res.on('finish', resolve);
+        res.on('error', reject);
+    });
+    doc.pipe(res);
+
+    const issued = new Date().toISOString().slice(0, 10);
+    summaries.forEach((summary, index) => {
+        if (index > 0) doc.addPage();
+        drawCertificate(doc, summary, issued);
+    });
+
+    doc.end();
+    await finished;
+};
+
+module.exports = {
+    streamGivingCertificates
+};
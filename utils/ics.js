@@ -0,0 +1,246 @@
+// iCalendar (RFC 5545) feeds and imports for Calendar events. Times are wall-clock times in the
+// ministry's time zone ("floating" in iCalendar terms), so a 09:00 service shows as 09:00 on every phone.
+const path = require('path');
+const multer = require('multer');
+const { addDays, daysBetween, pad } = require('./dates');
+const { badRequest } = require('./errors');
+const { bindContext } = require('../middleware/audit');
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//BBM//Church API//EN';
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES } });
+
+// Accept a single .ics file in the "file" form field, answering upload problems with a 400
+const uploadCalendarFile = (req, res, next) => {
+    // bindContext: imports written after the upload are still logged against the uploader
+    upload.single('file')(req, res, bindContext((err) => {
+        if (err) return next(badRequest(err.message));
+        if (!req.file) return next(badRequest('An .ics file is required in the "file" field'));
+        if (path.extname(req.file.originalname || '').toLowerCase() !== '.ics') {
+            return next(badRequest('Unsupported file type; use an .ics file'));
+        }
+        next();
+    }));
+};
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Lines longer than 75 octets continue on the next line after a space, never splitting a character
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+};
+
+const icsDate = (date) => date.replace(/-/g, '');
+const icsTime = (time) => String(time).split(':').concat('00', '00').slice(0, 3).map((part) => pad(Number(part))).join('');
+const minutesOf = (time) => {
+    const [hours, minutes = 0] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+const icsStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// DTSTART, DTEND, EXDATE and RECURRENCE-ID share one value type: a date, or a date and time
+const dateProperty = (name, date, time) => (time ? `${name}:${icsDate(date)}T${icsTime(time)}` : `${name};VALUE=DATE:${icsDate(date)}`);
+
+/**
+ * One event as VEVENT lines: the series with its RRULE and cancelled dates (EXDATE), then an extra
+ * VEVENT per moved occurrence pointing back at the original date with RECURRENCE-ID.
+ * event: { uid, name, description, location, department, startDate, endDate, startTime, endTime,
+ * rrule, exceptions: [{ date, movedTo, startTime }] }
+ */
+const eventLines = (event, stamp) => {
+    const length = event.endDate ? Math.max(0, daysBetween(event.startDate, event.endDate)) : 0;
+    // Minutes from start to end, kept when a moved occurrence starts at another time
+    const duration = event.startTime && event.endTime ? length * 1440 + minutesOf(event.endTime) - minutesOf(event.startTime) : 0;
+    const timing = (date, startTime) => {
+        if (!startTime) return [dateProperty('DTSTART', date), dateProperty('DTEND', addDays(date, length + 1))];
+        const lines = [dateProperty('DTSTART', date, startTime)];
+        if (duration > 0) {
+            const end = minutesOf(startTime) + duration;
+            lines.push(dateProperty('DTEND', addDays(date, Math.floor(end / 1440)), `${pad(Math.floor((end % 1440) / 60))}:${pad(end % 60)}`));
+        }
+        return lines;
+    };
+    const details = [
+        `SUMMARY:${escapeText(event.name)}`,
+        event.location && `LOCATION:${escapeText(event.location)}`,
+        event.description && `DESCRIPTION:${escapeText(event.description)}`,
+        event.department && `CATEGORIES:${escapeText(event.department)}`
+    ].filter(Boolean);
+    const exceptions = event.exceptions || [];
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        ...timing(event.startDate, event.startTime),
+        event.rrule && `RRULE:${event.rrule}`,
+        ...exceptions.filter((exception) => !exception.movedTo).map((exception) => dateProperty('EXDATE', exception.date, event.startTime)),
+        ...details,
+        'END:VEVENT'
+    ];
+    exceptions.filter((exception) => exception.movedTo).forEach((exception) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            dateProperty('RECURRENCE-ID', exception.date, event.startTime),
+            ...timing(exception.movedTo, exception.startTime || event.startTime),
+            ...details,
+            'END:VEVENT'
+        );
+    });
+    return lines.filter(Boolean);
+};
+
+// A whole VCALENDAR document; name is shown by calendar apps as the subscription's title
+const buildCalendar = ({ name, events }) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => eventLines(event, icsStamp(new Date()))),
+    'END:VCALENDAR'
+].map(foldLine).join(CRLF) + CRLF;
+
+// "DTSTART;TZID=Africa/Johannesburg:20250302T090000" -> { name, params, value }; quoted params may hold ':' or ';'
+const parseLine = (line) => {
+    let quoted = false;
+    let colon = -1;
+    for (let index = 0; index < line.length && colon === -1; index += 1) {
+        if (line[index] === '"') quoted = !quoted;
+        else if (line[index] === ':' && !quoted) colon = index;
+    }
+    if (colon === -1) return null;
+    const [name, ...params] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map((param) => {
+            const [key, value = ''] = param.split('=');
+            return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+        })),
+        value: line.slice(colon + 1)
+    };
+};
+
+// 20250302 or 20250302T090000 (Z means UTC and is shown in the server's local time)
+const parseDateValue = (value) => {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (!hours) return { date: `${year}-${month}-${day}`, time: null };
+    if (!utc) return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}:${seconds}` };
+
+    const local = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return {
+        date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+        time: `${pad(local.getHours())}:${pad(local.getMinutes())}:${pad(local.getSeconds())}`
+    };
+};
+
+/**
+ * Read the VEVENTs of an .ics file into Calendar-shaped events:
+ * { uid, name, description, location, department, startDate, endDate, startTime, endTime, rrule,
+ *   exceptions: [{ date, movedTo, startTime }], errors }.
+ * Moved or cancelled single occurrences (RECURRENCE-ID) become exceptions of their series.
+ * Throws a 400 HttpError when the text is not an iCalendar document at all.
+ */
+const parseCalendar = (text) => {
+    const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+    if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+        throw badRequest('The file is not an iCalendar (.ics) document');
+    }
+
+    const components = [];
+    let current = null;
+    lines.forEach((raw) => {
+        const line = parseLine(raw);
+        if (!line) return;
+        if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') current = { properties: [] };
+        else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT' && current) {
+            components.push(current);
+            current = null;
+        } else if (current) current.properties.push(line);
+    });
+
+    const toEvent = ({ properties }) => {
+        const first = (name) => properties.find((property) => property.name === name);
+        const text = (name) => (first(name) ? unescapeText(first(name).value).trim() : undefined);
+        const errors = [];
+        const start = first('DTSTART') && parseDateValue(first('DTSTART').value);
+        const end = first('DTEND') && parseDateValue(first('DTEND').value);
+        if (!start) errors.push('DTSTART is missing or not a date');
+
+        const event = {
+            uid: text('UID'),
+            name: text('SUMMARY'),
+            description: text('DESCRIPTION'),
+            location: text('LOCATION'),
+            department: first('CATEGORIES') ? unescapeText(first('CATEGORIES').value.split(/(?<!\\),/)[0]).trim() : undefined,
+            startDate: start ? start.date : undefined,
+            startTime: start ? start.time : undefined,
+            endDate: undefined,
+            endTime: undefined,
+            rrule: first('RRULE') ? first('RRULE').value.trim() : undefined,
+            cancelled: (text('STATUS') || '').toUpperCase() === 'CANCELLED',
+            exceptions: properties
+                .filter((property) => property.name === 'EXDATE')
+                .flatMap((property) => property.value.split(','))
+                .map(parseDateValue)
+                .filter(Boolean)
+                .map(({ date }) => ({ date, movedTo: null, startTime: null })),
+            errors
+        };
+        if (start && end) {
+            // An all-day DTEND is the day after the event ends
+            event.endDate = start.time ? end.date : addDays(end.date, -1);
+            if (event.endDate < event.startDate) event.endDate = event.startDate;
+            if (start.time && end.time) event.endTime = end.time;
+        }
+        const recurrenceId = first('RECURRENCE-ID') && parseDateValue(first('RECURRENCE-ID').value);
+        if (recurrenceId) event.recurrenceDate = recurrenceId.date;
+        if (!event.name) errors.push('SUMMARY is missing');
+        return event;
+    };
+
+    const events = components.map(toEvent);
+    const series = events.filter((event) => !event.recurrenceDate);
+    events.filter((event) => event.recurrenceDate).forEach((override) => {
+        const master = series.find((event) => event.uid && event.uid === override.uid);
+        if (!master) return;
+        master.exceptions = master.exceptions.filter((exception) => exception.date !== override.recurrenceDate);
+        master.exceptions.push({
+            date: override.recurrenceDate,
+            movedTo: override.cancelled ? null : override.startDate,
+            startTime: override.cancelled || override.startTime === master.startTime ? null : override.startTime
+        });
+    });
+    return series.map(({ cancelled, ...event }) => event);
+};
+
+module.exports = {
+    uploadCalendarFile,
+    buildCalendar,
+    parseCalendar
+};
@@ -0,0 +1,12 @@
+// Money is summed in whole cents so totals of MySQL DECIMAL strings never pick up floating point noise
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Sum amounts (numbers or DECIMAL strings) to two decimals
+const sumAmounts = (amounts) => fromCents(amounts.reduce((total, amount) => total + toCents(amount), 0));
+
+module.exports = {
+    toCents,
+    fromCents,
+    sumAmounts
+};
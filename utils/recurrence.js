@@ -0,0 +1,271 @@
+// Recurring Calendar events: the commonly used part of the iCalendar RRULE (RFC 5545), expanded to
+// 'YYYY-MM-DD' dates. Supported: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT or UNTIL,
+// BYDAY (with ordinals such as 1FR or -1SU for MONTHLY and YEARLY), BYMONTHDAY, BYMONTH and WKST.
+const { pad, parseDate, addDays, daysBetween } = require('./dates');
+const { badRequest } = require('./errors');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety net for rules that never match anything, e.g. BYMONTHDAY=31;BYMONTH=2
+const MAX_PERIODS = 10000;
+
+const invalid = (message) => badRequest(`Invalid rrule: ${message}`);
+
+const integerList = (key, value, max) => value.split(',').map((item) => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number === 0 || Math.abs(number) > max) {
+        throw invalid(`${key} value '${item}' is out of range`);
+    }
+    return number;
+});
+
+const parseWeekday = (code) => {
+    const weekday = WEEKDAYS.indexOf(code);
+    if (weekday === -1) throw invalid(`unknown weekday '${code}'`);
+    return weekday;
+};
+
+// UNTIL is a date (20251231) or a date-time (20251231T235959Z); only the date is kept
+const parseUntil = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+    if (!match) throw invalid(`UNTIL '${value}' is not a date`);
+    return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+/**
+ * Parse "FREQ=MONTHLY;BYDAY=1FR" (an "RRULE:" prefix is allowed) into
+ * { freq, interval, count, until, byDay: [{ weekday, ordinal }], byMonthDay, byMonth, weekStart }.
+ * Throws a 400 HttpError describing the first problem.
+ */
+const parseRRule = (text) => {
+    const rule = { freq: null, interval: 1, count: null, until: null, byDay: [], byMonthDay: [], byMonth: [], weekStart: 1 };
+    const parts = String(text || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+    parts.forEach((part) => {
+        const [rawKey, rawValue = ''] = part.split('=');
+        const key = rawKey.trim().toUpperCase();
+        const value = rawValue.trim().toUpperCase();
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value)) throw invalid(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = Number(value);
+                if (!Number.isInteger(rule.interval) || rule.interval < 1) throw invalid('INTERVAL must be a positive whole number');
+                break;
+            case 'COUNT':
+                rule.count = Number(value);
+                if (!Number.isInteger(rule.count) || rule.count < 1) throw invalid('COUNT must be a positive whole number');
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(value);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map((item) => {
+                    const match = item.match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+                    if (!match) throw invalid(`BYDAY value '${item}' is not a weekday`);
+                    const ordinal = match[1] ? Number(match[1]) : null;
+                    if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) throw invalid(`BYDAY ordinal '${item}' is out of range`);
+                    return { weekday: parseWeekday(match[2]), ordinal };
+                });
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = integerList(key, value, 31);
+                break;
+            case 'BYMONTH':
+                rule.byMonth = integerList(key, value, 12);
+                if (rule.byMonth.some((month) => month < 0)) throw invalid('BYMONTH values must be 1 to 12');
+                break;
+            case 'WKST':
+                rule.weekStart = parseWeekday(value);
+                break;
+            default:
+                throw invalid(`${key || part} is not supported`);
+        }
+    });
+
+    if (!rule.freq) throw invalid('FREQ is required');
+    if (rule.count && rule.until) throw invalid('use either COUNT or UNTIL, not both');
+    if (rule.byDay.some((day) => day.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        throw invalid('BYDAY ordinals such as 1FR need FREQ=MONTHLY or FREQ=YEARLY');
+    }
+    return rule;
+};
+
+// The rule written back in a fixed order, so equal rules are stored identically
+const formatRRule = (rule) => [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.count && `COUNT=${rule.count}`,
+    rule.until && `UNTIL=${rule.until.replace(/-/g, '')}`,
+    rule.byDay.length && `BYDAY=${rule.byDay.map((day) => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`,
+    rule.byMonthDay.length && `BYMONTHDAY=${rule.byMonthDay.join(',')}`,
+    rule.byMonth.length && `BYMONTH=${rule.byMonth.join(',')}`,
+    rule.weekStart !== 1 && `WKST=${WEEKDAYS[rule.weekStart]}`
+].filter(Boolean).join(';');
+
+const normalizeRRule = (text) => formatRRule(parseRRule(text));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Days of one month (1-based) picked by BYMONTHDAY and/or BYDAY, or else the start's day of the month
+const monthDates = (rule, year, month, startDay) => {
+    const last = daysInMonth(year, month);
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    const weekdayDays = (weekday) => {
+        const days = [];
+        for (let day = ((weekday - firstWeekday + 7) % 7) + 1; day <= last; day += 7) days.push(day);
+        return days;
+    };
+
+    let days;
+    if (rule.byMonthDay.length) {
+        days = rule.byMonthDay.map((day) => (day > 0 ? day : last + day + 1)).filter((day) => day >= 1 && day <= last);
+        if (rule.byDay.length) {
+            const weekdays = rule.byDay.map((day) => day.weekday);
+            days = days.filter((day) => weekdays.includes(new Date(Date.UTC(year, month - 1, day)).getUTCDay()));
+        }
+    } else if (rule.byDay.length) {
+        days = rule.byDay.flatMap(({ weekday, ordinal }) => {
+            const matches = weekdayDays(weekday);
+            if (ordinal === null) return matches;
+            const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+            return day ? [day] : [];
+        });
+    } else {
+        days = startDay <= last ? [startDay] : [];
+    }
+    return [...new Set(days)].sort((a, b) => a - b).map((day) => `${year}-${pad(month)}-${pad(day)}`);
+};
+
+// Candidate dates of the index-th period after start, with the first day that period covers
+const period = (rule, start, index) => {
+    const startDate = parseDate(start);
+    const step = index * rule.interval;
+
+    if (rule.freq === 'DAILY') {
+        const date = addDays(start, step);
+        return { begins: date, dates: [date] };
+    }
+    if (rule.freq === 'WEEKLY') {
+        const begins = addDays(start, step * 7 - ((startDate.getUTCDay() - rule.weekStart + 7) % 7));
+        const weekdays = rule.byDay.length ? rule.byDay.map((day) => day.weekday) : [startDate.getUTCDay()];
+        const dates = [...new Set(weekdays.map((weekday) => addDays(begins, (weekday - rule.weekStart + 7) % 7)))].sort();
+        return { begins, dates };
+    }
+    if (rule.freq === 'MONTHLY') {
+        const months = startDate.getUTCMonth() + step;
+        const year = startDate.getUTCFullYear() + Math.floor(months / 12);
+        const month = (months % 12) + 1;
+        const wanted = !rule.byMonth.length || rule.byMonth.includes(month);
+        return { begins: `${year}-${pad(month)}-01`, dates: wanted ? monthDates(rule, year, month, startDate.getUTCDate()) : [] };
+    }
+    const year = startDate.getUTCFullYear() + step;
+    const months = rule.byMonth.length ? [...rule.byMonth].sort((a, b) => a - b) : [startDate.getUTCMonth() + 1];
+    return { begins: `${year}-01-01`, dates: months.flatMap((month) => monthDates(rule, year, month, startDate.getUTCDate())) };
+};
+
+// Whole periods between start and from that can be skipped; rules with COUNT must be walked from the start
+const periodsBefore = (rule, start, from) => {
+    if (rule.count || from <= start) return 0;
+    const days = daysBetween(start, from);
+    const periodDays = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 }[rule.freq];
+    return Math.max(0, Math.floor(days / (periodDays * rule.interval)) - 1);
+};
+
+/**
+ * Start dates of a rule's occurrences between from and to (inclusive). start is the event's first
+ * day; dates before it are never produced and COUNT is counted from it.
+ */
+const ruleDates = (rule, start, { from, to }) => {
+    const end = rule.until && rule.until < to ? rule.until : to;
+    const dates = [];
+    let count = 0;
+
+    for (let index = periodsBefore(rule, start, from); index < MAX_PERIODS; index += 1) {
+        const { begins, dates: candidates } = period(rule, start, index);
+        if (begins > end) break;
+        for (const date of candidates) {
+            if (date < start) continue;
+            if (date > end) return dates;
+            count += 1;
+            if (date >= from) dates.push(date);
+            if (rule.count && count >= rule.count) return dates;
+        }
+    }
+    return dates;
+};
+
+const minutesOf = (time) => {
+    const [hours, minutes = 0] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// The end time of an occurrence that starts at another time, keeping its length
+const shiftTime = (endTime, startTime, newStartTime) => {
+    if (!endTime) return null;
+    if (!startTime || startTime === newStartTime) return endTime;
+    const end = (((minutesOf(endTime) - minutesOf(startTime) + minutesOf(newStartTime)) % 1440) + 1440) % 1440;
+    return `${pad(Math.floor(end / 60))}:${pad(end % 60)}:00`;
+};
+
+/**
+ * Occurrences of an event overlapping from..to. event has startDate, optional endDate (multi-day
+ * events), startTime, endTime and rrule; exceptions are [{ date, movedTo, startTime }] for single
+ * occurrences: without movedTo the occurrence is cancelled, otherwise it moves to movedTo.
+ */
+const expandOccurrences = (event, { from, to, exceptions = [] }) => {
+    const length = event.endDate ? Math.max(0, daysBetween(event.startDate, event.endDate)) : 0;
+    const rule = event.rrule ? parseRRule(event.rrule) : null;
+    const datesBetween = (windowFrom, windowTo) => (rule
+        ? ruleDates(rule, event.startDate, { from: windowFrom, to: windowTo })
+        : [event.startDate].filter((date) => date >= windowFrom && date <= windowTo));
+
+    // Start a span earlier so a multi-day occurrence that began before from is still included
+    const dates = new Set(datesBetween(addDays(from, -length), to));
+    const moved = new Map(exceptions.map((exception) => [exception.date, exception]));
+
+    // Occurrences moved into the window from outside it
+    exceptions
+        .filter((exception) => exception.movedTo && !dates.has(exception.date))
+        .filter((exception) => exception.movedTo <= to && addDays(exception.movedTo, length) >= from)
+        .filter((exception) => datesBetween(exception.date, exception.date).length)
+        .forEach((exception) => dates.add(exception.date));
+
+    return [...dates]
+        .filter((date) => !moved.has(date) || moved.get(date).movedTo)
+        .map((date) => {
+            const exception = moved.get(date);
+            const start = exception ? exception.movedTo : date;
+            const startTime = (exception && exception.startTime) || event.startTime || null;
+            return {
+                date: start,
+                endDate: addDays(start, length),
+                startTime,
+                endTime: shiftTime(event.endTime, event.startTime, startTime),
+                originalDate: date,
+                moved: Boolean(exception)
+            };
+        })
+        .filter((occurrence) => occurrence.date <= to && occurrence.endDate >= from)
+        .sort((a, b) => a.date.localeCompare(b.date) || String(a.startTime).localeCompare(String(b.startTime)));
+};
+
+// Whether date is one of the event's own (rule-generated) occurrence dates
+const isOccurrence = (event, date) => {
+    if (!event.rrule) return date === event.startDate;
+    return ruleDates(parseRRule(event.rrule), event.startDate, { from: date, to: date }).includes(date);
+};
+
+module.exports = {
+    WEEKDAYS,
+    parseRRule,
+    formatRRule,
+    normalizeRRule,
+    expandOccurrences,
+    isOccurrence
+};
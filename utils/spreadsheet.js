@@ -0,0 +1,76 @@
+const path = require('path');
+const multer = require('multer');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { badRequest } = require('./errors');
+const { bindContext } = require('../middleware/audit');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES } });
+
+// Accept a single spreadsheet in the "file" form field, answering upload problems with a 400
+const uploadSpreadsheet = (req, res, next) => {
+    // Bound so the request's audit context carries on into the route after the upload
+    upload.single('file')(req, res, bindContext((err) => {
+        if (err) return next(badRequest(err.message));
+        if (!req.file) return next(badRequest('A CSV or XLSX file is required in the "file" field'));
+        if (!SPREADSHEET_FORMATS.includes(spreadsheetFormat(req.file))) {
+            return next(badRequest(`Unsupported file type; use one of: ${SPREADSHEET_FORMATS.join(', ')}`));
+        }
+        next();
+    }));
+};
+
+const spreadsheetFormat = (file) => path.extname(file.originalname || '').slice(1).toLowerCase();
+
+const cellValue = (cell) => {
+    const { value } = cell;
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') return cell.text;
+    return value;
+};
+
+const readXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headers: [], rows: [] };
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+        headers[col - 1] = String(cellValue(cell)).trim();
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const values = {};
+        headers.forEach((header, index) => {
+            if (header) values[header] = cellValue(row.getCell(index + 1));
+        });
+        rows.push({ row: rowNumber, values });
+    });
+    return { headers: headers.filter(Boolean), rows };
+};
+
+const readCsv = (buffer) => {
+    const records = parse(buffer, { columns: true, bom: true, trim: true, skip_empty_lines: true });
+    const headers = records.length ? Object.keys(records[0]) : [];
+    // Row numbers are 1-based and the header occupies row 1
+    return { headers, rows: records.map((values, index) => ({ row: index + 2, values })) };
+};
+
+// Parse an uploaded CSV/XLSX into { headers, rows: [{ row, values: { header: value } }] }
+const readSpreadsheet = async (file) => {
+    if (spreadsheetFormat(file) === 'xlsx') return readXlsx(file.buffer);
+    return readCsv(file.buffer);
+};
+
+module.exports = {
+    SPREADSHEET_FORMATS,
+    uploadSpreadsheet,
+    readSpreadsheet
+};